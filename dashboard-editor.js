@@ -0,0 +1,65 @@
+/**
+ * Dashboard editor as an ES module
+ * Runs the editor scripts in order (each one sets its window.Dashboard* global)
+ * and exports the public API of window.Dashboard:
+ *
+ *   import { createDashboardEditor } from './dashboard-editor.js';
+ *
+ *   const editor = createDashboardEditor(document.querySelector('#sales'), { storageKey: 'sales-layout' });
+ *   editor.on('change', () => saveLayout(editor.getLayout()));
+ *   editor.addWidget('kpi', { sectionId: null });
+ *
+ * Pages loading the scripts with <script> tags use window.Dashboard instead (see index.html);
+ * do not load both on one page
+ */
+import './logger.js';
+import './event-bus.js';
+import './layout-engine.js';
+import './widget-registry.js';
+import './data-sources.js';
+import './drag-engine.js';
+import './static-export.js';
+import './templates.js';
+import './script.js';
+
+const {
+    DashboardEditor,
+    createDashboardEditor,
+    HistoryManager,
+    LayoutSchemaError,
+    LAYOUT_SCHEMA_VERSION,
+    LAYOUT_STORAGE_KEY,
+    TEMPLATE_STORAGE_KEY,
+    migrateLayout,
+    reseedIdCounters,
+    validateLayout
+} = window.Dashboard;
+
+// Building blocks for editor options (widgetRegistry, dataSources, breakpoints, logger, templates)
+const { WidgetRegistry, createDefaultRegistry } = window.DashboardWidgets;
+const { DataSourceManager } = window.DashboardData;
+const { DEFAULT_BREAKPOINTS } = window.DashboardLayoutEngine;
+const { Logger } = window.DashboardLogger;
+const { renderStaticDashboard } = window.DashboardExport;
+const { BUILTIN_TEMPLATES, resolveTemplateParams } = window.DashboardTemplates;
+
+export {
+    DashboardEditor,
+    createDashboardEditor,
+    HistoryManager,
+    LayoutSchemaError,
+    LAYOUT_SCHEMA_VERSION,
+    LAYOUT_STORAGE_KEY,
+    TEMPLATE_STORAGE_KEY,
+    migrateLayout,
+    reseedIdCounters,
+    validateLayout,
+    WidgetRegistry,
+    createDefaultRegistry,
+    DataSourceManager,
+    DEFAULT_BREAKPOINTS,
+    Logger,
+    renderStaticDashboard,
+    BUILTIN_TEMPLATES,
+    resolveTemplateParams
+};
@@ -0,0 +1,357 @@
+/**
+ * Data sources - Loads rows for widgets and runs their queries
+ * - DataSourceManager: data source configs by ID, adapters, row cache and query execution
+ * - Adapters load the rows of a source: 'memory' (inline rows or a built-in sample dataset)
+ *   and 'json' (a JSON file fetched from a URL)
+ * - runQuery: filters (global filters + filter chips), groups/aggregates, sorts and limits rows
+ * Data source config: { id, type: 'memory'|'json', label, rows, dataset, url, filterFields, cacheTtlSec }
+ *   filterFields maps global filter keys to row fields (default: same name)
+ * Query: { where: [Filter chip], groupBy: 'field', aggregate: { field, op: 'sum'|'avg'|'min'|'max'|'count' },
+ *          sort: { field, direction: 'asc'|'desc' }, limit: N }
+ * Loaded as a plain script in the browser (window.DashboardData)
+ * and as a CommonJS module under Node (require('./data-sources'))
+ */
+(function (root, factory) {
+    const data = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = data;
+    } else {
+        root.DashboardData = data;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * Build a deterministic sample dataset (same rows on every load)
+     * @param {number} days - Number of days starting 2024-01-01
+     * @param {function} makeRows - Called with (date, dayIndex), returns the rows of that day
+     * @returns {array} Rows
+     */
+    function buildDataset(days, makeRows) {
+        const rows = [];
+        for (let day = 0; day < days; day++) {
+            const date = new Date(Date.UTC(2024, 0, 1 + day)).toISOString().slice(0, 10);
+            rows.push(...makeRows(date, day));
+        }
+        return rows;
+    }
+    
+    const TARGETS = ['target1', 'target2', 'target3'];
+    
+    /**
+     * Offline sample datasets for the 'memory' adapter ({ dataset: 'sales' })
+     */
+    const SAMPLE_DATASETS = {
+        sales: buildDataset(14, (date, day) => TARGETS.flatMap((target, t) =>
+            ['EU', 'US', 'APAC'].map((region, r) => ({
+                date,
+                target,
+                region,
+                category: ['Hardware', 'Software', 'Services'][(day + r) % 3],
+                orders: 5 + ((day * 7 + t * 5 + r * 3) % 11),
+                revenue: 400 + ((day * 131 + t * 97 + r * 53) % 900)
+            }))
+        )),
+        traffic: buildDataset(14, (date, day) => TARGETS.flatMap((target, t) =>
+            ['search', 'social', 'direct'].map((channel, c) => ({
+                date,
+                target,
+                channel,
+                visits: 100 + ((day * 37 + t * 23 + c * 61) % 250)
+            }))
+        ))
+    };
+    
+    /**
+     * Data sources available without configuration
+     */
+    const DEFAULT_DATA_SOURCES = [
+        { id: 'sales', type: 'memory', label: 'Sales (sample)', dataset: 'sales' },
+        { id: 'traffic', type: 'memory', label: 'Traffic (sample)', dataset: 'traffic' }
+    ];
+    
+    /**
+     * Adapter for rows held in memory: inline "rows" or a SAMPLE_DATASETS "dataset"
+     * @param {object} [options]
+     * @param {number} [options.latencyMs=0] - Simulated load time
+     */
+    function createMemoryAdapter({ latencyMs = 0 } = {}) {
+        return {
+            load(source) {
+                const rows = Array.isArray(source.rows) ? source.rows : SAMPLE_DATASETS[source.dataset];
+                if (!rows) {
+                    return Promise.reject(new Error(`Unknown dataset "${source.dataset}"`));
+                }
+                const copy = rows.map(row => ({ ...row }));
+                if (latencyMs <= 0) return Promise.resolve(copy);
+                return new Promise(resolve => setTimeout(() => resolve(copy), latencyMs));
+            }
+        };
+    }
+    
+    /**
+     * Adapter for a JSON file: an array of rows or { "rows": [...] } at source.url
+     * @param {object} [options]
+     * @param {function} [options.fetch] - fetch implementation (default: global fetch)
+     */
+    function createJsonAdapter({ fetch: fetchImpl } = {}) {
+        return {
+            async load(source) {
+                const doFetch = fetchImpl || (typeof fetch === 'function' ? fetch : null);
+                if (!doFetch) {
+                    throw new Error('fetch is not available');
+                }
+                
+                const response = await doFetch(source.url);
+                if (!response.ok) {
+                    throw new Error(`Loading ${source.url} failed (${response.status})`);
+                }
+                const json = await response.json();
+                const rows = Array.isArray(json) ? json : json && json.rows;
+                if (!Array.isArray(rows)) {
+                    throw new Error(`${source.url} must contain an array of rows or { "rows": [...] }`);
+                }
+                return rows;
+            }
+        };
+    }
+    
+    /**
+     * Compare two cell values: numerically when both are numbers, as text otherwise
+     * (ISO dates compare correctly as text)
+     */
+    function compareValues(a, b) {
+        const numA = Number(a);
+        const numB = Number(b);
+        if (a !== '' && b !== '' && !Number.isNaN(numA) && !Number.isNaN(numB)) {
+            return numA - numB;
+        }
+        return String(a).localeCompare(String(b));
+    }
+    
+    /**
+     * Check if a row matches a filter chip ({ field, operator, value })
+     * @param {object} row - Data row
+     * @param {object} filter - Filter chip
+     * @returns {boolean} True if the row passes the filter
+     */
+    function matchesFilter(row, filter) {
+        const cell = row[filter.field];
+        if (cell === undefined || cell === null) return false;
+        
+        switch (filter.operator) {
+            case 'equals':
+                return String(cell) === String(filter.value);
+            case 'in':
+                return filter.value.map(String).includes(String(cell));
+            case 'contains':
+                return String(cell).toLowerCase().includes(String(filter.value).toLowerCase());
+            case 'before':
+                return compareValues(cell, filter.value) < 0;
+            case 'after':
+                return compareValues(cell, filter.value) > 0;
+            case 'range':
+                return (filter.value.from === '' || compareValues(cell, filter.value.from) >= 0) &&
+                    (filter.value.to === '' || compareValues(cell, filter.value.to) <= 0);
+            default:
+                return true;
+        }
+    }
+    
+    const AGGREGATES = {
+        sum: values => values.reduce((total, v) => total + (Number(v) || 0), 0),
+        avg: values => values.length ? AGGREGATES.sum(values) / values.length : 0,
+        min: values => values.length ? Math.min(...values.map(Number)) : 0,
+        max: values => values.length ? Math.max(...values.map(Number)) : 0,
+        count: values => values.length
+    };
+    
+    /**
+     * Run a query on rows
+     * Filters on fields the rows do not have are ignored, so a chip like "region = EU"
+     * leaves sources without a region column untouched
+     * @param {array} rows - Source rows
+     * @param {object} [query] - Query (see top of file)
+     * @param {array} [filters] - Extra filter chips (global filters and filter container chips)
+     * @returns {object} { rows, columns }
+     */
+    function runQuery(rows, query = {}, filters = []) {
+        const fields = new Set(rows.flatMap(row => Object.keys(row)));
+        const conditions = [...(query.where || []), ...filters].filter(f => fields.has(f.field));
+        let result = rows.filter(row => conditions.every(filter => matchesFilter(row, filter)));
+        
+        if (query.aggregate) {
+            const { field, op = 'sum' } = query.aggregate;
+            const aggregate = AGGREGATES[op] || AGGREGATES.sum;
+            const valueField = `${op}_${field}`;
+            const groups = new Map();
+            result.forEach(row => {
+                const key = query.groupBy ? row[query.groupBy] : 'all';
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(row[field]);
+            });
+            result = Array.from(groups, ([key, values]) => (query.groupBy
+                ? { [query.groupBy]: key, [valueField]: aggregate(values) }
+                : { [valueField]: aggregate(values) }));
+        }
+        
+        if (query.sort && query.sort.field) {
+            const direction = query.sort.direction === 'desc' ? -1 : 1;
+            result = [...result].sort((a, b) => direction * compareValues(a[query.sort.field], b[query.sort.field]));
+        }
+        if (Number.isInteger(query.limit) && query.limit >= 0) {
+            result = result.slice(0, query.limit);
+        }
+        
+        const columns = result.length > 0 ? Object.keys(result[0]) : [];
+        return { rows: result, columns };
+    }
+    
+    class DataSourceManager {
+        /**
+         * @param {object} [options]
+         * @param {array} [options.sources] - Data source configs (default: DEFAULT_DATA_SOURCES)
+         * @param {object} [options.adapters] - Adapters by source type (default: memory and json)
+         * @param {number} [options.cacheTtlSec=60] - How long loaded rows are reused
+         * @param {function} [options.now] - Clock, for tests
+         */
+        constructor({ sources = DEFAULT_DATA_SOURCES, adapters, cacheTtlSec = 60, now = () => Date.now() } = {}) {
+            this.adapters = new Map(Object.entries(adapters || {
+                memory: createMemoryAdapter({ latencyMs: 150 }),
+                json: createJsonAdapter()
+            }));
+            this.sources = new Map();
+            this.cache = new Map();       // Source ID -> { rows, loadedAt } or { promise }
+            this.cacheTtlSec = cacheTtlSec;
+            this.now = now;
+            sources.forEach(source => this.addSource(source));
+        }
+        
+        /**
+         * Register the adapter loading sources of a type
+         * @param {string} type - Source type
+         * @param {object} adapter - Object with load(source) returning a promise of rows
+         */
+        registerAdapter(type, adapter) {
+            this.adapters.set(type, adapter);
+        }
+        
+        /**
+         * Add or replace a data source (its cached rows are dropped)
+         * @param {object} source - Data source config (see top of file)
+         */
+        addSource(source) {
+            if (!source || typeof source.id !== 'string' || source.id === '') {
+                throw new Error('Data source needs a non-empty "id"');
+            }
+            this.sources.set(source.id, { label: source.id, ...source });
+            this.cache.delete(source.id);
+        }
+        
+        removeSource(sourceId) {
+            this.sources.delete(sourceId);
+            this.cache.delete(sourceId);
+        }
+        
+        getSource(sourceId) {
+            return this.sources.get(sourceId) || null;
+        }
+        
+        /**
+         * @returns {array} Data source configs in registration order
+         */
+        list() {
+            return Array.from(this.sources.values());
+        }
+        
+        /**
+         * Drop cached rows so the next query reloads them
+         * @param {string} [sourceId] - Source to drop, or every source when omitted
+         */
+        invalidate(sourceId) {
+            if (sourceId === undefined) {
+                this.cache.clear();
+            } else {
+                this.cache.delete(sourceId);
+            }
+        }
+        
+        /**
+         * Get the rows of a source, from the cache while they are fresh
+         * Concurrent loads of the same source share one adapter call
+         * @param {string} sourceId - Data source ID
+         * @param {object} [options]
+         * @param {boolean} [options.force=false] - Ignore cached rows
+         * @returns {Promise<array>} Rows
+         */
+        load(sourceId, { force = false } = {}) {
+            const source = this.getSource(sourceId);
+            if (!source) {
+                return Promise.reject(new Error(`Unknown data source "${sourceId}"`));
+            }
+            const adapter = this.adapters.get(source.type);
+            if (!adapter) {
+                return Promise.reject(new Error(`No adapter for data source type "${source.type}"`));
+            }
+            
+            const cached = this.cache.get(sourceId);
+            const ttlMs = (source.cacheTtlSec ?? this.cacheTtlSec) * 1000;
+            if (cached && cached.promise && !force) return cached.promise;
+            if (cached && cached.rows && !force && this.now() - cached.loadedAt < ttlMs) {
+                return Promise.resolve(cached.rows);
+            }
+            
+            const promise = Promise.resolve()
+                .then(() => adapter.load(source))
+                .then(rows => {
+                    if (this.cache.get(sourceId)?.promise === promise) {
+                        this.cache.set(sourceId, { rows, loadedAt: this.now() });
+                    }
+                    return rows;
+                }, error => {
+                    if (this.cache.get(sourceId)?.promise === promise) {
+                        this.cache.delete(sourceId);
+                    }
+                    throw error;
+                });
+            this.cache.set(sourceId, { promise });
+            return promise;
+        }
+        
+        /**
+         * Load a source and run a query on it
+         * @param {string} sourceId - Data source ID
+         * @param {object} [query] - Query (see top of file)
+         * @param {object} [context]
+         * @param {object} [context.filters] - Global filter values by key (see DashboardEditor.getWidgetFilters)
+         * @param {array} [context.groupFilters] - Active filter chips of the widget's filter container
+         * @param {boolean} [context.force=false] - Reload the rows instead of using the cache
+         * @returns {Promise<object>} { rows, columns, loadedAt }
+         */
+        async query(sourceId, query = {}, { filters = {}, groupFilters = [], force = false } = {}) {
+            const rows = await this.load(sourceId, { force });
+            const source = this.getSource(sourceId);
+            if (!source) {
+                // Removed while its rows were loading
+                throw new Error(`Data source "${sourceId}" was removed`);
+            }
+            const filterFields = source.filterFields || {};
+            const globalChips = Object.entries(filters).map(([key, value]) => ({
+                field: filterFields[key] || key,
+                operator: 'equals',
+                value
+            }));
+            
+            const result = runQuery(rows, query, [...globalChips, ...groupFilters]);
+            return { ...result, loadedAt: this.cache.get(sourceId)?.loadedAt ?? this.now() };
+        }
+    }
+    
+    return {
+        SAMPLE_DATASETS,
+        DEFAULT_DATA_SOURCES,
+        DataSourceManager,
+        createMemoryAdapter,
+        createJsonAdapter,
+        matchesFilter,
+        runQuery
+    };
+});
@@ -0,0 +1,417 @@
+/**
+ * Drag engine - Pointer-events drag and drop for mouse, pen and touch
+ * - A drag starts after the pointer moved past a threshold (mouse/pen)
+ *   or after a long press (touch, so that swiping still scrolls the page)
+ * - A ghost copy of the dragged element follows the pointer
+ * - The scroll container auto-scrolls while the pointer is near its top or bottom edge
+ * - Escape (or pointercancel) cancels; the ghost flies back to where it came from
+ * - On drop the ghost animates into the rectangle returned by the drop callback
+ * Loaded as a plain script in the browser (window.DashboardDrag)
+ * and as a CommonJS module under Node (require('./drag-engine'))
+ */
+(function (root, factory) {
+    const drag = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = drag;
+    } else {
+        root.DashboardDrag = drag;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * Elements a drag never starts from, so they keep their own pointer behaviour
+     */
+    const INTERACTIVE_SELECTOR = 'button, input, select, textarea, a[href], [contenteditable="true"]';
+    
+    class DragController {
+        /**
+         * @param {object} [options]
+         * @param {HTMLElement} [options.scrollContainer] - Element auto-scrolled near its edges
+         * @param {number} [options.threshold=5] - Pointer travel in px that starts a mouse/pen drag
+         * @param {number} [options.touchDelay=300] - Long-press duration in ms that starts a touch drag
+         * @param {number} [options.edgeSize=48] - Distance from the container edge where auto-scroll starts
+         * @param {number} [options.maxScrollSpeed=18] - Auto-scroll speed in px per frame at the very edge
+         * @param {number} [options.animationMs=180] - Duration of the drop and cancel animations
+         */
+        constructor({
+            scrollContainer = null,
+            threshold = 5,
+            touchDelay = 300,
+            edgeSize = 48,
+            maxScrollSpeed = 18,
+            animationMs = 180
+        } = {}) {
+            this.scrollContainer = scrollContainer;
+            this.threshold = threshold;
+            this.touchDelay = touchDelay;
+            this.edgeSize = edgeSize;
+            this.maxScrollSpeed = maxScrollSpeed;
+            this.animationMs = animationMs;
+            
+            this.pending = null;     // Pointer pressed on a source, drag not started yet
+            this.session = null;     // Active drag: { source, data, ghost, offsetX, offsetY, originRect, point }
+            this.scrollFrame = null;
+            
+            this.onPointerMove = this.onPointerMove.bind(this);
+            this.onPointerUp = this.onPointerUp.bind(this);
+            this.onPointerCancel = this.onPointerCancel.bind(this);
+            this.onKeyDown = this.onKeyDown.bind(this);
+            this.onTouchMove = this.onTouchMove.bind(this);
+            this.onContextMenu = this.onContextMenu.bind(this);
+        }
+        
+        /**
+         * Whether a drag is in progress
+         */
+        get isDragging() {
+            return this.session !== null;
+        }
+        
+        /**
+         * Make an element a drag source
+         * @param {HTMLElement} element - Element pressed to start a drag (and copied for the ghost)
+         * @param {object} source - Callbacks:
+         *   canStart(event) → boolean: whether a press at the event target may start a drag
+         *   start(event) → data: called when the drag starts; a falsy result aborts the drag
+         *   ghost(ghostElement, data): decorate the ghost (optional)
+         *   move(data, point): pointer moved ({ x, y } in viewport coordinates), also after auto-scroll
+         *   drop(data, point) → DOMRect|null: drop the item; the ghost animates into the returned rect,
+         *                       or flies back when null is returned (drop refused)
+         *   cancel(data): drag cancelled with Escape or by the browser
+         *   end(data): called last, after drop or cancel
+         * @returns {function} Function that detaches the element
+         */
+        attach(element, source) {
+            const onPointerDown = (e) => this.onPointerDown(e, element, source);
+            element.addEventListener('pointerdown', onPointerDown);
+            return () => element.removeEventListener('pointerdown', onPointerDown);
+        }
+        
+        /**
+         * Remember a press on a drag source; the drag itself starts on movement or long press
+         */
+        onPointerDown(e, element, source) {
+            if (this.session || this.pending) return;
+            if (e.button !== undefined && e.button !== 0) return;
+            if (e.target.closest && e.target.closest(INTERACTIVE_SELECTOR)) return;
+            if (source.canStart && !source.canStart(e)) return;
+            // Nested drag sources (a widget inside a section): the innermost one wins
+            if (e.dragSourceHandled) return;
+            e.dragSourceHandled = true;
+            
+            const pending = {
+                element,
+                source,
+                event: e,
+                pointerId: e.pointerId,
+                startX: e.clientX,
+                startY: e.clientY,
+                isTouch: e.pointerType === 'touch',
+                timer: null
+            };
+            this.pending = pending;
+            
+            if (pending.isTouch) {
+                pending.timer = setTimeout(() => this.begin(pending.startX, pending.startY), this.touchDelay);
+                document.addEventListener('contextmenu', this.onContextMenu);
+            }
+            
+            document.addEventListener('pointermove', this.onPointerMove);
+            document.addEventListener('pointerup', this.onPointerUp);
+            document.addEventListener('pointercancel', this.onPointerCancel);
+        }
+        
+        /**
+         * Start a pending drag once past the threshold, or follow the pointer during a drag
+         */
+        onPointerMove(e) {
+            if (this.pending && e.pointerId === this.pending.pointerId) {
+                const distance = Math.hypot(e.clientX - this.pending.startX, e.clientY - this.pending.startY);
+                if (this.pending.isTouch) {
+                    // Moving before the long press completes is a scroll, not a drag
+                    if (distance > this.threshold * 2) this.reset();
+                } else if (distance >= this.threshold) {
+                    this.begin(e.clientX, e.clientY);
+                }
+                return;
+            }
+            
+            if (this.session && e.pointerId === this.session.pointerId) {
+                e.preventDefault();
+                this.moveTo(e.clientX, e.clientY);
+            }
+        }
+        
+        /**
+         * Drop the dragged item, or forget a press that never became a drag
+         */
+        onPointerUp(e) {
+            if (this.session && e.pointerId === this.session.pointerId) {
+                this.finish(e.clientX, e.clientY);
+            } else {
+                this.reset();
+            }
+        }
+        
+        /**
+         * The browser took the pointer over (e.g. for scrolling)
+         */
+        onPointerCancel() {
+            if (this.session) {
+                this.cancel();
+            } else {
+                this.reset();
+            }
+        }
+        
+        /**
+         * Escape cancels the drag before anyone else sees the key
+         */
+        onKeyDown(e) {
+            if (e.key === 'Escape' && this.session) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.cancel();
+            }
+        }
+        
+        /**
+         * Keep the page from scrolling under a touch drag
+         */
+        onTouchMove(e) {
+            if (this.session) {
+                e.preventDefault();
+            }
+        }
+        
+        /**
+         * A long press opens the context menu on touch devices; the long press starts a drag instead
+         */
+        onContextMenu(e) {
+            e.preventDefault();
+        }
+        
+        /**
+         * Start the drag of the pending press
+         */
+        begin(x, y) {
+            const pending = this.pending;
+            if (!pending) return;
+            clearTimeout(pending.timer);
+            this.pending = null;
+            
+            // Copy the element before start() so the ghost does not pick up the source's dragging state
+            const originRect = pending.element.getBoundingClientRect();
+            const ghost = this.createGhost(pending.element, originRect);
+            const data = pending.source.start(pending.event);
+            if (!data) {
+                ghost.remove();
+                this.removeListeners();
+                return;
+            }
+            if (pending.source.ghost) {
+                pending.source.ghost(ghost, data);
+            }
+            
+            this.session = {
+                source: pending.source,
+                element: pending.element,
+                pointerId: pending.pointerId,
+                data,
+                ghost,
+                originRect,
+                offsetX: pending.startX - originRect.left,
+                offsetY: pending.startY - originRect.top,
+                point: { x, y }
+            };
+            
+            document.addEventListener('keydown', this.onKeyDown, true);
+            document.addEventListener('touchmove', this.onTouchMove, { passive: false });
+            document.body.classList.add('drag-active');
+            
+            this.moveTo(x, y);
+            this.startAutoScroll();
+        }
+        
+        /**
+         * Copy the dragged element into a fixed-position ghost that follows the pointer
+         */
+        createGhost(element, rect) {
+            const ghost = element.cloneNode(true);
+            ghost.classList.add('drag-ghost');
+            ghost.removeAttribute('id');
+            ghost.setAttribute('aria-hidden', 'true');
+            ghost.style.position = 'fixed';
+            ghost.style.left = '0px';
+            ghost.style.top = '0px';
+            ghost.style.width = rect.width + 'px';
+            ghost.style.height = rect.height + 'px';
+            ghost.style.margin = '0';
+            ghost.style.pointerEvents = 'none';
+            document.body.appendChild(ghost);
+            return ghost;
+        }
+        
+        /**
+         * Move the ghost to a pointer position and report it to the source
+         */
+        moveTo(x, y) {
+            const session = this.session;
+            session.point = { x, y };
+            session.ghost.style.transform = `translate(${x - session.offsetX}px, ${y - session.offsetY}px)`;
+            if (session.source.move) {
+                session.source.move(session.data, session.point);
+            }
+        }
+        
+        /**
+         * Scroll the container while the pointer stays near its top or bottom edge
+         * Speed grows linearly as the pointer gets closer to the edge
+         */
+        startAutoScroll() {
+            if (!this.scrollContainer || typeof requestAnimationFrame !== 'function') return;
+            
+            const step = () => {
+                if (!this.session) return;
+                
+                const rect = this.scrollContainer.getBoundingClientRect();
+                const { x, y } = this.session.point;
+                let speed = 0;
+                if (x >= rect.left && x <= rect.right) {
+                    if (y < rect.top + this.edgeSize) {
+                        speed = -this.maxScrollSpeed * Math.min(1, (rect.top + this.edgeSize - y) / this.edgeSize);
+                    } else if (y > rect.bottom - this.edgeSize) {
+                        speed = this.maxScrollSpeed * Math.min(1, (y - (rect.bottom - this.edgeSize)) / this.edgeSize);
+                    }
+                }
+                
+                if (speed !== 0) {
+                    const before = this.scrollContainer.scrollTop;
+                    this.scrollContainer.scrollTop += Math.round(speed);
+                    // Content moved under the pointer: recompute the drop target
+                    if (this.scrollContainer.scrollTop !== before) {
+                        this.moveTo(x, y);
+                    }
+                }
+                this.scrollFrame = requestAnimationFrame(step);
+            };
+            this.scrollFrame = requestAnimationFrame(step);
+        }
+        
+        /**
+         * Drop at a point; the ghost settles into the drop rect or flies back when the drop is refused
+         */
+        finish(x, y) {
+            const session = this.endSession();
+            let targetRect = null;
+            try {
+                targetRect = session.source.drop(session.data, { x, y });
+            } finally {
+                this.animateGhost(session.ghost, targetRect || session.originRect);
+                if (session.source.end) {
+                    session.source.end(session.data);
+                }
+            }
+        }
+        
+        /**
+         * Cancel the active drag (or forget a pending press)
+         */
+        cancel() {
+            if (!this.session) {
+                this.reset();
+                return;
+            }
+            
+            const session = this.endSession();
+            try {
+                if (session.source.cancel) {
+                    session.source.cancel(session.data);
+                }
+            } finally {
+                this.animateGhost(session.ghost, session.originRect);
+                if (session.source.end) {
+                    session.source.end(session.data);
+                }
+            }
+        }
+        
+        /**
+         * Move the ghost into a rect, then remove it
+         */
+        animateGhost(ghost, rect) {
+            if (typeof ghost.animate !== 'function' || !rect || this.animationMs <= 0) {
+                ghost.remove();
+                return;
+            }
+            
+            const from = ghost.style.transform;
+            const to = `translate(${rect.left}px, ${rect.top}px)`;
+            ghost.style.transform = to;
+            const animation = ghost.animate([
+                { transform: from, width: ghost.style.width, height: ghost.style.height, opacity: 0.9 },
+                { transform: to, width: rect.width + 'px', height: rect.height + 'px', opacity: 0.4 }
+            ], { duration: this.animationMs, easing: 'ease-out' });
+            animation.onfinish = () => ghost.remove();
+            animation.oncancel = () => ghost.remove();
+        }
+        
+        /**
+         * Stop auto-scroll and listeners; returns the session that was active
+         */
+        endSession() {
+            const session = this.session;
+            this.session = null;
+            this.suppressNextClick();
+            if (this.scrollFrame !== null && typeof cancelAnimationFrame === 'function') {
+                cancelAnimationFrame(this.scrollFrame);
+            }
+            this.scrollFrame = null;
+            document.body.classList.remove('drag-active');
+            this.removeListeners();
+            return session;
+        }
+        
+        /**
+         * The pointerup ending a drag is followed by a click on whatever is under the pointer;
+         * that click belongs to the drag, not to the element
+         */
+        suppressNextClick() {
+            const swallow = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+            };
+            document.addEventListener('click', swallow, true);
+            setTimeout(() => document.removeEventListener('click', swallow, true), 0);
+        }
+
+        /**
+         * Forget a pending press that has not started a drag
+         */
+        reset() {
+            if (this.pending) {
+                clearTimeout(this.pending.timer);
+                this.pending = null;
+            }
+            if (!this.session) {
+                this.removeListeners();
+            }
+        }
+        
+        /**
+         * Detach the document-level listeners added for a press or drag
+         */
+        removeListeners() {
+            document.removeEventListener('pointermove', this.onPointerMove);
+            document.removeEventListener('pointerup', this.onPointerUp);
+            document.removeEventListener('pointercancel', this.onPointerCancel);
+            document.removeEventListener('keydown', this.onKeyDown, true);
+            document.removeEventListener('touchmove', this.onTouchMove, { passive: false });
+            document.removeEventListener('contextmenu', this.onContextMenu);
+        }
+    }
+    
+    return {
+        DragController,
+        INTERACTIVE_SELECTOR
+    };
+});
@@ -0,0 +1,95 @@
+/**
+ * Event bus - Minimal publish/subscribe used to broadcast dashboard changes
+ * Handlers run synchronously in subscription order; a throwing handler
+ * is reported and does not stop the others
+ * Loaded as a plain script in the browser (window.DashboardEvents)
+ * and as a CommonJS module under Node (require('./event-bus'))
+ */
+(function (root, factory) {
+    const events = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = events;
+    } else {
+        root.DashboardEvents = events;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    class EventBus {
+        /**
+         * @param {object} [options]
+         * @param {function} [options.onError] - Called with (error, eventName) when a handler throws
+         */
+        constructor({ onError = (error) => console.error(error) } = {}) {
+            this.handlers = new Map();    // Event name -> array of handlers
+            this.onError = onError;
+        }
+        
+        /**
+         * Subscribe to an event
+         * @param {string} eventName - Name of the event
+         * @param {function} handler - Called with the event payload
+         * @returns {function} Function that removes the subscription
+         */
+        on(eventName, handler) {
+            if (!this.handlers.has(eventName)) {
+                this.handlers.set(eventName, []);
+            }
+            this.handlers.get(eventName).push(handler);
+            return () => this.off(eventName, handler);
+        }
+        
+        /**
+         * Subscribe to the next occurrence of an event only
+         * @param {string} eventName - Name of the event
+         * @param {function} handler - Called with the event payload
+         * @returns {function} Function that removes the subscription
+         */
+        once(eventName, handler) {
+            const off = this.on(eventName, (payload) => {
+                off();
+                handler(payload);
+            });
+            return off;
+        }
+        
+        /**
+         * Remove a subscription
+         * @param {string} eventName - Name of the event
+         * @param {function} handler - Handler passed to on()
+         */
+        off(eventName, handler) {
+            const handlers = this.handlers.get(eventName);
+            if (!handlers) return;
+            
+            const index = handlers.indexOf(handler);
+            if (index !== -1) {
+                handlers.splice(index, 1);
+            }
+            if (handlers.length === 0) {
+                this.handlers.delete(eventName);
+            }
+        }
+        
+        /**
+         * Publish an event to its subscribers
+         * @param {string} eventName - Name of the event
+         * @param {*} payload - Value passed to every handler
+         */
+        emit(eventName, payload) {
+            const handlers = this.handlers.get(eventName);
+            if (!handlers) return;
+            
+            // Copy so handlers can unsubscribe while the event is dispatched
+            for (const handler of handlers.slice()) {
+                try {
+                    handler(payload);
+                } catch (error) {
+                    this.onError(error, eventName);
+                }
+            }
+        }
+    }
+    
+    return {
+        EventBus
+    };
+});
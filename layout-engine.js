@@ -0,0 +1,391 @@
+/**
+ * Layout engine - Pure, DOM-free layout algorithms used by DashboardEditor
+ * - getBreakpoint: picks the breakpoint (column count, gaps, RowBlocks on/off) for a container width
+ * - transformRowBlocks: groups a wide widget with neighbouring narrow widgets into a RowBlock
+ * - packRows: packs widgets/RowBlocks into rows and distributes the spare columns
+ * Loaded as a plain script in the browser (window.DashboardLayoutEngine)
+ * and as a CommonJS module under Node (require('./layout-engine'))
+ */
+(function (root, factory) {
+    const engine = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = engine;
+    } else {
+        root.DashboardLayoutEngine = engine;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * Default RowBlock rail settings (same values as DashboardEditor.layoutConfig)
+     */
+    const DEFAULT_LAYOUT_CONFIG = {
+        maxRailItems: 4,      // Max widgets in RowBlock rail
+        toleranceRem: 2,      // Height tolerance for rail matching
+        vGapRem: 0.75         // Vertical gap in rail (rem)
+    };
+    
+    /**
+     * Default responsive breakpoints, widest first
+     * A breakpoint applies from its minWidth (container width in px) up to the next wider one:
+     *   { id, label, minWidth, columns, columnGap (px), rowGap (px), rowBlocks (true to build RowBlocks) }
+     * Layouts refer to breakpoints by ID (per-breakpoint overrides), so IDs should stay stable
+     * Widget spans are sized for 4 columns; wider screens (e.g. 6 columns for wall displays)
+     * can be added through the editor's breakpoints option
+     */
+    const DEFAULT_BREAKPOINTS = [
+        { id: 'desktop', label: 'Desktop', minWidth: 1200, columns: 4, columnGap: 12, rowGap: 12, rowBlocks: true },
+        { id: 'tablet-landscape', label: 'Tablet landscape', minWidth: 900, columns: 3, columnGap: 12, rowGap: 12, rowBlocks: false },
+        { id: 'tablet-portrait', label: 'Tablet portrait', minWidth: 600, columns: 2, columnGap: 12, rowGap: 12, rowBlocks: false },
+        { id: 'mobile', label: 'Mobile', minWidth: 0, columns: 1, columnGap: 12, rowGap: 12, rowBlocks: false }
+    ];
+    
+    /**
+     * Check breakpoint definitions and sort them widest first
+     * Missing labels default to the ID, gaps to 12px and RowBlocks to off
+     * @param {array} breakpoints - Breakpoint definitions (see DEFAULT_BREAKPOINTS)
+     * @returns {array} New, sorted breakpoint objects
+     * @throws {TypeError} If a breakpoint is malformed, an ID repeats or no breakpoint starts at 0px
+     */
+    function normalizeBreakpoints(breakpoints) {
+        if (!Array.isArray(breakpoints) || breakpoints.length === 0) {
+            throw new TypeError('Breakpoints must be a non-empty array');
+        }
+        
+        const ids = new Set();
+        const result = breakpoints.map((breakpoint, index) => {
+            const { id, label = id, minWidth, columns, columnGap = 12, rowGap = 12, rowBlocks = false } = breakpoint || {};
+            if (typeof id !== 'string' || id === '' || ids.has(id)) {
+                throw new TypeError(`breakpoints[${index}].id must be a unique non-empty string`);
+            }
+            if (typeof minWidth !== 'number' || !(minWidth >= 0)) {
+                throw new TypeError(`breakpoints[${index}].minWidth must be a number >= 0`);
+            }
+            if (!Number.isInteger(columns) || columns < 1) {
+                throw new TypeError(`breakpoints[${index}].columns must be a positive integer`);
+            }
+            if (!(columnGap >= 0) || !(rowGap >= 0)) {
+                throw new TypeError(`breakpoints[${index}] gaps must be numbers >= 0`);
+            }
+            ids.add(id);
+            return { id, label: String(label), minWidth, columns, columnGap, rowGap, rowBlocks: Boolean(rowBlocks) };
+        });
+        
+        result.sort((a, b) => b.minWidth - a.minWidth);
+        if (result[result.length - 1].minWidth !== 0) {
+            throw new TypeError('One breakpoint must have minWidth 0');
+        }
+        return result;
+    }
+    
+    /**
+     * Logger used when none is passed (see logger.js for the real implementation)
+     */
+    const NOOP_LOGGER = {
+        isEnabled: () => false,
+        debug() {}
+    };
+    
+    /**
+     * Get the breakpoint that applies to a container width
+     * @param {number} containerWidth - Width of the container in pixels
+     * @param {array} [breakpoints] - Breakpoints sorted widest first (see normalizeBreakpoints)
+     * @returns {object} Breakpoint
+     */
+    function getBreakpoint(containerWidth, breakpoints = DEFAULT_BREAKPOINTS) {
+        return breakpoints.find(breakpoint => containerWidth >= breakpoint.minWidth) ||
+            breakpoints[breakpoints.length - 1];
+    }
+    
+    /**
+     * Calculate number of columns based on container width (responsive breakpoints)
+     * @param {number} containerWidth - Width of the container in pixels
+     * @param {array} [breakpoints] - Breakpoints sorted widest first (see normalizeBreakpoints)
+     * @returns {number} Number of columns of the matching breakpoint
+     */
+    function getColCountFromWidth(containerWidth, breakpoints = DEFAULT_BREAKPOINTS) {
+        return getBreakpoint(containerWidth, breakpoints).columns;
+    }
+    
+    /**
+     * Get the effective span of a widget (capped by column count)
+     * @param {object} widget - Widget object
+     * @param {number} colCount - Total number of columns
+     * @returns {number} Effective span (1 to colCount)
+     */
+    function effectiveSpan(widget, colCount) {
+        return Math.min(widget.minColSpan, colCount);
+    }
+    
+    /**
+     * Check if an item is a RowBlock (special layout with main + rail)
+     * @param {object} item - Item to check
+     * @returns {boolean} True if item is a RowBlock
+     */
+    function isRowBlock(item) {
+        return item.kind === 'rowblock';
+    }
+    
+    /**
+     * Get the span of an item (RowBlocks always take full width)
+     * @param {object} item - Widget or RowBlock
+     * @param {number} colCount - Total number of columns
+     * @returns {number} Span in columns
+     */
+    function itemSpan(item, colCount) {
+        if (isRowBlock(item)) return colCount;  // RowBlocks take full width
+        return effectiveSpan(item, colCount);
+    }
+    
+    /**
+     * Transform widgets into RowBlocks where applicable
+     * A RowBlock is a special layout: a main widget spanning more than half of the columns
+     * + a rail of the widgets that fill the remaining columns exactly, stacked vertically
+     * (with 4 columns: 3-col main widget + 1-col rail)
+     * @param {array} widgetsInOrder - Array of widgets in order
+     * @param {number} colCount - Total number of columns
+     * @param {object} [config] - Rail settings: maxRailItems, toleranceRem, vGapRem,
+     *                            and rowBlocks (false leaves the widgets as they are)
+     * @returns {array} Array of widgets and RowBlocks
+     */
+    function transformRowBlocks(widgetsInOrder, colCount, config = DEFAULT_LAYOUT_CONFIG) {
+        const { maxRailItems, toleranceRem, vGapRem, rowBlocks = true } = config;
+        // A rail needs a main widget wider than half the row next to it
+        if (!rowBlocks || colCount < 3) return [...widgetsInOrder];
+        
+        const items = [...widgetsInOrder];
+        
+        let i = 0;
+        while (i < items.length) {
+            const current = items[i];
+            if (isRowBlock(current)) { 
+                i++; 
+                continue; 
+            }
+            
+            const w = current;
+            const mainSpan = effectiveSpan(w, colCount);
+            if (mainSpan * 2 <= colCount || mainSpan >= colCount) { 
+                i++; 
+                continue; 
+            }
+            const railSpan = colCount - mainSpan;
+            
+            const rb = { 
+                kind: 'rowblock', 
+                main: w, 
+                rail: [],
+                mainSpan,
+                railSpan,
+                id: `rb-${w.id}`
+            };
+            
+            const railTarget = w.minHeightRem + toleranceRem;
+            let railHeight = 0;
+            let railCount = 0;
+            
+            const canTake = (candidate) => {
+                if (railCount >= maxRailItems) return false;
+                if (effectiveSpan(candidate, colCount) !== railSpan) return false;
+                const addGap = railCount > 0 ? vGapRem : 0;
+                return (railHeight + addGap + candidate.minHeightRem) <= railTarget;
+            };
+            
+            let k = i - 1;
+            const capturedPrev = [];
+            while (k >= 0) {
+                const prev = items[k];
+                if (isRowBlock(prev)) break;
+                const pw = prev;
+                if (effectiveSpan(pw, colCount) !== railSpan) break;
+                if (!canTake(pw)) break;
+                
+                capturedPrev.push(pw);
+                const addGap = railCount > 0 ? vGapRem : 0;
+                railHeight += addGap + pw.minHeightRem;
+                railCount++;
+                
+                k--;
+            }
+            
+            let capturedNext = [];
+            if (capturedPrev.length === 0) {
+                let j = i + 1;
+                while (j < items.length) {
+                    const next = items[j];
+                    if (isRowBlock(next)) break;
+                    if (effectiveSpan(next, colCount) !== railSpan) break;
+                    if (!canTake(next)) break;
+                    
+                    capturedNext.push(next);
+                    const addGap = railCount > 0 ? vGapRem : 0;
+                    railHeight += addGap + next.minHeightRem;
+                    railCount++;
+                    j++;
+                }
+                
+                if (capturedNext.length > 0) {
+                    items.splice(i + 1, capturedNext.length);
+                }
+            }
+            
+            rb.rail.push(...capturedPrev.reverse(), ...capturedNext);
+            
+            if (rb.rail.length > 0) {
+                if (capturedPrev.length > 0) {
+                    const startPrev = k + 1;
+                    const countPrev = i - startPrev;
+                    if (countPrev > 0) {
+                        items.splice(startPrev, countPrev);
+                        i = startPrev;
+                    }
+                }
+                
+                items.splice(i, 1, rb);
+            }
+            
+            i++;
+        }
+        
+        return items;
+    }
+    
+    /**
+     * Pack widgets/RowBlocks into rows with intelligent distribution
+     * - Fills rows left to right until colCount is reached
+     * - Expands widgets to fill remaining space when possible
+     * - Marks rows for equal distribution when all widgets are 1-col
+     * @param {array} items - Array of widgets or RowBlocks
+     * @param {number} colCount - Total columns available
+     * @param {object} [options]
+     * @param {object} [options.logger] - Logger receiving debug output (see logger.js)
+     * @param {object} [options.trace] - LayoutTrace receiving one entry per row decision
+     * @param {object} [options.context] - Extra fields copied into every trace entry (e.g. sectionId)
+     * @returns {array} Array of row objects with cells
+     */
+    function packRows(items, colCount, { logger = NOOP_LOGGER, trace = null, context = {} } = {}) {
+        const debug = logger.isEnabled('debug');
+        const describe = (cells) => cells.map(c => ({
+            id: c.item.id,
+            type: isRowBlock(c.item) ? 'RowBlock' : c.item.size,
+            span: c.span
+        }));
+        
+        if (debug) logger.debug(`packRows: colCount = ${colCount}, items = ${items.length}`);
+        const rows = [];
+        let currentRow = [];
+        let used = 0;
+        
+        const flush = (reason) => {
+            if (currentRow.length === 0) return;
+            
+            const before = trace || debug ? describe(currentRow) : null;
+            const remaining = colCount - used;
+            let decision = 'full';
+            
+            if (remaining > 0) {
+                const expandableWidgets = currentRow.filter(cell => !isRowBlock(cell.item));
+                decision = 'unfilled';
+                
+                if (expandableWidgets.length > 0) {
+                    const allAreMinSpan = expandableWidgets.every(cell => cell.span === 1);
+                    
+                    if (allAreMinSpan && remaining < expandableWidgets.length) {
+                        // All widgets are 1-col and there are fewer spare columns than widgets:
+                        // share the row equally instead of expanding some of them
+                        decision = 'distribute-equally';
+                        currentRow.forEach(cell => {
+                            cell.distributeEqually = true;
+                        });
+                    } else {
+                        decision = 'expand';
+                        const extraPerWidget = Math.floor(remaining / expandableWidgets.length);
+                        let leftover = remaining % expandableWidgets.length;
+                        
+                        expandableWidgets.forEach((cell, idx) => {
+                            const extra = extraPerWidget + (idx < leftover ? 1 : 0);
+                            cell.span = Math.min(colCount, cell.span + extra);
+                        });
+                    }
+                }
+            }
+            
+            if (before) {
+                const after = describe(currentRow);
+                if (debug) {
+                    logger.debug(`packRows: row ${rows.length} closed (${reason}), used ${used}/${colCount}, ${decision}`, before, '→', after);
+                }
+                if (trace) {
+                    trace.record({
+                        ...context,
+                        type: 'row',
+                        row: rows.length,
+                        colCount,
+                        used,
+                        remaining,
+                        reason,
+                        decision,
+                        before,
+                        after
+                    });
+                }
+            }
+            
+            rows.push({ cells: currentRow });
+            currentRow = [];
+            used = 0;
+        };
+        
+        for (const item of items) {
+            const span = itemSpan(item, colCount);
+            
+            if (span >= colCount) {
+                flush('full-width-item');
+                currentRow = [{ item, span: colCount }];
+                used = colCount;
+                flush('full-width');
+                continue;
+            }
+            
+            if (used + span > colCount) {
+                flush('overflow');
+            }
+            
+            currentRow.push({ item, span });
+            used += span;
+        }
+        
+        flush('end');
+        return rows;
+    }
+    
+    /**
+     * Lay out an ordered list of widgets for a container width
+     * @param {array} widgetsInOrder - Array of widgets in order
+     * @param {number} containerWidth - Width of the container in pixels
+     * @param {object} [config] - Rail settings passed to transformRowBlocks
+     * @param {object} [options] - Logger/trace options passed to packRows
+     * @param {array} [options.breakpoints] - Breakpoints sorted widest first (default: DEFAULT_BREAKPOINTS)
+     * @returns {object} { breakpoint, colCount, items, rows }
+     */
+    function layoutWidgets(widgetsInOrder, containerWidth, config = DEFAULT_LAYOUT_CONFIG, options = {}) {
+        const { breakpoints = DEFAULT_BREAKPOINTS, ...packOptions } = options;
+        const breakpoint = getBreakpoint(containerWidth, breakpoints);
+        const colCount = breakpoint.columns;
+        const items = transformRowBlocks(widgetsInOrder, colCount, { ...config, rowBlocks: breakpoint.rowBlocks });
+        const rows = packRows(items, colCount, packOptions);
+        return { breakpoint, colCount, items, rows };
+    }
+    
+    return {
+        DEFAULT_LAYOUT_CONFIG,
+        DEFAULT_BREAKPOINTS,
+        normalizeBreakpoints,
+        getBreakpoint,
+        getColCountFromWidth,
+        effectiveSpan,
+        isRowBlock,
+        itemSpan,
+        transformRowBlocks,
+        packRows,
+        layoutWidgets
+    };
+});
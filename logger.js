@@ -0,0 +1,139 @@
+/**
+ * Logger - Leveled, pluggable logging and a structured layout trace
+ * - Logger: debug/info/warn/error output that is filtered by level and sent to a sink (console by default)
+ * - LayoutTrace: records layout decisions as plain objects that can be inspected or exported as JSON
+ * Loaded as a plain script in the browser (window.DashboardLogger)
+ * and as a CommonJS module under Node (require('./logger'))
+ */
+(function (root, factory) {
+    const logging = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = logging;
+    } else {
+        root.DashboardLogger = logging;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * Log levels in increasing severity; 'silent' disables all output
+     */
+    const LOG_LEVELS = {
+        debug: 10,
+        info: 20,
+        warn: 30,
+        error: 40,
+        silent: 100
+    };
+    
+    class Logger {
+        /**
+         * @param {object} [options]
+         * @param {string} [options.level='warn'] - Minimum level that is written
+         * @param {object} [options.sink=console] - Object with debug/info/warn/error methods
+         * @param {string} [options.scope] - Prefix added to every message
+         */
+        constructor({ level = 'warn', sink = console, scope = '' } = {}) {
+            this.sink = sink;
+            this.scope = scope;
+            this.setLevel(level);
+        }
+        
+        /**
+         * Change the minimum level that is written
+         * @param {string} level - One of LOG_LEVELS
+         */
+        setLevel(level) {
+            if (!(level in LOG_LEVELS)) {
+                throw new Error(`Unknown log level "${level}"`);
+            }
+            this.level = level;
+        }
+        
+        /**
+         * Check if messages of a level would be written
+         * Use it to skip building expensive log arguments
+         * @param {string} level - One of LOG_LEVELS
+         * @returns {boolean} True if the level is enabled
+         */
+        isEnabled(level) {
+            return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+        }
+        
+        debug(...args) {
+            this.write('debug', args);
+        }
+        
+        info(...args) {
+            this.write('info', args);
+        }
+        
+        warn(...args) {
+            this.write('warn', args);
+        }
+        
+        error(...args) {
+            this.write('error', args);
+        }
+        
+        write(level, args) {
+            if (!this.isEnabled(level)) return;
+            
+            const method = typeof this.sink[level] === 'function' ? this.sink[level] : this.sink.log;
+            if (this.scope) {
+                method.call(this.sink, `[${this.scope}]`, ...args);
+            } else {
+                method.apply(this.sink, args);
+            }
+        }
+    }
+    
+    class LayoutTrace {
+        /**
+         * @param {object} [options]
+         * @param {boolean} [options.enabled=false] - Record entries only when enabled
+         * @param {number} [options.maxEntries=1000] - Oldest entries are dropped past this size
+         */
+        constructor({ enabled = false, maxEntries = 1000 } = {}) {
+            this.enabled = enabled;
+            this.maxEntries = maxEntries;
+            this.entries = [];
+            this.seq = 0;
+        }
+        
+        /**
+         * Record one layout decision
+         * @param {object} entry - Plain, JSON-serializable description of the decision
+         */
+        record(entry) {
+            if (!this.enabled) return;
+            
+            this.entries.push({ seq: this.seq++, ...entry });
+            if (this.entries.length > this.maxEntries) {
+                this.entries.splice(0, this.entries.length - this.maxEntries);
+            }
+        }
+        
+        clear() {
+            this.entries = [];
+        }
+        
+        /**
+         * @returns {array} Copy of the recorded entries, oldest first
+         */
+        getEntries() {
+            return this.entries.slice();
+        }
+        
+        /**
+         * @returns {string} Recorded entries as pretty-printed JSON
+         */
+        export() {
+            return JSON.stringify(this.entries, null, 2);
+        }
+    }
+    
+    return {
+        LOG_LEVELS,
+        Logger,
+        LayoutTrace
+    };
+});
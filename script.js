@@ -1,1781 +1,7554 @@
+/**
+ * Version of the serialized layout format produced by DashboardEditor#serialize
+ */
+const LAYOUT_SCHEMA_VERSION = 2;
+
+/**
+ * localStorage key the current dashboard is persisted under
+ */
+const LAYOUT_STORAGE_KEY = 'dashboard-layout';
+
+/**
+ * Marks clipboard text as copied dashboard content
+ * The clipboard holds a layout (see below) with "format" set to this value and "content" telling
+ * whether its sections are the copied sections ("sections") or only carry the copied widgets
+ * ("widgets"). Copied IDs are replaced on paste, so the same content can be pasted many times,
+ * in any dashboard
+ */
+const CLIPBOARD_FORMAT = 'dashboard-clipboard';
+
+/**
+ * localStorage key of the templates users saved (see DashboardEditor#saveTemplate)
+ * Stored as an array of { id, label, description, createdAt, layout }; "layout" is a layout
+ * (see below) holding the saved sections and the data sources their widgets read from
+ */
+const TEMPLATE_STORAGE_KEY = 'dashboard-templates';
+
+/**
+ * Layout JSON format (version 2)
+ *
+ * {
+ *   "version": 2,
+ *   "counters": { "widget": 3, "section": 2, "filterGroup": 1, "filter": 1 },
+ *   "filters": { "target": "all", "date": "" },   // Optional, dashboard-wide filter values
+ *   "dataSources": [DataSource, ...],             // Optional, sources added to the built-in samples
+ *   "sections": [
+ *     {
+ *       "id": "s_0",
+ *       "type": "widget",
+ *       "title": "New Section",
+ *       "collapsed": false,      // Optional, defaults to false
+ *       "overrides": { "mobile": { "order": ["w_2", "w_0"] } },   // Optional, see Overrides
+ *       "widgets": [Widget, ...]
+ *     },
+ *     {
+ *       "id": "s_1",
+ *       "type": "filter-group",
+ *       "overrides": { ... },    // Optional, see Overrides
+ *       "group": {
+ *         "id": "fg_0",
+ *         "title": "Filter Container",
+ *         "filters": [{ "id": "f_0", "field": "region", "operator": "in", "value": ["EU", "US"] }],
+ *         "widgets": [Widget, ...],
+ *         "layout": { "minItemWidthPx": 280, "gapPx": 12, "alignHeightsInRow": true }
+ *       }
+ *     }
+ *   ]
+ * }
+ *
+ * Widget:
+ * {
+ *   "id": "w_0",
+ *   "type": "kpi",               // Optional, widget registry type (default: placeholder)
+ *   "options": { "value": "42" }, // Optional, settings passed to the type's renderer
+ *   "size": "S",                 // XS, S, M, L, XL_row or XL_fill
+ *   "title": "S",
+ *   "minColSpan": 1,             // Positive integer
+ *   "minHeightRem": 16,          // Positive number
+ *   "heightMode": "stretchRow",  // stretchRow or fillViewport
+ *   "listensTo": ["target"],     // Optional, global filters the widget follows (default: all)
+ *   "overrides": { "mobile": { "hidden": true }, "tablet-portrait": { "colSpan": 2 } },  // Optional, see Overrides
+ *   "data": {                    // Optional, data source binding
+ *     "source": "sales",         // Data source ID
+ *     "query": { "groupBy": "region", "aggregate": { "field": "revenue", "op": "sum" } },  // Optional
+ *     "refreshSec": 60           // Optional, reload interval (0 or absent: no auto-refresh)
+ *   }
+ * }
+ *
+ * DataSource (see data-sources.js):
+ * { "id": "orders", "type": "json", "label": "Orders", "url": "data/orders.json" }
+ * { "id": "goals", "type": "memory", "rows": [{ "target": "target1", "goal": 10 }] }
+ *
+ * Filter chip "value" depends on its "operator":
+ *   equals, contains, before, after: "text"
+ *   in: ["text", ...]
+ *   range: { "from": "text", "to": "text" }
+ * A chip with an empty field or value is kept but does not filter anything.
+ *
+ * Overrides change the layout at one breakpoint, keyed by breakpoint ID (see DashboardLayoutEngine.DEFAULT_BREAKPOINTS);
+ * overrides of breakpoints the editor does not define are kept but have no effect:
+ *   widget:  { "hidden": true, "colSpan": 2 }    // Left out of the layout / column span used instead of minColSpan
+ *   section: { "order": ["w_2", "w_0"] }          // Listed widgets come first, in this order, then the others
+ *
+ * "counters" hold the next number used by newWidgetId/newSectionId/newFilterGroupId/newFilterId.
+ * Loading a layout raises them past the highest w_N, s_N, fg_N and f_N ID it holds (see reseedIdCounters()).
+ *
+ * Older versions are upgraded by LAYOUT_MIGRATIONS before validation:
+ *   1: filter chips were { "id", "label" } placeholders; there was no "filter" counter
+ */
+const WIDGET_SIZES = ['XS', 'S', 'M', 'L', 'XL_row', 'XL_fill'];
+const HEIGHT_MODES = ['stretchRow', 'fillViewport'];
+
+/**
+ * Dashboard-wide filters shown in the header
+ * controlId is the ID of the header control, without the editor's ID prefix (see createEditorMarkup());
+ * emptyValue is the value meaning "not filtered"
+ */
+const GLOBAL_FILTERS = [
+    { key: 'target', label: 'Target', controlId: 'target-filter', emptyValue: 'all' },
+    { key: 'date', label: 'Date', controlId: 'date-filter', emptyValue: '' }
+];
+const GLOBAL_FILTER_KEYS = GLOBAL_FILTERS.map(f => f.key);
+
+/**
+ * Editor modes: 'edit' offers every editing tool, 'view' shows the dashboard read-only
+ */
+const EDITOR_MODES = ['edit', 'view'];
+
+/**
+ * Editing controls left out of widgets, sections and filter chips rendered in view mode
+ * (see removeEditControls())
+ */
+const EDIT_CONTROLS_SELECTOR = [
+    '.section-drag-handle',
+    '.section-collapse-btn',
+    '.section-actions',
+    '.widget-actions',
+    '.widget-resize-handle',
+    '.filter-group-actions',
+    '.filter-chip-remove'
+].join(', ');
+
+/**
+ * Auto-refresh intervals offered for widgets bound to a data source
+ */
+const REFRESH_INTERVALS = [
+    { seconds: 0, label: 'No auto-refresh' },
+    { seconds: 30, label: 'Refresh every 30 s' },
+    { seconds: 60, label: 'Refresh every minute' },
+    { seconds: 300, label: 'Refresh every 5 minutes' }
+];
+
+/**
+ * Duration of the animation that moves widgets and sections into their previewed place while dragging
+ */
+const DROP_PREVIEW_ANIMATION_MS = 160;
+
+/**
+ * Canvas widths offered by the viewport simulator (see DashboardEditor.setupViewportSimulator)
+ */
+const VIEWPORT_PRESETS = [
+    { id: 'phone', label: 'Phone', width: 390 },
+    { id: 'tablet-portrait', label: 'Tablet portrait', width: 768 },
+    { id: 'tablet-landscape', label: 'Tablet landscape', width: 1024 },
+    { id: 'desktop', label: 'Desktop', width: 1440 }
+];
+const VIEWPORT_MIN_WIDTH = 240;
+const VIEWPORT_MAX_WIDTH = 3840;
+
+/**
+ * Operators available to filter chips and the shape of their value
+ * valueType: 'single' (string), 'list' (array of strings) or 'range' ({ from, to })
+ */
+const FILTER_OPERATORS = [
+    { key: 'equals', label: 'equals', symbol: '=', valueType: 'single' },
+    { key: 'in', label: 'is one of', symbol: 'in', valueType: 'list' },
+    { key: 'range', label: 'between', symbol: 'between', valueType: 'range' },
+    { key: 'contains', label: 'contains', symbol: 'contains', valueType: 'single' },
+    { key: 'before', label: 'before', symbol: 'before', valueType: 'single' },
+    { key: 'after', label: 'after', symbol: 'after', valueType: 'single' }
+];
+
+/**
+ * Field names suggested in the filter chip editor
+ */
+const FILTER_FIELD_SUGGESTIONS = ['target', 'date', 'region', 'category', 'status'];
+
+/**
+ * Get the empty value of a filter operator
+ * @param {string} operatorKey - Key of a FILTER_OPERATORS entry
+ * @returns {string|array|object} Empty value of the operator's value type
+ */
+function emptyFilterValue(operatorKey) {
+    const operator = FILTER_OPERATORS.find(o => o.key === operatorKey);
+    if (operator && operator.valueType === 'list') return [];
+    if (operator && operator.valueType === 'range') return { from: '', to: '' };
+    return '';
+}
+
+/**
+ * Check if a value has the shape required by a filter operator
+ * @param {object} operator - FILTER_OPERATORS entry
+ * @param {*} value - Chip value
+ * @returns {boolean} True if the value is valid for the operator
+ */
+function isValidFilterValue(operator, value) {
+    if (operator.valueType === 'list') {
+        return Array.isArray(value) && value.every(v => typeof v === 'string');
+    }
+    if (operator.valueType === 'range') {
+        return value !== null && typeof value === 'object' &&
+            typeof value.from === 'string' && typeof value.to === 'string';
+    }
+    return typeof value === 'string';
+}
+
+/**
+ * Check if a filter chip is complete enough to filter anything
+ * @param {object} filter - Filter chip
+ * @returns {boolean} True if the chip has a field and a value
+ */
+function isFilterActive(filter) {
+    if (!filter.field) return false;
+    if (Array.isArray(filter.value)) return filter.value.length > 0;
+    if (filter.value && typeof filter.value === 'object') return Boolean(filter.value.from || filter.value.to);
+    return filter.value !== '';
+}
+
+/**
+ * Describe a filter chip for display, e.g. "region in EU, US"
+ * @param {object} filter - Filter chip
+ * @returns {string} Chip label
+ */
+function formatFilterLabel(filter) {
+    if (!filter.field) return 'New filter';
+    
+    const operator = FILTER_OPERATORS.find(o => o.key === filter.operator) || FILTER_OPERATORS[0];
+    if (!isFilterActive(filter)) return `${filter.field} ${operator.symbol} …`;
+    
+    if (operator.valueType === 'list') {
+        return `${filter.field} in ${filter.value.join(', ')}`;
+    }
+    if (operator.valueType === 'range') {
+        return `${filter.field} ${filter.value.from || '…'} – ${filter.value.to || '…'}`;
+    }
+    return `${filter.field} ${operator.symbol} ${filter.value}`;
+}
+
+/**
+ * Upgrades from older layout versions, keyed by the version they upgrade from
+ * Each function takes a layout of that version and returns the next version
+ */
+const LAYOUT_MIGRATIONS = {
+    1: (data) => ({
+        ...data,
+        version: 2,
+        counters: { ...data.counters, filter: 0 },
+        sections: !Array.isArray(data.sections) ? data.sections : data.sections.map(section => {
+            if (!section || section.type !== 'filter-group' || !section.group || !Array.isArray(section.group.filters)) {
+                return section;
+            }
+            return {
+                ...section,
+                group: {
+                    ...section.group,
+                    // Placeholder chips become empty (inactive) equals conditions
+                    filters: section.group.filters.map(filter => ({
+                        id: filter && filter.id,
+                        field: '',
+                        operator: 'equals',
+                        value: ''
+                    }))
+                }
+            };
+        })
+    })
+};
+
+/**
+ * Upgrade a parsed layout to LAYOUT_SCHEMA_VERSION by running LAYOUT_MIGRATIONS in order
+ * Layouts that are not versioned objects are returned unchanged for validateLayout to reject
+ * @param {object} data - Parsed layout JSON
+ * @returns {object} Layout in the current version
+ */
+function migrateLayout(data) {
+    if (data !== null && typeof data === 'object' &&
+        Number.isInteger(data.version) && data.version > LAYOUT_SCHEMA_VERSION) {
+        throw new LayoutSchemaError([
+            `layout version ${data.version} was saved by a newer editor (this editor reads up to version ${LAYOUT_SCHEMA_VERSION})`
+        ]);
+    }
+    
+    let current = data;
+    while (current !== null && typeof current === 'object' &&
+           Number.isInteger(current.version) && current.version < LAYOUT_SCHEMA_VERSION) {
+        const migrate = LAYOUT_MIGRATIONS[current.version];
+        if (!migrate) {
+            throw new LayoutSchemaError([`layouts of version ${current.version} can no longer be loaded`]);
+        }
+        current = migrate(current);
+    }
+    return current;
+}
+
+/**
+ * Patterns of the IDs the editor generates, by counter (see DashboardEditor#newWidgetId etc.)
+ */
+const GENERATED_ID_PATTERNS = {
+    widget: /^w_(\d+)$/,
+    section: /^s_(\d+)$/,
+    filterGroup: /^fg_(\d+)$/,
+    filter: /^f_(\d+)$/
+};
+
+/**
+ * Raise ID counters past the highest generated ID of their kind in a list of sections
+ * (e.g. "w_12" needs a widget counter of at least 13), so that new IDs cannot collide.
+ * Hand-edited and migrated layouts may carry counters that are too low
+ * @param {object} counters - { widget, section, filterGroup, filter }
+ * @param {array} sections - Valid sections (see validateLayout())
+ * @returns {object} Counters, none lower than given
+ */
+function reseedIdCounters(counters, sections) {
+    const result = { ...counters };
+    const seen = (key, id) => {
+        const match = GENERATED_ID_PATTERNS[key].exec(id);
+        if (match) {
+            result[key] = Math.max(result[key], Number(match[1]) + 1);
+        }
+    };
+    
+    sections.forEach(section => {
+        seen('section', section.id);
+        if (section.type === 'filter-group') {
+            seen('filterGroup', section.group.id);
+            section.group.filters.forEach(filter => seen('filter', filter.id));
+        }
+        const widgets = section.type === 'filter-group' ? section.group.widgets : section.widgets;
+        widgets.forEach(widget => seen('widget', widget.id));
+    });
+    return result;
+}
+
+/**
+ * Error thrown when a serialized layout does not match the layout schema
+ * @property {string[]} errors - One message per problem, prefixed with the JSON path
+ */
+class LayoutSchemaError extends Error {
+    constructor(errors) {
+        super(`Invalid dashboard layout:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'LayoutSchemaError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Validate a parsed layout object against the layout schema
+ * Collects every problem instead of stopping at the first one
+ * @param {object} data - Parsed layout JSON
+ * @throws {LayoutSchemaError} When the layout is malformed
+ */
+function validateLayout(data) {
+    const errors = [];
+    const seenIds = new Set();
+    
+    const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+    
+    const checkId = (value, path) => {
+        if (typeof value !== 'string' || value.length === 0) {
+            errors.push(`${path} must be a non-empty string`);
+        } else if (seenIds.has(value)) {
+            errors.push(`${path} "${value}" is used more than once`);
+        } else {
+            seenIds.add(value);
+        }
+    };
+    
+    const checkOverrides = (overrides, path, checkOverride) => {
+        if (overrides === undefined) return;
+        if (!isPlainObject(overrides)) {
+            errors.push(`${path} must be an object keyed by breakpoint ID`);
+            return;
+        }
+        Object.keys(overrides).forEach(breakpointId => {
+            const overridePath = `${path}.${breakpointId}`;
+            if (!isPlainObject(overrides[breakpointId])) {
+                errors.push(`${overridePath} must be an object`);
+            } else {
+                checkOverride(overrides[breakpointId], overridePath);
+            }
+        });
+    };
+    
+    const checkSectionOverrides = (overrides, path) => {
+        checkOverrides(overrides, path, (override, overridePath) => {
+            if (override.order !== undefined &&
+                (!Array.isArray(override.order) || !override.order.every(id => typeof id === 'string'))) {
+                errors.push(`${overridePath}.order must be an array of widget IDs`);
+            }
+        });
+    };
+    
+    const checkWidget = (widget, path) => {
+        if (!isPlainObject(widget)) {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        checkId(widget.id, `${path}.id`);
+        if (!WIDGET_SIZES.includes(widget.size)) {
+            errors.push(`${path}.size must be one of ${WIDGET_SIZES.join(', ')} (got ${JSON.stringify(widget.size)})`);
+        }
+        if (widget.title !== undefined && typeof widget.title !== 'string') {
+            errors.push(`${path}.title must be a string`);
+        }
+        if (!Number.isInteger(widget.minColSpan) || widget.minColSpan < 1) {
+            errors.push(`${path}.minColSpan must be a positive integer`);
+        }
+        if (typeof widget.minHeightRem !== 'number' || !(widget.minHeightRem > 0)) {
+            errors.push(`${path}.minHeightRem must be a positive number`);
+        }
+        if (!HEIGHT_MODES.includes(widget.heightMode)) {
+            errors.push(`${path}.heightMode must be one of ${HEIGHT_MODES.join(', ')}`);
+        }
+        if (widget.listensTo !== undefined &&
+            (!Array.isArray(widget.listensTo) || !widget.listensTo.every(key => GLOBAL_FILTER_KEYS.includes(key)))) {
+            errors.push(`${path}.listensTo must be an array of ${GLOBAL_FILTER_KEYS.join(', ')}`);
+        }
+        checkOverrides(widget.overrides, `${path}.overrides`, (override, overridePath) => {
+            if (override.hidden !== undefined && typeof override.hidden !== 'boolean') {
+                errors.push(`${overridePath}.hidden must be a boolean`);
+            }
+            if (override.colSpan !== undefined && (!Number.isInteger(override.colSpan) || override.colSpan < 1)) {
+                errors.push(`${overridePath}.colSpan must be a positive integer`);
+            }
+        });
+        if (widget.type !== undefined && (typeof widget.type !== 'string' || widget.type === '')) {
+            errors.push(`${path}.type must be a non-empty string`);
+        }
+        if (widget.options !== undefined && !isPlainObject(widget.options)) {
+            errors.push(`${path}.options must be an object`);
+        }
+        if (widget.data !== undefined) {
+            if (!isPlainObject(widget.data)) {
+                errors.push(`${path}.data must be an object`);
+            } else {
+                if (typeof widget.data.source !== 'string' || widget.data.source === '') {
+                    errors.push(`${path}.data.source must be a non-empty string`);
+                }
+                if (widget.data.query !== undefined && !isPlainObject(widget.data.query)) {
+                    errors.push(`${path}.data.query must be an object`);
+                }
+                if (widget.data.refreshSec !== undefined &&
+                    (typeof widget.data.refreshSec !== 'number' || !(widget.data.refreshSec >= 0))) {
+                    errors.push(`${path}.data.refreshSec must be a non-negative number`);
+                }
+            }
+        }
+    };
+    
+    const checkWidgets = (widgets, path) => {
+        if (!Array.isArray(widgets)) {
+            errors.push(`${path} must be an array`);
+            return;
+        }
+        widgets.forEach((widget, index) => checkWidget(widget, `${path}[${index}]`));
+    };
+    
+    const checkFilterGroup = (group, path) => {
+        if (!isPlainObject(group)) {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        checkId(group.id, `${path}.id`);
+        if (typeof group.title !== 'string') {
+            errors.push(`${path}.title must be a string`);
+        }
+        if (!Array.isArray(group.filters)) {
+            errors.push(`${path}.filters must be an array`);
+        } else {
+            group.filters.forEach((filter, index) => {
+                const filterPath = `${path}.filters[${index}]`;
+                if (!isPlainObject(filter)) {
+                    errors.push(`${filterPath} must be an object`);
+                    return;
+                }
+                checkId(filter.id, `${filterPath}.id`);
+                if (typeof filter.field !== 'string') {
+                    errors.push(`${filterPath}.field must be a string`);
+                }
+                const operator = FILTER_OPERATORS.find(o => o.key === filter.operator);
+                if (!operator) {
+                    errors.push(`${filterPath}.operator must be one of ${FILTER_OPERATORS.map(o => o.key).join(', ')}`);
+                } else if (!isValidFilterValue(operator, filter.value)) {
+                    const expected = {
+                        single: 'a string',
+                        list: 'an array of strings',
+                        range: 'an object with string "from" and "to"'
+                    }[operator.valueType];
+                    errors.push(`${filterPath}.value must be ${expected} for operator "${operator.key}"`);
+                }
+            });
+        }
+        checkWidgets(group.widgets, `${path}.widgets`);
+        if (!isPlainObject(group.layout)) {
+            errors.push(`${path}.layout must be an object`);
+        } else {
+            if (typeof group.layout.minItemWidthPx !== 'number') {
+                errors.push(`${path}.layout.minItemWidthPx must be a number`);
+            }
+            if (typeof group.layout.gapPx !== 'number') {
+                errors.push(`${path}.layout.gapPx must be a number`);
+            }
+            if (typeof group.layout.alignHeightsInRow !== 'boolean') {
+                errors.push(`${path}.layout.alignHeightsInRow must be a boolean`);
+            }
+        }
+    };
+    
+    if (!isPlainObject(data)) {
+        throw new LayoutSchemaError(['layout must be a JSON object']);
+    }
+    
+    if (data.version !== LAYOUT_SCHEMA_VERSION) {
+        errors.push(`version must be ${LAYOUT_SCHEMA_VERSION} (got ${JSON.stringify(data.version)})`);
+    }
+    
+    if (!isPlainObject(data.counters)) {
+        errors.push('counters must be an object');
+    } else {
+        ['widget', 'section', 'filterGroup', 'filter'].forEach(key => {
+            if (!isNonNegativeInteger(data.counters[key])) {
+                errors.push(`counters.${key} must be a non-negative integer`);
+            }
+        });
+    }
+    
+    if (data.filters !== undefined) {
+        if (!isPlainObject(data.filters)) {
+            errors.push('filters must be an object');
+        } else {
+            Object.keys(data.filters).forEach(key => {
+                if (!GLOBAL_FILTER_KEYS.includes(key)) {
+                    errors.push(`filters.${key} is not a known filter (expected ${GLOBAL_FILTER_KEYS.join(', ')})`);
+                } else if (typeof data.filters[key] !== 'string') {
+                    errors.push(`filters.${key} must be a string`);
+                }
+            });
+        }
+    }
+    
+    if (data.dataSources !== undefined) {
+        if (!Array.isArray(data.dataSources)) {
+            errors.push('dataSources must be an array');
+        } else {
+            data.dataSources.forEach((source, index) => {
+                const path = `dataSources[${index}]`;
+                if (!isPlainObject(source)) {
+                    errors.push(`${path} must be an object`);
+                    return;
+                }
+                if (typeof source.id !== 'string' || source.id === '') {
+                    errors.push(`${path}.id must be a non-empty string`);
+                }
+                if (typeof source.type !== 'string' || source.type === '') {
+                    errors.push(`${path}.type must be a non-empty string`);
+                }
+                if (source.rows !== undefined && !Array.isArray(source.rows)) {
+                    errors.push(`${path}.rows must be an array`);
+                }
+                if (source.url !== undefined && typeof source.url !== 'string') {
+                    errors.push(`${path}.url must be a string`);
+                }
+            });
+        }
+    }
+    
+    if (!Array.isArray(data.sections)) {
+        errors.push('sections must be an array');
+    } else {
+        data.sections.forEach((section, index) => {
+            const path = `sections[${index}]`;
+            if (!isPlainObject(section)) {
+                errors.push(`${path} must be an object`);
+                return;
+            }
+            checkId(section.id, `${path}.id`);
+            checkSectionOverrides(section.overrides, `${path}.overrides`);
+            if (section.type === 'widget') {
+                if (typeof section.title !== 'string') {
+                    errors.push(`${path}.title must be a string`);
+                }
+                if (section.collapsed !== undefined && typeof section.collapsed !== 'boolean') {
+                    errors.push(`${path}.collapsed must be a boolean`);
+                }
+                checkWidgets(section.widgets, `${path}.widgets`);
+            } else if (section.type === 'filter-group') {
+                checkFilterGroup(section.group, `${path}.group`);
+            } else {
+                errors.push(`${path}.type must be "widget" or "filter-group" (got ${JSON.stringify(section.type)})`);
+            }
+        });
+    }
+    
+    if (errors.length > 0) {
+        throw new LayoutSchemaError(errors);
+    }
+}
+
+/**
+ * Escape text for use inside HTML markup
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Limit a number to a range
+ * @param {number} value - Number to limit
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @returns {number} value, min or max
+ */
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Make parent's children exactly the given elements, in order
+ * Stale children are removed first so elements that stay are only moved when
+ * their position really changes (moving a node drops its focus and selection)
+ * @param {HTMLElement} parent - Parent element
+ * @param {HTMLElement[]} children - Desired children in order
+ */
+function reconcileChildren(parent, children) {
+    const wanted = new Set(children);
+    for (const child of Array.from(parent.children)) {
+        if (!wanted.has(child)) {
+            child.remove();
+        }
+    }
+    
+    children.forEach((child, index) => {
+        const current = parent.children[index];
+        if (current !== child) {
+            parent.insertBefore(child, current || null);
+        }
+    });
+}
+
+/**
+ * Markup an editor fills its container with: header with the global filters, canvas and widget panel
+ * Element IDs are prefixed so that several editors can share a page
+ * @param {string} idPrefix - Prefix of the element IDs (see DashboardEditor#elementId)
+ * @returns {string} HTML of the editor
+ */
+function createEditorMarkup(idPrefix) {
+    return `
+        <div class="main-content">
+            <div class="header">
+                <h1 class="dashboard-title"></h1>
+                <div class="filters">
+                    <div class="filter-item">
+                        <label for="${idPrefix}target-filter">Target:</label>
+                        <select id="${idPrefix}target-filter">
+                            <option value="all">All</option>
+                            <option value="target1">Target 1</option>
+                            <option value="target2">Target 2</option>
+                            <option value="target3">Target 3</option>
+                        </select>
+                    </div>
+                    <div class="filter-item">
+                        <label for="${idPrefix}date-filter">Date:</label>
+                        <input type="date" id="${idPrefix}date-filter">
+                    </div>
+                    <div class="filter-item breakpoint-switcher">
+                        <label for="${idPrefix}breakpoint-select">Layout:</label>
+                        <select id="${idPrefix}breakpoint-select"></select>
+                    </div>
+                    <button class="export-btn" aria-haspopup="menu">Export</button>
+                    <div class="mode-toggle" role="group" aria-label="Mode">
+                        <button class="mode-toggle-btn" data-mode="edit">Edit</button>
+                        <button class="mode-toggle-btn" data-mode="view">View</button>
+                    </div>
+                </div>
+            </div>
+            <div class="canvas-wrapper">
+                <div class="grid-canvas"></div>
+            </div>
+        </div>
+        <div class="sidebar">
+            <h2>Widget panel</h2>
+            <div class="sidebar-tabs" role="tablist" aria-label="Widget panel">
+                <button class="sidebar-tab" role="tab" data-tab="widgets" id="${idPrefix}tab-widgets"
+                        aria-controls="${idPrefix}panel-widgets" aria-selected="true">Widgets</button>
+                <button class="sidebar-tab" role="tab" data-tab="templates" id="${idPrefix}tab-templates"
+                        aria-controls="${idPrefix}panel-templates" aria-selected="false" tabindex="-1">Templates</button>
+            </div>
+            <div class="sidebar-panel" role="tabpanel" data-panel="widgets" id="${idPrefix}panel-widgets"
+                 aria-labelledby="${idPrefix}tab-widgets">
+                <div class="widget-list">
+                    <!-- Widget types are added from the widget registry (see renderWidgetPanel()) -->
+                    <div class="widget-item" data-size="FILTER">
+                        <div class="widget-item-content">
+                            <span class="widget-name">Filter Container</span>
+                            <span class="widget-info">Full width section</span>
+                        </div>
+                        <button class="widget-item-add-btn">Add</button>
+                    </div>
+                </div>
+            </div>
+            <div class="sidebar-panel" role="tabpanel" data-panel="templates" id="${idPrefix}panel-templates"
+                 aria-labelledby="${idPrefix}tab-templates" hidden>
+                <!-- Built-in and saved templates (see renderTemplatePanel()) -->
+                <div class="template-list"></div>
+                <button class="save-template-btn" aria-haspopup="dialog">Save as template…</button>
+            </div>
+            <div class="layout-file">
+                <h3>Layout file</h3>
+                <div class="layout-file-actions">
+                    <button class="layout-file-btn" data-action="export">Export JSON</button>
+                    <button class="layout-file-btn" data-action="import">Import JSON</button>
+                </div>
+                <input type="file" class="layout-file-input" accept=".json,application/json" hidden>
+                <div class="layout-file-status" hidden></div>
+            </div>
+        </div>
+    `;
+}
+
+let editorCount = 0;        // Editors created on the page, for their default ID prefix
+let lastActiveEditor = null; // Editor the user last pressed or focused (see DashboardEditor#isOwnEvent)
+
+/**
+ * HistoryManager - Bounded undo/redo stack for the dashboard model
+ * Every checkpoint compares a snapshot of the model with the last recorded one,
+ * so any change made between two checkpoints (including compound operations
+ * such as a move that also removes the emptied section) undoes as one step;
+ * group() merges changes that record checkpoints of their own
+ */
+class HistoryManager {
+    /**
+     * @param {object} options
+     * @param {function(): string} options.capture - Returns a snapshot of the current model
+     * @param {function(string, string): void} options.restore - Applies a snapshot to the model
+     *                                                           (called with the snapshot and the one it replaces);
+     *                                                           it may keep rebased state such as filter values,
+     *                                                           so the recorded state is captured again afterwards
+     * @param {number} [options.limit=100] - Maximum number of undo steps kept
+     * @param {function(object, string): void} [options.onChange] - Called with the entry and
+     *                                                               'edit', 'undo' or 'redo' after each step
+     */
+    constructor({ capture, restore, limit = 100, onChange = () => {} }) {
+        this.capture = capture;
+        this.restore = restore;
+        this.limit = limit;
+        this.onChange = onChange;
+        
+        this.undoStack = [];    // Entries: { label, before, after }
+        this.redoStack = [];
+        this.current = null;    // Snapshot of the last recorded state
+        
+        // Open groups defer checkpoints until the outermost group ends
+        this.groupDepth = 0;
+        this.groupLabel = null;
+    }
+    
+    /**
+     * Forget all steps and treat the current model as the starting point
+     */
+    reset() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current = this.capture();
+    }
+    
+    /**
+     * Take the current model as the recorded state without making it an undo step
+     * (for changes that are kept with the model but are not undone, e.g. filter values)
+     */
+    rebase() {
+        this.current = this.capture();
+    }
+    
+    /**
+     * Record the changes made since the last checkpoint as one undo step
+     * Does nothing if the model is unchanged or a group is open
+     * @param {string} label - Human readable name of the change
+     * @returns {boolean} True if a step was recorded
+     */
+    checkpoint(label) {
+        if (this.groupDepth > 0) return false;
+        
+        const snapshot = this.capture();
+        if (snapshot === this.current) return false;
+        
+        this.undoStack.push({ label, before: this.current, after: snapshot });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.current = snapshot;
+        this.onChange(this.undoStack[this.undoStack.length - 1], 'edit');
+        return true;
+    }
+    
+    /**
+     * Run a function whose changes should undo as a single step
+     * Groups can be nested; only the outermost one records a step
+     * @param {string} label - Human readable name of the grouped change
+     * @param {function} fn - Function performing the changes
+     * @returns {*} Return value of fn
+     */
+    group(label, fn) {
+        if (this.groupDepth === 0) {
+            this.groupLabel = label;
+        }
+        this.groupDepth++;
+        try {
+            return fn();
+        } finally {
+            this.groupDepth--;
+            if (this.groupDepth === 0) {
+                this.checkpoint(this.groupLabel);
+                this.groupLabel = null;
+            }
+        }
+    }
+    
+    /**
+     * Revert the last recorded step
+     * @returns {object|null} The undone entry, or null if there is nothing to undo
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        
+        this.redoStack.push(entry);
+        this.restore(entry.before, entry.after);
+        this.current = this.capture();
+        this.onChange(entry, 'undo');
+        return entry;
+    }
+    
+    /**
+     * Re-apply the last undone step
+     * @returns {object|null} The redone entry, or null if there is nothing to redo
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        
+        this.undoStack.push(entry);
+        this.restore(entry.after, entry.before);
+        this.current = this.capture();
+        this.onChange(entry, 'redo');
+        return entry;
+    }
+    
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+    
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+}
+
 /**
  * DashboardEditor - Main class for managing the dashboard layout editor
  * Handles widget placement, drag-and-drop, layout calculations, and rendering
+ * Each editor fills its own container, so a page can host several of them; hosts drive
+ * an editor through its public API (addWidget(), moveWidget(), getLayout(), ...) and
+ * follow its edits with on() (see "Public API" below)
  */
 class DashboardEditor {
-    constructor() {
-        // Main canvas element where the dashboard is rendered
-        this.gridCanvas = document.getElementById('grid-canvas');
+    /**
+     * @param {HTMLElement} container - Element the editor fills (its content is replaced);
+     *                                  the host page gives it its size
+     * @param {object} [options]
+     * @param {string} [options.title='Dashboard'] - Heading shown above the canvas
+     * @param {object} [options.layout] - Layout to start with when none is saved (see the layout format)
+     * @param {string|null} [options.storageKey] - localStorage key the layout is saved under
+     *                                            (default: LAYOUT_STORAGE_KEY); null disables saving.
+     *                                            Editors sharing a page need different keys
+     * @param {string} [options.idPrefix] - Prefix of the IDs of the editor's elements
+     *                                      (default: 'dashboard-N-', unique on the page)
+     * @param {string} [options.mode='edit'] - 'edit', or 'view' to open the dashboard read-only
+     * @param {boolean} [options.modeToggle=true] - Show the Edit/View toggle in the header
+     * @param {boolean} [options.debug] - Log layout decisions and record a layout trace
+     *                                    (also enabled by the ?debug=layout URL parameter)
+     * @param {string} [options.logLevel='warn'] - Minimum log level when not in debug mode
+     * @param {object} [options.logger] - Custom logger with isEnabled/debug/info/warn/error
+     * @param {object} [options.widgetRegistry] - WidgetRegistry of the available widget types
+     *                                            (default: the built-in types, see widget-registry.js)
+     * @param {object} [options.dataSources] - DataSourceManager widgets load their data from
+     *                                         (default: the sample sources, see data-sources.js)
+     * @param {array} [options.breakpoints] - Column counts, gaps and RowBlock settings per container width
+     *                                        (default: DashboardLayoutEngine.DEFAULT_BREAKPOINTS)
+     * @param {array} [options.templates] - Templates offered in the templates tab
+     *                                      (default: DashboardTemplates.BUILTIN_TEMPLATES, see templates.js)
+     * @param {string|null} [options.templateStorageKey] - localStorage key of the templates users save
+     *                                                    (default: TEMPLATE_STORAGE_KEY); null keeps them
+     *                                                    for the session only
+     */
+    constructor(container, options = {}) {
+        if (!container || container.nodeType !== Node.ELEMENT_NODE) {
+            throw new TypeError('DashboardEditor needs a container element');
+        }
+        
+        // Container holding the editor markup (see createEditorMarkup())
+        this.root = container;
+        this.idPrefix = options.idPrefix || `dashboard-${++editorCount}-`;
+        this.root.classList.add('dashboard-editor');
+        this.root.innerHTML = createEditorMarkup(this.idPrefix);
+        this.title = options.title || 'Dashboard';
+        this.root.querySelector('.dashboard-title').textContent = this.title;
+        
+        // Main canvas element where the dashboard is rendered
+        this.gridCanvas = this.root.querySelector('.grid-canvas');
+        
+        // Edit or view mode (see setMode()); view mode renders no editing controls and refuses edits
+        if (options.mode !== undefined && !EDITOR_MODES.includes(options.mode)) {
+            throw new TypeError(`Unknown editor mode "${options.mode}"`);
+        }
+        this.mode = options.mode || 'edit';
+        this.root.classList.toggle('view-mode', this.mode === 'view');
+        this.root.querySelector('.mode-toggle').hidden = options.modeToggle === false;
+        
+        // Where the layout is saved, and the layout used when nothing is saved yet
+        this.storageKey = options.storageKey === undefined ? LAYOUT_STORAGE_KEY : options.storageKey;
+        this.initialLayout = options.layout || null;
+        
+        // Templates: predefined ones from the options, saved ones from localStorage (see loadSavedTemplates())
+        this.templates = options.templates || DashboardTemplates.BUILTIN_TEMPLATES;
+        this.templateStorageKey = options.templateStorageKey === undefined ? TEMPLATE_STORAGE_KEY : options.templateStorageKey;
+        this.savedTemplates = [];
+        this.emptyDashboardElement = null; // Shown on the canvas while the dashboard has no sections
+        
+        // Document listeners added by the editor, removed by destroy(): [type, handler, options]
+        this.documentListeners = [];
+        
+        // Array of sections (each section contains widgets or a filter group)
+        this.sections = [];
+        
+        // Drag and drop state management
+        this.draggedElement = null;        // Currently dragged DOM element
+        this.draggedWidget = null;         // Widget object being dragged
+        this.draggedSection = null;        // Section being dragged
+        this.isDraggingFromPanel = false;  // True when dragging from the widget panel
+        this.draggedWidgetType = null;     // Widget type (or 'FILTER') being dragged from panel
+        this.dragPlaceholder = null;       // Visual placeholder shown during drag
+        this.drag = null;                  // Pointer drag controller (see setupDragController())
+        this.dropPreview = null;           // Layout preview of the drag in progress (see showDropPreview())
+        this.dropTooltip = null;           // Explains why the hovered drop zone is invalid
+        this.draggedWidgets = null;        // Selected widgets dragged together with draggedWidget
+        this.widgetResize = null;          // Widget resize in progress (see startWidgetResize())
+        this.selectedWidgetIds = new Set(); // Widgets selected with Shift/Ctrl-click (see setupSelection())
+        this.selectionAnchorId = null;     // Widget a Shift-click range starts from
+        this.selectionBar = null;          // Toolbar with the bulk actions on the selection
+        this.keyboardMove = null;          // Item picked up with the keyboard (see startKeyboardMove())
+        this.activeItemKey = null;         // Item holding the roving tabindex: 'widget:ID' or 'section:ID'
+        this.liveRegion = null;            // ARIA live region announcing keyboard moves
+        
+        // ID counters for generating unique IDs
+        this.widgetIdCounter = 0;
+        this.sectionIdCounter = 0;
+        this.filterGroupIdCounter = 0;
+        this.filterIdCounter = 0;
+        
+        // Widget size definitions (minimum heights in rem)
+        this.TOKENS = {
+            minHeightsRem: {
+                XS: 10,
+                S: 16,
+                M: 22,
+                L: 32,
+                XL: 46
+            }
+        };
+        
+        // Responsive breakpoints, widest first: { id, minWidth, columns, columnGap, rowGap, rowBlocks }
+        this.breakpoints = DashboardLayoutEngine.normalizeBreakpoints(
+            options.breakpoints || DashboardLayoutEngine.DEFAULT_BREAKPOINTS
+        );
+        
+        // Layout configuration for widget sections (column and row gaps come from the breakpoint)
+        this.layoutConfig = {
+            maxRailItems: 4,      // Max widgets in RowBlock rail
+            toleranceRem: 2,      // Height tolerance for rail matching
+            vGapRem: 0.75,        // Vertical gap in rail (rem)
+            sectionGap: 20,       // Gap between sections (px)
+            paddingX: 20,         // Horizontal padding (px)
+            resizeStepRem: 2      // Height step of widget resizing (rem)
+        };
+        
+        // Configuration for filter group sections
+        this.filterGroupConfig = {
+            minItemWidthPx: 280,      // Minimum widget width in filter groups
+            gapPx: 12,                // Gap between widgets
+            alignHeightsInRow: true   // Align heights in same row
+        };
+        
+        // Widget types offered in the panel and used to render widget content
+        this.widgetRegistry = options.widgetRegistry || DashboardWidgets.createDefaultRegistry();
+        
+        // Data sources widgets bind to, and the data loaded for each bound widget
+        this.dataSources = options.dataSources || new DashboardData.DataSourceManager();
+        this.layoutDataSources = [];       // Sources stored in the layout (added to this.dataSources)
+        this.widgetData = new Map();       // Widget ID -> { key, status, result, error, version }
+        this.refreshTimers = new Map();    // Widget ID -> { refreshSec, timer }
+        
+        // Resize observer to handle window resizing
+        this.resizeObserver = null;
+        
+        // Rendered elements, reused across renders (see render())
+        this.sectionElements = new Map();  // Section ID -> section cache entry
+        this.widgetElements = new Map();   // Widget ID -> widget cache entry
+        this.renderedColCount = null;      // Column count of the last render
+        this.renderedBreakpoint = null;    // Breakpoint of the last render
+        this.editingBreakpointId = null;   // Breakpoint chosen in the switcher; null follows the canvas width
+        this.viewportWidth = null;         // Canvas width set in the viewport simulator; null fills the window
+        this.previousViewportWidth = null; // Width before the last change, for switching back and forth
+        this.viewportToolbar = null;       // Viewport simulator toolbar (see setupViewportSimulator())
+        this.openPopover = null;           // Open popover or dropdown menu (see showPopover())
+        
+        // Dashboard-wide filter values, keyed by GLOBAL_FILTERS key
+        this.globalFilters = this.getDefaultGlobalFilters();
+        
+        // Event bus publishing dashboard changes ('change', 'widget:add', 'widget:remove', 'section:move',
+        // 'layout:computed', 'mode:change', 'filters:change', 'group:filters', 'widget:filters', 'widget:data',
+        // 'widget:resize', 'breakpoint:change', 'viewport:change', 'templates:change'); hosts subscribe with on()
+        this.events = new DashboardEvents.EventBus({
+            onError: (error, eventName) => this.logger.error(`Error in "${eventName}" handler:`, error)
+        });
+        
+        // Logging and layout trace (debug mode logs and records every row decision)
+        const debug = options.debug ?? new URLSearchParams(window.location.search).get('debug') === 'layout';
+        this.logLevel = options.logLevel || 'warn';
+        this.logger = options.logger || new DashboardLogger.Logger({ level: this.logLevel, scope: 'dashboard' });
+        this.layoutTrace = new DashboardLogger.LayoutTrace();
+        this.setDebug(debug);
+        
+        // Undo/redo history of the layout: sections, ID counters, filter values and layout data sources
+        this.history = new HistoryManager({
+            capture: () => JSON.stringify(this.serialize()),
+            restore: (snapshot, replaced) => this.restoreSnapshot(snapshot, replaced),
+            limit: 100,
+            onChange: (entry, action) => this.emitChange(entry, action)
+        });
+        
+        // Initialize the editor
+        this.init();
+    }
+    
+    /**
+     * Generate a unique widget ID
+     * @returns {string} Widget ID in format 'w_N'
+     */
+    newWidgetId() {
+        return 'w_' + this.widgetIdCounter++;
+    }
+    
+    /**
+     * Generate a unique section ID
+     * @returns {string} Section ID in format 's_N'
+     */
+    newSectionId() {
+        return 's_' + this.sectionIdCounter++;
+    }
+    
+    /**
+     * Generate a unique filter group ID
+     * @returns {string} Filter group ID in format 'fg_N'
+     */
+    newFilterGroupId() {
+        return 'fg_' + this.filterGroupIdCounter++;
+    }
+    
+    /**
+     * Generate a unique filter chip ID
+     * @returns {string} Filter ID in format 'f_N'
+     */
+    newFilterId() {
+        return 'f_' + this.filterIdCounter++;
+    }
+    
+    /**
+     * Create a new filter group object
+     * @param {string} title - Title for the filter group
+     * @returns {object} Filter group configuration object
+     */
+    createFilterGroup(title = 'Filter Container') {
+        return {
+            id: this.newFilterGroupId(),
+            title: title,
+            filters: [],    // Array of filter chips
+            widgets: [],    // Array of widgets in this filter group
+            layout: {
+                minItemWidthPx: this.filterGroupConfig.minItemWidthPx,
+                gapPx: this.filterGroupConfig.gapPx,
+                alignHeightsInRow: this.filterGroupConfig.alignHeightsInRow
+            }
+        };
+    }
+    
+    /**
+     * Add a filter chip to a filter group
+     * @param {string} groupId - ID of the filter group
+     * @param {object} [filter] - Condition: { field, operator, value }
+     * @returns {string|null} ID of the new filter, or null if the group does not exist
+     * @throws {Error} In view mode
+     */
+    addFilterToGroup(groupId, filter = {}) {
+        this.assertEditable('add a filter');
+        const section = this.sections.find(s => s.type === 'filter-group' && s.group.id === groupId);
+        if (!section) return null;
+        
+        const operator = filter.operator || 'equals';
+        const newFilter = {
+            id: this.newFilterId(),
+            field: filter.field || '',
+            operator,
+            value: filter.value !== undefined ? filter.value : emptyFilterValue(operator)
+        };
+        section.group.filters.push(newFilter);
+        this.commit('Add filter');
+        this.emitGroupFilters(groupId);
+        return newFilter.id;
+    }
+    
+    /**
+     * Change the condition of a filter chip
+     * @param {string} groupId - ID of the filter group
+     * @param {string} filterId - ID of the filter to change
+     * @param {object} changes - Any of { field, operator, value }
+     * @throws {Error} In view mode
+     */
+    updateFilterInGroup(groupId, filterId, changes) {
+        this.assertEditable('change a filter');
+        const section = this.sections.find(s => s.type === 'filter-group' && s.group.id === groupId);
+        const filter = section && section.group.filters.find(f => f.id === filterId);
+        if (!filter) return;
+        
+        Object.assign(filter, changes);
+        if (changes.operator && changes.value === undefined) {
+            filter.value = emptyFilterValue(changes.operator);
+        }
+        this.commit('Edit filter');
+        this.emitGroupFilters(groupId);
+    }
+    
+    /**
+     * Remove a filter chip from a filter group
+     * @param {string} groupId - ID of the filter group
+     * @param {string} filterId - ID of the filter to remove
+     * @throws {Error} In view mode
+     */
+    removeFilterFromGroup(groupId, filterId) {
+        this.assertEditable('remove a filter');
+        const section = this.sections.find(s => s.type === 'filter-group' && s.group.id === groupId);
+        if (section) {
+            section.group.filters = section.group.filters.filter(f => f.id !== filterId);
+            this.commit('Remove filter');
+            this.emitGroupFilters(groupId);
+        }
+    }
+    
+    /**
+     * Publish the filters of a group to the group and to every widget in it
+     * Emits 'group:filters' once, then 'widget:filters' per widget
+     * @param {string} groupId - ID of the filter group
+     */
+    emitGroupFilters(groupId) {
+        const section = this.sections.find(s => s.type === 'filter-group' && s.group.id === groupId);
+        if (!section) return;
+        
+        this.events.emit('group:filters', {
+            groupId,
+            filters: section.group.filters.filter(isFilterActive).map(f => ({ ...f }))
+        });
+        section.group.widgets.forEach(widget => this.emitWidgetFilters(widget.id));
+    }
+    
+    /**
+     * Initialize the dashboard editor
+     * Sets up event handlers and loads initial state
+     */
+    init() {
+        this.setupDocumentScope();       // Which editor document-level shortcuts go to
+        this.setupDragController();      // Pointer drag and drop (mouse, pen and touch)
+        this.renderWidgetPanel();        // Fill the widget panel from the registry
+        this.setupPanelDragHandlers();   // Setup drag from the static panel items
+        this.setupResizeObserver();      // Watch for canvas resize
+        this.setupKeyboardShortcuts();   // Undo/redo shortcuts
+        this.setupKeyboardMoves();       // Keyboard focus and rearrangement of widgets/sections
+        this.setupSelection();           // Multi-select and bulk actions
+        this.setupClipboard();           // Copy, paste and duplicate
+        this.setupBreakpointSwitcher();  // Editing the layout of one breakpoint
+        this.setupViewportSimulator();   // Previewing the canvas at device widths
+        this.setupModeToggle();          // Switching between edit and view mode
+        this.setupExportMenu();          // Static HTML snapshots
+        this.setupLayoutFile();          // Export/import of the layout as a JSON file
+        this.setupSidebarTabs();         // Widgets and templates tabs
+        this.loadSavedTemplates();       // Templates saved in earlier sessions
+        this.renderTemplatePanel();      // Fill the templates tab
+        this.setupGlobalFilterControls(); // Header Target/Date filters
+        this.loadInitialState();         // Load initial dashboard state
+    }
+    
+    /**
+     * Get the page-unique ID of an editor element
+     * @param {string} name - Element name, e.g. 'breakpoint-select'
+     * @returns {string} ID with the editor's prefix
+     */
+    elementId(name) {
+        return this.idPrefix + name;
+    }
+    
+    /**
+     * Find an element of the editor markup by name (see elementId())
+     * @param {string} name - Element name
+     * @returns {HTMLElement|null} The element, or null if the editor has none
+     */
+    getElement(name) {
+        return this.root.querySelector(`#${this.elementId(name)}`);
+    }
+    
+    /**
+     * Track the editor the user works in: document-level shortcuts (undo, Escape, copy, paste)
+     * only reach one editor when several share the page
+     */
+    setupDocumentScope() {
+        if (!lastActiveEditor) {
+            lastActiveEditor = this;
+        }
+        const activate = () => {
+            lastActiveEditor = this;
+        };
+        this.root.addEventListener('pointerdown', activate, true);
+        this.root.addEventListener('focusin', activate);
+    }
+    
+    /**
+     * Add a document listener that destroy() removes again
+     * @param {string} type - Event type
+     * @param {function} handler - Event handler
+     * @param {boolean|object} [options] - addEventListener options
+     */
+    listenDocument(type, handler, options) {
+        document.addEventListener(type, handler, options);
+        this.documentListeners.push([type, handler, options]);
+    }
+    
+    /**
+     * Check if a document-level event is meant for this editor: it happened in the editor
+     * or its open popover, or on the page body while this editor is the last one used
+     * @param {Event} e - Event
+     * @returns {boolean} True if the editor should handle the event
+     */
+    isOwnEvent(e) {
+        const target = e.target;
+        if (this.root.contains(target)) return true;
+        if (this.openPopover && this.openPopover.element.contains(target)) return true;
+        
+        const onPage = target === document || target === document.body || target === document.documentElement;
+        return onPage && lastActiveEditor === this;
+    }
+    
+    /**
+     * Get the "not filtered" value of every global filter
+     * @returns {object} Filter values keyed by filter key
+     */
+    getDefaultGlobalFilters() {
+        const filters = {};
+        GLOBAL_FILTERS.forEach(f => {
+            filters[f.key] = f.emptyValue;
+        });
+        return filters;
+    }
+    
+    /**
+     * Connect the header filter controls (target-filter, date-filter) to the global filter state
+     */
+    setupGlobalFilterControls() {
+        GLOBAL_FILTERS.forEach(filter => {
+            const control = this.getElement(filter.controlId);
+            if (!control) return;
+            
+            control.addEventListener('change', () => {
+                this.setGlobalFilter(filter.key, control.value);
+            });
+        });
+        
+        this.syncGlobalFilterControls();
+    }
+    
+    /**
+     * Show the current global filter values in the header controls
+     */
+    syncGlobalFilterControls() {
+        GLOBAL_FILTERS.forEach(filter => {
+            const control = this.getElement(filter.controlId);
+            if (control && control.value !== this.globalFilters[filter.key]) {
+                control.value = this.globalFilters[filter.key];
+            }
+        });
+    }
+    
+    /**
+     * Change a dashboard-wide filter and publish the change
+     * Emits 'filters:change' once, then 'widget:filters' for every widget listening to the filter
+     * ('widget:filters' payload: { widgetId, filters, groupId, groupFilters })
+     * Filter values are saved with the layout but are not undo steps (undoing a load or import
+     * does put back the values from before it, see restoreSnapshot())
+     * @param {string} key - Filter key (see GLOBAL_FILTERS)
+     * @param {string} value - New value
+     */
+    setGlobalFilter(key, value) {
+        if (!GLOBAL_FILTER_KEYS.includes(key)) {
+            throw new Error(`Unknown global filter "${key}"`);
+        }
+        if (this.globalFilters[key] === value) return;
+        
+        this.globalFilters = { ...this.globalFilters, [key]: value };
+        this.syncGlobalFilterControls();
+        this.history.rebase();
+        this.saveState();
+        
+        this.events.emit('filters:change', { key, value, filters: { ...this.globalFilters } });
+        
+        this.forEachWidget((widget) => {
+            if (this.getWidgetFilterKeys(widget).includes(key)) {
+                this.emitWidgetFilters(widget.id);
+            }
+        });
+        
+        this.render();
+    }
+    
+    /**
+     * Get the global filters a widget listens to
+     * @param {object} widget - Widget object
+     * @returns {string[]} Filter keys
+     */
+    getWidgetFilterKeys(widget) {
+        return Array.isArray(widget.listensTo) ? widget.listensTo : GLOBAL_FILTER_KEYS;
+    }
+    
+    /**
+     * Get the filter values that apply to a widget
+     * Only filters the widget listens to and that are set are included
+     * @param {string} widgetId - ID of the widget
+     * @returns {object} Filter values keyed by filter key
+     */
+    getWidgetFilters(widgetId) {
+        const found = this.findWidget(widgetId);
+        if (!found) return {};
+        
+        const filters = {};
+        this.getWidgetFilterKeys(found.widget).forEach(key => {
+            const definition = GLOBAL_FILTERS.find(f => f.key === key);
+            if (this.globalFilters[key] !== definition.emptyValue) {
+                filters[key] = this.globalFilters[key];
+            }
+        });
+        return filters;
+    }
+    
+    /**
+     * Choose which global filters a widget listens to
+     * @param {string} widgetId - ID of the widget
+     * @param {string[]} keys - Filter keys; all filters when it contains every key
+     * @throws {Error} In view mode
+     */
+    setWidgetFilterKeys(widgetId, keys) {
+        this.assertEditable('change the filters of a widget');
+        const found = this.findWidget(widgetId);
+        if (!found) return;
+        
+        const listensTo = GLOBAL_FILTER_KEYS.filter(key => keys.includes(key));
+        if (listensTo.length === GLOBAL_FILTER_KEYS.length) {
+            delete found.widget.listensTo;
+        } else {
+            found.widget.listensTo = listensTo;
+        }
+        this.commit('Change widget filters');
+        this.emitWidgetFilters(widgetId);
+    }
+    
+    /**
+     * Publish the filter context of a widget as a 'widget:filters' event
+     * @param {string} widgetId - ID of the widget
+     */
+    emitWidgetFilters(widgetId) {
+        this.events.emit('widget:filters', { widgetId, ...this.getWidgetFilterContext(widgetId) });
+    }
+    
+    /**
+     * Get everything that filters a widget: the global filters it listens to and,
+     * for widgets inside a filter container, the container's active chips
+     * @param {string} widgetId - ID of the widget
+     * @returns {object} { filters, groupId, groupFilters }
+     */
+    getWidgetFilterContext(widgetId) {
+        const found = this.findWidget(widgetId);
+        const group = found && found.section.type === 'filter-group' ? found.section.group : null;
+        
+        return {
+            filters: this.getWidgetFilters(widgetId),
+            groupId: group ? group.id : null,
+            groupFilters: group ? group.filters.filter(isFilterActive).map(f => ({ ...f })) : []
+        };
+    }
+    
+    /**
+     * Show the menu choosing a widget's data source, refresh interval and the global filters it listens to
+     * @param {string} widgetId - ID of the widget
+     * @param {HTMLElement} anchor - Element the menu is positioned under
+     */
+    openWidgetBindingsMenu(widgetId, anchor) {
+        const found = this.findWidget(widgetId);
+        if (!found) return;
+        
+        const data = found.widget.data;
+        const keys = this.getWidgetFilterKeys(found.widget);
+        const items = [
+            {
+                label: 'No data source',
+                checked: !data,
+                action: () => this.setWidgetDataSource(widgetId, null)
+            },
+            ...this.dataSources.list().map(source => ({
+                label: source.label,
+                checked: Boolean(data) && data.source === source.id,
+                action: () => this.setWidgetDataSource(widgetId, source.id)
+            })),
+            { separator: true },
+            {
+                label: 'Refresh data',
+                disabled: !data,
+                action: () => this.refreshWidgetData(widgetId)
+            },
+            ...REFRESH_INTERVALS.map(interval => ({
+                label: interval.label,
+                checked: Boolean(data) && (data.refreshSec || 0) === interval.seconds,
+                disabled: !data,
+                action: () => this.setWidgetRefreshInterval(widgetId, interval.seconds)
+            })),
+            { separator: true },
+            ...GLOBAL_FILTERS.map(filter => ({
+                label: `Follow ${filter.label} filter`,
+                checked: keys.includes(filter.key),
+                action: () => {
+                    const next = keys.includes(filter.key)
+                        ? keys.filter(key => key !== filter.key)
+                        : [...keys, filter.key];
+                    this.setWidgetFilterKeys(widgetId, next);
+                }
+            }))
+        ];
+        this.showMenu(anchor, items);
+    }
+    
+    /**
+     * Bind a widget to a data source, or unbind it
+     * @param {string} widgetId - ID of the widget
+     * @param {string|null} sourceId - Data source ID, or null to remove the binding
+     * @throws {Error} In view mode
+     */
+    setWidgetDataSource(widgetId, sourceId) {
+        this.assertEditable('change the data source of a widget');
+        const found = this.findWidget(widgetId);
+        if (!found) return;
+        
+        if (!sourceId) {
+            delete found.widget.data;
+        } else if (!found.widget.data || found.widget.data.source !== sourceId) {
+            // The query refers to the previous source's fields, so it is not kept
+            found.widget.data = { source: sourceId, refreshSec: found.widget.data?.refreshSec || 0 };
+        }
+        this.commit('Change data source');
+    }
+    
+    /**
+     * Change how often a bound widget reloads its data
+     * @param {string} widgetId - ID of the widget
+     * @param {number} seconds - Interval in seconds, 0 to turn auto-refresh off
+     * @throws {Error} In view mode
+     */
+    setWidgetRefreshInterval(widgetId, seconds) {
+        this.assertEditable('change the refresh interval of a widget');
+        const found = this.findWidget(widgetId);
+        if (!found || !found.widget.data) return;
+        
+        found.widget.data.refreshSec = seconds;
+        this.commit('Change refresh interval');
+    }
+    
+    /**
+     * Get the data state of a bound widget, starting a load when its binding or filters changed
+     * @param {object} widget - Widget object with a data binding
+     * @param {object} filterContext - Result of getWidgetFilterContext()
+     * @returns {object} { key, status: 'loading'|'ready'|'empty'|'error', result, error, version }
+     */
+    getWidgetData(widget, filterContext) {
+        const { refreshSec, ...binding } = widget.data;
+        const key = JSON.stringify({
+            binding,
+            filters: filterContext.filters,
+            groupFilters: filterContext.groupFilters
+        });
+        
+        let state = this.widgetData.get(widget.id);
+        if (!state || state.key !== key) {
+            // Keep showing the previous result while the new one loads
+            state = {
+                key,
+                status: 'loading',
+                result: state ? state.result : null,
+                error: null,
+                version: state ? state.version + 1 : 0
+            };
+            this.widgetData.set(widget.id, state);
+            this.loadWidgetData(widget.id, state);
+        }
+        return state;
+    }
+    
+    /**
+     * Run the query of a bound widget and re-render when the result arrives
+     * Results of superseded loads (binding or filters changed meanwhile) are dropped
+     * @param {string} widgetId - ID of the widget
+     * @param {object} state - Data state the result belongs to
+     * @param {boolean} [force=false] - Reload the source instead of using cached rows
+     */
+    loadWidgetData(widgetId, state, force = false) {
+        const found = this.findWidget(widgetId);
+        if (!found || !found.widget.data) return;
+        
+        const { source, query } = found.widget.data;
+        const { filters, groupFilters } = this.getWidgetFilterContext(widgetId);
+        
+        this.dataSources.query(source, query, { filters, groupFilters, force }).then(result => {
+            if (this.widgetData.get(widgetId) !== state) return;
+            state.status = result.rows.length > 0 ? 'ready' : 'empty';
+            state.result = result;
+            state.error = null;
+            state.version++;
+            this.events.emit('widget:data', { widgetId, status: state.status, rows: result.rows.length });
+            this.render();
+        }, error => {
+            if (this.widgetData.get(widgetId) !== state) return;
+            this.logger.warn(`Loading data of widget "${widgetId}" failed:`, error);
+            state.status = 'error';
+            state.error = error.message || String(error);
+            state.version++;
+            this.events.emit('widget:data', { widgetId, status: state.status, error: state.error });
+            this.render();
+        });
+    }
+    
+    /**
+     * Reload the data of a bound widget, bypassing the cache
+     * @param {string} widgetId - ID of the widget
+     */
+    refreshWidgetData(widgetId) {
+        const state = this.widgetData.get(widgetId);
+        if (!state) return;
+        
+        state.status = 'loading';
+        state.version++;
+        this.render();
+        this.loadWidgetData(widgetId, state, true);
+    }
+    
+    /**
+     * Start, change or stop the auto-refresh timer of every widget to match its binding
+     * @param {Set<string>} liveWidgetIds - IDs of the widgets rendered at the current breakpoint
+     */
+    syncRefreshTimers(liveWidgetIds) {
+        // Widgets hidden at the current breakpoint are not rendered and do not refresh
+        const wanted = new Map();
+        this.forEachWidget(widget => {
+            if (liveWidgetIds.has(widget.id) && widget.data && widget.data.refreshSec > 0) {
+                wanted.set(widget.id, widget.data.refreshSec);
+            }
+        });
+        
+        for (const [widgetId, timer] of this.refreshTimers) {
+            if (wanted.get(widgetId) !== timer.refreshSec) {
+                clearInterval(timer.timer);
+                this.refreshTimers.delete(widgetId);
+            }
+        }
+        for (const [widgetId, refreshSec] of wanted) {
+            if (!this.refreshTimers.has(widgetId)) {
+                this.refreshTimers.set(widgetId, {
+                    refreshSec,
+                    timer: setInterval(() => this.refreshWidgetData(widgetId), refreshSec * 1000)
+                });
+            }
+        }
+    }
+    
+    /**
+     * Call a function for every widget in every section
+     * @param {function} fn - Called with (widget, section)
+     */
+    forEachWidget(fn) {
+        this.sections.forEach(section => {
+            const widgets = section.type === 'filter-group' ? section.group.widgets : section.widgets;
+            widgets.forEach(widget => fn(widget, section));
+        });
+    }
+    
+    /**
+     * Setup resize observer to re-render dashboard when canvas size changes
+     */
+    setupResizeObserver() {
+        this.resizeObserver = new ResizeObserver(() => {
+            this.handleResize();
+        });
+        
+        this.resizeObserver.observe(this.gridCanvas);
+    }
+    
+    /**
+     * Re-layout only when the breakpoint changes
+     * Widths are relative to their row, so within a breakpoint the browser reflows on its own
+     */
+    handleResize() {
+        const breakpoint = this.getBreakpoint(this.gridCanvas.clientWidth);
+        if (breakpoint === this.renderedBreakpoint) {
+            this.updateFillOffset();
+            return;
+        }
+        this.render();
+    }
+    
+    /**
+     * Get the breakpoint the canvas is laid out with: the one chosen in the breakpoint
+     * switcher, or else the one that applies to the container width (see this.breakpoints)
+     * @param {number} containerWidth - Width of the container in pixels
+     * @returns {object} Breakpoint
+     */
+    getBreakpoint(containerWidth) {
+        const editing = this.editingBreakpointId && this.breakpoints.find(b => b.id === this.editingBreakpointId);
+        return editing || DashboardLayoutEngine.getBreakpoint(containerWidth, this.breakpoints);
+    }
+    
+    /**
+     * Calculate number of columns based on container width (responsive breakpoints)
+     * @param {number} containerWidth - Width of the container in pixels
+     * @returns {number} Number of columns of the matching breakpoint
+     */
+    getColCountFromWidth(containerWidth) {
+        return this.getBreakpoint(containerWidth).columns;
+    }
+    
+    /**
+     * Get the effective span of a widget (capped by column count)
+     * @param {object} widget - Widget object
+     * @param {number} colCount - Total number of columns
+     * @returns {number} Effective span (1 to colCount)
+     */
+    effectiveSpan(widget, colCount) {
+        return DashboardLayoutEngine.effectiveSpan(widget, colCount);
+    }
+    
+    /**
+     * Check if an item is a RowBlock (special layout with main + rail)
+     * @param {object} item - Item to check
+     * @returns {boolean} True if item is a RowBlock
+     */
+    isRowBlock(item) {
+        return DashboardLayoutEngine.isRowBlock(item);
+    }
+    
+    /**
+     * Get the span of an item (RowBlocks always take full width)
+     * @param {object} item - Widget or RowBlock
+     * @param {number} colCount - Total number of columns
+     * @returns {number} Span in columns
+     */
+    itemSpan(item, colCount) {
+        return DashboardLayoutEngine.itemSpan(item, colCount);
+    }
+    
+    /**
+     * Transform widgets into RowBlocks using this editor's rail settings,
+     * if the breakpoint enables them
+     * @param {array} widgetsInOrder - Array of widgets in order
+     * @param {object} breakpoint - Breakpoint to lay out with (see getBreakpoint())
+     * @returns {array} Array of widgets and RowBlocks
+     */
+    transformRowBlocks(widgetsInOrder, breakpoint) {
+        return DashboardLayoutEngine.transformRowBlocks(widgetsInOrder, breakpoint.columns, {
+            ...this.layoutConfig,
+            rowBlocks: breakpoint.rowBlocks
+        });
+    }
+    
+    /**
+     * Pack widgets/RowBlocks into rows (see DashboardLayoutEngine.packRows)
+     * @param {array} items - Array of widgets or RowBlocks
+     * @param {number} colCount - Total columns available
+     * @returns {array} Array of row objects with cells
+     */
+    packRows(items, colCount, options = {}) {
+        return DashboardLayoutEngine.packRows(items, colCount, { logger: this.logger, ...options });
+    }
+    
+    /**
+     * Turn debug mode on or off
+     * Debug mode writes layout decisions to the logger and records them in this.layoutTrace
+     * @param {boolean} enabled - True to enable debug mode
+     */
+    setDebug(enabled) {
+        this.debug = Boolean(enabled);
+        if (!this.debug) {
+            this.layoutTrace.clear();
+        }
+        this.layoutTrace.enabled = this.debug;
+        if (this.debug) {
+            // Reachable from the devtools console for inspection/export
+            window.dashboardLayoutTrace = this.layoutTrace;
+        }
+        if (typeof this.logger.setLevel === 'function') {
+            this.logger.setLevel(this.debug ? 'debug' : this.logLevel);
+        }
+    }
+    
+    /**
+     * Export the row decisions recorded by the last render (debug mode only)
+     * @returns {string} Layout trace as JSON
+     */
+    exportLayoutTrace() {
+        return this.layoutTrace.export();
+    }
+    
+    /**
+     * Lay out a section at the breakpoint of a container width, with the section's
+     * and its widgets' overrides for that breakpoint applied
+     * @param {object} section - Section object
+     * @param {number} containerWidth - Width of the container in pixels
+     * @param {object} [breakpoint] - Breakpoint to lay out with (default: getBreakpoint(containerWidth))
+     * @returns {object} { type, colCount, rows, breakpoint, hiddenWidgets, ... }
+     */
+    layoutSection(section, containerWidth, breakpoint = this.getBreakpoint(containerWidth)) {
+        const colCount = breakpoint.columns;
+        const traceOptions = { trace: this.layoutTrace, context: { sectionId: section.id } };
+        
+        const widgets = section.type === 'filter-group' ? section.group.widgets : section.widgets;
+        const { visible, hidden } = this.applyBreakpointOverrides(section, widgets, breakpoint);
+        const items = this.transformRowBlocks(visible, breakpoint);
+        const rows = this.packRows(items, colCount, traceOptions);
+        
+        if (section.type === 'filter-group') {
+            return {
+                type: 'filter-group',
+                group: section.group,
+                colCount,
+                rows,
+                containerWidth,
+                breakpoint,
+                hiddenWidgets: hidden
+            };
+        }
+        
+        return {
+            type: 'widget',
+            colCount,
+            rows,
+            breakpoint,
+            hiddenWidgets: hidden
+        };
+    }
+    
+    /**
+     * Apply the overrides of a breakpoint to the widgets of a section (see "Overrides" in the
+     * layout format): reorder them, leave hidden ones out and force column spans
+     * @param {object} section - Section holding the widgets (its overrides give the order)
+     * @param {array} widgets - Widgets of the section in model order
+     * @param {object} breakpoint - Breakpoint
+     * @returns {object} { visible, hidden }: visible widgets in layout order (copies where the
+     *                   span is forced, so the model keeps its own minColSpan) and hidden widgets
+     */
+    applyBreakpointOverrides(section, widgets, breakpoint) {
+        const order = this.getSectionBreakpointOrder(section, widgets, breakpoint.id);
+        const visible = [];
+        const hidden = [];
+        order.forEach(widget => {
+            const override = this.getWidgetOverride(widget, breakpoint.id);
+            if (override.hidden) {
+                hidden.push(widget);
+            } else if (override.colSpan !== undefined) {
+                visible.push({ ...widget, minColSpan: override.colSpan });
+            } else {
+                visible.push(widget);
+            }
+        });
+        return { visible, hidden };
+    }
+    
+    /**
+     * @param {object} section - Section object
+     * @param {array} widgets - Widgets of the section in model order
+     * @param {string} breakpointId - Breakpoint ID
+     * @returns {array} The widgets in their order at the breakpoint
+     */
+    getSectionBreakpointOrder(section, widgets, breakpointId) {
+        const order = (section.overrides && section.overrides[breakpointId] && section.overrides[breakpointId].order) || [];
+        const rank = widget => {
+            const index = order.indexOf(widget.id);
+            return index === -1 ? order.length : index;
+        };
+        return widgets
+            .map((widget, index) => ({ widget, index }))
+            .sort((a, b) => rank(a.widget) - rank(b.widget) || a.index - b.index)
+            .map(({ widget }) => widget);
+    }
+    
+    /**
+     * @param {object} widget - Widget object
+     * @param {string} breakpointId - Breakpoint ID
+     * @returns {object} The widget's override for the breakpoint ({} if there is none)
+     */
+    getWidgetOverride(widget, breakpointId) {
+        return (widget.overrides && widget.overrides[breakpointId]) || {};
+    }
+    
+    /**
+     * Add one panel item per visible registered widget type, before the static items
+     * (the filter container item stays in the HTML)
+     * Call again after registering types once the editor is running
+     */
+    renderWidgetPanel() {
+        const widgetList = this.root.querySelector('.widget-list');
+        if (!widgetList) return;
+        
+        widgetList.querySelectorAll('.widget-item[data-widget-type]').forEach(item => item.remove());
+        
+        const items = this.widgetRegistry.list().map(definition => {
+            const config = this.getWidgetConfig(definition.defaultSize);
+            const item = document.createElement('div');
+            item.className = 'widget-item';
+            item.dataset.widgetType = definition.type;
+            item.title = definition.description;
+            item.innerHTML = `
+                <div class="widget-item-content">
+                    <span class="widget-name"></span>
+                    <span class="widget-info">${config.minColSpan} col × ${config.minHeightRem} rem</span>
+                </div>
+                <button class="widget-item-add-btn">Add</button>
+            `;
+            item.querySelector('.widget-name').textContent = definition.label;
+            this.setupPanelItem(item);
+            return item;
+        });
+        widgetList.prepend(...items);
+    }
+    
+    /**
+     * Setup drag handlers for the static widget panel items
+     * (items created by renderWidgetPanel() are set up when they are created)
+     */
+    setupPanelDragHandlers() {
+        const widgetItems = this.root.querySelectorAll('.widget-item:not([data-widget-type])');
+        widgetItems.forEach(item => this.setupPanelItem(item));
+    }
+    
+    /**
+     * Setup the handlers of one widget panel item
+     * Handles:
+     * - Drag start: Store widget type (placeholder and cleanup, see attachDragSource())
+     * - Add button click: Add widget to last section
+     * @param {HTMLElement} item - Panel item; registry items carry data-widget-type,
+     *                             the filter container item data-size="FILTER"
+     */
+    setupPanelItem(item) {
+        const widgetType = item.dataset.widgetType || item.dataset.size;
+        
+        this.attachDragSource(item, () => {
+            this.isDraggingFromPanel = true;
+            this.draggedWidgetType = widgetType;
+        });
+        
+        const addBtn = item.querySelector('.widget-item-add-btn');
+        if (addBtn) {
+            addBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.addWidgetToLastSection(widgetType);
+            });
+        }
+    }
+    
+    /**
+     * Add a widget (or a filter container) at the end of the dashboard
+     * @param {string} widgetType - Registered widget type, or 'FILTER' for a filter container
+     * @returns {string} ID of the new widget, or of the new filter container section
+     * @throws {Error} In view mode
+     */
+    addWidgetToLastSection(widgetType) {
+        this.assertEditable('add a widget');
+        if (widgetType === 'FILTER') {
+            const filterGroup = this.createFilterGroup('Filter Container');
+            const newSection = {
+                id: this.newSectionId(),
+                type: 'filter-group',
+                group: filterGroup
+            };
+            this.sections.push(newSection);
+            this.commit('Add filter container');
+            // Scroll to the new filter container section
+            this.scrollToSection(newSection.id);
+            return newSection.id;
+        }
+        
+        const widget = this.createWidget(this.newWidgetId(), widgetType);
+        
+        const breakpoint = this.getBreakpoint(this.gridCanvas.offsetWidth);
+        const colCount = breakpoint.columns;
+        
+        const lastSection = this.sections.length > 0 ? this.sections[this.sections.length - 1] : null;
+        
+        if (!lastSection || lastSection.type === 'filter-group') {
+            const newSection = {
+                id: this.newSectionId(),
+                type: 'widget',
+                title: 'New Section',
+                widgets: [widget]
+            };
+            this.sections.push(newSection);
+            this.commit('Add widget');
+            // Scroll to the newly added widget
+            this.scrollToWidget(widget.id);
+            return widget.id;
+        }
+        
+        const testWidgets = [...lastSection.widgets, widget];
+        const items = this.transformRowBlocks(testWidgets, breakpoint);
+        const rows = this.packRows(items, colCount);
+        
+        const lastRow = rows[rows.length - 1];
+        const lastRowUsedCols = lastRow.cells.reduce((sum, cell) => sum + cell.span, 0);
+        
+        if (lastRowUsedCols <= colCount) {
+            lastSection.widgets.push(widget);
+        } else {
+            const newSection = {
+                id: this.newSectionId(),
+                type: 'widget',
+                title: 'New Section',
+                widgets: [widget]
+            };
+            this.sections.push(newSection);
+        }
+        
+        this.commit('Add widget');
+        // Scroll to the newly added widget
+        this.scrollToWidget(widget.id);
+        return widget.id;
+    }
+    
+    /**
+     * Create the pointer drag controller shared by panel items, widgets and sections
+     * The canvas wrapper auto-scrolls while a drag hovers near its top or bottom edge
+     */
+    setupDragController() {
+        this.drag = new DashboardDrag.DragController({
+            scrollContainer: this.gridCanvas.closest('.canvas-wrapper') || this.gridCanvas
+        });
+    }
+    
+    /**
+     * Make an element a pointer drag source
+     * Handles:
+     * - Drag start: Store the dragged item (through beginDrag) and start the layout preview
+     * - Move: Preview the layout the drop would produce (red placeholder when invalid)
+     * - Drop: Execute the drop action (add/move widget or section)
+     * - End (drop or Escape): Restore the committed layout and clean up state
+     * @param {HTMLElement} element - Panel item, widget or section element
+     * @param {function} beginDrag - Stores the dragged item for a pointerdown event;
+     *                               returns false when the press must not start a drag
+     * @param {function} [canStart] - Whether a pointerdown event may start a drag
+     */
+    attachDragSource(element, beginDrag, canStart = () => true) {
+        this.drag.attach(element, {
+            canStart: (e) => !this.keyboardMove && !this.isViewMode() && canStart(e),
+            start: (e) => {
+                if (beginDrag(e) === false) return null;
+                this.closePopover();
+                element.classList.add('dragging');
+                this.createDragPlaceholder();
+                this.startDropPreview();
+                return { element };
+            },
+            ghost: (ghost) => {
+                if (this.draggedWidgets) {
+                    ghost.classList.add('drag-ghost-stack');
+                    ghost.dataset.count = this.draggedWidgets.length;
+                }
+            },
+            move: (data, point) => {
+                const targetInfo = this.getDropTarget(point.x, point.y);
+                this.showDropPreview(targetInfo);
+                this.updateDropTooltip(targetInfo, point);
+            },
+            drop: (data, point) => this.dropDraggedItem(point.x, point.y),
+            end: (data) => {
+                data.element.classList.remove('dragging');
+                this.gridCanvas.querySelectorAll('.dragging').forEach(element => element.classList.remove('dragging'));
+                this.clearDropPreview();
+                this.removeDragPlaceholder();
+                this.removeDropTooltip();
+                this.draggedWidget = null;
+                this.draggedWidgets = null;
+                this.draggedSection = null;
+                this.draggedWidgetType = null;
+                this.isDraggingFromPanel = false;
+            }
+        });
+    }
+    
+    /**
+     * Drop the dragged item at a pointer position
+     * Drops on invalid (red) dropzones and outside the canvas are ignored
+     * @param {number} x - Pointer X position
+     * @param {number} y - Pointer Y position
+     * @returns {DOMRect|null} Rect of the dropped item, where the drag ghost settles;
+     *                         null when nothing was dropped
+     */
+    dropDraggedItem(x, y) {
+        const targetInfo = this.getDropTarget(x, y);
+        if (!targetInfo || targetInfo.isInvalid) return null;
+        
+        // The preview already shows the result: the real drop re-renders the same layout
+        this.clearDropPreview(false);
+        const [itemKey] = this.applyDrop(targetInfo);
+        const element = itemKey && this.getItemElement(itemKey);
+        
+        return element && element.isConnected ? element.getBoundingClientRect() : null;
+    }
+    
+    /**
+     * Add or move the dragged item (panel widget type, widget or section) to a drop target
+     * @param {object} targetInfo - Drop target information
+     * @param {object} [options]
+     * @param {boolean} [options.preview=false] - Only change the model (see handleDropFromPanel())
+     * @returns {array} Keys of the dropped items ('widget:ID' or 'section:ID'), the one under
+     *                  the pointer first; empty when the target does not accept the item
+     */
+    applyDrop(targetInfo, { preview = false } = {}) {
+        if (this.isDraggingFromPanel && this.draggedWidgetType) {
+            return [this.handleDropFromPanel(targetInfo, this.draggedWidgetType, { preview })];
+        }
+        if (this.draggedWidgets) {
+            this.handleMoveWidgets(targetInfo, { preview });
+            return [this.draggedWidget, ...this.draggedWidgets.filter(w => w.id !== this.draggedWidget.id)]
+                .map(widget => `widget:${widget.id}`);
+        }
+        if (this.draggedWidget) {
+            this.handleMoveWidget(targetInfo, { preview });
+            return [`widget:${this.draggedWidget.id}`];
+        }
+        if (this.draggedSection && targetInfo.type === 'between-sections') {
+            this.handleMoveSection(targetInfo, { preview });
+            return [`section:${this.draggedSection.id}`];
+        }
+        return [];
+    }
+    
+    /**
+     * Start previewing the drag that was just picked up
+     * Drop zones are measured and validated once, on the committed layout: the preview
+     * reflows the canvas, and zones measured on it would move under the pointer
+     */
+    startDropPreview() {
+        this.dropPreview = {
+            sections: this.sections,   // Committed model, put back by clearDropPreview()
+            zones: this.validateDropZones(this.collectDropZones()),
+            scrollTop: this.drag.scrollContainer.scrollTop,
+            key: ''                    // Drop zone key of the previewed target, '' for none
+        };
+    }
+    
+    /**
+     * Show the layout a drop on a target would produce
+     * The drop is applied to a copy of the committed model and rendered; widgets and sections
+     * animate into their new place and the dropped item is shown translucent.
+     * Invalid targets keep the committed layout and show the red placeholder bar
+     * @param {object|null} targetInfo - Hovered drop target (see getDropTarget())
+     */
+    showDropPreview(targetInfo) {
+        const preview = this.dropPreview;
+        const isValid = Boolean(targetInfo) && !targetInfo.isInvalid;
+        
+        if (targetInfo && targetInfo.isInvalid) {
+            this.updateDragPlaceholder(targetInfo);
+        } else if (this.dragPlaceholder) {
+            this.dragPlaceholder.style.display = 'none';
+        }
+        
+        const key = isValid ? this.getDropZoneKey(targetInfo) : '';
+        if (key === preview.key) return;
+        preview.key = key;
+        
+        const rects = this.captureItemRects();
+        let itemKeys = [];
+        if (isValid) {
+            // Previewing must not use up IDs: the real drop gets the IDs shown in the preview
+            const counters = [this.widgetIdCounter, this.sectionIdCounter, this.filterGroupIdCounter, this.filterIdCounter];
+            this.sections = JSON.parse(JSON.stringify(preview.sections));
+            itemKeys = this.applyDrop(targetInfo, { preview: true });
+            [this.widgetIdCounter, this.sectionIdCounter, this.filterGroupIdCounter, this.filterIdCounter] = counters;
+        } else {
+            this.sections = preview.sections;
+        }
+        
+        this.render();
+        this.gridCanvas.querySelectorAll('.drop-preview').forEach(element => element.classList.remove('drop-preview'));
+        itemKeys.forEach(itemKey => {
+            const element = this.getItemElement(itemKey);
+            if (element) {
+                element.classList.add('drop-preview');
+            }
+        });
+        this.animateItemMoves(rects);
+    }
+    
+    /**
+     * Stop the layout preview and put the committed model back
+     * @param {boolean} [restoreLayout=true] - Render the committed layout again,
+     *                                          animating the items back into place
+     */
+    clearDropPreview(restoreLayout = true) {
+        const preview = this.dropPreview;
+        if (!preview) return;
+        
+        this.dropPreview = null;
+        this.sections = preview.sections;
+        this.gridCanvas.querySelectorAll('.drop-preview').forEach(element => element.classList.remove('drop-preview'));
+        
+        if (restoreLayout && preview.key) {
+            const rects = this.captureItemRects();
+            this.render();
+            this.animateItemMoves(rects);
+        }
+    }
+    
+    /**
+     * @param {object} zone - Drop zone
+     * @returns {string} Key identifying the drop position of a zone (zones can overlap)
+     */
+    getDropZoneKey(zone) {
+        return `${zone.type}:${zone.sectionId || ''}:${zone.position}`;
+    }
+    
+    /**
+     * @param {string} key - Item key: 'widget:ID' or 'section:ID' (see getKeyboardItemKey())
+     * @returns {HTMLElement|null} Rendered element of the widget or section
+     */
+    getItemElement(key) {
+        const separator = key.indexOf(':');
+        const id = key.slice(separator + 1);
+        const entry = key.slice(0, separator) === 'widget' ? this.widgetElements.get(id) : this.sectionElements.get(id);
+        return entry ? entry.element : null;
+    }
+    
+    /**
+     * Measure every widget and section before a layout change (see animateItemMoves())
+     * @returns {Map} Element → DOMRect
+     */
+    captureItemRects() {
+        const rects = new Map();
+        this.getKeyboardItems().forEach(element => rects.set(element, element.getBoundingClientRect()));
+        return rects;
+    }
+    
+    /**
+     * Animate widgets and sections from their measured position into their new one (FLIP)
+     * A widget moves relative to its section, which animates on its own
+     * @param {Map} rects - Positions before the layout change (see captureItemRects())
+     */
+    animateItemMoves(rects) {
+        const offsets = new Map();
+        this.getKeyboardItems().forEach(element => {
+            const before = rects.get(element);
+            if (!before) return;
+            
+            const after = element.getBoundingClientRect();
+            let dx = before.left - after.left;
+            let dy = before.top - after.top;
+            offsets.set(element, { dx, dy });
+            
+            const parent = element.parentElement && element.parentElement.closest('[data-section-id]');
+            const parentOffset = parent && offsets.get(parent);
+            if (parentOffset) {
+                dx -= parentOffset.dx;
+                dy -= parentOffset.dy;
+            }
+            
+            if ((Math.abs(dx) >= 1 || Math.abs(dy) >= 1) && typeof element.animate === 'function') {
+                element.animate([
+                    { transform: `translate(${dx}px, ${dy}px)` },
+                    { transform: 'none' }
+                ], { duration: DROP_PREVIEW_ANIMATION_MS, easing: 'ease-out' });
+            }
+        });
+    }
+    
+    /**
+     * Validate if a widget can fit in a section without creating a new row
+     * Used for drag-and-drop validation to show red/blue dropzones
+     * The section is laid out as it is rendered: with the overrides of the breakpoint applied,
+     * so hidden widgets take no room and forced spans count
+     * @param {string|object|array} widgetType - Type of widget to add (registered type or FILTER),
+     *                                            the widget being moved or the widgets moved together
+     * @param {string} sectionId - ID of target section
+     * @param {object} [breakpoint] - Breakpoint to check at (default: the rendered one)
+     * @returns {object} { ok, code, message, suggestions }
+     *   ok: True if widget fits in existing rows, false if new row needed
+     *   code: 'fits', 'filter-container' (filter containers only go between sections) or 'new-row'
+     *   message: Why the widget does not fit ('' when it fits)
+     *   suggestions: Other places or sizes that would work
+     */
+    canWidgetFitInSection(widgetType, sectionId, breakpoint = this.renderedBreakpoint || this.getBreakpoint(this.gridCanvas.offsetWidth)) {
+        const fits = { ok: true, code: 'fits', message: '', suggestions: [] };
+        
+        if (widgetType === 'FILTER') {
+            return {
+                ok: false,
+                code: 'filter-container',
+                message: 'A filter container cannot be placed inside a section',
+                suggestions: ['Drop between sections to add it as a new section']
+            };
+        }
+        
+        const section = this.sections.find(s => s.id === sectionId);
+        if (!section || section.type !== 'widget') return fits;
+        
+        if (section.widgets.length === 0) return fits;
+        
+        const colCount = breakpoint.columns;
+        const layoutRows = (widgets) => {
+            const { visible } = this.applyBreakpointOverrides(section, widgets, breakpoint);
+            return this.packRows(this.transformRowBlocks(visible, breakpoint), colCount);
+        };
+        
+        try {
+            const rowsBefore = layoutRows(section.widgets);
+            const rowCountBefore = rowsBefore.length;
+            
+            const movedWidgets = typeof widgetType === 'string'
+                ? [this.createWidget('temp', widgetType)]
+                : [].concat(widgetType);
+            // A widget moved within its own section is not added a second time
+            const movedIds = new Set(movedWidgets.map(w => w.id));
+            const otherWidgets = section.widgets.filter(w => !movedIds.has(w.id));
+            const testWidgets = [...otherWidgets, ...movedWidgets];
+            
+            const rowCountAfter = layoutRows(testWidgets).length;
+            
+            // A section whose widgets are all hidden at this breakpoint has no row to fill yet
+            if (rowCountAfter === rowCountBefore || rowCountBefore === 0) return fits;
+            
+            const rowsWithout = otherWidgets.length === section.widgets.length
+                ? rowsBefore
+                : layoutRows(otherWidgets);
+            const { visible: shownWidgets } = this.applyBreakpointOverrides(section, movedWidgets, breakpoint);
+            return this.describeNewRow(shownWidgets, rowsWithout, colCount, otherWidgets.length < section.widgets.length);
+        } catch (e) {
+            this.logger.error('Error in canWidgetFitInSection:', e);
+            return fits;
+        }
+    }
+    
+    /**
+     * Explain why widgets do not fit the last row of a section (see canWidgetFitInSection())
+     * @param {array} widgets - Widgets being added or moved
+     * @param {array} rows - Rows of the section without the widget (from packRows)
+     * @param {number} colCount - Total number of columns
+     * @param {boolean} isMove - True if one of the widgets already is in the section
+     * @returns {object} { ok: false, code: 'new-row', message, suggestions }
+     */
+    describeNewRow(widgets, rows, colCount, isMove) {
+        const lastRow = rows[rows.length - 1];
+        const used = lastRow
+            ? Math.min(colCount, lastRow.cells.reduce((sum, cell) => sum + this.itemSpan(cell.item, colCount), 0))
+            : 0;
+        const free = colCount - used;
+        const span = widgets.reduce((sum, widget) => sum + this.effectiveSpan(widget, colCount), 0);
+        const name = widgets.length === 1
+            ? `${this.getWidgetConfig(widgets[0].size).displayName} (${span} col)`
+            : `${widgets.length} widgets (${span} col)`;
+        
+        let message = `${isMove ? 'Moving' : 'Adding'} ${name} here would create a new row; ` +
+            `section has ${used}/${colCount} columns used in last row`;
+        if (lastRow && lastRow.cells.some(cell => this.isRowBlock(cell.item))) {
+            message += ' (a RowBlock: one large widget with a rail of small ones)';
+        }
+        
+        const suggestions = ['Drop between sections to create a new one'];
+        if (widgets.length === 1 && free > 0 && free < span) {
+            suggestions.push(`Widgets up to ${free} column${free === 1 ? '' : 's'} wide fit in the last row`);
+        }
+        if (this.sections.some(s => s.type === 'filter-group')) {
+            suggestions.push('Drop into a filter container, which adds rows as needed');
+        }
+        
+        return { ok: false, code: 'new-row', message, suggestions };
+    }
+    
+    /**
+     * Compute the drop zones of the rendered dashboard (pointer and keyboard moves use the same zones)
+     * Creates dropzones for:
+     * - within-section: Between/before/after widgets in a section
+     * - within-filter-group: Inside filter containers
+     * - between-sections: Between sections
+     * @returns {array} Drop zones { type, sectionId, position, top, bottom, left, right, isRailDropZone }
+     */
+    collectDropZones() {
+        const canvasRect = this.gridCanvas.getBoundingClientRect();
+        const sectionElements = this.gridCanvas.querySelectorAll('[data-section-id]');
+        const dropZones = [];
+        
+        sectionElements.forEach((sectionEl, idx) => {
+            const sectionId = sectionEl.dataset.sectionId;
+            const rect = sectionEl.getBoundingClientRect();
+            
+            const section = this.sections.find(s => s.id === sectionId);
+            if (!section) return;
+            
+            if (section.type === 'filter-group') {
+                const filterGroupEl = sectionEl.querySelector('.filter-group');
+                if (filterGroupEl) {
+                    const filterGroupRect = filterGroupEl.getBoundingClientRect();
+                    const filterWidgets = filterGroupEl.querySelectorAll('.filter-group-widget');
+                    
+                    if (filterWidgets.length === 0) {
+                        dropZones.push({
+                            type: 'within-filter-group',
+                            sectionId: sectionId,
+                            position: 0,
+                            top: filterGroupRect.top,
+                            bottom: filterGroupRect.bottom,
+                            left: filterGroupRect.left,
+                            right: filterGroupRect.right
+                        });
+                    } else {
+                        filterWidgets.forEach((widgetEl, widgetIdx) => {
+                            const widgetRect = widgetEl.getBoundingClientRect();
+                            const widgetId = widgetEl.dataset.widgetId;
+                            
+                            dropZones.push({
+                                type: 'within-filter-group',
+                                sectionId: sectionId,
+                                widgetId: widgetId,
+                                position: widgetIdx,
+                                top: widgetRect.top - 6,
+                                bottom: widgetRect.bottom + 6,
+                                left: widgetRect.left - 6,
+                                right: widgetRect.right + 6
+                            });
+                            
+                            dropZones.push({
+                                type: 'within-filter-group',
+                                sectionId: sectionId,
+                                position: widgetIdx + 1,
+                                top: widgetRect.top - 6,
+                                bottom: widgetRect.bottom + 6,
+                                left: widgetRect.right - 6,
+                                right: widgetRect.right + 20
+                            });
+                        });
+                    }
+                }
+                
+                dropZones.push({
+                    type: 'between-sections',
+                    position: idx,
+                    top: rect.top - 15,
+                    bottom: rect.top,
+                    left: rect.left,
+                    right: rect.right
+                });
+                
+                dropZones.push({
+                    type: 'between-sections',
+                    position: idx + 1,
+                    top: rect.bottom,
+                    bottom: rect.bottom + 15,
+                    left: rect.left,
+                    right: rect.right
+                });
+                
+                return;
+            }
+            
+            if (section.collapsed) {
+                // Widgets of a collapsed section are hidden: dropping on it appends to the section
+                dropZones.push({
+                    type: 'within-section',
+                    sectionId: sectionId,
+                    position: section.widgets.length,
+                    top: rect.top,
+                    bottom: rect.bottom,
+                    left: rect.left,
+                    right: rect.right
+                });
+                
+                if (idx === 0) {
+                    dropZones.push({
+                        type: 'between-sections',
+                        position: 0,
+                        top: rect.top - 60,
+                        bottom: rect.top + 5,
+                        left: rect.left,
+                        right: rect.right
+                    });
+                }
+                
+                dropZones.push({
+                    type: 'between-sections',
+                    position: idx + 1,
+                    top: rect.bottom - 5,
+                    bottom: rect.bottom + 60,
+                    left: rect.left,
+                    right: rect.right
+                });
+                
+                return;
+            }
+            
+            const widgetIdToIndex = new Map();
+            section.widgets.forEach((widget, index) => {
+                widgetIdToIndex.set(widget.id, index);
+            });
+            
+            const railElements = sectionEl.querySelectorAll('.rowblock-rail');
+            railElements.forEach(railEl => {
+                const railRect = railEl.getBoundingClientRect();
+                const railWidgets = railEl.querySelectorAll('[data-widget-id]');
+                
+                if (railWidgets.length === 0) {
+                    dropZones.push({
+                        type: 'within-section',
+                        sectionId: sectionId,
+                        position: 0,
+                        top: railRect.top,
+                        bottom: railRect.bottom,
+                        left: railRect.left,
+                        right: railRect.right,
+                        isRailDropZone: true
+                    });
+                } else {
+                    railWidgets.forEach((widgetEl, railIdx) => {
+                        const widgetRect = widgetEl.getBoundingClientRect();
+                        const widgetId = widgetEl.dataset.widgetId;
+                        const actualIndex = widgetIdToIndex.get(widgetId);
+                        
+                        if (actualIndex !== undefined) {
+                            if (railIdx === 0) {
+                                dropZones.push({
+                                    type: 'within-section',
+                                    sectionId: sectionId,
+                                    position: actualIndex,
+                                    top: railRect.top,
+                                    bottom: widgetRect.top + (widgetRect.height / 2),
+                                    left: railRect.left,
+                                    right: railRect.right,
+                                    isRailDropZone: true
+                                });
+                            }
+                            
+                            dropZones.push({
+                                type: 'within-section',
+                                sectionId: sectionId,
+                                position: actualIndex + 1,
+                                top: widgetRect.top + (widgetRect.height / 2),
+                                bottom: railIdx === railWidgets.length - 1 ? railRect.bottom : widgetRect.bottom + 6,
+                                left: railRect.left,
+                                right: railRect.right,
+                                isRailDropZone: true
+                            });
+                        }
+                    });
+                }
+            });
+            
+            const widgetElements = sectionEl.querySelectorAll('[data-widget-id]');
+            const positions = [];
+            
+            widgetElements.forEach(widgetEl => {
+                if (widgetEl.classList.contains('dragging')) return;
+                if (widgetEl.closest('.rowblock-rail')) return;
+                
+                const widgetRect = widgetEl.getBoundingClientRect();
+                const widgetId = widgetEl.dataset.widgetId;
+                
+                const actualIndex = widgetIdToIndex.get(widgetId);
+                if (actualIndex === undefined) return;
+                
+                positions.push({
+                    id: widgetId,
+                    rect: widgetRect,
+                    actualIndex: actualIndex
+                });
+            });
+            
+            positions.sort((a, b) => {
+                if (Math.abs(a.rect.top - b.rect.top) < 10) {
+                    return a.rect.left - b.rect.left;
+                }
+                return a.rect.top - b.rect.top;
+            });
+            
+            for (let j = 0; j < positions.length; j++) {
+                const pos = positions[j];
+                
+                if (j === 0) {
+                    dropZones.push({
+                        type: 'within-section',
+                        sectionId: sectionId,
+                        position: pos.actualIndex,
+                        top: pos.rect.top - 10,
+                        bottom: pos.rect.bottom + 10,
+                        left: pos.rect.left - 15,
+                        right: pos.rect.left + 15
+                    });
+                }
+                
+                dropZones.push({
+                    type: 'within-section',
+                    sectionId: sectionId,
+                    position: pos.actualIndex + 1,
+                    top: pos.rect.top - 10,
+                    bottom: pos.rect.bottom + 10,
+                    left: pos.rect.right - 15,
+                    right: pos.rect.right + 15
+                });
+            }
+            
+            if (positions.length === 0) {
+                dropZones.push({
+                    type: 'within-section',
+                    sectionId: sectionId,
+                    position: 0,
+                    top: rect.top,
+                    bottom: rect.bottom,
+                    left: rect.left,
+                    right: rect.right
+                });
+            }
+            
+            if (idx === 0) {
+                dropZones.push({
+                    type: 'between-sections',
+                    position: 0,
+                    top: rect.top - 60,
+                    bottom: rect.top + 5,
+                    left: rect.left,
+                    right: rect.right
+                });
+            }
+            
+            dropZones.push({
+                type: 'between-sections',
+                position: idx + 1,
+                top: rect.bottom - 5,
+                bottom: rect.bottom + 60,
+                left: rect.left,
+                right: rect.right
+            });
+        });
+        
+        if (sectionElements.length === 0) {
+            dropZones.push({
+                type: 'between-sections',
+                position: 0,
+                top: canvasRect.top + 20,
+                bottom: canvasRect.top + 100,
+                left: canvasRect.left + 20,
+                right: canvasRect.right - 20
+            });
+        }
+        
+        return dropZones;
+    }
+    
+    /**
+     * Mark the drop zones where the dragged widget does not fit (red) with isInvalid,
+     * and give them the reason (see canWidgetFitInSection())
+     * Sections are checked as rendered, with the overrides of the current breakpoint applied
+     * @param {array} dropZones - Drop zones (see collectDropZones())
+     * @returns {array} The same drop zones
+     */
+    validateDropZones(dropZones) {
+        const widget = this.isDraggingFromPanel ? this.draggedWidgetType : (this.draggedWidgets || this.draggedWidget);
+        if (!widget) return dropZones;
+        
+        const breakpoint = this.renderedBreakpoint || this.getBreakpoint(this.gridCanvas.offsetWidth);
+        for (let zone of dropZones) {
+            if (zone.type === 'within-section' || zone.type === 'within-filter-group') {
+                const fit = this.canWidgetFitInSection(widget, zone.sectionId, breakpoint);
+                zone.isInvalid = !fit.ok;
+                zone.reason = fit.ok ? null : fit;
+            }
+        }
+        
+        return dropZones;
+    }
+    
+    /**
+     * Calculate drop target based on cursor position
+     * Validates dropzones and marks invalid ones (red) when widget doesn't fit
+     * While a drag preview is shown, the zones measured when the drag started are used,
+     * following the canvas scroll since then
+     * @param {number} x - Cursor X position
+     * @param {number} y - Cursor Y position
+     * @returns {object|null} Drop target info or null
+     */
+    getDropTarget(x, y) {
+        const canvasRect = this.gridCanvas.getBoundingClientRect();
+        if (x < canvasRect.left || x > canvasRect.right || 
+            y < canvasRect.top || y > canvasRect.bottom) {
+            return null;
+        }
+        
+        let dropZones;
+        if (this.dropPreview) {
+            const scrolled = this.drag.scrollContainer.scrollTop - this.dropPreview.scrollTop;
+            dropZones = this.dropPreview.zones.map(zone => ({
+                ...zone,
+                top: zone.top - scrolled,
+                bottom: zone.bottom - scrolled
+            }));
+        } else {
+            dropZones = this.validateDropZones(this.collectDropZones());
+        }
+        
+        const validZones = dropZones.filter(zone => !zone.isInvalid);
+        const invalidZones = dropZones.filter(zone => zone.isInvalid);
+        
+        for (let zone of validZones) {
+            if (x >= zone.left && x <= zone.right && 
+                y >= zone.top && y <= zone.bottom) {
+                return zone;
+            }
+        }
+        
+        for (let zone of invalidZones) {
+            if (x >= zone.left && x <= zone.right && 
+                y >= zone.top && y <= zone.bottom) {
+                return zone;
+            }
+        }
+        
+        return null;
+    }
+    
+    getWidgetConfig(size) {
+        switch (size) {
+            case 'XS':
+                return {
+                    minColSpan: 1,
+                    minHeightRem: this.TOKENS.minHeightsRem.XS,
+                    heightMode: 'stretchRow',
+                    displayName: 'XS'
+                };
+            case 'S':
+                return {
+                    minColSpan: 1,
+                    minHeightRem: this.TOKENS.minHeightsRem.S,
+                    heightMode: 'stretchRow',
+                    displayName: 'S'
+                };
+            case 'M':
+                return {
+                    minColSpan: 2,
+                    minHeightRem: this.TOKENS.minHeightsRem.M,
+                    heightMode: 'stretchRow',
+                    displayName: 'M'
+                };
+            case 'L':
+                return {
+                    minColSpan: 3,
+                    minHeightRem: this.TOKENS.minHeightsRem.L,
+                    heightMode: 'stretchRow',
+                    displayName: 'L'
+                };
+            case 'XL_row':
+                return {
+                    minColSpan: 4,
+                    minHeightRem: this.TOKENS.minHeightsRem.XL,
+                    heightMode: 'stretchRow',
+                    displayName: 'XL (Row)'
+                };
+            case 'XL_fill':
+                return {
+                    minColSpan: 4,
+                    minHeightRem: this.TOKENS.minHeightsRem.XL,
+                    heightMode: 'fillViewport',
+                    displayName: 'XL (Fill)'
+                };
+            default:
+                return {
+                    minColSpan: 1,
+                    minHeightRem: this.TOKENS.minHeightsRem.XS,
+                    heightMode: 'stretchRow',
+                    displayName: 'XS'
+                };
+        }
+    }
+    
+    /**
+     * Handle drop of a widget from the panel
+     * Creates new widget or filter container and adds to target location
+     * @param {object} targetInfo - Drop target information
+     * @param {string} widgetType - Type of widget being dropped (registered type or FILTER)
+     * @param {object} [options]
+     * @param {boolean} [options.preview=false] - Only change the model, without a history
+     *                                            checkpoint or render (used by the drag preview)
+     * @returns {string} Key of the new widget or filter container ('widget:ID' or 'section:ID')
+     * @throws {Error} In view mode
+     */
+    handleDropFromPanel(targetInfo, widgetType, { preview = false } = {}) {
+        this.assertEditable('add a widget');
+        if (widgetType === 'FILTER') {
+            const filterGroup = this.createFilterGroup('Filter Container');
+            const newSection = {
+                id: this.newSectionId(),
+                type: 'filter-group',
+                group: filterGroup
+            };
+            
+            if (targetInfo.type === 'between-sections') {
+                this.sections.splice(targetInfo.position, 0, newSection);
+            } else {
+                this.sections.push(newSection);
+            }
+            
+            if (!preview) {
+                this.commit('Add filter container');
+            }
+            return `section:${newSection.id}`;
+        }
+        
+        const widget = this.createWidget(this.newWidgetId(), widgetType);
+        
+        if (targetInfo.type === 'within-section') {
+            const section = this.sections.find(s => s.id === targetInfo.sectionId);
+            if (section) {
+                section.widgets.splice(targetInfo.position, 0, widget);
+            }
+        } else if (targetInfo.type === 'within-filter-group') {
+            const section = this.sections.find(s => s.id === targetInfo.sectionId);
+            if (section && section.type === 'filter-group') {
+                section.group.widgets.splice(targetInfo.position, 0, widget);
+            }
+        } else if (targetInfo.type === 'between-sections') {
+            const newSection = {
+                id: this.newSectionId(),
+                type: 'widget',
+                title: 'New Section',
+                widgets: [widget]
+            };
+            this.sections.splice(targetInfo.position, 0, newSection);
+        }
+        
+        if (!preview) {
+            this.commit('Add widget');
+        }
+        return `widget:${widget.id}`;
+    }
+    
+    /**
+     * Move the dragged widget to a drop target
+     * @param {object} targetInfo - Drop target information
+     * @param {object} [options]
+     * @param {boolean} [options.preview=false] - Only change the model (see handleDropFromPanel())
+     * @throws {Error} In view mode
+     */
+    handleMoveWidget(targetInfo, { preview = false } = {}) {
+        this.assertEditable('move a widget');
+        const widget = this.draggedWidget;
+        
+        let sourceSection = this.sections.find(s => 
+            s.type === 'widget' && s.widgets.some(w => w.id === widget.id)
+        );
+        
+        if (!sourceSection) {
+            sourceSection = this.sections.find(s => 
+                s.type === 'filter-group' && s.group.widgets.some(w => w.id === widget.id)
+            );
+        }
+        
+        if (!sourceSection) return;
+        
+        if (targetInfo.type === 'within-section') {
+            const targetSection = this.sections.find(s => s.id === targetInfo.sectionId);
+            if (!targetSection || targetSection.type !== 'widget') return;
+            
+            if (sourceSection.type === 'widget') {
+                if (sourceSection.id === targetSection.id) {
+                    const currentIndex = sourceSection.widgets.findIndex(w => w.id === widget.id);
+                    let newPosition = targetInfo.position;
+                    
+                    if (newPosition > currentIndex) {
+                        newPosition--;
+                    }
+                    
+                    if (currentIndex !== newPosition) {
+                        sourceSection.widgets.splice(currentIndex, 1);
+                        sourceSection.widgets.splice(newPosition, 0, widget);
+                    }
+                } else {
+                    const currentIndex = sourceSection.widgets.findIndex(w => w.id === widget.id);
+                    sourceSection.widgets.splice(currentIndex, 1);
+                    targetSection.widgets.splice(targetInfo.position, 0, widget);
+                    
+                    if (sourceSection.widgets.length === 0) {
+                        this.sections = this.sections.filter(s => s.id !== sourceSection.id);
+                    }
+                }
+            } else if (sourceSection.type === 'filter-group') {
+                const currentIndex = sourceSection.group.widgets.findIndex(w => w.id === widget.id);
+                sourceSection.group.widgets.splice(currentIndex, 1);
+                targetSection.widgets.splice(targetInfo.position, 0, widget);
+            }
+        } else if (targetInfo.type === 'within-filter-group') {
+            const targetSection = this.sections.find(s => s.id === targetInfo.sectionId);
+            if (!targetSection || targetSection.type !== 'filter-group') return;
+            
+            if (sourceSection.type === 'widget') {
+                const currentIndex = sourceSection.widgets.findIndex(w => w.id === widget.id);
+                sourceSection.widgets.splice(currentIndex, 1);
+                targetSection.group.widgets.splice(targetInfo.position, 0, widget);
+                
+                if (sourceSection.widgets.length === 0) {
+                    this.sections = this.sections.filter(s => s.id !== sourceSection.id);
+                }
+            } else if (sourceSection.type === 'filter-group') {
+                if (sourceSection.id === targetSection.id) {
+                    const currentIndex = sourceSection.group.widgets.findIndex(w => w.id === widget.id);
+                    let newPosition = targetInfo.position;
+                    
+                    if (newPosition > currentIndex) {
+                        newPosition--;
+                    }
+                    
+                    if (currentIndex !== newPosition) {
+                        sourceSection.group.widgets.splice(currentIndex, 1);
+                        sourceSection.group.widgets.splice(newPosition, 0, widget);
+                    }
+                } else {
+                    const currentIndex = sourceSection.group.widgets.findIndex(w => w.id === widget.id);
+                    sourceSection.group.widgets.splice(currentIndex, 1);
+                    targetSection.group.widgets.splice(targetInfo.position, 0, widget);
+                }
+            }
+        } else if (targetInfo.type === 'between-sections') {
+            if (sourceSection.type === 'widget') {
+                const currentIndex = sourceSection.widgets.findIndex(w => w.id === widget.id);
+                sourceSection.widgets.splice(currentIndex, 1);
+            } else if (sourceSection.type === 'filter-group') {
+                const currentIndex = sourceSection.group.widgets.findIndex(w => w.id === widget.id);
+                sourceSection.group.widgets.splice(currentIndex, 1);
+            }
+            
+            const newSection = {
+                id: this.newSectionId(),
+                type: 'widget',
+                title: 'New Section',
+                widgets: [widget]
+            };
+            
+            this.sections.splice(targetInfo.position, 0, newSection);
+            
+            if (sourceSection.type === 'widget' && sourceSection.widgets.length === 0) {
+                this.sections = this.sections.filter(s => s.id !== sourceSection.id);
+            }
+        }
+        
+        if (!preview) {
+            this.commit('Move widget');
+        }
+    }
+    
+    /**
+     * Move the dragged section to a between-sections drop target
+     * @param {object} targetInfo - Drop target information
+     * @param {object} [options]
+     * @param {boolean} [options.preview=false] - Only change the model (see handleDropFromPanel())
+     * @throws {Error} In view mode
+     */
+    handleMoveSection(targetInfo, { preview = false } = {}) {
+        this.assertEditable('move a section');
+        const section = this.draggedSection;
+        const currentIndex = this.sections.findIndex(s => s.id === section.id);
+        
+        let newPosition = targetInfo.position;
+        if (newPosition > currentIndex) {
+            newPosition--;
+        }
+        
+        if (currentIndex !== newPosition) {
+            this.sections.splice(currentIndex, 1);
+            this.sections.splice(newPosition, 0, section);
+        }
+        
+        if (!preview) {
+            this.commit('Move section');
+            if (currentIndex !== newPosition) {
+                this.events.emit('section:move', { sectionId: section.id, from: currentIndex, to: newPosition });
+            }
+        }
+    }
+    
+    /**
+     * Move the dragged selection (draggedWidgets) to a drop target, keeping its order
+     * @param {object} targetInfo - Drop target information
+     * @param {object} [options]
+     * @param {boolean} [options.preview=false] - Only change the model (see handleDropFromPanel())
+     * @throws {Error} In view mode
+     */
+    handleMoveWidgets(targetInfo, { preview = false } = {}) {
+        this.assertEditable('move widgets');
+        const ids = this.draggedWidgets.map(w => w.id);
+        
+        if (targetInfo.type === 'between-sections') {
+            // The position counts sections that may be removed when they are left empty
+            const following = this.sections.slice(targetInfo.position);
+            const { widgets } = this.detachWidgets(ids);
+            const next = following.find(section => this.sections.includes(section));
+            this.sections.splice(next ? this.sections.indexOf(next) : this.sections.length, 0, {
+                id: this.newSectionId(),
+                type: 'widget',
+                title: 'New Section',
+                widgets
+            });
+        } else {
+            const targetSection = this.sections.find(s => s.id === targetInfo.sectionId);
+            const targetType = targetInfo.type === 'within-filter-group' ? 'filter-group' : 'widget';
+            if (!targetSection || targetSection.type !== targetType) return;
+            
+            const targetWidgets = targetType === 'filter-group' ? targetSection.group.widgets : targetSection.widgets;
+            // The position counts the moved widgets that precede it in the target
+            const movedBefore = targetWidgets.slice(0, targetInfo.position).filter(w => ids.includes(w.id)).length;
+            const { widgets } = this.detachWidgets(ids, targetSection.id);
+            targetWidgets.splice(targetInfo.position - movedBefore, 0, ...widgets);
+        }
+        
+        if (!preview) {
+            this.commit(`Move ${ids.length} widgets`);
+        }
+    }
+    
+    /**
+     * Find a widget and the section that contains it
+     * @param {string} widgetId - ID of the widget
+     * @returns {object|null} { widget, section } or null if not found
+     */
+    findWidget(widgetId) {
+        for (const section of this.sections) {
+            const widgets = section.type === 'filter-group' ? section.group.widgets : section.widgets;
+            const widget = widgets.find(w => w.id === widgetId);
+            if (widget) {
+                return { widget, section };
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Find a filter group section by section ID
+     * @param {string} sectionId - ID of the section
+     * @returns {object|undefined} Filter group section
+     */
+    findFilterGroupSection(sectionId) {
+        return this.sections.find(s => s.id === sectionId && s.type === 'filter-group');
+    }
+    
+    deleteWidget(widgetId) {
+        this.deleteWidgets([widgetId]);
+    }
+    
+    /**
+     * Delete several widgets as one undo step
+     * @param {array} widgetIds - IDs of the widgets
+     * @throws {Error} In view mode
+     */
+    deleteWidgets(widgetIds) {
+        this.assertEditable('remove widgets');
+        const { widgets } = this.detachWidgets(widgetIds);
+        if (widgets.length === 0) return;
+        
+        this.commit(widgets.length === 1 ? 'Delete widget' : `Delete ${widgets.length} widgets`);
+    }
+    
+    moveWidgetToFilterContainer(widgetId) {
+        this.moveWidgetsToFilterContainer([widgetId]);
+    }
+    
+    /**
+     * Wrap widgets into one new filter container, keeping their order
+     * The container takes the place of the section of the first widget
+     * @param {array} widgetIds - IDs of the widgets
+     * @throws {Error} In view mode
+     */
+    moveWidgetsToFilterContainer(widgetIds) {
+        this.assertEditable('move widgets');
+        const { widgets, position } = this.detachWidgets(widgetIds);
+        if (widgets.length === 0) return;
+        
+        const filterGroup = this.createFilterGroup('Filter Container');
+        const filterContainer = {
+            id: this.newSectionId(),
+            type: 'filter-group',
+            group: filterGroup
+        };
+        
+        filterContainer.group.widgets.push(...widgets);
+        this.sections.splice(position, 0, filterContainer);
+        
+        this.commit(widgets.length === 1
+            ? 'Move widget to filter container'
+            : `Group ${widgets.length} widgets into filter container`);
+    }
+    
+    /**
+     * Move widgets to the end of a section or filter container, keeping their order
+     * @param {array} widgetIds - IDs of the widgets
+     * @param {string|null} sectionId - Target section; null creates a new section
+     *                                  where the section of the first widget is
+     * @throws {Error} In view mode
+     */
+    moveWidgetsToSection(widgetIds, sectionId) {
+        this.assertEditable('move widgets');
+        const target = sectionId ? this.sections.find(s => s.id === sectionId) : null;
+        if (sectionId && !target) return;
+        
+        const { widgets, position } = this.detachWidgets(widgetIds, sectionId);
+        if (widgets.length === 0) return;
+        
+        if (target) {
+            const targetWidgets = target.type === 'filter-group' ? target.group.widgets : target.widgets;
+            targetWidgets.push(...widgets);
+        } else {
+            this.sections.splice(position, 0, {
+                id: this.newSectionId(),
+                type: 'widget',
+                title: 'New Section',
+                widgets
+            });
+        }
+        
+        this.commit(widgets.length === 1 ? 'Move widget' : `Move ${widgets.length} widgets`);
+    }
+    
+    /**
+     * Take widgets out of their sections, removing widget sections left empty
+     * Changes the model only: callers put the widgets somewhere and commit
+     * @param {array} widgetIds - IDs of the widgets
+     * @param {string|null} [keepSectionId] - Section kept even when left empty (the move target)
+     * @returns {object} { widgets, position }: the widgets in dashboard order, and the section
+     *                   index where the section of the first widget is (or was)
+     */
+    detachWidgets(widgetIds, keepSectionId = null) {
+        const ids = new Set(widgetIds);
+        const detached = [];
+        const kept = [];
+        let position = -1;
+        
+        this.sections.forEach(section => {
+            const widgets = section.type === 'filter-group' ? section.group.widgets : section.widgets;
+            if (widgets.some(w => ids.has(w.id))) {
+                if (position === -1) {
+                    position = kept.length;
+                }
+                detached.push(...widgets.filter(w => ids.has(w.id)));
+                for (let i = widgets.length - 1; i >= 0; i--) {
+                    if (ids.has(widgets[i].id)) {
+                        widgets.splice(i, 1);
+                    }
+                }
+                if (section.type === 'widget' && widgets.length === 0 && section.id !== keepSectionId) {
+                    return;
+                }
+            }
+            kept.push(section);
+        });
+        
+        this.sections = kept;
+        return { widgets: detached, position: position === -1 ? kept.length : position };
+    }
+    
+    deleteSection(sectionId) {
+        this.assertEditable('remove a section');
+        this.sections = this.sections.filter(s => s.id !== sectionId);
+        this.commit('Delete section');
+    }
+    
+    /**
+     * Collapse or expand a widget section
+     * @param {string} sectionId - ID of the section
+     * @param {boolean} [collapsed] - New state; toggles when omitted
+     * @throws {Error} In view mode
+     */
+    setSectionCollapsed(sectionId, collapsed) {
+        this.assertEditable('collapse a section');
+        const section = this.sections.find(s => s.id === sectionId && s.type === 'widget');
+        if (!section) return;
+        
+        const next = collapsed === undefined ? !section.collapsed : Boolean(collapsed);
+        if (next) {
+            section.collapsed = true;
+        } else {
+            delete section.collapsed;
+        }
+        this.commit(next ? 'Collapse section' : 'Expand section');
+    }
+    
+    /**
+     * Move a section up or down by a number of positions
+     * @param {string} sectionId - ID of the section
+     * @param {number} delta - Positions to move (negative moves up)
+     */
+    moveSectionBy(sectionId, delta) {
+        const currentIndex = this.sections.findIndex(s => s.id === sectionId);
+        if (currentIndex === -1) return;
+        
+        this.moveSection(sectionId, currentIndex + delta);
+    }
+    
+    /**
+     * Replace a widget section with a filter container holding the same widgets
+     * @param {string} sectionId - ID of the widget section
+     * @throws {Error} In view mode
+     */
+    convertSectionToFilterContainer(sectionId) {
+        this.assertEditable('convert a section');
+        const index = this.sections.findIndex(s => s.id === sectionId && s.type === 'widget');
+        if (index === -1) return;
+        
+        const section = this.sections[index];
+        const filterGroup = this.createFilterGroup(section.title || 'Filter Container');
+        filterGroup.widgets.push(...section.widgets);
+        
+        this.sections.splice(index, 1, {
+            id: this.newSectionId(),
+            type: 'filter-group',
+            group: filterGroup
+        });
+        this.commit('Convert section to filter container');
+    }
+    
+    /**
+     * Scroll to a specific widget element with smooth animation
+     * @param {string} widgetId - ID of the widget to scroll to
+     */
+    scrollToWidget(widgetId) {
+        // Use setTimeout to ensure DOM is fully rendered
+        setTimeout(() => {
+            const widgetElement = this.gridCanvas.querySelector(`[data-widget-id="${widgetId}"]`);
+            if (widgetElement) {
+                widgetElement.scrollIntoView({ 
+                    behavior: 'smooth', 
+                    block: 'center',
+                    inline: 'nearest'
+                });
+                // Add a brief highlight effect
+                widgetElement.style.transition = 'box-shadow 0.3s ease';
+                widgetElement.style.boxShadow = '0 0 0 3px rgba(59, 130, 246, 0.5)';
+                setTimeout(() => {
+                    widgetElement.style.boxShadow = '';
+                }, 1000);
+            }
+        }, 100);
+    }
+    
+    /**
+     * Scroll to a specific section element with smooth animation
+     * @param {string} sectionId - ID of the section to scroll to
+     */
+    scrollToSection(sectionId) {
+        // Use setTimeout to ensure DOM is fully rendered
+        setTimeout(() => {
+            const sectionElement = this.gridCanvas.querySelector(`[data-section-id="${sectionId}"]`);
+            if (sectionElement) {
+                sectionElement.scrollIntoView({ 
+                    behavior: 'smooth', 
+                    block: 'center',
+                    inline: 'nearest'
+                });
+                // Add a brief highlight effect
+                sectionElement.style.transition = 'box-shadow 0.3s ease';
+                sectionElement.style.boxShadow = '0 0 0 3px rgba(59, 130, 246, 0.5)';
+                setTimeout(() => {
+                    sectionElement.style.boxShadow = '';
+                }, 1000);
+            }
+        }, 100);
+    }
+    
+    /**
+     * Main render method - reconciles the canvas with the sections model
+     * Steps:
+     * 1. Calculate layout for each section (packRows, transformRowBlocks)
+     * 2. Update the cached section/widget elements (keyed by data-section-id/data-widget-id),
+     *    creating elements only for new sections and widgets
+     * 3. Reorder the canvas children and drop elements whose model object is gone
+     * Reusing elements keeps event listeners, scroll position and contentEditable focus intact
+     */
+    render() {
+        this.layoutTrace.clear();
+        
+        const containerWidth = this.gridCanvas.clientWidth;
+        const breakpoint = this.getBreakpoint(containerWidth);
+        const colCount = breakpoint.columns;
+        this.renderedBreakpoint = breakpoint;
+        this.layoutTrace.record({
+            type: 'render',
+            containerWidth,
+            breakpoint: breakpoint.id,
+            colCount
+        });
+        
+        this.updateFillOffset();
+        this.gridCanvas.dataset.breakpoint = breakpoint.id;
+        this.gridCanvas.style.setProperty('--column-gap', `${breakpoint.columnGap}px`);
+        this.gridCanvas.style.setProperty('--row-gap', `${breakpoint.rowGap}px`);
+        
+        const liveSectionIds = new Set();
+        const liveWidgetIds = new Set();
+        const sectionLayouts = [];
+        
+        const sectionElements = this.sections.map(section => {
+            liveSectionIds.add(section.id);
+            
+            const entry = this.getSectionEntry(section);
+            const layout = this.layoutSection(section, containerWidth);
+            sectionLayouts.push({ section, layout });
+            
+            if (layout.type === 'widget') {
+                this.renderWidgetSection(entry, section, layout, liveWidgetIds);
+            } else if (layout.type === 'filter-group') {
+                this.renderFilterGroupSection(entry, section, layout, liveWidgetIds);
+            }
+            
+            return entry.element;
+        });
+        if (this.sections.length === 0 && !this.isViewMode()) {
+            sectionElements.push(this.getEmptyDashboardElement());
+        }
+        
+        reconcileChildren(this.gridCanvas, sectionElements);
+        
+        for (const sectionId of this.sectionElements.keys()) {
+            if (!liveSectionIds.has(sectionId)) {
+                this.sectionElements.delete(sectionId);
+            }
+        }
+        for (const [widgetId, widgetEntry] of this.widgetElements) {
+            if (!liveWidgetIds.has(widgetId)) {
+                this.destroyWidgetContent(widgetEntry);
+                this.widgetElements.delete(widgetId);
+                this.widgetData.delete(widgetId);
+            }
+        }
+        const deselected = Array.from(this.selectedWidgetIds).filter(widgetId => !liveWidgetIds.has(widgetId));
+        if (deselected.length > 0) {
+            deselected.forEach(widgetId => this.selectedWidgetIds.delete(widgetId));
+            this.updateSelection();
+        }
+        this.syncRefreshTimers(liveWidgetIds);
+        this.updateKeyboardItems();
+        this.updateBreakpointSwitcher();
+        this.updateViewportToolbar();
+        
+        this.renderedColCount = colCount;
+        this.emitLayoutComputed(breakpoint, containerWidth, sectionLayouts);
+    }
+    
+    /**
+     * Publish the layout of a render as plain data
+     * Emits 'layout:computed' ({ breakpointId, colCount, containerWidth, preview, sections }); each section is
+     * { sectionId, type, hiddenWidgetIds, rows } and each row a list of cells, { widgetId, span } or
+     * { rowBlock: { mainId, railIds }, span }. preview is true while a drag or resize shows an uncommitted layout
+     * @param {object} breakpoint - Breakpoint of the render
+     * @param {number} containerWidth - Canvas width in pixels
+     * @param {array} sectionLayouts - { section, layout } per section (see layoutSection())
+     */
+    emitLayoutComputed(breakpoint, containerWidth, sectionLayouts) {
+        const sections = sectionLayouts.map(({ section, layout }) => ({
+            sectionId: section.id,
+            type: section.type,
+            hiddenWidgetIds: layout.hiddenWidgets.map(widget => widget.id),
+            rows: layout.rows.map(row => row.cells.map(cell => this.isRowBlock(cell.item)
+                ? { rowBlock: { mainId: cell.item.main.id, railIds: cell.item.rail.map(w => w.id) }, span: cell.span }
+                : { widgetId: cell.item.id, span: cell.span }))
+        }));
+        
+        this.events.emit('layout:computed', {
+            breakpointId: breakpoint.id,
+            colCount: breakpoint.columns,
+            containerWidth,
+            preview: Boolean(this.dropPreview || this.widgetResize),
+            sections
+        });
+    }
+    
+    /**
+     * Keep the fillViewport height offset in sync with the canvas position
+     */
+    updateFillOffset() {
+        const top = this.gridCanvas.getBoundingClientRect().top;
+        const offset = Math.round(top + 20);
+        this.gridCanvas.style.setProperty('--fill-offset', offset + 'px');
+    }
+    
+    /**
+     * Get the cached element for a section, creating it on first render
+     * @param {object} section - Section object
+     * @returns {object} Cache entry { element, type, rows, rowBlocks, ... }
+     */
+    getSectionEntry(section) {
+        let entry = this.sectionElements.get(section.id);
+        if (entry && entry.type === section.type) return entry;
+        
+        const sectionElement = document.createElement('div');
+        sectionElement.className = 'section';
+        sectionElement.dataset.sectionId = section.id;
+        
+        this.setupSectionDragHandlers(sectionElement, section.id);
+        
+        entry = {
+            element: sectionElement,
+            type: section.type,
+            rows: [],               // Row elements, reused by index
+            rowBlocks: new Map()    // RowBlock elements keyed by RowBlock ID
+        };
+        
+        if (section.type === 'filter-group') {
+            this.createFilterGroupSectionElements(entry, section);
+        } else {
+            this.createWidgetSectionElements(entry, section);
+        }
+        this.removeEditControls(sectionElement);
+        
+        this.sectionElements.set(section.id, entry);
+        return entry;
+    }
+    
+    /**
+     * Get the CSS width of a cell spanning several columns
+     * Expressed relative to the row so widths follow the container without re-rendering
+     * @param {number} span - Column span
+     * @param {object} breakpoint - Breakpoint the row is laid out with (columns and column gap)
+     * @returns {string} CSS width value
+     */
+    getSpanWidth(span, breakpoint) {
+        const { columns, columnGap } = breakpoint;
+        return `calc((100% - ${(columns - 1) * columnGap}px) * ${span / columns} + ${(span - 1) * columnGap}px)`;
+    }
+    
+    /**
+     * Render the rows of a section (or filter group) into reusable row elements
+     * @param {object} entry - Section cache entry
+     * @param {array} rows - Rows from packRows
+     * @param {object} breakpoint - Breakpoint the rows were laid out with
+     * @param {boolean} inFilterContainer - True if the rows belong to a filter container
+     * @param {Set} liveWidgetIds - Collects the IDs of rendered widgets
+     * @returns {array} Row elements in order
+     */
+    renderRows(entry, rows, breakpoint, inFilterContainer, liveWidgetIds) {
+        const liveRowBlockIds = new Set();
+        
+        const rowElements = rows.map((row, rowIndex) => {
+            let rowElement = entry.rows[rowIndex];
+            if (!rowElement) {
+                rowElement = document.createElement('div');
+                rowElement.className = 'row';
+                entry.rows[rowIndex] = rowElement;
+            }
+            
+            const distributeEqually = row.cells.some(cell => cell.distributeEqually);
+            rowElement.classList.toggle('distribute-equally', distributeEqually);
+            
+            let maxHeight = 0;
+            row.cells.forEach(cell => {
+                if (this.isRowBlock(cell.item)) {
+                    maxHeight = Math.max(maxHeight, cell.item.main.minHeightRem);
+                } else {
+                    maxHeight = Math.max(maxHeight, cell.item.minHeightRem);
+                }
+            });
+            
+            if (this.debug) {
+                this.logger.debug(`Row ${rowIndex}: min height ${maxHeight} rem (${maxHeight * 16}px)`);
+            }
+            rowElement.style.minHeight = `${maxHeight * 16}px`;
+            
+            const cellElements = row.cells.map(cell => {
+                if (this.isRowBlock(cell.item)) {
+                    liveRowBlockIds.add(cell.item.id);
+                    return this.renderRowBlock(entry, cell.item, breakpoint, liveWidgetIds);
+                }
+                liveWidgetIds.add(cell.item.id);
+                return this.renderWidget(cell.item, cell.span, breakpoint, false, distributeEqually, inFilterContainer);
+            });
+            
+            reconcileChildren(rowElement, cellElements);
+            return rowElement;
+        });
+        
+        entry.rows.length = rows.length;
+        for (const rowBlockId of entry.rowBlocks.keys()) {
+            if (!liveRowBlockIds.has(rowBlockId)) {
+                entry.rowBlocks.delete(rowBlockId);
+            }
+        }
+        
+        return rowElements;
+    }
+    
+    /**
+     * Create the header (drag handle, collapse toggle, title, actions) and body of a widget section
+     * @param {object} entry - Section cache entry to fill
+     * @param {object} section - Widget section
+     */
+    createWidgetSectionElements(entry, section) {
+        const sectionElement = entry.element;
+        sectionElement.classList.add('widget-section');
+        
+        const headerElement = document.createElement('div');
+        headerElement.className = 'section-header';
+        headerElement.innerHTML = `
+            <span class="section-drag-handle" title="Drag to move section">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                    <circle cx="9" cy="6" r="1.5"/><circle cx="15" cy="6" r="1.5"/>
+                    <circle cx="9" cy="12" r="1.5"/><circle cx="15" cy="12" r="1.5"/>
+                    <circle cx="9" cy="18" r="1.5"/><circle cx="15" cy="18" r="1.5"/>
+                </svg>
+            </span>
+            <button class="section-collapse-btn" title="Collapse section">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polyline points="6 9 12 15 18 9"/>
+                </svg>
+            </button>
+            <div class="section-title" data-placeholder="Section title"></div>
+            <span class="section-summary"></span>
+            <div class="section-actions">
+                <button class="section-action-btn section-menu-btn" title="Section actions">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                        <circle cx="5" cy="12" r="1.5"/><circle cx="12" cy="12" r="1.5"/><circle cx="19" cy="12" r="1.5"/>
+                    </svg>
+                </button>
+                <button class="section-action-btn section-delete-btn" title="Delete section">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2M10 11v6M14 11v6"/>
+                    </svg>
+                </button>
+            </div>
+        `;
+        
+        const titleElement = headerElement.querySelector('.section-title');
+        titleElement.contentEditable = !this.isViewMode();
+        titleElement.addEventListener('blur', (e) => {
+            const target = this.sections.find(s => s.id === section.id);
+            if (!target) return;
+            
+            const newTitle = e.target.textContent.trim() || 'New Section';
+            e.target.textContent = newTitle;
+            if (target.title !== newTitle) {
+                target.title = newTitle;
+                this.recordChange('Rename section');
+            }
+        });
+        titleElement.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                titleElement.blur();
+            }
+        });
+        titleElement.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+        });
+        
+        const collapseBtn = headerElement.querySelector('.section-collapse-btn');
+        collapseBtn.addEventListener('click', () => {
+            this.setSectionCollapsed(section.id);
+        });
+        
+        const menuBtn = headerElement.querySelector('.section-menu-btn');
+        menuBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.openSectionMenu(section.id, menuBtn);
+        });
+        
+        const deleteBtn = headerElement.querySelector('.section-delete-btn');
+        deleteBtn.addEventListener('click', () => {
+            this.deleteSection(section.id);
+        });
+        
+        const bodyElement = document.createElement('div');
+        bodyElement.className = 'section-body';
+        
+        sectionElement.appendChild(headerElement);
+        sectionElement.appendChild(bodyElement);
+        
+        Object.assign(entry, {
+            headerElement,
+            titleElement,
+            collapseButton: collapseBtn,
+            summaryElement: headerElement.querySelector('.section-summary'),
+            bodyElement
+        });
+    }
+    
+    renderWidgetSection(entry, section, layout, liveWidgetIds) {
+        const title = section.title || 'New Section';
+        if (document.activeElement !== entry.titleElement && entry.titleElement.textContent !== title) {
+            entry.titleElement.textContent = title;
+        }
+        
+        const collapsed = Boolean(section.collapsed);
+        entry.element.classList.toggle('collapsed', collapsed);
+        entry.collapseButton.title = collapsed ? 'Expand section' : 'Collapse section';
+        entry.collapseButton.setAttribute('aria-expanded', String(!collapsed));
+        entry.summaryElement.textContent = collapsed
+            ? `${section.widgets.length} widget${section.widgets.length === 1 ? '' : 's'}`
+            : '';
+        
+        // Widgets of a collapsed section are not rendered, so they are unmounted and stop loading data
+        if (collapsed) {
+            reconcileChildren(entry.bodyElement, []);
+            return;
+        }
+        
+        const rowElements = this.renderRows(entry, layout.rows, layout.breakpoint, false, liveWidgetIds);
+        const hiddenElement = this.renderHiddenWidgets(entry, layout.hiddenWidgets, layout.breakpoint);
+        reconcileChildren(entry.bodyElement, hiddenElement ? [...rowElements, hiddenElement] : rowElements);
+    }
+    
+    /**
+     * Render the list of a section's widgets hidden at the current breakpoint, each with a
+     * button that shows it again (hidden widgets have no element of their own to click)
+     * @param {object} entry - Section cache entry
+     * @param {array} hiddenWidgets - Widgets hidden at the breakpoint
+     * @param {object} breakpoint - Breakpoint the section is laid out with
+     * @returns {HTMLElement|null} The list element, or null when no widget is hidden
+     */
+    renderHiddenWidgets(entry, hiddenWidgets, breakpoint) {
+        if (hiddenWidgets.length === 0 || this.isViewMode()) return null;
+        
+        if (!entry.hiddenWidgetsElement) {
+            entry.hiddenWidgetsElement = document.createElement('div');
+            entry.hiddenWidgetsElement.className = 'hidden-widgets';
+        }
+        
+        const element = entry.hiddenWidgetsElement;
+        element.innerHTML = `<span class="hidden-widgets-label">Hidden at ${escapeHTML(breakpoint.label)}:</span>`;
+        hiddenWidgets.forEach(widget => {
+            const name = widget.title || this.getWidgetDefinition(widget.type).label;
+            const button = document.createElement('button');
+            button.className = 'hidden-widgets-btn';
+            button.textContent = name;
+            button.title = `Show ${name} at ${breakpoint.label}`;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.setWidgetOverride(widget.id, breakpoint.id, { hidden: undefined }, `Show widget at ${breakpoint.label}`);
+            });
+            element.appendChild(button);
+        });
+        return element;
+    }
+    
+    /**
+     * Show the actions menu of a widget section
+     * @param {string} sectionId - ID of the section
+     * @param {HTMLElement} anchor - Element the menu is positioned under
+     */
+    openSectionMenu(sectionId, anchor) {
+        const index = this.sections.findIndex(s => s.id === sectionId);
+        const section = this.sections[index];
+        if (!section) return;
+        
+        this.showMenu(anchor, [
+            {
+                label: 'Rename',
+                action: () => {
+                    const entry = this.sectionElements.get(sectionId);
+                    if (entry) {
+                        entry.titleElement.focus();
+                        document.getSelection().selectAllChildren(entry.titleElement);
+                    }
+                }
+            },
+            {
+                label: section.collapsed ? 'Expand' : 'Collapse',
+                action: () => this.setSectionCollapsed(sectionId)
+            },
+            {
+                label: 'Move up',
+                disabled: index === 0,
+                action: () => this.moveSectionBy(sectionId, -1)
+            },
+            {
+                label: 'Move down',
+                disabled: index === this.sections.length - 1,
+                action: () => this.moveSectionBy(sectionId, 1)
+            },
+            {
+                label: 'Convert to filter container',
+                action: () => this.convertSectionToFilterContainer(sectionId)
+            },
+            {
+                label: 'Duplicate',
+                action: () => this.duplicateSection(sectionId)
+            },
+            {
+                label: 'Copy',
+                action: () => this.copyToClipboard(this.createClipboardPayload({ sectionIds: [sectionId] }))
+            },
+            {
+                label: `Reset widget order at ${this.renderedBreakpoint.label}`,
+                disabled: !(section.overrides && section.overrides[this.renderedBreakpoint.id]),
+                action: () => this.setSectionBreakpointOrder(sectionId, this.renderedBreakpoint.id, null)
+            },
+            { separator: true },
+            {
+                label: 'Delete section',
+                danger: true,
+                action: () => this.deleteSection(sectionId)
+            }
+        ]);
+    }
+    
+    /**
+     * Show a dropdown menu under an anchor element
+     * Closes on item click and like any popover (see showPopover())
+     * @param {HTMLElement} anchor - Element the menu is positioned under
+     * @param {array} items - Menu items: { label, action, disabled, danger, checked } or { separator: true }
+     */
+    showMenu(anchor, items) {
+        const menu = document.createElement('div');
+        menu.className = 'dropdown-menu';
+        menu.setAttribute('role', 'menu');
+        
+        items.forEach(item => {
+            if (item.separator) {
+                const separator = document.createElement('div');
+                separator.className = 'dropdown-menu-separator';
+                separator.setAttribute('role', 'separator');
+                menu.appendChild(separator);
+                return;
+            }
+            if (item.heading) {
+                const heading = document.createElement('div');
+                heading.className = 'dropdown-menu-heading';
+                heading.setAttribute('role', 'presentation');
+                heading.textContent = item.heading;
+                menu.appendChild(heading);
+                return;
+            }
+            
+            const button = document.createElement('button');
+            button.className = 'dropdown-menu-item';
+            button.setAttribute('role', item.checked === undefined ? 'menuitem' : 'menuitemcheckbox');
+            button.textContent = item.label;
+            if (item.checked !== undefined) {
+                button.classList.add('checkable');
+                button.classList.toggle('checked', item.checked);
+                button.setAttribute('aria-checked', String(item.checked));
+            }
+            button.disabled = Boolean(item.disabled);
+            if (item.danger) {
+                button.classList.add('danger');
+            }
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.closePopover();
+                item.action();
+            });
+            menu.appendChild(button);
+        });
+        
+        this.showPopover(anchor, menu);
+        
+        const firstItem = menu.querySelector('.dropdown-menu-item:not(:disabled)');
+        if (firstItem) {
+            firstItem.focus();
+        }
+    }
+    
+    /**
+     * Show a floating element under an anchor element (only one popover is open at a time)
+     * Closes on outside click, Escape, scroll or resize
+     * @param {HTMLElement} anchor - Element the popover is positioned under
+     * @param {HTMLElement} element - Popover content
+     * @param {object} [options]
+     * @param {string} [options.align='right'] - Align the popover with the anchor's 'left' or 'right' edge
+     */
+    showPopover(anchor, element, { align = 'right' } = {}) {
+        this.closePopover();
+        
+        element.classList.add('popover');
+        document.body.appendChild(element);
+        
+        const anchorRect = anchor.getBoundingClientRect();
+        const preferredLeft = align === 'left' ? anchorRect.left : anchorRect.right - element.offsetWidth;
+        const left = Math.min(preferredLeft, window.innerWidth - element.offsetWidth - 8);
+        element.style.left = Math.max(8, left) + 'px';
+        element.style.top = (anchorRect.bottom + 4) + 'px';
+        
+        const close = (e) => {
+            if (e.type === 'keydown' && e.key !== 'Escape') return;
+            if ((e.type === 'mousedown' || e.type === 'scroll') && element.contains(e.target)) return;
+            this.closePopover();
+        };
+        document.addEventListener('mousedown', close, true);
+        document.addEventListener('keydown', close, true);
+        window.addEventListener('resize', close);
+        window.addEventListener('scroll', close, true);
+        
+        this.openPopover = {
+            element,
+            dispose: () => {
+                document.removeEventListener('mousedown', close, true);
+                document.removeEventListener('keydown', close, true);
+                window.removeEventListener('resize', close);
+                window.removeEventListener('scroll', close, true);
+                element.remove();
+            }
+        };
+    }
+    
+    /**
+     * Close the open popover or dropdown menu, if any
+     */
+    closePopover() {
+        if (this.openPopover) {
+            this.openPopover.dispose();
+            this.openPopover = null;
+        }
+    }
+    
+    renderRowBlock(entry, rowBlock, breakpoint, liveWidgetIds) {
+        let rowBlockEntry = entry.rowBlocks.get(rowBlock.id);
+        if (!rowBlockEntry) {
+            const rowBlockElement = document.createElement('div');
+            rowBlockElement.className = 'rowblock';
+            
+            const railElement = document.createElement('div');
+            railElement.className = 'rowblock-rail';
+            
+            const mainElement = document.createElement('div');
+            mainElement.className = 'rowblock-main';
+            
+            rowBlockElement.appendChild(railElement);
+            rowBlockElement.appendChild(mainElement);
+            
+            rowBlockEntry = { element: rowBlockElement, rail: railElement, main: mainElement };
+            entry.rowBlocks.set(rowBlock.id, rowBlockEntry);
+        }
+        
+        rowBlockEntry.rail.style.flexBasis = this.getSpanWidth(rowBlock.railSpan, breakpoint);
+        rowBlockEntry.main.style.flexBasis = this.getSpanWidth(rowBlock.mainSpan, breakpoint);
+        
+        const railWidgets = rowBlock.rail.map(widget => {
+            liveWidgetIds.add(widget.id);
+            return this.renderWidget(widget, rowBlock.railSpan, breakpoint, 'rail');
+        });
+        reconcileChildren(rowBlockEntry.rail, railWidgets);
+        
+        liveWidgetIds.add(rowBlock.main.id);
+        const mainWidget = this.renderWidget(rowBlock.main, rowBlock.mainSpan, breakpoint, 'main');
+        reconcileChildren(rowBlockEntry.main, [mainWidget]);
+        
+        return rowBlockEntry.element;
+    }
+    
+    /**
+     * Render a single widget element, reusing the cached element when there is one
+     * @param {object} widget - Widget data object
+     * @param {number} span - Column span for this widget
+     * @param {object} breakpoint - Breakpoint the widget's row was laid out with
+     * @param {boolean|string} inRowBlock - False, 'main', or 'rail'
+     * @param {boolean} distributeEqually - True if row uses equal distribution
+     * @param {boolean} inFilterContainer - True if widget is in filter container
+     * @returns {HTMLElement} Widget DOM element
+     */
+    renderWidget(widget, span, breakpoint, inRowBlock = false, distributeEqually = false, inFilterContainer = false) {
+        let entry = this.widgetElements.get(widget.id);
+        if (!entry) {
+            entry = this.createWidgetElement(widget.id);
+            this.widgetElements.set(widget.id, entry);
+        }
+        
+        const widgetElement = entry.element;
+        const config = this.getWidgetConfig(widget.size);
+        const heightPx = widget.minHeightRem * 16;
+        
+        widgetElement.style.width = (!distributeEqually && !inRowBlock) ? this.getSpanWidth(span, breakpoint) : '';
+        
+        const fillViewport = widget.heightMode === 'fillViewport';
+        widgetElement.classList.toggle('fill-viewport', fillViewport);
+        widgetElement.style.height = fillViewport ? 'calc(100vh - var(--fill-offset))' : '';
+        widgetElement.style.maxHeight = fillViewport ? 'calc(100vh - var(--fill-offset))' : '';
+        widgetElement.style.minHeight = (fillViewport || inRowBlock !== 'rail') ? `${heightPx}px` : '';
+        
+        // Never overwrite a title the user is currently editing
+        const title = widget.title || config.displayName;
+        if (document.activeElement !== entry.titleElement && entry.titleElement.textContent !== title) {
+            entry.titleElement.textContent = title;
+        }
+        
+        entry.filterButton.hidden = inFilterContainer;
+        widgetElement.classList.toggle('selected', this.selectedWidgetIds.has(widget.id));
+        const breakpointId = this.renderedBreakpoint && this.renderedBreakpoint.id;
+        const overridden = Object.keys(this.getWidgetOverride(widget, breakpointId)).length > 0;
+        entry.breakpointButton.classList.toggle('active', overridden);
+        // fillViewport widgets take their height from the viewport
+        entry.resizeHandles.forEach(handle => {
+            handle.hidden = fillViewport && handle.dataset.resize !== 'x';
+        });
+        
+        this.renderWidgetContent(entry, widget, span, breakpoint.columns);
+        
+        const summaryHTML = this.renderWidgetFilterSummary(widget);
+        if (entry.summaryHTML !== summaryHTML) {
+            entry.summaryElement.innerHTML = summaryHTML;
+            entry.summaryHTML = summaryHTML;
+        }
+        
+        return widgetElement;
+    }
+    
+    /**
+     * Mount, update or replace the content of a widget with its type's renderer
+     * The renderer is only called when its context changed since the last render
+     * @param {object} entry - Widget cache entry
+     * @param {object} widget - Widget object
+     * @param {number} span - Rendered span in columns
+     * @param {number} colCount - Total number of columns
+     */
+    renderWidgetContent(entry, widget, span, colCount) {
+        const definition = this.getWidgetDefinition(widget.type);
+        const context = {
+            widget: { ...widget },
+            options: widget.options || {},
+            span,
+            colCount,
+            ...this.getWidgetFilterContext(widget.id)
+        };
+        delete context.groupId;
+        
+        entry.contentElement.classList.remove('refreshing');
+        if (widget.data) {
+            const data = this.getWidgetData(widget, context);
+            const hasRows = data.result && data.result.rows.length > 0;
+            if (!hasRows || data.status === 'error' || data.status === 'empty') {
+                this.renderWidgetDataState(entry, widget.id, data);
+                return;
+            }
+            // Fresh data replaces the previous result when it arrives
+            entry.contentElement.classList.toggle('refreshing', data.status === 'loading');
+            context.data = data.result;
+            context.dataVersion = data.version;
+        }
+        
+        const { data: _data, ...keyedContext } = context;
+        const contextKey = JSON.stringify(keyedContext);
+        if (entry.content && entry.content.definition === definition && entry.content.key === contextKey) {
+            return;
+        }
+        
+        try {
+            if (entry.content && entry.content.definition === definition && definition.update) {
+                definition.update(entry.contentElement, { ...context, state: entry.content.state });
+                entry.content.key = contextKey;
+                return;
+            }
+            
+            this.destroyWidgetContent(entry);
+            entry.content = {
+                definition,
+                key: contextKey,
+                state: definition.render(entry.contentElement, context)
+            };
+        } catch (error) {
+            this.logger.error(`Error rendering widget "${widget.id}" (${definition.type}):`, error);
+            entry.contentElement.textContent = 'This widget could not be displayed';
+            entry.content = { definition: null, key: null, state: null };
+        }
+    }
+    
+    /**
+     * Show the loading, error or empty state of a bound widget instead of its renderer
+     * @param {object} entry - Widget cache entry
+     * @param {string} widgetId - ID of the widget
+     * @param {object} data - Data state (see getWidgetData())
+     */
+    renderWidgetDataState(entry, widgetId, data) {
+        const key = `${data.status}:${data.error}`;
+        if (entry.content && entry.content.definition === null && entry.content.key === key) {
+            return;
+        }
+        
+        this.destroyWidgetContent(entry);
+        const stateElement = document.createElement('div');
+        stateElement.className = `widget-state widget-state-${data.status}`;
+        
+        if (data.status === 'loading') {
+            stateElement.setAttribute('role', 'status');
+            stateElement.textContent = 'Loading…';
+        } else if (data.status === 'empty') {
+            stateElement.textContent = 'No data for the current filters';
+        } else {
+            stateElement.setAttribute('role', 'alert');
+            const message = document.createElement('div');
+            message.textContent = data.error;
+            const retryBtn = document.createElement('button');
+            retryBtn.className = 'widget-state-retry';
+            retryBtn.textContent = 'Retry';
+            retryBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.refreshWidgetData(widgetId);
+            });
+            retryBtn.addEventListener('mousedown', (e) => {
+                e.stopPropagation();
+            });
+            stateElement.append(message, retryBtn);
+        }
+        
+        entry.contentElement.appendChild(stateElement);
+        entry.content = { definition: null, key, state: null };
+    }
+    
+    /**
+     * Let a widget's renderer clean up and empty its content element
+     * @param {object} entry - Widget cache entry
+     */
+    destroyWidgetContent(entry) {
+        const content = entry.content;
+        entry.content = null;
+        if (content && content.definition && content.definition.destroy) {
+            try {
+                content.definition.destroy(entry.contentElement, { state: content.state });
+            } catch (error) {
+                this.logger.error('Error destroying widget content:', error);
+            }
+        }
+        entry.contentElement.replaceChildren();
+    }
+    
+    /**
+     * Describe the global and filter container filters applied to a widget
+     * @param {object} widget - Widget object
+     * @returns {string} HTML for the widget content, empty when no filter applies
+     */
+    renderWidgetFilterSummary(widget) {
+        const { filters, groupFilters } = this.getWidgetFilterContext(widget.id);
+        const parts = GLOBAL_FILTERS
+            .filter(f => filters[f.key] !== undefined)
+            .map(f => `${f.label}: ${escapeHTML(filters[f.key])}`);
+        groupFilters.forEach(filter => parts.push(escapeHTML(formatFilterLabel(filter))));
+        if (parts.length === 0) return '';
+        return `<div class="widget-info widget-filter-summary">${parts.join(' | ')}</div>`;
+    }
+    
+    /**
+     * Create the DOM structure and event handlers of a widget
+     * Handlers look the widget up by ID so they stay valid when the model is replaced (undo, load)
+     * @param {string} widgetId - Widget ID
+     * @returns {object} Cache entry { element, titleElement, contentElement, content, summaryElement, filterButton }
+     */
+    createWidgetElement(widgetId) {
+        const widgetElement = document.createElement('div');
+        widgetElement.className = 'widget';
+        widgetElement.dataset.widgetId = widgetId;
+        
+        const headerElement = document.createElement('div');
+        headerElement.className = 'widget-header';
+        
+        const titleElement = document.createElement('div');
+        titleElement.className = 'widget-title';
+        titleElement.contentEditable = !this.isViewMode();
+        titleElement.addEventListener('blur', (e) => {
+            const found = this.findWidget(widgetId);
+            if (found && found.widget.title !== e.target.textContent) {
+                found.widget.title = e.target.textContent;
+                this.recordChange('Rename widget');
+            }
+        });
+        titleElement.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+        });
+        
+        const actionsElement = document.createElement('div');
+        actionsElement.className = 'widget-actions';
+        actionsElement.innerHTML = `
+            <button class="widget-action-btn widget-bindings-btn" title="Data and filters">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="4" y1="21" x2="4" y2="14"/><line x1="4" y1="10" x2="4" y2="3"/>
+                    <line x1="12" y1="21" x2="12" y2="12"/><line x1="12" y1="8" x2="12" y2="3"/>
+                    <line x1="20" y1="21" x2="20" y2="16"/><line x1="20" y1="12" x2="20" y2="3"/>
+                    <line x1="1" y1="14" x2="7" y2="14"/><line x1="9" y1="8" x2="15" y2="8"/><line x1="17" y1="16" x2="23" y2="16"/>
+                </svg>
+            </button>
+            <button class="widget-action-btn widget-filter-btn" title="Add to filter container">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polygon points="22 3 2 3 10 12.46 10 19 14 21 14 12.46 22 3"/>
+                </svg>
+            </button>
+            <button class="widget-action-btn widget-breakpoint-btn" title="Layout and size" aria-haspopup="menu">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <rect x="2" y="4" width="14" height="11" rx="1"/><rect x="17" y="9" width="5" height="11" rx="1"/>
+                    <line x1="6" y1="19" x2="12" y2="19"/>
+                </svg>
+            </button>
+            <button class="widget-action-btn widget-duplicate-btn" title="Duplicate widget">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <rect x="9" y="9" width="13" height="13" rx="2" ry="2"/>
+                    <path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/>
+                </svg>
+            </button>
+            <button class="widget-action-btn widget-delete-btn" title="Delete widget">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2M10 11v6M14 11v6"/>
+                </svg>
+            </button>
+        `;
+        
+        headerElement.appendChild(titleElement);
+        headerElement.appendChild(actionsElement);
+        
+        const contentElement = document.createElement('div');
+        contentElement.className = 'widget-content';
+        
+        const summaryElement = document.createElement('div');
+        summaryElement.className = 'widget-summary';
+        
+        widgetElement.appendChild(headerElement);
+        widgetElement.appendChild(contentElement);
+        widgetElement.appendChild(summaryElement);
+        
+        // Right edge resizes the column span, bottom edge the height, the corner both
+        const resizeHandles = ['x', 'y', 'xy'].map(axis => {
+            const handle = document.createElement('div');
+            handle.className = `widget-resize-handle widget-resize-${axis}`;
+            handle.dataset.resize = axis;
+            handle.title = axis === 'x' ? 'Drag to change the width' : axis === 'y' ? 'Drag to change the height' : 'Drag to resize';
+            widgetElement.appendChild(handle);
+            return handle;
+        });
+        
+        this.setupWidgetDragHandlers(widgetElement, widgetId);
+        this.setupWidgetResizeHandles(resizeHandles, widgetId);
+        
+        const deleteBtn = actionsElement.querySelector('.widget-delete-btn');
+        this.setupDeleteHandler(deleteBtn, widgetId);
+        
+        const duplicateBtn = actionsElement.querySelector('.widget-duplicate-btn');
+        duplicateBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.duplicateWidget(widgetId);
+        });
+        
+        const breakpointBtn = actionsElement.querySelector('.widget-breakpoint-btn');
+        breakpointBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.openWidgetBreakpointMenu(widgetId, breakpointBtn);
+        });
+        
+        const bindingsBtn = actionsElement.querySelector('.widget-bindings-btn');
+        bindingsBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.openWidgetBindingsMenu(widgetId, bindingsBtn);
+        });
+        bindingsBtn.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+        });
+        
+        const filterBtn = actionsElement.querySelector('.widget-filter-btn');
+        filterBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.moveWidgetToFilterContainer(widgetId);
+        });
+        filterBtn.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+        });
+        
+        this.removeEditControls(widgetElement);
+        
+        return {
+            element: widgetElement,
+            titleElement,
+            contentElement,
+            content: null,             // Mounted renderer { definition, key, state } (see renderWidgetContent())
+            summaryElement,
+            summaryHTML: null,
+            filterButton: filterBtn,
+            breakpointButton: breakpointBtn,
+            resizeHandles
+        };
+    }
+    
+    /**
+     * Create the header and body elements of a filter group section (once per section)
+     * @param {object} entry - Section cache entry to fill
+     * @param {object} section - Filter group section
+     */
+    createFilterGroupSectionElements(entry, section) {
+        const sectionElement = entry.element;
+        sectionElement.classList.add('filter-group-section');
+        
+        const headerElement = document.createElement('div');
+        headerElement.className = 'filter-group-header';
+        
+        const titleElement = document.createElement('div');
+        titleElement.className = 'filter-group-title';
+        titleElement.contentEditable = !this.isViewMode();
+        titleElement.addEventListener('blur', (e) => {
+            const group = this.findFilterGroupSection(section.id)?.group;
+            if (!group) return;
+            
+            const newTitle = e.target.textContent.trim() || 'Filter Container';
+            e.target.textContent = newTitle;
+            if (group.title !== newTitle) {
+                group.title = newTitle;
+                this.recordChange('Rename filter container');
+            }
+        });
+        titleElement.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+        });
+        
+        const actionsElement = document.createElement('div');
+        actionsElement.className = 'filter-group-actions';
+        actionsElement.innerHTML = `
+            <button class="filter-group-action-btn filter-group-filter-btn" title="Add filter">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polygon points="22 3 2 3 10 12.46 10 19 14 21 14 12.46 22 3"/>
+                </svg>
+            </button>
+            <button class="filter-group-action-btn filter-group-duplicate-btn" title="Duplicate filter container">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <rect x="9" y="9" width="13" height="13" rx="2" ry="2"/>
+                    <path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/>
+                </svg>
+            </button>
+            <button class="filter-group-action-btn filter-group-delete-btn" title="Delete filter container">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2M10 11v6M14 11v6"/>
+                </svg>
+            </button>
+        `;
+        
+        const filterBtn = actionsElement.querySelector('.filter-group-filter-btn');
+        filterBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const group = this.findFilterGroupSection(section.id)?.group;
+            if (group) {
+                this.openFilterEditor(group.id, null, filterBtn);
+            }
+        });
+        
+        const duplicateBtn = actionsElement.querySelector('.filter-group-duplicate-btn');
+        duplicateBtn.addEventListener('click', () => {
+            this.duplicateSection(section.id);
+        });
+        
+        const deleteBtn = actionsElement.querySelector('.filter-group-delete-btn');
+        deleteBtn.addEventListener('click', () => {
+            this.deleteSection(section.id);
+        });
+        
+        const headerTopRow = document.createElement('div');
+        headerTopRow.className = 'filter-group-header-top';
+        headerTopRow.appendChild(titleElement);
+        headerTopRow.appendChild(actionsElement);
+        
+        headerElement.appendChild(headerTopRow);
+        
+        const filtersContainer = document.createElement('div');
+        filtersContainer.className = 'filter-chips-container';
+        
+        const filterGroupElement = document.createElement('div');
+        filterGroupElement.className = 'filter-group';
+        
+        const emptyState = document.createElement('div');
+        emptyState.className = 'filter-group-empty';
+        emptyState.innerHTML = `
+            <div class="empty-state-content">
+                <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                    <rect x="3" y="3" width="18" height="18" rx="2" ry="2"/>
+                    <line x1="12" y1="8" x2="12" y2="16"/>
+                    <line x1="8" y1="12" x2="16" y2="12"/>
+                </svg>
+                <p></p>
+            </div>
+        `;
+        emptyState.querySelector('p').textContent = this.isViewMode()
+            ? 'This filter container has no widgets'
+            : 'Drag widgets here to add them to this filter container';
+        
+        sectionElement.appendChild(headerElement);
+        sectionElement.appendChild(filterGroupElement);
+        
+        Object.assign(entry, {
+            headerElement,
+            headerTopRow,
+            titleElement,
+            filtersContainer,
+            chips: new Map(),     // Filter chip elements keyed by filter ID
+            filterGroupElement,
+            emptyState
+        });
+    }
+    
+    renderFilterGroupSection(entry, section, layout, liveWidgetIds) {
+        const group = layout.group;
+        
+        entry.filterGroupElement.dataset.groupId = group.id;
+        
+        const title = group.title || 'Filter Container';
+        if (document.activeElement !== entry.titleElement && entry.titleElement.textContent !== title) {
+            entry.titleElement.textContent = title;
+        }
+        
+        const filters = group.filters || [];
+        const chipElements = filters.map(filter => this.renderFilterChip(entry, group.id, filter));
+        for (const filterId of entry.chips.keys()) {
+            if (!filters.some(f => f.id === filterId)) {
+                entry.chips.delete(filterId);
+            }
+        }
+        reconcileChildren(entry.filtersContainer, chipElements);
+        reconcileChildren(entry.headerElement, filters.length > 0
+            ? [entry.headerTopRow, entry.filtersContainer]
+            : [entry.headerTopRow]);
+        
+        if (group.widgets.length === 0) {
+            entry.rows.length = 0;
+            entry.rowBlocks.clear();
+            reconcileChildren(entry.filterGroupElement, [entry.emptyState]);
+        } else {
+            const rowElements = this.renderRows(entry, layout.rows, layout.breakpoint, true, liveWidgetIds);
+            const hiddenElement = this.renderHiddenWidgets(entry, layout.hiddenWidgets, layout.breakpoint);
+            reconcileChildren(entry.filterGroupElement, hiddenElement ? [...rowElements, hiddenElement] : rowElements);
+        }
+    }
+    
+    /**
+     * Render a filter chip, reusing the cached chip element when there is one
+     * @param {object} entry - Filter group section cache entry
+     * @param {string} groupId - ID of the filter group
+     * @param {object} filter - Filter chip object
+     * @returns {HTMLElement} Chip element
+     */
+    renderFilterChip(entry, groupId, filter) {
+        let chip = entry.chips.get(filter.id);
+        if (!chip) {
+            chip = document.createElement('div');
+            chip.className = 'filter-chip';
+            chip.innerHTML = `
+                <button class="filter-chip-label" title="Edit filter"></button>
+                <button class="filter-chip-remove" title="Remove filter">
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+            `;
+            
+            const removeBtn = chip.querySelector('.filter-chip-remove');
+            removeBtn.dataset.filterId = filter.id;
+            removeBtn.dataset.groupId = groupId;
+            removeBtn.addEventListener('click', () => {
+                this.removeFilterFromGroup(groupId, filter.id);
+            });
+            
+            const labelBtn = chip.querySelector('.filter-chip-label');
+            labelBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.openFilterEditor(groupId, filter.id, chip);
+            });
+            this.removeEditControls(chip);
+            
+            entry.chips.set(filter.id, chip);
+        }
+        
+        const label = chip.querySelector('.filter-chip-label');
+        const text = formatFilterLabel(filter);
+        if (label.textContent !== text) {
+            label.textContent = text;
+        }
+        chip.classList.toggle('inactive', !isFilterActive(filter));
+        
+        return chip;
+    }
+    
+    /**
+     * Show the popover editing a filter chip's field, operator and value
+     * @param {string} groupId - ID of the filter group
+     * @param {string|null} filterId - ID of the chip to edit, or null to create one on Apply
+     * @param {HTMLElement} anchor - Element the popover is positioned under
+     */
+    openFilterEditor(groupId, filterId, anchor) {
+        const section = this.sections.find(s => s.type === 'filter-group' && s.group.id === groupId);
+        if (!section) return;
+        
+        const existing = filterId ? section.group.filters.find(f => f.id === filterId) : null;
+        const draft = existing
+            ? JSON.parse(JSON.stringify(existing))
+            : { field: '', operator: 'equals', value: '' };
+        
+        const editor = document.createElement('form');
+        editor.className = 'filter-editor';
+        editor.innerHTML = `
+            <label class="filter-editor-row">
+                <span>Field</span>
+                <input class="filter-editor-field" list="filter-field-suggestions" placeholder="e.g. region" autocomplete="off">
+            </label>
+            <label class="filter-editor-row">
+                <span>Operator</span>
+                <select class="filter-editor-operator">
+                    ${FILTER_OPERATORS.map(o => `<option value="${o.key}">${o.label}</option>`).join('')}
+                </select>
+            </label>
+            <div class="filter-editor-row filter-editor-value"></div>
+            <datalist id="filter-field-suggestions">
+                ${FILTER_FIELD_SUGGESTIONS.map(field => `<option value="${field}"></option>`).join('')}
+            </datalist>
+            <div class="filter-editor-actions">
+                ${existing ? '<button type="button" class="filter-editor-remove">Remove</button>' : ''}
+                <button type="button" class="filter-editor-cancel">Cancel</button>
+                <button type="submit" class="filter-editor-apply">Apply</button>
+            </div>
+        `;
+        
+        const fieldInput = editor.querySelector('.filter-editor-field');
+        const operatorSelect = editor.querySelector('.filter-editor-operator');
+        const valueRow = editor.querySelector('.filter-editor-value');
+        fieldInput.value = draft.field;
+        operatorSelect.value = draft.operator;
+        
+        // Value inputs depend on the operator's value type
+        const renderValueInputs = () => {
+            const operator = FILTER_OPERATORS.find(o => o.key === operatorSelect.value);
+            if (operator.valueType === 'range') {
+                const range = isValidFilterValue(operator, draft.value) ? draft.value : { from: '', to: '' };
+                valueRow.innerHTML = `
+                    <span>Value</span>
+                    <input class="filter-editor-from" placeholder="From">
+                    <input class="filter-editor-to" placeholder="To">
+                `;
+                valueRow.querySelector('.filter-editor-from').value = range.from;
+                valueRow.querySelector('.filter-editor-to').value = range.to;
+            } else {
+                const text = Array.isArray(draft.value) ? draft.value.join(', ')
+                    : typeof draft.value === 'string' ? draft.value : '';
+                valueRow.innerHTML = `
+                    <span>${operator.valueType === 'list' ? 'Values (comma separated)' : 'Value'}</span>
+                    <input class="filter-editor-input">
+                `;
+                valueRow.querySelector('.filter-editor-input').value = text;
+            }
+        };
+        
+        const readValue = () => {
+            const operator = FILTER_OPERATORS.find(o => o.key === operatorSelect.value);
+            if (operator.valueType === 'range') {
+                return {
+                    from: valueRow.querySelector('.filter-editor-from').value.trim(),
+                    to: valueRow.querySelector('.filter-editor-to').value.trim()
+                };
+            }
+            const text = valueRow.querySelector('.filter-editor-input').value.trim();
+            if (operator.valueType === 'list') {
+                return text.split(',').map(v => v.trim()).filter(Boolean);
+            }
+            return text;
+        };
+        
+        // Keep what was typed when the operator changes
+        operatorSelect.addEventListener('change', () => {
+            const inputs = valueRow.querySelectorAll('input');
+            draft.value = Array.from(inputs).map(input => input.value.trim()).filter(Boolean).join(', ');
+            renderValueInputs();
+        });
+        
+        editor.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const condition = {
+                field: fieldInput.value.trim(),
+                operator: operatorSelect.value,
+                value: readValue()
+            };
+            this.closePopover();
+            if (existing) {
+                this.updateFilterInGroup(groupId, filterId, condition);
+            } else {
+                this.addFilterToGroup(groupId, condition);
+            }
+        });
+        
+        editor.querySelector('.filter-editor-cancel').addEventListener('click', () => {
+            this.closePopover();
+        });
+        
+        const removeBtn = editor.querySelector('.filter-editor-remove');
+        if (removeBtn) {
+            removeBtn.addEventListener('click', () => {
+                this.closePopover();
+                this.removeFilterFromGroup(groupId, filterId);
+            });
+        }
+        
+        renderValueInputs();
+        this.showPopover(anchor, editor, { align: 'left' });
+        fieldInput.focus();
+    }
+    
+    /**
+     * Make a widget draggable (see attachDragSource()); widgets rendered in view mode are not
+     * Dragging a selected widget drags the whole selection
+     * @param {HTMLElement} element - Widget element
+     * @param {string} widgetId - Widget ID
+     */
+    setupWidgetDragHandlers(element, widgetId) {
+        if (this.isViewMode()) return;
+        
+        this.attachDragSource(element, () => {
+            const found = this.findWidget(widgetId);
+            if (!found) return false;
+            
+            this.draggedWidget = found.widget;
+            this.draggedWidgets = null;
+            this.draggedSection = null;
+            this.isDraggingFromPanel = false;
+            
+            if (this.selectedWidgetIds.has(widgetId) && this.selectedWidgetIds.size > 1) {
+                this.draggedWidgets = this.getSelectedWidgets();
+                this.draggedWidgets.forEach(widget => {
+                    const entry = this.widgetElements.get(widget.id);
+                    if (entry) {
+                        entry.element.classList.add('dragging');
+                    }
+                });
+            }
+        });
+    }
+    
+    /**
+     * Make a section draggable (see attachDragSource()); sections rendered in view mode are not
+     * Presses on the section's widgets drag the widget instead
+     * @param {HTMLElement} element - Section element
+     * @param {string} sectionId - Section ID
+     */
+    setupSectionDragHandlers(element, sectionId) {
+        if (this.isViewMode()) return;
+        
+        this.attachDragSource(element, () => {
+            const section = this.sections.find(s => s.id === sectionId);
+            if (!section) return false;
+            
+            this.draggedSection = section;
+            this.draggedWidget = null;
+            this.isDraggingFromPanel = false;
+        }, (e) => !e.target.closest('[data-widget-id]'));
+    }
+    
+    /**
+     * Make the resize handles of a widget start a pointer resize (see startWidgetResize())
+     * @param {array} handles - Handle elements, each with data-resize 'x', 'y' or 'xy'
+     * @param {string} widgetId - Widget ID
+     */
+    setupWidgetResizeHandles(handles, widgetId) {
+        handles.forEach(handle => {
+            handle.addEventListener('pointerdown', (e) => {
+                if (e.button !== 0 || this.drag.isDragging || this.keyboardMove || this.widgetResize) return;
+                
+                // Keep the press from starting a widget or section drag
+                e.preventDefault();
+                e.stopPropagation();
+                this.startWidgetResize(widgetId, handle.dataset.resize, e);
+            });
+            handle.addEventListener('click', (e) => {
+                e.stopPropagation();
+            });
+        });
+    }
+    
+    /**
+     * Get how far a widget can be resized: the limits of its type (see "resize" in
+     * widget-registry.js), with the column span capped by the column count
+     * @param {object} widget - Widget object
+     * @param {number} colCount - Total number of columns
+     * @returns {object} { minColSpan, maxColSpan, minHeightRem, maxHeightRem }
+     */
+    getWidgetResizeLimits(widget, colCount) {
+        const limits = this.getWidgetDefinition(widget.type).resize || DashboardWidgets.DEFAULT_RESIZE_LIMITS;
+        const maxColSpan = Math.max(1, Math.min(limits.maxColSpan, colCount));
+        return {
+            minColSpan: Math.min(limits.minColSpan, maxColSpan),
+            maxColSpan,
+            minHeightRem: limits.minHeightRem,
+            maxHeightRem: limits.maxHeightRem
+        };
+    }
+    
+    /**
+     * Start resizing a widget with the pointer
+     * The width snaps to column spans and the height to layoutConfig.resizeStepRem; every step
+     * updates minColSpan/minHeightRem and re-renders, so the rows re-pack while the pointer moves.
+     * Releasing the pointer records one undo step, Escape restores the original size
+     * @param {string} widgetId - Widget ID
+     * @param {string} axis - 'x' (span), 'y' (height) or 'xy' (both)
+     * @param {PointerEvent} e - Pointerdown event on the handle
+     */
+    startWidgetResize(widgetId, axis, e) {
+        const found = this.findWidget(widgetId);
+        const entry = this.widgetElements.get(widgetId);
+        if (!found || !entry) return;
         
-        // Array of sections (each section contains widgets or a filter group)
-        this.sections = [];
+        this.closePopover();
         
-        // Drag and drop state management
-        this.draggedElement = null;        // Currently dragged DOM element
-        this.draggedWidget = null;         // Widget object being dragged
-        this.draggedSection = null;        // Section being dragged
-        this.isDraggingFromPanel = false;  // True when dragging from the widget panel
-        this.draggedWidgetSize = null;     // Size of widget being dragged from panel
-        this.dragPlaceholder = null;       // Visual placeholder shown during drag
+        const breakpoint = this.renderedBreakpoint || this.getBreakpoint(this.gridCanvas.clientWidth);
+        const { columns: colCount, columnGap: gap } = breakpoint;
+        const rowElement = entry.element.closest('.row') || this.gridCanvas;
+        const colWidth = (rowElement.getBoundingClientRect().width - (colCount - 1) * gap) / colCount;
+        const rect = entry.element.getBoundingClientRect();
         
-        // ID counters for generating unique IDs
-        this.widgetIdCounter = 0;
-        this.sectionIdCounter = 0;
-        this.filterGroupIdCounter = 0;
+        const badge = document.createElement('div');
+        badge.className = 'widget-resize-badge';
+        entry.element.appendChild(badge);
+        entry.element.classList.add('resizing');
+        document.body.classList.add(`widget-resizing-${axis}`);
         
-        // Widget size definitions (minimum heights in rem)
-        this.TOKENS = {
-            minHeightsRem: {
-                XS: 10,
-                S: 16,
-                M: 22,
-                L: 32,
-                XL: 46
+        const state = {
+            widgetId,
+            axis,
+            pointerId: e.pointerId,
+            startX: e.clientX,
+            startY: e.clientY,
+            colStep: colWidth + gap,
+            // Span on screen, which packRows may have widened past minColSpan
+            startSpan: Math.min(colCount, Math.max(1, Math.round((rect.width + gap) / (colWidth + gap)))),
+            original: { minColSpan: found.widget.minColSpan, minHeightRem: found.widget.minHeightRem },
+            limits: this.getWidgetResizeLimits(found.widget, colCount),
+            badge
+        };
+        
+        const onPointerMove = (event) => {
+            if (event.pointerId === state.pointerId) {
+                this.updateWidgetResize(event.clientX, event.clientY);
+            }
+        };
+        const onPointerUp = (event) => {
+            if (event.pointerId === state.pointerId) {
+                this.endWidgetResize(true);
+            }
+        };
+        const onPointerCancel = (event) => {
+            if (event.pointerId === state.pointerId) {
+                this.endWidgetResize(false);
+            }
+        };
+        const onKeyDown = (event) => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                event.stopPropagation();
+                this.endWidgetResize(false);
             }
         };
         
-        // Layout configuration for widget sections
-        this.layoutConfig = {
-            maxRailItems: 4,      // Max widgets in RowBlock rail
-            toleranceRem: 2,      // Height tolerance for rail matching
-            vGapRem: 0.75,        // Vertical gap in rail (rem)
-            columnGap: 12,        // Gap between columns (px)
-            rowGap: 12,           // Gap between rows (px)
-            sectionGap: 20,       // Gap between sections (px)
-            paddingX: 20          // Horizontal padding (px)
+        document.addEventListener('pointermove', onPointerMove);
+        document.addEventListener('pointerup', onPointerUp);
+        document.addEventListener('pointercancel', onPointerCancel);
+        document.addEventListener('keydown', onKeyDown, true);
+        state.removeListeners = () => {
+            document.removeEventListener('pointermove', onPointerMove);
+            document.removeEventListener('pointerup', onPointerUp);
+            document.removeEventListener('pointercancel', onPointerCancel);
+            document.removeEventListener('keydown', onKeyDown, true);
         };
         
-        // Configuration for filter group sections
-        this.filterGroupConfig = {
-            minItemWidthPx: 280,      // Minimum widget width in filter groups
-            gapPx: 12,                // Gap between widgets
-            alignHeightsInRow: true   // Align heights in same row
+        this.widgetResize = state;
+        this.updateWidgetResizeBadge();
+    }
+    
+    /**
+     * Apply the pointer position to the widget being resized
+     * @param {number} x - Pointer X in viewport coordinates
+     * @param {number} y - Pointer Y in viewport coordinates
+     */
+    updateWidgetResize(x, y) {
+        const state = this.widgetResize;
+        const found = this.findWidget(state.widgetId);
+        if (!found) {
+            this.endWidgetResize(false);
+            return;
+        }
+        
+        const { original, limits } = state;
+        let minColSpan = original.minColSpan;
+        let minHeightRem = original.minHeightRem;
+        
+        const columns = state.axis === 'y' ? 0 : Math.round((x - state.startX) / state.colStep);
+        if (columns !== 0) {
+            minColSpan = clamp(state.startSpan + columns, limits.minColSpan, limits.maxColSpan);
+        }
+        
+        const step = this.layoutConfig.resizeStepRem;
+        const steps = state.axis === 'x' ? 0 : Math.round((y - state.startY) / 16 / step);
+        if (steps !== 0) {
+            minHeightRem = clamp(original.minHeightRem + steps * step, limits.minHeightRem, limits.maxHeightRem);
+        }
+        
+        if (found.widget.minColSpan === minColSpan && found.widget.minHeightRem === minHeightRem) return;
+        
+        found.widget.minColSpan = minColSpan;
+        found.widget.minHeightRem = minHeightRem;
+        this.render();
+        this.updateWidgetResizeBadge();
+    }
+    
+    /**
+     * Show the current size of the widget being resized, e.g. "2 col × 18 rem"
+     */
+    updateWidgetResizeBadge() {
+        const state = this.widgetResize;
+        const found = this.findWidget(state.widgetId);
+        if (found) {
+            state.badge.textContent = `${found.widget.minColSpan} col × ${found.widget.minHeightRem} rem`;
+        }
+    }
+    
+    /**
+     * Finish the pointer resize
+     * @param {boolean} keep - True to record the new size, false to restore the original one
+     */
+    endWidgetResize(keep) {
+        const state = this.widgetResize;
+        if (!state) return;
+        
+        state.removeListeners();
+        state.badge.remove();
+        document.body.classList.remove(`widget-resizing-${state.axis}`);
+        const entry = this.widgetElements.get(state.widgetId);
+        if (entry) {
+            entry.element.classList.remove('resizing');
+        }
+        this.widgetResize = null;
+        
+        const found = this.findWidget(state.widgetId);
+        if (!found) return;
+        
+        const size = { minColSpan: found.widget.minColSpan, minHeightRem: found.widget.minHeightRem };
+        Object.assign(found.widget, state.original);
+        if (keep) {
+            this.resizeWidget(state.widgetId, size);
+        } else {
+            this.render();
+        }
+    }
+    
+    /**
+     * Resize a widget within the limits of its type
+     * @param {string} widgetId - Widget ID
+     * @param {object} size
+     * @param {number} [size.minColSpan] - New column span (unchanged if omitted)
+     * @param {number} [size.minHeightRem] - New minimum height in rem (unchanged if omitted)
+     * @returns {boolean} True if the size changed
+     * @throws {Error} In view mode
+     */
+    resizeWidget(widgetId, { minColSpan, minHeightRem } = {}) {
+        this.assertEditable('resize a widget');
+        const found = this.findWidget(widgetId);
+        if (!found) return false;
+        
+        // Spans are stored for the widest layout; narrower layouts cap them when packing
+        const widget = found.widget;
+        const limits = this.getWidgetResizeLimits(widget, this.breakpoints[0].columns);
+        const colSpan = minColSpan === undefined ? widget.minColSpan : clamp(minColSpan, limits.minColSpan, limits.maxColSpan);
+        const heightRem = minHeightRem === undefined ? widget.minHeightRem : clamp(minHeightRem, limits.minHeightRem, limits.maxHeightRem);
+        if (colSpan === widget.minColSpan && heightRem === widget.minHeightRem) return false;
+        
+        widget.minColSpan = colSpan;
+        widget.minHeightRem = heightRem;
+        this.commit('Resize widget');
+        
+        this.events.emit('widget:resize', { widgetId, minColSpan: colSpan, minHeightRem: heightRem });
+        const entry = this.widgetElements.get(widgetId);
+        const name = entry ? this.describeKeyboardItem(entry.element) : 'Widget';
+        this.announce(`${name} resized to ${colSpan} ${colSpan === 1 ? 'column' : 'columns'} by ${heightRem} rem`);
+        return true;
+    }
+    
+    /**
+     * Give a widget one of the preset sizes (see getWidgetConfig): its span, height and height mode.
+     * 'XL_fill' is the only way to make a widget fill the viewport height
+     * @param {string} widgetId - Widget ID
+     * @param {string} size - One of WIDGET_SIZES
+     * @returns {boolean} True if the widget changed
+     * @throws {Error} In view mode or for an unknown size
+     */
+    setWidgetSize(widgetId, size) {
+        this.assertEditable('resize a widget');
+        if (!WIDGET_SIZES.includes(size)) {
+            throw new Error(`Unknown widget size "${size}"`);
+        }
+        const found = this.findWidget(widgetId);
+        if (!found) return false;
+        
+        // The preset is capped by the limits of the widget type, like a resize
+        const widget = found.widget;
+        const config = this.getWidgetConfig(size);
+        const limits = this.getWidgetResizeLimits(widget, this.breakpoints[0].columns);
+        const colSpan = clamp(config.minColSpan, limits.minColSpan, limits.maxColSpan);
+        const heightRem = clamp(config.minHeightRem, limits.minHeightRem, limits.maxHeightRem);
+        if (size === widget.size && colSpan === widget.minColSpan && heightRem === widget.minHeightRem &&
+            config.heightMode === widget.heightMode) return false;
+        
+        widget.size = size;
+        widget.minColSpan = colSpan;
+        widget.minHeightRem = heightRem;
+        widget.heightMode = config.heightMode;
+        this.commit('Change widget size');
+        
+        this.events.emit('widget:resize', { widgetId, minColSpan: colSpan, minHeightRem: heightRem, heightMode: config.heightMode });
+        const entry = this.widgetElements.get(widgetId);
+        const name = entry ? this.describeKeyboardItem(entry.element) : 'Widget';
+        this.announce(`${name} set to size ${config.displayName}`);
+        return true;
+    }
+    
+    setupDeleteHandler(button, widgetId) {
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.deleteWidget(widgetId);
+        });
+        
+        button.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+        });
+    }
+    
+    createDragPlaceholder() {
+        this.dragPlaceholder = document.createElement('div');
+        this.dragPlaceholder.className = 'drag-placeholder';
+        this.dragPlaceholder.style.display = 'none';
+        document.body.appendChild(this.dragPlaceholder);
+    }
+    
+    updateDragPlaceholder(targetInfo) {
+        if (!this.dragPlaceholder) return;
+        
+        const color = targetInfo.isInvalid ? '#ef4444' : '#3b82f6';
+        
+        if (targetInfo.type === 'within-section' || targetInfo.type === 'within-filter-group') {
+            if (targetInfo.isRailDropZone) {
+                const left = targetInfo.left;
+                const right = targetInfo.right;
+                const centerY = (targetInfo.top + targetInfo.bottom) / 2;
+                
+                this.dragPlaceholder.style.left = left + 'px';
+                this.dragPlaceholder.style.top = (centerY - 2) + 'px';
+                this.dragPlaceholder.style.width = (right - left) + 'px';
+                this.dragPlaceholder.style.height = '4px';
+                this.dragPlaceholder.style.display = 'block';
+                this.dragPlaceholder.style.background = color;
+                this.dragPlaceholder.style.border = 'none';
+                this.dragPlaceholder.style.borderRadius = '2px';
+            } else {
+                const centerX = (targetInfo.left + targetInfo.right) / 2;
+                const top = targetInfo.top;
+                const bottom = targetInfo.bottom;
+                
+                this.dragPlaceholder.style.left = (centerX - 2) + 'px';
+                this.dragPlaceholder.style.top = top + 'px';
+                this.dragPlaceholder.style.width = '4px';
+                this.dragPlaceholder.style.height = (bottom - top) + 'px';
+                this.dragPlaceholder.style.display = 'block';
+                this.dragPlaceholder.style.background = color;
+                this.dragPlaceholder.style.border = 'none';
+                this.dragPlaceholder.style.borderRadius = '2px';
+            }
+        } else if (targetInfo.type === 'between-sections') {
+            const left = targetInfo.left;
+            const right = targetInfo.right;
+            const centerY = (targetInfo.top + targetInfo.bottom) / 2;
+            
+            this.dragPlaceholder.style.left = left + 'px';
+            this.dragPlaceholder.style.top = (centerY - 2) + 'px';
+            this.dragPlaceholder.style.width = (right - left) + 'px';
+            this.dragPlaceholder.style.height = '4px';
+            this.dragPlaceholder.style.display = 'block';
+            this.dragPlaceholder.style.background = color;
+            this.dragPlaceholder.style.border = 'none';
+            this.dragPlaceholder.style.borderRadius = '2px';
+        } else {
+            this.dragPlaceholder.style.display = 'none';
+        }
+    }
+    
+    removeDragPlaceholder() {
+        if (this.dragPlaceholder) {
+            this.dragPlaceholder.remove();
+            this.dragPlaceholder = null;
+        }
+    }
+    
+    /**
+     * Show why the hovered drop zone is invalid in a tooltip next to the pointer
+     * @param {object|null} targetInfo - Hovered drop target (see getDropTarget())
+     * @param {object} point - Pointer position { x, y } in viewport coordinates
+     */
+    updateDropTooltip(targetInfo, point) {
+        const reason = targetInfo && targetInfo.isInvalid ? targetInfo.reason : null;
+        if (!reason) {
+            this.removeDropTooltip();
+            return;
+        }
+        
+        if (!this.dropTooltip) {
+            this.dropTooltip = document.createElement('div');
+            this.dropTooltip.className = 'drop-tooltip';
+            this.dropTooltip.setAttribute('role', 'tooltip');
+            document.body.appendChild(this.dropTooltip);
+        }
+        
+        if (this.dropTooltip.dataset.reason !== reason.message) {
+            this.dropTooltip.dataset.reason = reason.message;
+            this.dropTooltip.innerHTML = `
+                <div class="drop-tooltip-message"></div>
+                <ul class="drop-tooltip-suggestions"></ul>
+            `;
+            this.dropTooltip.querySelector('.drop-tooltip-message').textContent = reason.message;
+            const list = this.dropTooltip.querySelector('.drop-tooltip-suggestions');
+            reason.suggestions.forEach(suggestion => {
+                const item = document.createElement('li');
+                item.textContent = suggestion;
+                list.appendChild(item);
+            });
+        }
+        
+        // Below-right of the pointer, flipped to stay inside the viewport
+        const offset = 16;
+        const rect = this.dropTooltip.getBoundingClientRect();
+        let left = point.x + offset;
+        let top = point.y + offset;
+        if (left + rect.width > window.innerWidth) {
+            left = Math.max(0, point.x - offset - rect.width);
+        }
+        if (top + rect.height > window.innerHeight) {
+            top = Math.max(0, point.y - offset - rect.height);
+        }
+        this.dropTooltip.style.left = left + 'px';
+        this.dropTooltip.style.top = top + 'px';
+    }
+    
+    removeDropTooltip() {
+        if (this.dropTooltip) {
+            this.dropTooltip.remove();
+            this.dropTooltip = null;
+        }
+    }
+    
+    /**
+     * Create a widget of a registered type with the type's default size and options
+     * @param {string} id - Widget ID
+     * @param {string} widgetType - Registered widget type
+     * @returns {object} Widget object
+     */
+    createWidget(id, widgetType) {
+        const definition = this.getWidgetDefinition(widgetType);
+        const config = this.getWidgetConfig(definition.defaultSize);
+        return {
+            id,
+            type: definition.type,
+            size: definition.defaultSize,
+            title: definition.label,
+            minColSpan: config.minColSpan,
+            minHeightRem: config.minHeightRem,
+            heightMode: config.heightMode,
+            options: JSON.parse(JSON.stringify(definition.defaultOptions))
+        };
+    }
+    
+    /**
+     * Get the registry definition rendering a widget type
+     * Widgets without a type and unregistered types use the 'placeholder' type
+     * @param {string} [widgetType] - Widget type
+     * @returns {object} Widget type definition
+     */
+    getWidgetDefinition(widgetType) {
+        return this.widgetRegistry.get(widgetType || 'placeholder') ||
+            this.widgetRegistry.get('placeholder') ||
+            DashboardWidgets.BUILTIN_WIDGET_TYPES.find(d => d.type === 'placeholder');
+    }
+    
+    /**
+     * Restore the dashboard persisted in localStorage, or else start from options.layout or empty
+     * A stored layout that fails validation is discarded with a warning
+     * @throws {LayoutSchemaError} When options.layout is malformed
+     */
+    loadInitialState() {
+        let stored = null;
+        try {
+            stored = this.storageKey === null ? null : localStorage.getItem(this.storageKey);
+        } catch (e) {
+            this.logger.warn('Unable to read saved dashboard:', e);
+        }
+        
+        if (stored) {
+            try {
+                this.applyLayout(JSON.parse(stored));
+                stored = true;
+            } catch (e) {
+                this.logger.warn('Ignoring saved dashboard:', e.message);
+                stored = null;
+            }
+        }
+        if (!stored && this.initialLayout) {
+            this.applyLayout(this.initialLayout);
+        }
+        
+        this.history.reset();
+        this.render();
+    }
+    
+    /**
+     * Serialize the dashboard to a plain object in the versioned layout format
+     * (see the format description at the top of this file)
+     * @returns {object} Layout object, safe to pass to JSON.stringify
+     */
+    serialize() {
+        return {
+            version: LAYOUT_SCHEMA_VERSION,
+            counters: {
+                widget: this.widgetIdCounter,
+                section: this.sectionIdCounter,
+                filterGroup: this.filterGroupIdCounter,
+                filter: this.filterIdCounter
+            },
+            filters: { ...this.globalFilters },
+            dataSources: JSON.parse(JSON.stringify(this.layoutDataSources)),
+            sections: JSON.parse(JSON.stringify(this.sections))
         };
+    }
+    
+    /**
+     * Replace the current dashboard with a serialized layout (one undo step, which also
+     * puts back the filter values, data sources and ID counters from before the load)
+     * @param {string|object} json - Layout as a JSON string or parsed object
+     * @param {string} [label='Load layout'] - Name of the undo step
+     * @throws {LayoutSchemaError} When the layout is malformed
+     * @throws {Error} In view mode
+     */
+    load(json, label = 'Load layout') {
+        this.assertEditable('load a layout');
+        let data = json;
+        if (typeof json === 'string') {
+            try {
+                data = JSON.parse(json);
+            } catch (e) {
+                throw new LayoutSchemaError([`layout is not valid JSON: ${e.message}`]);
+            }
+        }
+        
+        this.history.group(label, () => {
+            this.applyLayout(data);
+            this.commit(label);
+        });
+    }
+    
+    /**
+     * Migrate and validate a parsed layout and copy it into the editor state
+     * @param {object} data - Parsed layout object
+     * @throws {LayoutSchemaError} When the layout is malformed
+     */
+    applyLayout(data) {
+        data = migrateLayout(data);
+        validateLayout(data);
+        
+        this.sections = JSON.parse(JSON.stringify(data.sections));
+        this.setIdCounters(data.counters);
+        this.globalFilters = { ...this.getDefaultGlobalFilters(), ...data.filters };
+        this.syncGlobalFilterControls();
+        this.setLayoutDataSources(data.dataSources || []);
+    }
+    
+    /**
+     * Replace the data sources stored in the layout (they are registered in this.dataSources)
+     * Loaded widget data is dropped, so bound widgets load again from the new sources
+     * @param {array} sources - Data source configs (see data-sources.js)
+     */
+    setLayoutDataSources(sources) {
+        this.layoutDataSources.forEach(source => this.dataSources.removeSource(source.id));
+        this.layoutDataSources = JSON.parse(JSON.stringify(sources));
+        this.layoutDataSources.forEach(source => this.dataSources.addSource(source));
+        this.widgetData.clear();
+    }
+    
+    /**
+     * Set the ID counters, raised past the generated IDs of the current sections (see reseedIdCounters())
+     * @param {object} counters - { widget, section, filterGroup, filter }
+     */
+    setIdCounters(counters) {
+        const seeded = reseedIdCounters(counters, this.sections);
+        this.widgetIdCounter = seeded.widget;
+        this.sectionIdCounter = seeded.section;
+        this.filterGroupIdCounter = seeded.filterGroup;
+        this.filterIdCounter = seeded.filter;
+    }
+    
+    /**
+     * Persist the current dashboard to localStorage (unless the editor has no storage key)
+     */
+    saveState() {
+        if (this.storageKey === null) return;
+        
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.serialize()));
+        } catch (e) {
+            this.logger.warn('Unable to save dashboard:', e);
+        }
+    }
+    
+    /**
+     * Record a finished change to the dashboard model as one undo step and persist it
+     * Use directly for changes the DOM already reflects (e.g. inline title edits)
+     * @param {string} label - Human readable name of the change
+     */
+    recordChange(label) {
+        if (this.isViewMode()) {
+            // View mode never changes the dashboard: put back what a stray handler changed
+            this.logger.warn(`Ignoring "${label}" in view mode`);
+            this.sections = JSON.parse(this.history.current).sections;
+            return;
+        }
+        this.history.checkpoint(label);
+        this.saveState();
+    }
+    
+    /**
+     * Record, persist and re-render after a change to the dashboard model
+     * Each call becomes one undo step; wrap several calls in history.group() to merge them
+     * @param {string} label - Human readable name of the change
+     */
+    commit(label = 'Edit dashboard') {
+        this.recordChange(label);
+        this.render();
+    }
+    
+    /**
+     * Put back the layout of a history snapshot without recording a new step
+     * Sections and ID counters are restored as they were. Filter values and layout data sources
+     * only change with the steps that changed them (a load, an import, a template or a paste),
+     * so undoing an edit keeps the filters chosen since
+     * @param {string} snapshot - Serialized layout captured by the history manager (see serialize())
+     * @param {string} replaced - Snapshot of the state being left
+     */
+    restoreSnapshot(snapshot, replaced) {
+        const previousFilters = this.serializeGroupFilters();
+        const layout = JSON.parse(snapshot);
+        const previous = JSON.parse(replaced);
         
-        // Resize observer to handle window resizing
-        this.resizeObserver = null;
+        this.sections = layout.sections;
+        this.setIdCounters(layout.counters);
+        if (JSON.stringify(layout.filters) !== JSON.stringify(previous.filters)) {
+            this.globalFilters = layout.filters;
+            this.syncGlobalFilterControls();
+        }
+        if (JSON.stringify(layout.dataSources) !== JSON.stringify(previous.dataSources)) {
+            this.setLayoutDataSources(layout.dataSources);
+        }
+        this.saveState();
+        this.render();
         
-        // Initialize the editor
-        this.init();
+        // Widgets in filter containers whose chips were undone/redone get their new context
+        const currentFilters = this.serializeGroupFilters();
+        Object.keys(currentFilters).forEach(groupId => {
+            if (currentFilters[groupId] !== previousFilters[groupId]) {
+                this.emitGroupFilters(groupId);
+            }
+        });
     }
     
     /**
-     * Generate a unique widget ID
-     * @returns {string} Widget ID in format 'w_N'
+     * Serialize the chips of every filter group, to detect which groups changed
+     * @returns {object} Map of group ID to JSON of its filters
      */
-    newWidgetId() {
-        return 'w_' + this.widgetIdCounter++;
+    serializeGroupFilters() {
+        const result = {};
+        this.sections.forEach(section => {
+            if (section.type === 'filter-group') {
+                result[section.group.id] = JSON.stringify(section.group.filters);
+            }
+        });
+        return result;
     }
     
     /**
-     * Generate a unique section ID
-     * @returns {string} Section ID in format 's_N'
+     * Undo the last recorded change
+     * @throws {Error} In view mode
      */
-    newSectionId() {
-        return 's_' + this.sectionIdCounter++;
+    undo() {
+        this.assertEditable('undo');
+        this.history.undo();
     }
     
     /**
-     * Generate a unique filter group ID
-     * @returns {string} Filter group ID in format 'fg_N'
+     * Redo the last undone change
+     * @throws {Error} In view mode
      */
-    newFilterGroupId() {
-        return 'fg_' + this.filterGroupIdCounter++;
+    redo() {
+        this.assertEditable('redo');
+        this.history.redo();
     }
     
     /**
-     * Create a new filter group object
-     * @param {string} title - Title for the filter group
-     * @returns {object} Filter group configuration object
+     * Publish a recorded, undone or redone step
+     * Emits 'widget:add' / 'widget:remove' ({ widgetId, type, sectionId }) for every widget the step
+     * put into or took out of the dashboard, then 'change' ({ label, action })
+     * @param {object} entry - History entry { label, before, after }
+     * @param {string} action - 'edit', 'undo' or 'redo'
      */
-    createFilterGroup(title = 'Filter Container') {
-        return {
-            id: this.newFilterGroupId(),
-            title: title,
-            filters: [],    // Array of filter chips
-            widgets: [],    // Array of widgets in this filter group
-            layout: {
-                minItemWidthPx: this.filterGroupConfig.minItemWidthPx,
-                gapPx: this.filterGroupConfig.gapPx,
-                alignHeightsInRow: this.filterGroupConfig.alignHeightsInRow
+    emitChange(entry, action) {
+        const [from, to] = action === 'undo' ? [entry.after, entry.before] : [entry.before, entry.after];
+        const before = this.collectSnapshotWidgets(from);
+        const after = this.collectSnapshotWidgets(to);
+        
+        before.forEach((widget, widgetId) => {
+            if (!after.has(widgetId)) {
+                this.events.emit('widget:remove', { widgetId, ...widget });
             }
-        };
+        });
+        after.forEach((widget, widgetId) => {
+            if (!before.has(widgetId)) {
+                this.events.emit('widget:add', { widgetId, ...widget });
+            }
+        });
+        this.events.emit('change', { label: entry.label, action });
     }
     
     /**
-     * Add a filter chip to a filter group
-     * @param {string} groupId - ID of the filter group
+     * List the widgets of a history snapshot
+     * @param {string} snapshot - Serialized layout captured by the history manager
+     * @returns {Map} Widget ID -> { type, sectionId }
      */
-    addFilterToGroup(groupId) {
-        const section = this.sections.find(s => s.type === 'filter-group' && s.group.id === groupId);
-        if (section) {
-            section.group.filters.push({
-                id: `filter_${Date.now()}`,
-                label: 'Filter'
+    collectSnapshotWidgets(snapshot) {
+        const widgets = new Map();
+        JSON.parse(snapshot).sections.forEach(section => {
+            const sectionWidgets = section.type === 'filter-group' ? section.group.widgets : section.widgets;
+            sectionWidgets.forEach(widget => {
+                widgets.set(widget.id, { type: widget.type, sectionId: section.id });
             });
-            this.render();
-        }
+        });
+        return widgets;
     }
     
+    // ===== Public API =====
+    // Methods for host applications; each edit is one undo step, like the same edit in the UI
+    
     /**
-     * Remove a filter chip from a filter group
-     * @param {string} groupId - ID of the filter group
-     * @param {string} filterId - ID of the filter to remove
+     * Subscribe to an editor event (see the event list in the constructor)
+     * @param {string} eventName - Name of the event, e.g. 'change' or 'widget:add'
+     * @param {function} handler - Called with the event payload
+     * @returns {function} Function that removes the subscription
      */
-    removeFilterFromGroup(groupId, filterId) {
-        const section = this.sections.find(s => s.type === 'filter-group' && s.group.id === groupId);
-        if (section) {
-            section.group.filters = section.group.filters.filter(f => f.id !== filterId);
-            this.render();
-        }
+    on(eventName, handler) {
+        return this.events.on(eventName, handler);
     }
     
     /**
-     * Initialize the dashboard editor
-     * Sets up event handlers and loads initial state
+     * Remove a subscription made with on()
+     * @param {string} eventName - Name of the event
+     * @param {function} handler - Handler passed to on()
      */
-    init() {
-        this.setupPanelDragHandlers();   // Setup drag from widget panel
-        this.setupGridDropHandlers();    // Setup drop zones in canvas
-        this.setupResizeObserver();      // Watch for canvas resize
-        this.loadInitialState();         // Load initial dashboard state
+    off(eventName, handler) {
+        this.events.off(eventName, handler);
     }
     
     /**
-     * Setup resize observer to re-render dashboard when canvas size changes
+     * Get the current dashboard in the versioned layout format
+     * @returns {object} Layout object (a copy, safe to keep or JSON.stringify)
      */
-    setupResizeObserver() {
-        this.resizeObserver = new ResizeObserver(entries => {
-            for (let entry of entries) {
-                this.render();  // Re-render on resize
-            }
-        });
+    getLayout() {
+        return this.serialize();
+    }
+    
+    /**
+     * Replace the dashboard with a layout (one undo step)
+     * @param {string|object} layout - Layout as a JSON string or object
+     * @throws {LayoutSchemaError} When the layout is malformed
+     * @throws {Error} In view mode
+     */
+    setLayout(layout) {
+        this.assertEditable('set the layout');
+        this.load(layout);
+    }
+    
+    /**
+     * Add a widget of a registered type
+     * @param {string} widgetType - Registered widget type
+     * @param {object} [position] - Where to add it; by default as the panel's Add button does
+     *                              (the last section if the widget fits its last row, else a new section)
+     * @param {string|null} [position.sectionId] - Section or filter container to add it to;
+     *                                             null adds a new section
+     * @param {number} [position.index] - Index among the widgets of the section (default: the end),
+     *                                    or of the new section among the sections
+     * @returns {string|null} ID of the new widget, or null if the section does not exist
+     * @throws {Error} When the widget type is not registered, or in view mode
+     */
+    addWidget(widgetType, { sectionId, index } = {}) {
+        this.assertEditable('add a widget');
+        if (!this.widgetRegistry.has(widgetType)) {
+            throw new Error(`Unknown widget type "${widgetType}"`);
+        }
+        if (sectionId === undefined) {
+            return this.addWidgetToLastSection(widgetType);
+        }
         
-        this.resizeObserver.observe(this.gridCanvas);
+        const target = sectionId === null ? null : this.sections.find(s => s.id === sectionId);
+        if (sectionId !== null && !target) return null;
+        
+        const widget = this.createWidget(this.newWidgetId(), widgetType);
+        this.insertWidgetAt(widget, target, index);
+        this.commit('Add widget');
+        return widget.id;
     }
     
     /**
-     * Calculate number of columns based on container width (responsive breakpoints)
-     * @param {number} containerWidth - Width of the container in pixels
-     * @returns {number} Number of columns (1-4)
+     * Move a widget to a section or filter container, or into a new section
+     * @param {string} widgetId - Widget ID
+     * @param {object} position
+     * @param {string|null} [position.sectionId=null] - Target section; null moves the widget into
+     *                                                  a new section
+     * @param {number} [position.index] - Index among the widgets of the target once the widget is
+     *                                    taken out (default: the end), or of the new section among the
+     *                                    sections (default: where the widget's section is)
+     * @returns {boolean} True if the widget and the section exist
+     * @throws {Error} In view mode
      */
-    getColCountFromWidth(containerWidth) {
-        if (containerWidth >= 1200) return 4;  // Desktop: 4 columns
-        if (containerWidth >= 900) return 3;   // Tablet landscape: 3 columns
-        if (containerWidth >= 600) return 2;   // Tablet portrait: 2 columns
-        return 1;                              // Mobile: 1 column
+    moveWidget(widgetId, { sectionId = null, index } = {}) {
+        this.assertEditable('move a widget');
+        const target = sectionId === null ? null : this.sections.find(s => s.id === sectionId);
+        if (!this.findWidget(widgetId) || (sectionId !== null && !target)) return false;
+        
+        const { widgets: [widget], position } = this.detachWidgets([widgetId], sectionId);
+        this.insertWidgetAt(widget, target, index ?? (target ? undefined : position));
+        this.commit('Move widget');
+        return true;
     }
     
     /**
-     * Get the effective span of a widget (capped by column count)
+     * Put a widget into a section, or into a new widget section (model only)
      * @param {object} widget - Widget object
-     * @param {number} colCount - Total number of columns
-     * @returns {number} Effective span (1 to colCount)
+     * @param {object|null} section - Target section; null creates a new section
+     * @param {number} [index] - Index among the section's widgets, or of the new section (default: the end)
      */
-    effectiveSpan(widget, colCount) {
-        return Math.min(widget.minColSpan, colCount);
+    insertWidgetAt(widget, section, index) {
+        if (section) {
+            const widgets = section.type === 'filter-group' ? section.group.widgets : section.widgets;
+            widgets.splice(clamp(index ?? widgets.length, 0, widgets.length), 0, widget);
+            return;
+        }
+        this.sections.splice(clamp(index ?? this.sections.length, 0, this.sections.length), 0, {
+            id: this.newSectionId(),
+            type: 'widget',
+            title: 'New Section',
+            widgets: [widget]
+        });
     }
     
     /**
-     * Check if an item is a RowBlock (special layout with main + rail)
-     * @param {object} item - Item to check
-     * @returns {boolean} True if item is a RowBlock
+     * Delete a widget (a widget section left empty goes with it)
+     * @param {string} widgetId - Widget ID
+     * @returns {boolean} True if the widget existed
+     * @throws {Error} In view mode
      */
-    isRowBlock(item) {
-        return item.kind === 'rowblock';
+    removeWidget(widgetId) {
+        this.assertEditable('remove a widget');
+        if (!this.findWidget(widgetId)) return false;
+        
+        this.deleteWidget(widgetId);
+        return true;
     }
     
     /**
-     * Get the span of an item (RowBlocks always take full width)
-     * @param {object} item - Widget or RowBlock
-     * @param {number} colCount - Total number of columns
-     * @returns {number} Span in columns
+     * Move a section to another position
+     * Emits 'section:move' ({ sectionId, from, to }) when the position changes
+     * @param {string} sectionId - Section ID
+     * @param {number} index - New index among the sections (clamped to the valid range)
+     * @returns {boolean} True if the section exists
+     * @throws {Error} In view mode
      */
-    itemSpan(item, colCount) {
-        if (this.isRowBlock(item)) return colCount;  // RowBlocks take full width
-        return this.effectiveSpan(item, colCount);
+    moveSection(sectionId, index) {
+        this.assertEditable('move a section');
+        const from = this.sections.findIndex(s => s.id === sectionId);
+        if (from === -1) return false;
+        
+        const to = clamp(index, 0, this.sections.length - 1);
+        if (to === from) return true;
+        
+        const [section] = this.sections.splice(from, 1);
+        this.sections.splice(to, 0, section);
+        this.commit('Move section');
+        this.events.emit('section:move', { sectionId, from, to });
+        return true;
     }
     
     /**
-     * Transform widgets into RowBlocks where applicable
-     * A RowBlock is a special layout: 3-col main widget + 1-col rail of smaller widgets
-     * Only applies when colCount is 4 (desktop layout)
-     * @param {array} widgetsInOrder - Array of widgets in order
-     * @param {number} colCount - Total number of columns
-     * @returns {array} Array of widgets and RowBlocks
+     * Delete a section or filter container with its widgets
+     * @param {string} sectionId - Section ID
+     * @returns {boolean} True if the section existed
+     * @throws {Error} In view mode
      */
-    transformRowBlocks(widgetsInOrder, colCount) {
-        // RowBlocks only work in 4-column layout
-        if (colCount !== 4) return [...widgetsInOrder];
+    removeSection(sectionId) {
+        this.assertEditable('remove a section');
+        if (!this.sections.some(s => s.id === sectionId)) return false;
         
-        const items = [...widgetsInOrder];
-        const { maxRailItems, toleranceRem, vGapRem } = this.layoutConfig;
+        this.deleteSection(sectionId);
+        return true;
+    }
+    
+    /**
+     * Check if the editor is in view mode
+     * @returns {boolean} True when the dashboard is shown read-only
+     */
+    isViewMode() {
+        return this.mode === 'view';
+    }
+    
+    /**
+     * Refuse an API edit in view mode
+     * @param {string} action - What the caller tried to do, for the error message
+     * @throws {Error} In view mode
+     */
+    assertEditable(action) {
+        if (this.isViewMode()) {
+            throw new Error(`Cannot ${action} in view mode`);
+        }
+    }
+    
+    /**
+     * Switch between edit and view mode
+     * View mode renders the dashboard without drag handlers, editable titles, resize handles or
+     * action buttons, hides the widget panel and the breakpoint switcher, and refuses edits
+     * (the API throws, see assertEditable()); global filters and data refreshes keep working.
+     * Emits 'mode:change' ({ mode })
+     * @param {string} mode - 'edit' or 'view'
+     * @throws {TypeError} When the mode is unknown
+     */
+    setMode(mode) {
+        if (!EDITOR_MODES.includes(mode)) {
+            throw new TypeError(`Unknown editor mode "${mode}"`);
+        }
+        if (mode === this.mode) return;
         
-        let i = 0;
-        while (i < items.length) {
-            const current = items[i];
-            if (this.isRowBlock(current)) { 
-                i++; 
-                continue; 
-            }
-            
-            const w = current;
-            if (this.effectiveSpan(w, colCount) !== 3) { 
-                i++; 
-                continue; 
-            }
-            
-            const rb = { 
-                kind: 'rowblock', 
-                main: w, 
-                rail: [],
-                id: `rb-${w.id}`
-            };
-            
-            const railTarget = w.minHeightRem + toleranceRem;
-            let railHeight = 0;
-            let railCount = 0;
-            
-            const canTake = (candidate) => {
-                if (railCount >= maxRailItems) return false;
-                if (this.effectiveSpan(candidate, colCount) !== 1) return false;
-                const addGap = railCount > 0 ? vGapRem : 0;
-                return (railHeight + addGap + candidate.minHeightRem) <= railTarget;
-            };
-            
-            let k = i - 1;
-            const capturedPrev = [];
-            while (k >= 0) {
-                const prev = items[k];
-                if (this.isRowBlock(prev)) break;
-                const pw = prev;
-                if (this.effectiveSpan(pw, colCount) !== 1) break;
-                if (!canTake(pw)) break;
-                
-                capturedPrev.push(pw);
-                const addGap = railCount > 0 ? vGapRem : 0;
-                railHeight += addGap + pw.minHeightRem;
-                railCount++;
-                
-                k--;
-            }
-            
-            let capturedNext = [];
-            if (capturedPrev.length === 0) {
-                let j = i + 1;
-                while (j < items.length) {
-                    const next = items[j];
-                    if (this.isRowBlock(next)) break;
-                    if (this.effectiveSpan(next, colCount) !== 1) break;
-                    if (!canTake(next)) break;
-                    
-                    capturedNext.push(next);
-                    const addGap = railCount > 0 ? vGapRem : 0;
-                    railHeight += addGap + next.minHeightRem;
-                    railCount++;
-                    j++;
-                }
-                
-                if (capturedNext.length > 0) {
-                    items.splice(i + 1, capturedNext.length);
-                }
-            }
-            
-            rb.rail.push(...capturedPrev.reverse(), ...capturedNext);
-            
-            if (rb.rail.length > 0) {
-                if (capturedPrev.length > 0) {
-                    const startPrev = k + 1;
-                    const countPrev = i - startPrev;
-                    if (countPrev > 0) {
-                        items.splice(startPrev, countPrev);
-                        i = startPrev;
-                    }
-                }
-                
-                items.splice(i, 1, rb);
-            }
-            
-            i++;
+        // Finish whatever is being edited before the controls go away
+        if (this.root.contains(document.activeElement)) {
+            document.activeElement.blur();
+        }
+        if (this.keyboardMove) {
+            this.cancelKeyboardMove();
         }
+        if (this.widgetResize) {
+            this.endWidgetResize(false);
+        }
+        this.drag.cancel();
+        this.closePopover();
+        this.clearSelection();
+        
+        this.mode = mode;
+        this.editingBreakpointId = null;
+        this.root.classList.toggle('view-mode', mode === 'view');
+        this.updateModeToggle();
+        
+        // Elements are built for one mode, so build them again
+        this.widgetElements.forEach(entry => this.destroyWidgetContent(entry));
+        this.widgetElements.clear();
+        this.sectionElements.clear();
+        this.gridCanvas.replaceChildren();
+        this.render();
         
-        return items;
+        this.events.emit('mode:change', { mode });
+        this.announce(mode === 'view' ? 'View mode: the dashboard is read-only' : 'Edit mode');
     }
     
     /**
-     * Pack widgets/RowBlocks into rows with intelligent distribution
-     * - Fills rows left to right until colCount is reached
-     * - Expands widgets to fill remaining space when possible
-     * - Marks rows for equal distribution when all widgets are 1-col
-     * @param {array} items - Array of widgets or RowBlocks
-     * @param {number} colCount - Total columns available
-     * @returns {array} Array of row objects with cells
+     * Connect the Edit/View toggle in the header to setMode()
      */
-    packRows(items, colCount) {
-        console.log(`\n=== packRows: colCount = ${colCount} ===`);
-        const rows = [];
-        let currentRow = [];
-        let used = 0;
-        
-        const flush = () => {
-            if (currentRow.length === 0) return;
-            
-            console.log(`\nFlushing row: used = ${used}, colCount = ${colCount}`);
-            console.log('Current row before expansion:', currentRow.map(c => ({
-                type: this.isRowBlock(c.item) ? 'RowBlock' : c.item.size,
-                span: c.span
-            })));
-            
-            const remaining = colCount - used;
-            console.log(`Remaining space: ${remaining}`);
-            
-            if (remaining > 0) {
-                const expandableWidgets = currentRow.filter(cell => !this.isRowBlock(cell.item));
-                console.log(`Expandable widgets: ${expandableWidgets.length}`);
-                
-                if (expandableWidgets.length > 0) {
-                    const allAreMinSpan = expandableWidgets.every(cell => cell.span === 1);
-                    
-                    if (allAreMinSpan && remaining < expandableWidgets.length) {
-                        console.log('All widgets are 1-col and remaining space is less than widget count, distributing equitably without expansion');
-                        currentRow.forEach(cell => {
-                            cell.distributeEqually = true;
-                        });
-                    } else {
-                        const extraPerWidget = Math.floor(remaining / expandableWidgets.length);
-                        let leftover = remaining % expandableWidgets.length;
-                        console.log(`Extra per widget: ${extraPerWidget}, leftover: ${leftover}`);
-                        
-                        expandableWidgets.forEach((cell, idx) => {
-                            const extra = extraPerWidget + (idx < leftover ? 1 : 0);
-                            const oldSpan = cell.span;
-                            cell.span = Math.min(colCount, cell.span + extra);
-                            console.log(`  Widget ${idx}: ${oldSpan} → ${cell.span} (extra: ${extra})`);
-                        });
-                    }
-                }
-            }
-            
-            console.log('Current row after expansion:', currentRow.map(c => ({
-                type: this.isRowBlock(c.item) ? 'RowBlock' : c.item.size,
-                span: c.span
-            })));
-            const totalSpan = currentRow.reduce((sum, c) => sum + c.span, 0);
-            console.log(`Total span: ${totalSpan} / ${colCount}`);
-            
-            rows.push({ cells: currentRow });
-            currentRow = [];
-            used = 0;
-        };
+    setupModeToggle() {
+        this.root.querySelectorAll('.mode-toggle-btn').forEach(button => {
+            button.addEventListener('click', () => this.setMode(button.dataset.mode));
+        });
+        this.updateModeToggle();
+    }
+    
+    /**
+     * Show the current mode in the header toggle
+     */
+    updateModeToggle() {
+        this.root.querySelectorAll('.mode-toggle-btn').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.mode === this.mode));
+        });
+    }
+    
+    /**
+     * Leave the editing controls out of an element rendered in view mode (see EDIT_CONTROLS_SELECTOR)
+     * @param {HTMLElement} element - Newly created widget, section or filter chip element
+     */
+    removeEditControls(element) {
+        if (!this.isViewMode()) return;
         
-        for (const item of items) {
-            const span = this.itemSpan(item, colCount);
-            const itemType = this.isRowBlock(item) ? 'RowBlock' : item.size;
-            console.log(`Processing ${itemType}: span = ${span}, used = ${used}`);
-            
-            if (span >= colCount) {
-                console.log(`  → Full width item, creating separate row`);
-                flush();
-                rows.push({ cells: [{ item, span: colCount }] });
-                continue;
-            }
-            
-            if (used + span > colCount) {
-                console.log(`  → Would exceed colCount (${used} + ${span} > ${colCount}), flushing current row`);
-                flush();
-            }
-            
-            console.log(`  → Adding to current row`);
-            currentRow.push({ item, span });
-            used += span;
-        }
+        element.querySelectorAll(EDIT_CONTROLS_SELECTOR).forEach(control => control.remove());
+        element.querySelectorAll('.filter-chip-label').forEach(label => {
+            label.disabled = true;
+            label.removeAttribute('title');
+        });
+    }
+    
+    /**
+     * Build a standalone HTML snapshot of the dashboard: the computed layout with CSS grids and
+     * no editor script (see static-export.js). Widget content is rendered with the data loaded now
+     * @param {object} [options]
+     * @param {number} [options.width] - Export the layout at this canvas width only; by default every
+     *                                   breakpoint is exported and the page shows the one fitting the window
+     * @returns {string} HTML document
+     */
+    exportStaticHTML({ width } = {}) {
+        const breakpoints = width ? [DashboardLayoutEngine.getBreakpoint(width, this.breakpoints)] : this.breakpoints;
+        const views = breakpoints.map(breakpoint => {
+            const index = this.breakpoints.indexOf(breakpoint);
+            const containerWidth = width || breakpoint.minWidth;
+            return {
+                breakpoint,
+                maxWidth: index > 0 ? this.breakpoints[index - 1].minWidth : null,
+                sections: this.sections.map(section => this.createStaticSection(section, containerWidth, breakpoint))
+            };
+        });
         
-        flush();
-        return rows;
+        return DashboardExport.renderStaticDashboard({
+            title: this.title,
+            views,
+            width: width || null,
+            railGapRem: this.layoutConfig.vGapRem
+        });
     }
     
-    layoutSection(section, containerWidth) {
-        const colCount = this.getColCountFromWidth(containerWidth);
-        console.log(`\n=== layoutSection: containerWidth = ${containerWidth}, colCount = ${colCount} ===`);
+    /**
+     * Lay out a section for a static snapshot (see "Input" in static-export.js)
+     * @param {object} section - Section object
+     * @param {number} containerWidth - Canvas width in pixels
+     * @param {object} breakpoint - Breakpoint to lay out with
+     * @returns {object} Export section
+     */
+    createStaticSection(section, containerWidth, breakpoint) {
+        const layout = this.layoutSection(section, containerWidth, breakpoint);
+        const colCount = layout.colCount;
+        const rows = layout.rows.map(row => ({
+            distributeEqually: row.cells.some(cell => cell.distributeEqually),
+            cells: row.cells.map(cell => {
+                if (!this.isRowBlock(cell.item)) {
+                    return { span: cell.span, widget: this.createStaticWidget(cell.item, cell.span, colCount) };
+                }
+                const rowBlock = cell.item;
+                return {
+                    span: cell.span,
+                    rowBlock: {
+                        mainSpan: rowBlock.mainSpan,
+                        railSpan: rowBlock.railSpan,
+                        main: this.createStaticWidget(rowBlock.main, rowBlock.mainSpan, colCount),
+                        rail: rowBlock.rail.map(widget => this.createStaticWidget(widget, rowBlock.railSpan, colCount))
+                    }
+                };
+            })
+        }));
         
         if (section.type === 'filter-group') {
-            console.log('Filter group widgets:', section.group.widgets.map(w => w.size));
-            
-            const items = this.transformRowBlocks(section.group.widgets, colCount);
-            console.log('Filter group items before packRows:', items.map(item => 
-                this.isRowBlock(item) ? 'RowBlock' : item.size
-            ));
-            const rows = this.packRows(items, colCount);
-            
             return {
+                id: section.id,
                 type: 'filter-group',
-                group: section.group,
-                colCount,
-                rows,
-                containerWidth
+                title: section.group.title || 'Filter Container',
+                filters: section.group.filters.filter(isFilterActive).map(formatFilterLabel),
+                rows
             };
         }
-        
-        console.log('Section widgets:', section.widgets.map(w => w.size));
-        const items = this.transformRowBlocks(section.widgets, colCount);
-        console.log('Items before packRows:', items.map(item => 
-            this.isRowBlock(item) ? 'RowBlock' : item.size
-        ));
-        const rows = this.packRows(items, colCount);
-        
         return {
+            id: section.id,
             type: 'widget',
-            colCount,
+            title: section.title || 'New Section',
+            collapsed: Boolean(section.collapsed),
             rows
         };
     }
     
     /**
-     * Setup drag handlers for widget panel items
-     * Handles:
-     * - Drag start: Store widget size and create placeholder
-     * - Drag end: Clean up state
-     * - Add button click: Add widget to last section
+     * Describe a widget for a static snapshot, with its content rendered to HTML
+     * @param {object} widget - Widget object
+     * @param {number} span - Column span in the snapshot
+     * @param {number} colCount - Column count of the snapshot
+     * @returns {object} Export widget { id, title, minHeightRem, heightMode, contentHTML, summaryHTML }
      */
-    setupPanelDragHandlers() {
-        const widgetItems = document.querySelectorAll('.widget-item');
-        
-        widgetItems.forEach(item => {
-            item.addEventListener('dragstart', (e) => {
-                this.isDraggingFromPanel = true;
-                const widgetSize = item.dataset.size;
-                this.draggedWidgetSize = widgetSize;
-                e.dataTransfer.effectAllowed = 'copy';
-                e.dataTransfer.setData('widgetSize', widgetSize);
-                this.createDragPlaceholder();
-            });
-            
-            item.addEventListener('dragend', () => {
-                this.isDraggingFromPanel = false;
-                this.draggedWidgetSize = null;
-                this.removeDragPlaceholder();
-            });
-            
-            const addBtn = item.querySelector('.widget-item-add-btn');
-            if (addBtn) {
-                addBtn.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    const widgetSize = item.dataset.size;
-                    this.addWidgetToLastSection(widgetSize);
-                });
+    createStaticWidget(widget, span, colCount) {
+        return {
+            id: widget.id,
+            title: widget.title || this.getWidgetConfig(widget.size).displayName,
+            minHeightRem: widget.minHeightRem,
+            heightMode: widget.heightMode,
+            contentHTML: this.renderStaticWidgetContent(widget, span, colCount),
+            summaryHTML: this.renderWidgetFilterSummary(widget)
+        };
+    }
+    
+    /**
+     * Render the content of a widget once, into HTML (see renderWidgetContent())
+     * Bound widgets use the data already loaded; nothing is fetched for the snapshot
+     * @param {object} widget - Widget object
+     * @param {number} span - Column span
+     * @param {number} colCount - Column count
+     * @returns {string} Content HTML
+     */
+    renderStaticWidgetContent(widget, span, colCount) {
+        const definition = this.getWidgetDefinition(widget.type);
+        const context = {
+            widget: { ...widget },
+            options: widget.options || {},
+            span,
+            colCount,
+            ...this.getWidgetFilterContext(widget.id)
+        };
+        delete context.groupId;
+        
+        if (widget.data) {
+            const data = this.widgetData.get(widget.id);
+            if (!data || !data.result || data.result.rows.length === 0) {
+                const message = data && data.status === 'error' ? 'Data could not be loaded' : 'No data';
+                return `<div class="widget-state">${message}</div>`;
             }
-        });
+            context.data = data.result;
+        }
+        
+        const element = document.createElement('div');
+        try {
+            const state = definition.render(element, context);
+            const html = element.innerHTML;
+            if (definition.destroy) {
+                definition.destroy(element, { state });
+            }
+            return html;
+        } catch (error) {
+            this.logger.error(`Error rendering widget "${widget.id}" (${definition.type}) for export:`, error);
+            return 'This widget could not be displayed';
+        }
+    }
+    
+    /**
+     * Download a static HTML snapshot (see exportStaticHTML())
+     * @param {object} [options] - Options of exportStaticHTML()
+     */
+    downloadStaticHTML(options) {
+        this.downloadFile(this.exportStaticHTML(options), 'text/html', 'html');
+        this.announce('Exported an HTML snapshot of the dashboard');
+    }
+    
+    /**
+     * Let the browser save text as a file named after the dashboard title
+     * @param {string} contents - File contents
+     * @param {string} type - MIME type
+     * @param {string} extension - File name extension
+     */
+    downloadFile(contents, type, extension) {
+        const url = URL.createObjectURL(new Blob([contents], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'dashboard'}.${extension}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    
+    /**
+     * Get the current layout as the text of a layout file (see the format at the top of this file)
+     * @returns {string} Indented layout JSON
+     */
+    exportLayoutJSON() {
+        return JSON.stringify(this.serialize(), null, 2);
     }
     
-    addWidgetToLastSection(widgetSize) {
-        if (widgetSize === 'FILTER') {
-            const filterGroup = this.createFilterGroup('Filter Container');
-            const newSection = {
-                id: this.newSectionId(),
-                type: 'filter-group',
-                group: filterGroup
-            };
-            this.sections.push(newSection);
-            this.render();
-            // Scroll to the new filter container section
-            this.scrollToSection(newSection.id);
-            return;
+    /**
+     * Replace the dashboard with the layout of a layout file (one undo step)
+     * Layouts of older versions are migrated; ID counters are raised past the imported IDs
+     * @param {string} text - Layout JSON
+     * @throws {LayoutSchemaError} When the layout is malformed
+     * @throws {Error} In view mode
+     */
+    importLayoutJSON(text) {
+        this.assertEditable('import a layout');
+        this.load(String(text), 'Import layout');
+    }
+    
+    /**
+     * Import a layout file chosen by the user and show the outcome under the Import button
+     * @param {File} file - Chosen file
+     * @returns {Promise<boolean>} True if the layout was imported
+     */
+    async importLayoutFile(file) {
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            this.logger.warn(`Import: could not read "${file.name}":`, error);
+            this.showLayoutFileStatus(`Could not read ${file.name}`, []);
+            return false;
         }
         
-        const config = this.getWidgetConfig(widgetSize);
-        const widget = {
-            id: this.newWidgetId(),
-            size: widgetSize,
-            title: config.displayName,
-            minColSpan: config.minColSpan,
-            minHeightRem: config.minHeightRem,
-            heightMode: config.heightMode
-        };
-        
-        const containerWidth = this.gridCanvas.offsetWidth;
-        const colCount = this.getColCountFromWidth(containerWidth);
-        
-        const lastSection = this.sections.length > 0 ? this.sections[this.sections.length - 1] : null;
-        
-        if (!lastSection || lastSection.type === 'filter-group') {
-            const newSection = {
-                id: this.newSectionId(),
-                type: 'widget',
-                title: 'New Section',
-                widgets: [widget]
-            };
-            this.sections.push(newSection);
-            this.render();
-            // Scroll to the newly added widget
-            this.scrollToWidget(widget.id);
-            return;
+        try {
+            this.importLayoutJSON(text);
+        } catch (error) {
+            if (!(error instanceof LayoutSchemaError)) throw error;
+            this.logger.warn(`Import: "${file.name}" is not a valid layout:`, error.message);
+            this.showLayoutFileStatus(`${file.name} is not a valid layout`, error.errors);
+            this.announce(`Could not import ${file.name}: it is not a valid layout`);
+            return false;
         }
         
-        const testWidgets = [...lastSection.widgets, widget];
-        const items = this.transformRowBlocks(testWidgets, colCount);
-        const rows = this.packRows(items, colCount);
-        
-        const lastRow = rows[rows.length - 1];
-        const lastRowUsedCols = lastRow.cells.reduce((sum, cell) => sum + cell.span, 0);
-        
-        if (lastRowUsedCols <= colCount) {
-            lastSection.widgets.push(widget);
-        } else {
-            const newSection = {
-                id: this.newSectionId(),
-                type: 'widget',
-                title: 'New Section',
-                widgets: [widget]
-            };
-            this.sections.push(newSection);
+        this.showLayoutFileStatus(`Imported ${file.name}`, []);
+        this.announce(`Imported ${file.name}`);
+        return true;
+    }
+    
+    /**
+     * Show the outcome of the last import below the layout file buttons
+     * @param {string} message - Outcome
+     * @param {string[]} errors - Schema problems to list (see LayoutSchemaError)
+     */
+    showLayoutFileStatus(message, errors) {
+        const status = this.root.querySelector('.layout-file-status');
+        status.hidden = false;
+        status.classList.toggle('error', errors.length > 0);
+        status.textContent = message;
+        if (errors.length > 0) {
+            const list = document.createElement('ul');
+            errors.forEach(text => {
+                const item = document.createElement('li');
+                item.textContent = text;
+                list.appendChild(item);
+            });
+            status.appendChild(list);
         }
-        
-        this.render();
-        // Scroll to the newly added widget
-        this.scrollToWidget(widget.id);
     }
     
     /**
-     * Setup drop handlers for the main canvas
-     * Handles:
-     * - Dragover: Show visual placeholder at drop location
-     * - Drop: Execute the drop action (add/move widget or section)
-     * - Validation: Prevent drops on invalid (red) dropzones
+     * Connect the Export JSON and Import JSON buttons in the sidebar
      */
-    setupGridDropHandlers() {
-        this.gridCanvas.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            e.dataTransfer.dropEffect = this.isDraggingFromPanel ? 'copy' : 'move';
-            
-            const targetInfo = this.getDropTarget(e.clientX, e.clientY);
-            if (targetInfo) {
-                this.updateDragPlaceholder(targetInfo);
-            }
+    setupLayoutFile() {
+        const input = this.root.querySelector('.layout-file-input');
+        this.root.querySelector('.layout-file-btn[data-action="export"]').addEventListener('click', () => {
+            this.downloadFile(this.exportLayoutJSON(), 'application/json', 'json');
+            this.root.querySelector('.layout-file-status').hidden = true;
+            this.announce('Exported the layout as JSON');
         });
-        
-        this.gridCanvas.addEventListener('drop', (e) => {
-            e.preventDefault();
-            
-            const targetInfo = this.getDropTarget(e.clientX, e.clientY);
-            
-            if (targetInfo && targetInfo.isInvalid) {
-                this.removeDragPlaceholder();
-                this.draggedWidget = null;
-                this.draggedSection = null;
-                this.draggedWidgetSize = null;
-                return;
-            }
-            
-            if (this.isDraggingFromPanel) {
-                const widgetSize = e.dataTransfer.getData('widgetSize');
-                if (targetInfo && widgetSize) {
-                    this.handleDropFromPanel(targetInfo, widgetSize);
-                }
-            } else if (this.draggedWidget) {
-                if (targetInfo) {
-                    this.handleMoveWidget(targetInfo);
-                }
-            } else if (this.draggedSection) {
-                if (targetInfo && targetInfo.type === 'between-sections') {
-                    this.handleMoveSection(targetInfo);
-                }
+        this.root.querySelector('.layout-file-btn[data-action="import"]').addEventListener('click', () => {
+            input.click();
+        });
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            // Choosing the same file again must fire another change
+            input.value = '';
+            if (file) {
+                this.importLayoutFile(file);
             }
-            
-            this.removeDragPlaceholder();
-            this.draggedWidget = null;
-            this.draggedSection = null;
-            this.draggedWidgetSize = null;
         });
     }
     
     /**
-     * Validate if a widget can fit in a section without creating a new row
-     * Used for drag-and-drop validation to show red/blue dropzones
-     * @param {string} widgetSize - Size of widget to add (XS, S, M, L, XL, FILTER)
-     * @param {string} sectionId - ID of target section
-     * @returns {boolean} True if widget fits in existing rows, false if new row needed
+     * Switch the sidebar between its tabs (arrow keys move between the tabs)
      */
-    canWidgetFitInSection(widgetSize, sectionId) {
-        if (widgetSize === 'FILTER') return false;
-        
-        const section = this.sections.find(s => s.id === sectionId);
-        if (!section || section.type !== 'widget') return true;
-        
-        if (section.widgets.length === 0) return true;
+    setupSidebarTabs() {
+        const tabs = Array.from(this.root.querySelectorAll('.sidebar-tab'));
+        const select = (tab) => {
+            tabs.forEach(other => {
+                const selected = other === tab;
+                other.setAttribute('aria-selected', String(selected));
+                other.tabIndex = selected ? 0 : -1;
+                this.root.querySelector(`.sidebar-panel[data-panel="${other.dataset.tab}"]`).hidden = !selected;
+            });
+        };
         
-        const config = this.getWidgetConfig(widgetSize);
-        if (!config) return true;
+        tabs.forEach((tab, index) => {
+            tab.addEventListener('click', () => select(tab));
+            tab.addEventListener('keydown', (e) => {
+                if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+                e.preventDefault();
+                const next = tabs[(index + (e.key === 'ArrowRight' ? 1 : tabs.length - 1)) % tabs.length];
+                select(next);
+                next.focus();
+            });
+        });
         
-        const containerWidth = this.gridCanvas.offsetWidth;
-        const colCount = this.getColCountFromWidth(containerWidth);
+        const saveBtn = this.root.querySelector('.save-template-btn');
+        saveBtn.addEventListener('click', () => this.openSaveTemplateForm(saveBtn));
+    }
+    
+    /**
+     * Read the templates saved in localStorage; malformed entries are dropped with a warning
+     * (their layouts are validated when they are used, see getTemplateSections())
+     */
+    loadSavedTemplates() {
+        if (this.templateStorageKey === null) return;
         
+        let stored = null;
         try {
-            const itemsBefore = this.transformRowBlocks(section.widgets, colCount);
-            const rowsBefore = this.packRows(itemsBefore, colCount);
-            const rowCountBefore = rowsBefore.length;
-            
-            const testWidgets = [...section.widgets, {
-                id: 'temp',
-                size: widgetSize,
-                title: config.displayName,
-                minColSpan: config.minColSpan,
-                minHeightRem: config.minHeightRem,
-                heightMode: config.heightMode
-            }];
-            
-            const itemsAfter = this.transformRowBlocks(testWidgets, colCount);
-            const rowsAfter = this.packRows(itemsAfter, colCount);
-            const rowCountAfter = rowsAfter.length;
-            
-            return rowCountAfter === rowCountBefore;
+            stored = JSON.parse(localStorage.getItem(this.templateStorageKey) || '[]');
         } catch (e) {
-            console.error('Error in canWidgetFitInSection:', e);
-            return true;
+            this.logger.warn('Ignoring saved templates:', e.message);
         }
+        if (!Array.isArray(stored)) return;
+        
+        this.savedTemplates = stored.filter(template => {
+            const valid = template !== null && typeof template === 'object' &&
+                typeof template.id === 'string' && typeof template.label === 'string' &&
+                template.layout !== null && typeof template.layout === 'object';
+            if (!valid) {
+                this.logger.warn('Ignoring a malformed saved template:', template);
+            }
+            return valid;
+        });
     }
     
     /**
-     * Calculate drop target based on cursor position
-     * Creates dropzones for:
-     * - within-section: Between/before/after widgets in a section
-     * - within-filter-group: Inside filter containers
-     * - between-sections: Between sections
-     * Validates dropzones and marks invalid ones (red) when widget doesn't fit
-     * @param {number} x - Cursor X position
-     * @param {number} y - Cursor Y position
-     * @returns {object|null} Drop target info or null
+     * Persist the saved templates to localStorage (unless the editor has no template storage key)
      */
-    getDropTarget(x, y) {
-        const canvasRect = this.gridCanvas.getBoundingClientRect();
-        if (x < canvasRect.left || x > canvasRect.right || 
-            y < canvasRect.top || y > canvasRect.bottom) {
-            return null;
-        }
-        
-        const sectionElements = document.querySelectorAll('[data-section-id]');
-        const dropZones = [];
+    saveTemplatesState() {
+        if (this.templateStorageKey === null) return;
         
-        sectionElements.forEach((sectionEl, idx) => {
-            const sectionId = sectionEl.dataset.sectionId;
-            const rect = sectionEl.getBoundingClientRect();
-            
-            const section = this.sections.find(s => s.id === sectionId);
-            if (!section) return;
-            
-            if (section.type === 'filter-group') {
-                const filterGroupEl = sectionEl.querySelector('.filter-group');
-                if (filterGroupEl) {
-                    const filterGroupRect = filterGroupEl.getBoundingClientRect();
-                    const filterWidgets = filterGroupEl.querySelectorAll('.filter-group-widget');
-                    
-                    if (filterWidgets.length === 0) {
-                        dropZones.push({
-                            type: 'within-filter-group',
-                            sectionId: sectionId,
-                            position: 0,
-                            top: filterGroupRect.top,
-                            bottom: filterGroupRect.bottom,
-                            left: filterGroupRect.left,
-                            right: filterGroupRect.right
-                        });
-                    } else {
-                        filterWidgets.forEach((widgetEl, widgetIdx) => {
-                            const widgetRect = widgetEl.getBoundingClientRect();
-                            const widgetId = widgetEl.dataset.widgetId;
-                            
-                            dropZones.push({
-                                type: 'within-filter-group',
-                                sectionId: sectionId,
-                                widgetId: widgetId,
-                                position: widgetIdx,
-                                top: widgetRect.top - 6,
-                                bottom: widgetRect.bottom + 6,
-                                left: widgetRect.left - 6,
-                                right: widgetRect.right + 6
-                            });
-                            
-                            dropZones.push({
-                                type: 'within-filter-group',
-                                sectionId: sectionId,
-                                position: widgetIdx + 1,
-                                top: widgetRect.top - 6,
-                                bottom: widgetRect.bottom + 6,
-                                left: widgetRect.right - 6,
-                                right: widgetRect.right + 20
-                            });
-                        });
-                    }
-                }
-                
-                dropZones.push({
-                    type: 'between-sections',
-                    position: idx,
-                    top: rect.top - 15,
-                    bottom: rect.top,
-                    left: rect.left,
-                    right: rect.right
-                });
-                
-                dropZones.push({
-                    type: 'between-sections',
-                    position: idx + 1,
-                    top: rect.bottom,
-                    bottom: rect.bottom + 15,
-                    left: rect.left,
-                    right: rect.right
-                });
-                
-                return;
-            }
-            
-            const widgetIdToIndex = new Map();
-            section.widgets.forEach((widget, index) => {
-                widgetIdToIndex.set(widget.id, index);
-            });
-            
-            const railElements = sectionEl.querySelectorAll('.rowblock-rail');
-            railElements.forEach(railEl => {
-                const railRect = railEl.getBoundingClientRect();
-                const railWidgets = railEl.querySelectorAll('[data-widget-id]');
-                
-                if (railWidgets.length === 0) {
-                    dropZones.push({
-                        type: 'within-section',
-                        sectionId: sectionId,
-                        position: 0,
-                        top: railRect.top,
-                        bottom: railRect.bottom,
-                        left: railRect.left,
-                        right: railRect.right,
-                        isRailDropZone: true
-                    });
-                } else {
-                    railWidgets.forEach((widgetEl, railIdx) => {
-                        const widgetRect = widgetEl.getBoundingClientRect();
-                        const widgetId = widgetEl.dataset.widgetId;
-                        const actualIndex = widgetIdToIndex.get(widgetId);
-                        
-                        if (actualIndex !== undefined) {
-                            if (railIdx === 0) {
-                                dropZones.push({
-                                    type: 'within-section',
-                                    sectionId: sectionId,
-                                    position: actualIndex,
-                                    top: railRect.top,
-                                    bottom: widgetRect.top + (widgetRect.height / 2),
-                                    left: railRect.left,
-                                    right: railRect.right,
-                                    isRailDropZone: true
-                                });
-                            }
-                            
-                            dropZones.push({
-                                type: 'within-section',
-                                sectionId: sectionId,
-                                position: actualIndex + 1,
-                                top: widgetRect.top + (widgetRect.height / 2),
-                                bottom: railIdx === railWidgets.length - 1 ? railRect.bottom : widgetRect.bottom + 6,
-                                left: railRect.left,
-                                right: railRect.right,
-                                isRailDropZone: true
-                            });
-                        }
-                    });
-                }
+        try {
+            localStorage.setItem(this.templateStorageKey, JSON.stringify(this.savedTemplates));
+        } catch (e) {
+            this.logger.warn('Unable to save templates:', e);
+        }
+    }
+    
+    /**
+     * List the templates offered in the templates tab
+     * @returns {array} { id, label, description, params, saved } of the predefined templates,
+     *                  then of the saved ones (newest last)
+     */
+    listTemplates() {
+        return [
+            ...this.templates.map(({ id, label, description, params }) => ({
+                id, label, description: description || '', params: params || [], saved: false
+            })),
+            ...this.savedTemplates.map(({ id, label, description }) => ({
+                id, label, description: description || '', params: [], saved: true
+            }))
+        ];
+    }
+    
+    /**
+     * @param {string} templateId - ID of a predefined or saved template
+     * @returns {object|null} Template definition or saved template
+     */
+    getTemplate(templateId) {
+        return this.templates.find(t => t.id === templateId) ||
+            this.savedTemplates.find(t => t.id === templateId) || null;
+    }
+    
+    /**
+     * Build the sections of a template, still carrying the template's own IDs
+     * Widgets of predefined templates are completed from their type and size (see templates.js)
+     * @param {object} template - Template definition or saved template
+     * @param {object} [params] - Param values of a predefined template
+     * @returns {object} { sections, dataSources }
+     * @throws {LayoutSchemaError} When the template does not produce a valid layout
+     */
+    getTemplateSections(template, params) {
+        let layout;
+        if (template.layout) {
+            layout = migrateLayout(JSON.parse(JSON.stringify(template.layout)));
+        } else {
+            const sections = template.build(DashboardTemplates.resolveTemplateParams(template, params));
+            sections.forEach(section => {
+                const group = section.type === 'filter-group' ? section.group : section;
+                group.widgets = group.widgets.map(widget => this.completeTemplateWidget(widget));
             });
-            
-            const widgetElements = sectionEl.querySelectorAll('[data-widget-id]');
-            const positions = [];
-            
-            widgetElements.forEach(widgetEl => {
-                if (widgetEl.classList.contains('dragging')) return;
-                if (widgetEl.closest('.rowblock-rail')) return;
-                
-                const widgetRect = widgetEl.getBoundingClientRect();
-                const widgetId = widgetEl.dataset.widgetId;
-                
-                const actualIndex = widgetIdToIndex.get(widgetId);
-                if (actualIndex === undefined) return;
-                
-                positions.push({
-                    id: widgetId,
-                    rect: widgetRect,
-                    actualIndex: actualIndex
-                });
+            layout = {
+                version: LAYOUT_SCHEMA_VERSION,
+                counters: { widget: 0, section: 0, filterGroup: 0, filter: 0 },
+                dataSources: [],
+                sections
+            };
+        }
+        validateLayout(layout);
+        return { sections: layout.sections, dataSources: layout.dataSources || [] };
+    }
+    
+    /**
+     * Complete a template widget with its type's defaults (see createWidget())
+     * @param {object} spec - Template widget: { id, type, size, title, options, ... }
+     * @returns {object} Widget object, keeping the template's ID
+     */
+    completeTemplateWidget(spec) {
+        const { id, type, size, options, ...rest } = spec;
+        const widget = this.createWidget(id, type);
+        if (size) {
+            const config = this.getWidgetConfig(size);
+            Object.assign(widget, {
+                size,
+                minColSpan: config.minColSpan,
+                minHeightRem: config.minHeightRem,
+                heightMode: config.heightMode
             });
-            
-            positions.sort((a, b) => {
-                if (Math.abs(a.rect.top - b.rect.top) < 10) {
-                    return a.rect.left - b.rect.left;
+        }
+        return { ...widget, ...rest, options: { ...widget.options, ...options } };
+    }
+    
+    /**
+     * Add the sections of a template to the dashboard, or start the dashboard over from it
+     * (one undo step). Every section, filter group, chip and widget gets a fresh ID, so a
+     * template can be used any number of times
+     * @param {string} templateId - ID of a predefined or saved template
+     * @param {object} [options]
+     * @param {object} [options.params] - Param values of a predefined template (missing ones use the defaults)
+     * @param {boolean} [options.replace=false] - Replace the current sections instead of adding after them
+     * @returns {string[]|null} IDs of the new sections, or null if the template does not exist
+     * @throws {LayoutSchemaError} When the template does not produce a valid layout
+     * @throws {Error} In view mode
+     */
+    applyTemplate(templateId, { params = {}, replace = false } = {}) {
+        this.assertEditable('apply a template');
+        const template = this.getTemplate(templateId);
+        if (!template) return null;
+        
+        const { sections, dataSources } = this.getTemplateSections(template, params);
+        const newSections = sections.map(section => this.cloneSection(section));
+        const label = replace ? `New dashboard from "${template.label}"` : `Add template "${template.label}"`;
+        
+        // The sections and the data sources they need undo together
+        this.history.group(label, () => {
+            dataSources.forEach(source => {
+                if (!this.dataSources.getSource(source.id)) {
+                    this.layoutDataSources.push(source);
+                    this.dataSources.addSource(source);
                 }
-                return a.rect.top - b.rect.top;
             });
-            
-            for (let j = 0; j < positions.length; j++) {
-                const pos = positions[j];
-                
-                if (j === 0) {
-                    dropZones.push({
-                        type: 'within-section',
-                        sectionId: sectionId,
-                        position: pos.actualIndex,
-                        top: pos.rect.top - 10,
-                        bottom: pos.rect.bottom + 10,
-                        left: pos.rect.left - 15,
-                        right: pos.rect.left + 15
-                    });
-                }
-                
-                dropZones.push({
-                    type: 'within-section',
-                    sectionId: sectionId,
-                    position: pos.actualIndex + 1,
-                    top: pos.rect.top - 10,
-                    bottom: pos.rect.bottom + 10,
-                    left: pos.rect.right - 15,
-                    right: pos.rect.right + 15
-                });
+            if (replace) {
+                this.clearSelection();
+                this.sections = newSections;
+            } else {
+                this.sections.push(...newSections);
             }
-            
-            if (positions.length === 0) {
-                dropZones.push({
-                    type: 'within-section',
-                    sectionId: sectionId,
-                    position: 0,
-                    top: rect.top,
-                    bottom: rect.bottom,
-                    left: rect.left,
-                    right: rect.right
-                });
+            this.commit(label);
+        });
+        newSections.forEach(section => {
+            if (section.type === 'filter-group') {
+                this.emitGroupFilters(section.group.id);
+            }
+        });
+        
+        if (newSections.length > 0) {
+            this.scrollToSection(newSections[0].id);
+        }
+        this.announce(replace
+            ? `Started a new dashboard from the ${template.label} template`
+            : `Added the ${template.label} template`);
+        return newSections.map(section => section.id);
+    }
+    
+    /**
+     * Save the dashboard, or some of its widgets, as a template of the templates tab
+     * @param {string} label - Template name
+     * @param {object} [options]
+     * @param {array} [options.widgetIds] - Save these widgets (in one section) instead of the whole dashboard
+     * @param {string} [options.description] - Text shown under the name
+     * @returns {object|null} { id, label, description }, or null when there is nothing to save
+     */
+    saveTemplate(label, { widgetIds = [], description = '' } = {}) {
+        const payload = widgetIds.length > 0
+            ? this.createClipboardPayload({ widgetIds })
+            : this.createClipboardPayload({ sectionIds: this.sections.map(section => section.id) });
+        if (!payload) return null;
+        
+        const name = String(label).trim() || 'Untitled template';
+        if (payload.content === 'widgets') {
+            payload.sections[0].id = 'template';
+            payload.sections[0].title = name;
+        }
+        
+        let number = this.savedTemplates.length;
+        while (this.savedTemplates.some(t => t.id === `saved_${number}`)) number++;
+        const template = {
+            id: `saved_${number}`,
+            label: name,
+            description: description || this.describeClipboardPayload(payload),
+            createdAt: new Date().toISOString(),
+            layout: {
+                version: payload.version,
+                counters: payload.counters,
+                dataSources: payload.dataSources,
+                sections: payload.sections
+            }
+        };
+        this.savedTemplates.push(template);
+        this.saveTemplatesState();
+        this.renderTemplatePanel();
+        this.events.emit('templates:change', { templateId: template.id, action: 'save' });
+        this.announce(`Saved the ${name} template`);
+        return { id: template.id, label: template.label, description: template.description };
+    }
+    
+    /**
+     * Delete a saved template (predefined templates cannot be deleted)
+     * @param {string} templateId - ID of a saved template
+     * @returns {boolean} True if the template was deleted
+     */
+    deleteTemplate(templateId) {
+        const index = this.savedTemplates.findIndex(t => t.id === templateId);
+        if (index === -1) return false;
+        
+        const [template] = this.savedTemplates.splice(index, 1);
+        this.saveTemplatesState();
+        this.renderTemplatePanel();
+        this.events.emit('templates:change', { templateId, action: 'delete' });
+        this.announce(`Deleted the ${template.label} template`);
+        return true;
+    }
+    
+    /**
+     * Fill the templates tab: the predefined templates, then the saved ones
+     */
+    renderTemplatePanel() {
+        const list = this.root.querySelector('.template-list');
+        const templates = this.listTemplates();
+        const heading = (text) => {
+            const element = document.createElement('h3');
+            element.className = 'template-list-heading';
+            element.textContent = text;
+            return element;
+        };
+        
+        const items = [heading('Templates')];
+        templates.filter(t => !t.saved).forEach(t => items.push(this.createTemplateItem(t)));
+        items.push(heading('Saved templates'));
+        const saved = templates.filter(t => t.saved);
+        if (saved.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'template-list-empty';
+            empty.textContent = 'Save the dashboard or selected widgets to reuse them here';
+            items.push(empty);
+        }
+        saved.forEach(t => items.push(this.createTemplateItem(t)));
+        list.replaceChildren(...items);
+    }
+    
+    /**
+     * Create the item of one template in the templates tab
+     * @param {object} template - Entry of listTemplates()
+     * @returns {HTMLElement} Template item
+     */
+    createTemplateItem(template) {
+        const item = document.createElement('div');
+        item.className = 'template-item';
+        item.dataset.templateId = template.id;
+        item.innerHTML = `
+            <div class="template-item-content">
+                <span class="template-name"></span>
+                <span class="template-description"></span>
+            </div>
+            <div class="template-item-actions">
+                <button class="template-add-btn">Add</button>
+                <button class="template-new-btn">New dashboard</button>
+                ${template.saved ? '<button class="template-delete-btn danger">Delete</button>' : ''}
+            </div>
+        `;
+        item.querySelector('.template-name').textContent = template.label;
+        item.querySelector('.template-description').textContent = template.description;
+        
+        const use = (button, replace) => {
+            if (template.params.length > 0) {
+                this.openTemplateForm(template.id, button, { replace });
+            } else {
+                this.applyTemplateFromPanel(template.id, { replace });
             }
+        };
+        const addBtn = item.querySelector('.template-add-btn');
+        addBtn.setAttribute('aria-label', `Add the ${template.label} template`);
+        addBtn.addEventListener('click', () => use(addBtn, false));
+        const newBtn = item.querySelector('.template-new-btn');
+        newBtn.setAttribute('aria-label', `New dashboard from the ${template.label} template`);
+        newBtn.addEventListener('click', () => use(newBtn, true));
+        
+        const deleteBtn = item.querySelector('.template-delete-btn');
+        if (deleteBtn) {
+            deleteBtn.setAttribute('aria-label', `Delete the ${template.label} template`);
+            deleteBtn.addEventListener('click', () => this.deleteTemplate(template.id));
+        }
+        return item;
+    }
+    
+    /**
+     * Apply a template from the templates tab or the empty dashboard; a template that
+     * cannot be used is reported instead of thrown
+     * @param {string} templateId - ID of the template
+     * @param {object} [options] - Options of applyTemplate()
+     */
+    applyTemplateFromPanel(templateId, options) {
+        try {
+            this.applyTemplate(templateId, options);
+        } catch (error) {
+            if (!(error instanceof LayoutSchemaError)) throw error;
+            this.logger.warn(`Template "${templateId}" cannot be used:`, error.message);
+            this.announce('This template cannot be used: it is not a valid layout');
+        }
+    }
+    
+    /**
+     * Show the popover asking for the params of a predefined template before using it
+     * @param {string} templateId - ID of the template
+     * @param {HTMLElement} anchor - Element the popover is positioned under
+     * @param {object} [options]
+     * @param {boolean} [options.replace=false] - Start a new dashboard instead of adding to this one
+     */
+    openTemplateForm(templateId, anchor, { replace = false } = {}) {
+        const template = this.getTemplate(templateId);
+        if (!template) return;
+        
+        const form = document.createElement('form');
+        form.className = 'template-form';
+        form.setAttribute('aria-label', template.label);
+        const rows = template.params.map(param => {
+            const row = document.createElement('label');
+            row.className = 'template-form-row';
+            row.innerHTML = '<span></span>';
+            row.querySelector('span').textContent = param.label;
             
-            if (idx === 0) {
-                dropZones.push({
-                    type: 'between-sections',
-                    position: 0,
-                    top: rect.top - 60,
-                    bottom: rect.top + 5,
-                    left: rect.left,
-                    right: rect.right
+            let input;
+            if (param.type === 'choice') {
+                input = document.createElement('select');
+                param.choices.forEach(choice => {
+                    const option = document.createElement('option');
+                    option.value = choice.value;
+                    option.textContent = choice.label;
+                    input.appendChild(option);
                 });
+            } else {
+                input = document.createElement('input');
+                if (param.type === 'number') {
+                    input.type = 'number';
+                    input.min = param.min ?? '';
+                    input.max = param.max ?? '';
+                }
             }
-            
-            dropZones.push({
-                type: 'between-sections',
-                position: idx + 1,
-                top: rect.bottom - 5,
-                bottom: rect.bottom + 60,
-                left: rect.left,
-                right: rect.right
-            });
+            input.name = param.key;
+            input.value = param.default;
+            row.appendChild(input);
+            return row;
         });
         
-        if (sectionElements.length === 0) {
-            dropZones.push({
-                type: 'between-sections',
-                position: 0,
-                top: canvasRect.top + 20,
-                bottom: canvasRect.top + 100,
-                left: canvasRect.left + 20,
-                right: canvasRect.right - 20
+        const actions = document.createElement('div');
+        actions.className = 'template-form-actions';
+        actions.innerHTML = `
+            <button type="button" class="template-form-cancel">Cancel</button>
+            <button type="submit" class="template-form-apply">${replace ? 'Create dashboard' : 'Add'}</button>
+        `;
+        form.append(...rows, actions);
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const params = {};
+            template.params.forEach(param => {
+                params[param.key] = form.elements[param.key].value;
             });
+            this.closePopover();
+            this.applyTemplateFromPanel(templateId, { params, replace });
+        });
+        actions.querySelector('.template-form-cancel').addEventListener('click', () => {
+            this.closePopover();
+        });
+        
+        this.showPopover(anchor, form, { align: 'left' });
+        const first = form.querySelector('input, select');
+        if (first) {
+            first.focus();
+        }
+    }
+    
+    /**
+     * Show the popover naming a new template
+     * @param {HTMLElement} anchor - Element the popover is positioned under
+     * @param {object} [options]
+     * @param {boolean} [options.selection] - Save the selected widgets (default: when widgets are selected)
+     */
+    openSaveTemplateForm(anchor, { selection = this.selectedWidgetIds.size > 0 } = {}) {
+        const widgetIds = selection ? Array.from(this.selectedWidgetIds) : [];
+        const count = widgetIds.length;
+        const form = document.createElement('form');
+        form.className = 'template-form';
+        form.setAttribute('aria-label', 'Save as template');
+        form.innerHTML = `
+            <label class="template-form-row">
+                <span>Template name</span>
+                <input name="label" required autocomplete="off">
+            </label>
+            <p class="template-form-note"></p>
+            <div class="template-form-actions">
+                <button type="button" class="template-form-cancel">Cancel</button>
+                <button type="submit" class="template-form-apply">Save</button>
+            </div>
+        `;
+        form.querySelector('.template-form-note').textContent = count > 0
+            ? `Saves the ${count} selected widget${count === 1 ? '' : 's'}`
+            : 'Saves every section of the dashboard';
+        const input = form.elements.label;
+        input.value = count > 0 ? '' : this.title;
+        
+        const submit = form.querySelector('.template-form-apply');
+        if (count === 0 && this.sections.length === 0) {
+            submit.disabled = true;
+            form.querySelector('.template-form-note').textContent = 'The dashboard is empty';
         }
         
-        let validZones = [];
-        let invalidZones = [];
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.closePopover();
+            this.saveTemplate(input.value, { widgetIds });
+        });
+        form.querySelector('.template-form-cancel').addEventListener('click', () => {
+            this.closePopover();
+        });
+        
+        this.showPopover(anchor, form, { align: 'left' });
+        input.focus();
+        input.select();
+    }
+    
+    /**
+     * Get the element shown on the canvas while the dashboard has no sections:
+     * a hint and one button per predefined template
+     * @returns {HTMLElement} Empty dashboard element (created once)
+     */
+    getEmptyDashboardElement() {
+        if (this.emptyDashboardElement) return this.emptyDashboardElement;
         
-        if (this.isDraggingFromPanel && this.draggedWidgetSize) {
-            for (let zone of dropZones) {
-                if (zone.type === 'within-section' || zone.type === 'within-filter-group') {
-                    const canFit = this.canWidgetFitInSection(this.draggedWidgetSize, zone.sectionId);
-                    if (canFit) {
-                        validZones.push(zone);
-                    } else {
-                        zone.isInvalid = true;
-                        invalidZones.push(zone);
-                    }
+        const element = document.createElement('div');
+        element.className = 'empty-dashboard';
+        element.innerHTML = `
+            <p class="empty-dashboard-title">This dashboard is empty</p>
+            <p class="empty-dashboard-hint">Drag widgets from the panel, or start from a template:</p>
+            <div class="empty-dashboard-templates"></div>
+        `;
+        const buttons = this.templates.map(template => {
+            const button = document.createElement('button');
+            button.className = 'empty-dashboard-template';
+            button.innerHTML = '<span class="template-name"></span><span class="template-description"></span>';
+            button.querySelector('.template-name').textContent = template.label;
+            button.querySelector('.template-description').textContent = template.description || '';
+            button.addEventListener('click', () => {
+                if (template.params && template.params.length > 0) {
+                    this.openTemplateForm(template.id, button);
                 } else {
-                    validZones.push(zone);
+                    this.applyTemplateFromPanel(template.id);
                 }
-            }
-        } else if (this.draggedWidget) {
-            for (let zone of dropZones) {
-                if (zone.type === 'within-section' || zone.type === 'within-filter-group') {
-                    const canFit = this.canWidgetFitInSection(this.draggedWidget.size, zone.sectionId);
-                    if (canFit) {
-                        validZones.push(zone);
-                    } else {
-                        zone.isInvalid = true;
-                        invalidZones.push(zone);
-                    }
-                } else {
-                    validZones.push(zone);
+            });
+            return button;
+        });
+        element.querySelector('.empty-dashboard-templates').append(...buttons);
+        
+        this.emptyDashboardElement = element;
+        return element;
+    }
+    
+    /**
+     * Connect the Export button in the header: a menu exporting every breakpoint,
+     * or the layout at the current canvas width
+     */
+    setupExportMenu() {
+        const button = this.root.querySelector('.export-btn');
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const width = this.gridCanvas.clientWidth;
+            const breakpoint = DashboardLayoutEngine.getBreakpoint(width, this.breakpoints);
+            this.showMenu(button, [
+                { heading: 'HTML snapshot' },
+                {
+                    label: 'Every breakpoint (responsive)',
+                    action: () => this.downloadStaticHTML()
+                },
+                {
+                    label: `Canvas width: ${width}px (${breakpoint.label})`,
+                    action: () => this.downloadStaticHTML({ width })
                 }
-            }
-        } else {
-            validZones = dropZones;
+            ]);
+        });
+    }
+    
+    /**
+     * Stop the editor: remove its document listeners, timers, observers and markup
+     * The saved layout stays in storage; the editor can not be used afterwards
+     */
+    destroy() {
+        this.closePopover();
+        this.drag.cancel();
+        if (this.widgetResize) {
+            this.endWidgetResize(false);
         }
+        this.resizeObserver.disconnect();
+        this.documentListeners.forEach(([type, handler, options]) => {
+            document.removeEventListener(type, handler, options);
+        });
+        this.documentListeners = [];
         
-        for (let zone of validZones) {
-            if (x >= zone.left && x <= zone.right && 
-                y >= zone.top && y <= zone.bottom) {
-                return zone;
-            }
+        this.widgetElements.forEach(entry => this.destroyWidgetContent(entry));
+        this.syncRefreshTimers(new Set());
+        this.layoutDataSources.forEach(source => this.dataSources.removeSource(source.id));
+        
+        if (lastActiveEditor === this) {
+            lastActiveEditor = null;
         }
+        this.root.classList.remove('dashboard-editor');
+        this.root.replaceChildren();
+    }
+    
+    /**
+     * Setup Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) for undo and redo
+     * Text fields keep their native undo behaviour
+     */
+    setupKeyboardShortcuts() {
+        this.listenDocument('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (!this.isOwnEvent(e) || this.isEditableTarget(e.target) || this.isViewMode()) return;
+            // The model on screen is a drag or resize preview until the pointer is released
+            if (this.drag.isDragging || this.widgetResize) return;
+            
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+    }
+    
+    /**
+     * Setup widget selection and the bulk action toolbar
+     * Ctrl/Cmd-click toggles a widget, Shift-click selects the range from the last clicked widget,
+     * a plain click on the canvas or Escape clears the selection
+     */
+    setupSelection() {
+        this.selectionBar = document.createElement('div');
+        this.selectionBar.className = 'selection-bar';
+        this.selectionBar.setAttribute('role', 'toolbar');
+        this.selectionBar.setAttribute('aria-label', 'Selected widgets');
+        this.selectionBar.hidden = true;
+        this.selectionBar.innerHTML = `
+            <span class="selection-bar-count" aria-live="polite"></span>
+            <button class="selection-bar-btn selection-duplicate-btn">Duplicate</button>
+            <button class="selection-bar-btn selection-copy-btn">Copy</button>
+            <button class="selection-bar-btn selection-move-btn" aria-haspopup="menu">Move to section</button>
+            <button class="selection-bar-btn selection-group-btn">Group into filter container</button>
+            <button class="selection-bar-btn selection-template-btn" aria-haspopup="dialog">Save as template</button>
+            <button class="selection-bar-btn selection-delete-btn danger">Delete</button>
+            <button class="selection-bar-btn selection-clear-btn" title="Clear selection" aria-label="Clear selection">×</button>
+        `;
+        const canvasWrapper = this.gridCanvas.closest('.canvas-wrapper') || this.gridCanvas;
+        canvasWrapper.parentElement.insertBefore(this.selectionBar, canvasWrapper);
         
-        for (let zone of invalidZones) {
-            if (x >= zone.left && x <= zone.right && 
-                y >= zone.top && y <= zone.bottom) {
-                return zone;
+        this.selectionBar.querySelector('.selection-duplicate-btn').addEventListener('click', () => {
+            this.duplicateWidgets(Array.from(this.selectedWidgetIds));
+        });
+        this.selectionBar.querySelector('.selection-copy-btn').addEventListener('click', () => {
+            this.copyToClipboard(this.createClipboardPayload({ widgetIds: Array.from(this.selectedWidgetIds) }));
+        });
+        const moveBtn = this.selectionBar.querySelector('.selection-move-btn');
+        moveBtn.addEventListener('click', () => this.openMoveSelectionMenu(moveBtn));
+        this.selectionBar.querySelector('.selection-group-btn').addEventListener('click', () => {
+            this.moveWidgetsToFilterContainer(Array.from(this.selectedWidgetIds));
+        });
+        const templateBtn = this.selectionBar.querySelector('.selection-template-btn');
+        templateBtn.addEventListener('click', () => {
+            this.openSaveTemplateForm(templateBtn, { selection: true });
+        });
+        this.selectionBar.querySelector('.selection-delete-btn').addEventListener('click', () => {
+            this.deleteWidgets(Array.from(this.selectedWidgetIds));
+        });
+        this.selectionBar.querySelector('.selection-clear-btn').addEventListener('click', () => {
+            this.clearSelection();
+        });
+        
+        this.gridCanvas.addEventListener('click', (e) => {
+            if (e.target.closest(DashboardDrag.INTERACTIVE_SELECTOR) || this.isViewMode()) return;
+            
+            const widgetElement = e.target.closest('[data-widget-id]');
+            if (widgetElement && (e.ctrlKey || e.metaKey || e.shiftKey)) {
+                this.selectWidget(widgetElement.dataset.widgetId, {
+                    toggle: e.ctrlKey || e.metaKey,
+                    range: e.shiftKey
+                });
+            } else {
+                this.clearSelection();
+            }
+        });
+        
+        this.listenDocument('keydown', (e) => {
+            if (e.key !== 'Escape' || e.defaultPrevented || this.selectedWidgetIds.size === 0) return;
+            if (!this.isOwnEvent(e) || this.keyboardMove || this.isEditableTarget(e.target)) return;
+            this.clearSelection();
+        });
+    }
+    
+    /**
+     * Add a widget to the selection (or take it out)
+     * @param {string} widgetId - Widget ID
+     * @param {object} [options]
+     * @param {boolean} [options.toggle=false] - Take the widget out if it is selected
+     * @param {boolean} [options.range=false] - Select every widget from the last selected one
+     *                                          to this one, in dashboard order
+     */
+    selectWidget(widgetId, { toggle = false, range = false } = {}) {
+        if (range && this.selectionAnchorId) {
+            const order = [];
+            this.forEachWidget(widget => order.push(widget.id));
+            const from = order.indexOf(this.selectionAnchorId);
+            const to = order.indexOf(widgetId);
+            if (from !== -1 && to !== -1) {
+                order.slice(Math.min(from, to), Math.max(from, to) + 1)
+                    .forEach(id => this.selectedWidgetIds.add(id));
+                this.updateSelection();
+                return;
             }
         }
         
-        return null;
+        if (toggle && this.selectedWidgetIds.has(widgetId)) {
+            this.selectedWidgetIds.delete(widgetId);
+        } else {
+            this.selectedWidgetIds.add(widgetId);
+        }
+        this.selectionAnchorId = widgetId;
+        this.updateSelection();
     }
     
-    getWidgetConfig(size) {
-        switch (size) {
-            case 'XS':
-                return {
-                    minColSpan: 1,
-                    minHeightRem: this.TOKENS.minHeightsRem.XS,
-                    heightMode: 'stretchRow',
-                    displayName: 'XS'
-                };
-            case 'S':
-                return {
-                    minColSpan: 1,
-                    minHeightRem: this.TOKENS.minHeightsRem.S,
-                    heightMode: 'stretchRow',
-                    displayName: 'S'
-                };
-            case 'M':
-                return {
-                    minColSpan: 2,
-                    minHeightRem: this.TOKENS.minHeightsRem.M,
-                    heightMode: 'stretchRow',
-                    displayName: 'M'
-                };
-            case 'L':
-                return {
-                    minColSpan: 3,
-                    minHeightRem: this.TOKENS.minHeightsRem.L,
-                    heightMode: 'stretchRow',
-                    displayName: 'L'
-                };
-            case 'XL_row':
-                return {
-                    minColSpan: 4,
-                    minHeightRem: this.TOKENS.minHeightsRem.XL,
-                    heightMode: 'stretchRow',
-                    displayName: 'XL (Row)'
-                };
-            case 'XL_fill':
-                return {
-                    minColSpan: 4,
-                    minHeightRem: this.TOKENS.minHeightsRem.XL,
-                    heightMode: 'fillViewport',
-                    displayName: 'XL (Fill)'
-                };
-            default:
-                return {
-                    minColSpan: 1,
-                    minHeightRem: this.TOKENS.minHeightsRem.XS,
-                    heightMode: 'stretchRow',
-                    displayName: 'XS'
-                };
-        }
+    /**
+     * Replace the selection
+     * @param {array} widgetIds - IDs of the widgets to select
+     */
+    setSelection(widgetIds) {
+        this.selectedWidgetIds = new Set(widgetIds.filter(widgetId => this.findWidget(widgetId)));
+        this.selectionAnchorId = widgetIds.length > 0 ? widgetIds[widgetIds.length - 1] : null;
+        this.updateSelection();
     }
     
     /**
-     * Handle drop of a widget from the panel
-     * Creates new widget or filter container and adds to target location
-     * @param {object} targetInfo - Drop target information
-     * @param {string} widgetSize - Size of widget being dropped
+     * Deselect every widget
      */
-    handleDropFromPanel(targetInfo, widgetSize) {
-        if (widgetSize === 'FILTER') {
-            const filterGroup = this.createFilterGroup('Filter Container');
-            const newSection = {
-                id: this.newSectionId(),
-                type: 'filter-group',
-                group: filterGroup
-            };
-            
-            if (targetInfo.type === 'between-sections') {
-                this.sections.splice(targetInfo.position, 0, newSection);
-            } else {
-                this.sections.push(newSection);
+    clearSelection() {
+        if (this.selectedWidgetIds.size === 0) return;
+        this.setSelection([]);
+    }
+    
+    /**
+     * @returns {array} Selected widget objects in dashboard order
+     */
+    getSelectedWidgets() {
+        const widgets = [];
+        this.forEachWidget(widget => {
+            if (this.selectedWidgetIds.has(widget.id)) {
+                widgets.push(widget);
             }
-            
-            this.render();
-            return;
+        });
+        return widgets;
+    }
+    
+    /**
+     * Show the selection: widget outlines, the toolbar and the accessible names
+     */
+    updateSelection() {
+        for (const [widgetId, entry] of this.widgetElements) {
+            entry.element.classList.toggle('selected', this.selectedWidgetIds.has(widgetId));
         }
         
-        const config = this.getWidgetConfig(widgetSize);
+        const count = this.selectedWidgetIds.size;
+        this.selectionBar.hidden = count === 0;
+        this.selectionBar.querySelector('.selection-bar-count').textContent =
+            count === 0 ? '' : `${count} widget${count === 1 ? '' : 's'} selected`;
+        this.updateKeyboardItems();
         
-        const widget = {
-            id: this.newWidgetId(),
-            size: widgetSize,
-            title: config.displayName,
-            minColSpan: config.minColSpan,
-            minHeightRem: config.minHeightRem,
-            heightMode: config.heightMode
-        };
+        this.events.emit('selection:change', { widgetIds: this.getSelectedWidgets().map(w => w.id) });
+    }
+    
+    /**
+     * Show the sections the selection can be moved to
+     * @param {HTMLElement} anchor - Element the menu is positioned under
+     */
+    openMoveSelectionMenu(anchor) {
+        const widgetIds = Array.from(this.selectedWidgetIds);
+        const items = this.sections.map((section, index) => {
+            const title = section.type === 'filter-group'
+                ? (section.group.title || 'Filter Container')
+                : (section.title || 'New Section');
+            return {
+                label: `${index + 1}. ${title}`,
+                action: () => this.moveWidgetsToSection(widgetIds, section.id)
+            };
+        });
         
-        if (targetInfo.type === 'within-section') {
-            const section = this.sections.find(s => s.id === targetInfo.sectionId);
-            if (section) {
-                section.widgets.splice(targetInfo.position, 0, widget);
+        this.showMenu(anchor, [
+            ...items,
+            { separator: true },
+            {
+                label: 'New section',
+                action: () => this.moveWidgetsToSection(widgetIds, null)
             }
-        } else if (targetInfo.type === 'within-filter-group') {
-            const section = this.sections.find(s => s.id === targetInfo.sectionId);
-            if (section && section.type === 'filter-group') {
-                section.group.widgets.splice(targetInfo.position, 0, widget);
+        ]);
+    }
+    
+    /**
+     * Setup copy and paste of widgets and sections through the system clipboard
+     * Ctrl+C copies the selected widgets, or else the focused widget or section;
+     * Ctrl+V pastes after the selection or focused item (see pasteClipboardText())
+     * Text fields keep their native copy and paste
+     */
+    setupClipboard() {
+        this.listenDocument('copy', (e) => {
+            if (!this.isOwnEvent(e) || this.isEditableTarget(e.target) || !e.clipboardData) return;
+            
+            const focused = this.gridCanvas.contains(document.activeElement) && this.isKeyboardItem(document.activeElement)
+                ? document.activeElement
+                : null;
+            let payload = null;
+            if (this.selectedWidgetIds.size > 0) {
+                payload = this.createClipboardPayload({ widgetIds: Array.from(this.selectedWidgetIds) });
+            } else if (focused && focused.dataset.widgetId) {
+                payload = this.createClipboardPayload({ widgetIds: [focused.dataset.widgetId] });
+            } else if (focused) {
+                payload = this.createClipboardPayload({ sectionIds: [focused.dataset.sectionId] });
             }
-        } else if (targetInfo.type === 'between-sections') {
-            const newSection = {
-                id: this.newSectionId(),
-                type: 'widget',
-                title: 'New Section',
-                widgets: [widget]
-            };
-            this.sections.splice(targetInfo.position, 0, newSection);
+            if (!payload) return;
+            
+            e.preventDefault();
+            e.clipboardData.setData('text/plain', JSON.stringify(payload, null, 2));
+            this.announce(`Copied ${this.describeClipboardPayload(payload)}`);
+        });
+        
+        this.listenDocument('paste', (e) => {
+            if (!this.isOwnEvent(e) || this.isEditableTarget(e.target) || !e.clipboardData) return;
+            if (this.isViewMode()) return;
+            
+            if (this.pasteClipboardText(e.clipboardData.getData('text/plain'))) {
+                e.preventDefault();
+            }
+        });
+    }
+    
+    /**
+     * Serialize widgets or sections for the clipboard (see CLIPBOARD_FORMAT)
+     * Layout data sources the copied widgets read from are included, so a paste into
+     * another dashboard keeps the bindings working
+     * @param {object} items
+     * @param {array} [items.widgetIds] - Widgets to copy, in any order (copied in dashboard order)
+     * @param {array} [items.sectionIds] - Sections to copy (used when no widget IDs are given)
+     * @returns {object|null} Clipboard payload, null when nothing matched
+     */
+    createClipboardPayload({ widgetIds = [], sectionIds = [] } = {}) {
+        let content;
+        let sections;
+        if (widgetIds.length > 0) {
+            const ids = new Set(widgetIds);
+            const widgets = [];
+            this.forEachWidget(widget => {
+                if (ids.has(widget.id)) {
+                    widgets.push(widget);
+                }
+            });
+            if (widgets.length === 0) return null;
+            
+            content = 'widgets';
+            sections = [{ id: 'clipboard', type: 'widget', title: '', widgets }];
+        } else {
+            sections = this.sections.filter(s => sectionIds.includes(s.id));
+            if (sections.length === 0) return null;
+            
+            content = 'sections';
         }
         
-        this.render();
+        const sourceIds = new Set();
+        sections.forEach(section => {
+            const widgets = section.type === 'filter-group' ? section.group.widgets : section.widgets;
+            widgets.forEach(widget => {
+                if (widget.data) {
+                    sourceIds.add(widget.data.source);
+                }
+            });
+        });
+        
+        return JSON.parse(JSON.stringify({
+            format: CLIPBOARD_FORMAT,
+            version: LAYOUT_SCHEMA_VERSION,
+            counters: { widget: 0, section: 0, filterGroup: 0, filter: 0 },
+            content,
+            dataSources: this.layoutDataSources.filter(source => sourceIds.has(source.id)),
+            sections
+        }));
     }
     
-    handleMoveWidget(targetInfo) {
-        const widget = this.draggedWidget;
+    /**
+     * @param {object} payload - Clipboard payload
+     * @returns {string} What the payload holds, e.g. '3 widgets' or '1 section'
+     */
+    describeClipboardPayload(payload) {
+        const count = payload.content === 'widgets'
+            ? payload.sections.reduce((sum, s) => sum + (s.type === 'filter-group' ? s.group.widgets : s.widgets).length, 0)
+            : payload.sections.length;
+        const noun = payload.content === 'widgets' ? 'widget' : 'section';
+        return `${count} ${noun}${count === 1 ? '' : 's'}`;
+    }
+    
+    /**
+     * Write a clipboard payload to the system clipboard (for menu and toolbar buttons;
+     * keyboard copies go through the copy event)
+     * @param {object|null} payload - Clipboard payload (see createClipboardPayload())
+     * @returns {Promise<boolean>} True if the payload was written
+     */
+    async copyToClipboard(payload) {
+        if (!payload) return false;
         
-        let sourceSection = this.sections.find(s => 
-            s.type === 'widget' && s.widgets.some(w => w.id === widget.id)
-        );
+        if (!navigator.clipboard || !navigator.clipboard.writeText) {
+            this.logger.warn('Copy: the clipboard is not available in this browser; use Ctrl+C instead');
+            return false;
+        }
         
-        if (!sourceSection) {
-            sourceSection = this.sections.find(s => 
-                s.type === 'filter-group' && s.group.widgets.some(w => w.id === widget.id)
-            );
+        try {
+            await navigator.clipboard.writeText(JSON.stringify(payload, null, 2));
+            this.announce(`Copied ${this.describeClipboardPayload(payload)}`);
+            return true;
+        } catch (error) {
+            this.logger.warn('Copy: could not write to the clipboard:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Paste copied widgets or sections with fresh IDs
+     * Widgets go after the last selected (or the focused) widget, into the focused section,
+     * or else into a new section at the end; sections go after the section holding the
+     * selection or focus, or else at the end. Pasted widgets become the selection
+     * @param {string} text - Clipboard text
+     * @returns {boolean} True if the text was dashboard content (and was pasted)
+     * @throws {Error} In view mode
+     */
+    pasteClipboardText(text) {
+        this.assertEditable('paste');
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch (e) {
+            return false;
         }
+        if (!payload || payload.format !== CLIPBOARD_FORMAT) return false;
         
-        if (!sourceSection) return;
+        try {
+            payload = migrateLayout(payload);
+            validateLayout(payload);
+        } catch (error) {
+            if (!(error instanceof LayoutSchemaError)) throw error;
+            this.logger.warn('Paste: the clipboard holds dashboard content this editor cannot read:', error.message);
+            return true;
+        }
         
-        if (targetInfo.type === 'within-section') {
-            const targetSection = this.sections.find(s => s.id === targetInfo.sectionId);
-            if (!targetSection || targetSection.type !== 'widget') return;
-            
-            if (sourceSection.type === 'widget') {
-                if (sourceSection.id === targetSection.id) {
-                    const currentIndex = sourceSection.widgets.findIndex(w => w.id === widget.id);
-                    let newPosition = targetInfo.position;
-                    
-                    if (newPosition > currentIndex) {
-                        newPosition--;
-                    }
-                    
-                    if (currentIndex !== newPosition) {
-                        sourceSection.widgets.splice(currentIndex, 1);
-                        sourceSection.widgets.splice(newPosition, 0, widget);
-                    }
-                } else {
-                    const currentIndex = sourceSection.widgets.findIndex(w => w.id === widget.id);
-                    sourceSection.widgets.splice(currentIndex, 1);
-                    targetSection.widgets.splice(targetInfo.position, 0, widget);
-                    
-                    if (sourceSection.widgets.length === 0) {
-                        this.sections = this.sections.filter(s => s.id !== sourceSection.id);
-                    }
-                }
-            } else if (sourceSection.type === 'filter-group') {
-                const currentIndex = sourceSection.group.widgets.findIndex(w => w.id === widget.id);
-                sourceSection.group.widgets.splice(currentIndex, 1);
-                targetSection.widgets.splice(targetInfo.position, 0, widget);
+        payload.dataSources.forEach(source => {
+            if (!this.dataSources.getSource(source.id)) {
+                this.layoutDataSources.push(source);
+                this.dataSources.addSource(source);
             }
-        } else if (targetInfo.type === 'within-filter-group') {
-            const targetSection = this.sections.find(s => s.id === targetInfo.sectionId);
-            if (!targetSection || targetSection.type !== 'filter-group') return;
-            
-            if (sourceSection.type === 'widget') {
-                const currentIndex = sourceSection.widgets.findIndex(w => w.id === widget.id);
-                sourceSection.widgets.splice(currentIndex, 1);
-                targetSection.group.widgets.splice(targetInfo.position, 0, widget);
-                
-                if (sourceSection.widgets.length === 0) {
-                    this.sections = this.sections.filter(s => s.id !== sourceSection.id);
-                }
-            } else if (sourceSection.type === 'filter-group') {
-                if (sourceSection.id === targetSection.id) {
-                    const currentIndex = sourceSection.group.widgets.findIndex(w => w.id === widget.id);
-                    let newPosition = targetInfo.position;
-                    
-                    if (newPosition > currentIndex) {
-                        newPosition--;
-                    }
-                    
-                    if (currentIndex !== newPosition) {
-                        sourceSection.group.widgets.splice(currentIndex, 1);
-                        sourceSection.group.widgets.splice(newPosition, 0, widget);
-                    }
-                } else {
-                    const currentIndex = sourceSection.group.widgets.findIndex(w => w.id === widget.id);
-                    sourceSection.group.widgets.splice(currentIndex, 1);
-                    targetSection.group.widgets.splice(targetInfo.position, 0, widget);
+        });
+        
+        const focused = this.gridCanvas.contains(document.activeElement) && this.isKeyboardItem(document.activeElement)
+            ? document.activeElement
+            : null;
+        const selected = this.getSelectedWidgets();
+        const anchorWidgetId = selected.length > 0
+            ? selected[selected.length - 1].id
+            : (focused && focused.dataset.widgetId) || null;
+        const anchor = anchorWidgetId ? this.findWidget(anchorWidgetId) : null;
+        const anchorSection = anchor
+            ? anchor.section
+            : (focused && this.sections.find(s => s.id === focused.dataset.sectionId)) || null;
+        
+        if (payload.content === 'sections') {
+            const sections = payload.sections.map(section => this.cloneSection(section));
+            const index = anchorSection ? this.sections.indexOf(anchorSection) + 1 : this.sections.length;
+            this.sections.splice(index, 0, ...sections);
+            this.commit(sections.length === 1 ? 'Paste section' : `Paste ${sections.length} sections`);
+            sections.forEach(section => {
+                if (section.type === 'filter-group') {
+                    this.emitGroupFilters(section.group.id);
                 }
-            }
-        } else if (targetInfo.type === 'between-sections') {
-            if (sourceSection.type === 'widget') {
-                const currentIndex = sourceSection.widgets.findIndex(w => w.id === widget.id);
-                sourceSection.widgets.splice(currentIndex, 1);
-            } else if (sourceSection.type === 'filter-group') {
-                const currentIndex = sourceSection.group.widgets.findIndex(w => w.id === widget.id);
-                sourceSection.group.widgets.splice(currentIndex, 1);
-            }
-            
-            const newSection = {
+            });
+            this.clearSelection();
+        } else {
+            const widgets = [];
+            payload.sections.forEach(section => {
+                const sectionWidgets = section.type === 'filter-group' ? section.group.widgets : section.widgets;
+                widgets.push(...sectionWidgets.map(widget => this.cloneWidget(widget)));
+            });
+            this.insertWidgets(widgets, anchorSection, anchor && anchor.widget);
+            this.commit(widgets.length === 1 ? 'Paste widget' : `Paste ${widgets.length} widgets`);
+            this.setSelection(widgets.map(w => w.id));
+        }
+        
+        this.announce(`Pasted ${this.describeClipboardPayload(payload)}`);
+        return true;
+    }
+    
+    /**
+     * Insert widgets into a section after one of its widgets
+     * @param {array} widgets - Widgets to insert, in order
+     * @param {object|null} section - Target section; null adds a new section at the end
+     * @param {object|null} [afterWidget] - Widget of the section the widgets follow
+     *                                      (default: they are added at the end)
+     */
+    insertWidgets(widgets, section, afterWidget = null) {
+        if (!section) {
+            this.sections.push({
                 id: this.newSectionId(),
-                type: 'widget',
-                title: 'New Section',
-                widgets: [widget]
-            };
-            
-            this.sections.splice(targetInfo.position, 0, newSection);
-            
-            if (sourceSection.type === 'widget' && sourceSection.widgets.length === 0) {
-                this.sections = this.sections.filter(s => s.id !== sourceSection.id);
-            }
+                type: 'widget',
+                title: 'New Section',
+                widgets
+            });
+            return;
         }
         
-        this.render();
+        const targetWidgets = section.type === 'filter-group' ? section.group.widgets : section.widgets;
+        const index = afterWidget ? targetWidgets.indexOf(afterWidget) + 1 : targetWidgets.length;
+        targetWidgets.splice(index > 0 ? index : targetWidgets.length, 0, ...widgets);
     }
     
-    handleMoveSection(targetInfo) {
-        const section = this.draggedSection;
-        const currentIndex = this.sections.findIndex(s => s.id === section.id);
-        
-        let newPosition = targetInfo.position;
-        if (newPosition > currentIndex) {
-            newPosition--;
-        }
-        
-        if (currentIndex !== newPosition) {
-            this.sections.splice(currentIndex, 1);
-            this.sections.splice(newPosition, 0, section);
+    /**
+     * Copy a widget with a fresh ID
+     * @param {object} widget - Widget object
+     * @returns {object} Independent copy
+     */
+    cloneWidget(widget) {
+        return { ...JSON.parse(JSON.stringify(widget)), id: this.newWidgetId() };
+    }
+    
+    /**
+     * Copy a section, its filter group, filter chips and widgets with fresh IDs
+     * @param {object} section - Section object
+     * @returns {object} Independent copy
+     */
+    cloneSection(section) {
+        const copy = JSON.parse(JSON.stringify(section));
+        copy.id = this.newSectionId();
+        if (copy.type === 'filter-group') {
+            copy.group.id = this.newFilterGroupId();
+            copy.group.filters.forEach(filter => {
+                filter.id = this.newFilterId();
+            });
+            copy.group.widgets = section.group.widgets.map(widget => this.cloneWidget(widget));
+        } else {
+            copy.widgets = section.widgets.map(widget => this.cloneWidget(widget));
         }
         
-        this.render();
+        // Breakpoint orders refer to the widgets by ID
+        const originals = section.type === 'filter-group' ? section.group.widgets : section.widgets;
+        const copies = copy.type === 'filter-group' ? copy.group.widgets : copy.widgets;
+        const newIds = new Map(originals.map((widget, index) => [widget.id, copies[index].id]));
+        Object.values(copy.overrides || {}).forEach(override => {
+            if (override.order) {
+                override.order = override.order.filter(id => newIds.has(id)).map(id => newIds.get(id));
+            }
+        });
+        return copy;
     }
     
-    deleteWidget(widgetId) {
-        for (let section of this.sections) {
-            if (section.type === 'widget') {
-                const index = section.widgets.findIndex(w => w.id === widgetId);
-                if (index !== -1) {
-                    section.widgets.splice(index, 1);
-                    
-                    if (section.widgets.length === 0) {
-                        this.sections = this.sections.filter(s => s.id !== section.id);
-                    }
-                    
-                    break;
-                }
-            } else if (section.type === 'filter-group') {
-                const index = section.group.widgets.findIndex(w => w.id === widgetId);
-                if (index !== -1) {
-                    section.group.widgets.splice(index, 1);
-                    break;
-                }
+    duplicateWidget(widgetId) {
+        this.duplicateWidgets([widgetId]);
+    }
+    
+    /**
+     * Duplicate widgets, keeping their order; the copies follow the last of them
+     * and become the selection
+     * @param {array} widgetIds - IDs of the widgets
+     * @throws {Error} In view mode
+     */
+    duplicateWidgets(widgetIds) {
+        this.assertEditable('duplicate widgets');
+        const ids = new Set(widgetIds);
+        const originals = [];
+        this.forEachWidget(widget => {
+            if (ids.has(widget.id)) {
+                originals.push(widget);
             }
+        });
+        if (originals.length === 0) return;
+        
+        const last = this.findWidget(originals[originals.length - 1].id);
+        const copies = originals.map(widget => this.cloneWidget(widget));
+        this.insertWidgets(copies, last.section, last.widget);
+        
+        this.commit(copies.length === 1 ? 'Duplicate widget' : `Duplicate ${copies.length} widgets`);
+        if (this.selectedWidgetIds.size > 0) {
+            this.setSelection(copies.map(w => w.id));
         }
-        this.render();
     }
     
-    moveWidgetToFilterContainer(widgetId) {
-        let widget = null;
-        let sourceSectionIndex = -1;
+    /**
+     * Duplicate a section (or filter container) with its widgets, right after it
+     * @param {string} sectionId - ID of the section
+     * @throws {Error} In view mode
+     */
+    duplicateSection(sectionId) {
+        this.assertEditable('duplicate a section');
+        const index = this.sections.findIndex(s => s.id === sectionId);
+        if (index === -1) return;
         
-        for (let i = 0; i < this.sections.length; i++) {
-            const section = this.sections[i];
-            if (section.type === 'widget') {
-                const widgetIndex = section.widgets.findIndex(w => w.id === widgetId);
-                if (widgetIndex !== -1) {
-                    widget = section.widgets[widgetIndex];
-                    section.widgets.splice(widgetIndex, 1);
-                    sourceSectionIndex = i;
-                    
-                    if (section.widgets.length === 0) {
-                        this.sections.splice(i, 1);
-                        sourceSectionIndex = i;
-                    }
-                    
-                    break;
-                }
-            }
+        const copy = this.cloneSection(this.sections[index]);
+        this.sections.splice(index + 1, 0, copy);
+        this.commit(copy.type === 'filter-group' ? 'Duplicate filter container' : 'Duplicate section');
+        if (copy.type === 'filter-group') {
+            this.emitGroupFilters(copy.group.id);
         }
+    }
+    
+    /**
+     * Fill the breakpoint switcher in the header (breakpoint-select): "Automatic" lays the canvas
+     * out for its width, a breakpoint lays it out with that breakpoint whatever the width, so
+     * its overrides can be edited (see setEditingBreakpoint())
+     */
+    setupBreakpointSwitcher() {
+        const select = this.getElement('breakpoint-select');
+        if (!select) return;
         
-        if (!widget) return;
-        
-        const filterGroup = this.createFilterGroup('Filter Container');
-        const filterContainer = {
-            id: this.newSectionId(),
-            type: 'filter-group',
-            group: filterGroup
-        };
+        const automatic = document.createElement('option');
+        automatic.value = '';
+        select.appendChild(automatic);
+        this.breakpoints.forEach(breakpoint => {
+            const option = document.createElement('option');
+            option.value = breakpoint.id;
+            option.textContent = `${breakpoint.label} (${breakpoint.columns} col)`;
+            select.appendChild(option);
+        });
         
-        filterContainer.group.widgets.push(widget);
-        this.sections.splice(sourceSectionIndex, 0, filterContainer);
+        select.addEventListener('change', () => {
+            this.setEditingBreakpoint(select.value || null);
+        });
+        this.updateBreakpointSwitcher();
+    }
+    
+    /**
+     * Show the chosen breakpoint in the switcher, and which one "Automatic" currently uses
+     */
+    updateBreakpointSwitcher() {
+        const select = this.getElement('breakpoint-select');
+        if (!select || select.options.length === 0) return;
         
-        this.render();
+        const automatic = DashboardLayoutEngine.getBreakpoint(this.gridCanvas.clientWidth, this.breakpoints);
+        select.options[0].textContent = `Automatic (${automatic.label})`;
+        select.value = this.editingBreakpointId || '';
     }
     
-    deleteSection(sectionId) {
-        this.sections = this.sections.filter(s => s.id !== sectionId);
+    /**
+     * Lay the canvas out with a breakpoint, whatever its width
+     * Overrides edited in the widget menus apply to the breakpoint the canvas is laid out with
+     * @param {string|null} breakpointId - Breakpoint ID, or null to follow the canvas width
+     */
+    setEditingBreakpoint(breakpointId) {
+        const breakpoint = this.breakpoints.find(b => b.id === breakpointId) || null;
+        this.editingBreakpointId = breakpoint ? breakpoint.id : null;
+        this.closePopover();
         this.render();
+        
+        this.events.emit('breakpoint:change', {
+            breakpointId: this.renderedBreakpoint.id,
+            automatic: !breakpoint
+        });
+        this.announce(breakpoint
+            ? `Editing the ${breakpoint.label} layout (${breakpoint.columns} ${breakpoint.columns === 1 ? 'column' : 'columns'})`
+            : `Layout follows the canvas width (${this.renderedBreakpoint.label})`);
     }
     
     /**
-     * Scroll to a specific widget element with smooth animation
-     * @param {string} widgetId - ID of the widget to scroll to
+     * Setup the viewport simulator: a toolbar above the canvas that gives the canvas the width
+     * of a device (VIEWPORT_PRESETS) or a custom width, so the layout is shown with the
+     * breakpoint of that width while the rest of the editor keeps its size
      */
-    scrollToWidget(widgetId) {
-        // Use setTimeout to ensure DOM is fully rendered
-        setTimeout(() => {
-            const widgetElement = document.querySelector(`[data-widget-id="${widgetId}"]`);
-            if (widgetElement) {
-                widgetElement.scrollIntoView({ 
-                    behavior: 'smooth', 
-                    block: 'center',
-                    inline: 'nearest'
-                });
-                // Add a brief highlight effect
-                widgetElement.style.transition = 'box-shadow 0.3s ease';
-                widgetElement.style.boxShadow = '0 0 0 3px rgba(59, 130, 246, 0.5)';
-                setTimeout(() => {
-                    widgetElement.style.boxShadow = '';
-                }, 1000);
+    setupViewportSimulator() {
+        this.viewportToolbar = document.createElement('div');
+        this.viewportToolbar.className = 'viewport-toolbar';
+        this.viewportToolbar.setAttribute('role', 'toolbar');
+        this.viewportToolbar.setAttribute('aria-label', 'Preview width');
+        this.viewportToolbar.innerHTML = `
+            <button class="viewport-btn" data-width="">Fit window</button>
+            ${VIEWPORT_PRESETS.map(preset => `
+                <button class="viewport-btn" data-width="${preset.width}" title="${preset.width}px">${escapeHTML(preset.label)}</button>
+            `).join('')}
+            <label class="viewport-custom">
+                Width
+                <input type="number" class="viewport-width-input" min="${VIEWPORT_MIN_WIDTH}" max="${VIEWPORT_MAX_WIDTH}" step="10" placeholder="px">
+            </label>
+            <button class="viewport-btn viewport-swap-btn" title="Switch back to the previous width">⇄</button>
+            <span class="viewport-readout" aria-live="polite"></span>
+        `;
+        const canvasWrapper = this.gridCanvas.closest('.canvas-wrapper') || this.gridCanvas;
+        canvasWrapper.parentElement.insertBefore(this.viewportToolbar, this.selectionBar || canvasWrapper);
+        
+        this.viewportToolbar.querySelectorAll('.viewport-btn[data-width]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setViewportWidth(button.dataset.width ? Number(button.dataset.width) : null);
+            });
+        });
+        
+        const input = this.viewportToolbar.querySelector('.viewport-width-input');
+        input.addEventListener('change', () => {
+            const width = Number(input.value);
+            if (input.value !== '' && Number.isFinite(width)) {
+                this.setViewportWidth(width);
             }
-        }, 100);
+        });
+        
+        this.viewportToolbar.querySelector('.viewport-swap-btn').addEventListener('click', () => {
+            this.setViewportWidth(this.previousViewportWidth);
+        });
+        
+        this.updateViewportToolbar();
     }
     
     /**
-     * Scroll to a specific section element with smooth animation
-     * @param {string} sectionId - ID of the section to scroll to
+     * Give the canvas a fixed width (or let it fill the window again) and re-layout it
+     * A breakpoint chosen in the breakpoint switcher is released, so the layout follows the width
+     * @param {number|null} width - Canvas width in px (limited to VIEWPORT_MIN_WIDTH..VIEWPORT_MAX_WIDTH),
+     *                              null to fill the window
      */
-    scrollToSection(sectionId) {
-        // Use setTimeout to ensure DOM is fully rendered
-        setTimeout(() => {
-            const sectionElement = document.querySelector(`[data-section-id="${sectionId}"]`);
-            if (sectionElement) {
-                sectionElement.scrollIntoView({ 
-                    behavior: 'smooth', 
-                    block: 'center',
-                    inline: 'nearest'
-                });
-                // Add a brief highlight effect
-                sectionElement.style.transition = 'box-shadow 0.3s ease';
-                sectionElement.style.boxShadow = '0 0 0 3px rgba(59, 130, 246, 0.5)';
-                setTimeout(() => {
-                    sectionElement.style.boxShadow = '';
-                }, 1000);
-            }
-        }, 100);
+    setViewportWidth(width) {
+        const newWidth = width === null ? null : clamp(Math.round(width), VIEWPORT_MIN_WIDTH, VIEWPORT_MAX_WIDTH);
+        if (newWidth === this.viewportWidth) {
+            this.updateViewportToolbar();
+            return;
+        }
+        
+        this.previousViewportWidth = this.viewportWidth;
+        this.viewportWidth = newWidth;
+        this.editingBreakpointId = null;
+        this.closePopover();
+        
+        this.gridCanvas.classList.toggle('simulated-viewport', newWidth !== null);
+        this.gridCanvas.style.width = newWidth === null ? '' : `${newWidth}px`;
+        // The resize observer would re-layout on the next frame; do it now so the toolbar is in sync
+        this.render();
+        
+        this.events.emit('viewport:change', { width: newWidth, breakpointId: this.renderedBreakpoint.id });
+        this.announce(newWidth === null
+            ? `Canvas fills the window (${this.renderedBreakpoint.label} layout)`
+            : `Canvas width ${newWidth} pixels (${this.renderedBreakpoint.label} layout)`);
     }
     
     /**
-     * Main render method - rebuilds entire dashboard
-     * Steps:
-     * 1. Calculate layout for each section (packRows, transformRowBlocks)
-     * 2. Render sections (widget sections or filter groups)
-     * 3. Setup drag handlers for rendered elements
+     * Mark the active width button and show the canvas width and breakpoint in the toolbar
      */
-    render() {
-        this.gridCanvas.innerHTML = '';
+    updateViewportToolbar() {
+        if (!this.viewportToolbar) return;
         
-        const containerWidth = this.gridCanvas.clientWidth;
+        const isPreset = VIEWPORT_PRESETS.some(preset => preset.width === this.viewportWidth);
+        this.viewportToolbar.querySelectorAll('.viewport-btn[data-width]').forEach(button => {
+            const width = button.dataset.width ? Number(button.dataset.width) : null;
+            button.setAttribute('aria-pressed', String(width === this.viewportWidth));
+        });
         
-        const top = this.gridCanvas.getBoundingClientRect().top;
-        const offset = Math.round(top + 20);
-        this.gridCanvas.style.setProperty('--fill-offset', offset + 'px');
+        const input = this.viewportToolbar.querySelector('.viewport-width-input');
+        if (document.activeElement !== input) {
+            input.value = this.viewportWidth !== null && !isPreset ? String(this.viewportWidth) : '';
+        }
+        this.viewportToolbar.querySelector('.viewport-swap-btn').disabled = this.previousViewportWidth === this.viewportWidth;
         
-        this.sections.forEach((section, sectionIndex) => {
-            const sectionElement = document.createElement('div');
-            sectionElement.className = 'section';
-            sectionElement.dataset.sectionId = section.id;
-            sectionElement.draggable = true;
-            
-            this.setupSectionDragHandlers(sectionElement, section);
-            
-            const layout = this.layoutSection(section, containerWidth);
-            
-            if (layout.type === 'widget') {
-                this.renderWidgetSection(sectionElement, section, layout, containerWidth);
-            } else if (layout.type === 'filter-group') {
-                this.renderFilterGroupSection(sectionElement, section, layout);
-            }
-            
-            this.gridCanvas.appendChild(sectionElement);
-        });
+        const breakpoint = this.renderedBreakpoint || this.getBreakpoint(this.gridCanvas.clientWidth);
+        const forced = this.editingBreakpointId ? ', chosen in Layout' : '';
+        this.viewportToolbar.querySelector('.viewport-readout').textContent =
+            `${this.gridCanvas.clientWidth}px · ${breakpoint.label} (${breakpoint.columns} col${forced})`;
     }
     
-    renderWidgetSection(sectionElement, section, layout, containerWidth) {
-        const colCount = layout.colCount;
-        const colWidth = (containerWidth - (colCount - 1) * this.layoutConfig.columnGap) / colCount;
+    /**
+     * Show the per-breakpoint layout menu of a widget: hide, reorder or force the span
+     * at the breakpoint the canvas is laid out with, or pick a preset size for every breakpoint
+     * @param {string} widgetId - Widget ID
+     * @param {HTMLElement} anchor - Element the menu is positioned under
+     */
+    openWidgetBreakpointMenu(widgetId, anchor) {
+        const found = this.findWidget(widgetId);
+        if (!found) return;
         
-        layout.rows.forEach((row, rowIndex) => {
-            const rowElement = document.createElement('div');
-            rowElement.className = 'row';
-            
-            const distributeEqually = row.cells.some(cell => cell.distributeEqually);
-            if (distributeEqually) {
-                rowElement.classList.add('distribute-equally');
-            }
-            
-            let maxHeight = 0;
-            console.log(`\n=== Row ${rowIndex} ===`);
-            row.cells.forEach((cell, cellIndex) => {
-                if (this.isRowBlock(cell.item)) {
-                    const height = cell.item.main.minHeightRem;
-                    console.log(`Cell ${cellIndex} (RowBlock): main widget height = ${height} rem`);
-                    maxHeight = Math.max(maxHeight, height);
-                } else {
-                    const height = cell.item.minHeightRem;
-                    console.log(`Cell ${cellIndex} (Widget ${cell.item.size}): height = ${height} rem`);
-                    maxHeight = Math.max(maxHeight, height);
-                }
-            });
-            
-            console.log(`Max height for row ${rowIndex}: ${maxHeight} rem (${maxHeight * 16}px)`);
-            rowElement.style.minHeight = `${maxHeight * 16}px`;
-            
-            row.cells.forEach(cell => {
-                if (this.isRowBlock(cell.item)) {
-                    const rowBlockElement = this.renderRowBlock(cell.item, colWidth, colCount);
-                    rowElement.appendChild(rowBlockElement);
-                } else {
-                    const widgetElement = this.renderWidget(cell.item, cell.span, colWidth, false, distributeEqually);
-                    rowElement.appendChild(widgetElement);
-                }
+        const breakpoint = this.renderedBreakpoint;
+        const override = this.getWidgetOverride(found.widget, breakpoint.id);
+        const widgets = found.section.type === 'filter-group' ? found.section.group.widgets : found.section.widgets;
+        const order = this.getSectionBreakpointOrder(found.section, widgets, breakpoint.id)
+            .filter(widget => !this.getWidgetOverride(widget, breakpoint.id).hidden);
+        const index = order.indexOf(found.widget);
+        const label = breakpoint.label;
+        
+        const spanItems = [];
+        for (let span = 1; span <= breakpoint.columns; span++) {
+            spanItems.push({
+                label: `${span} ${span === 1 ? 'column' : 'columns'}`,
+                checked: override.colSpan === span,
+                action: () => this.setWidgetOverride(widgetId, breakpoint.id, { colSpan: span }, `Set widget span at ${label}`)
             });
-            
-            sectionElement.appendChild(rowElement);
-        });
+        }
+        
+        this.showMenu(anchor, [
+            { heading: `${label} layout (${breakpoint.columns} ${breakpoint.columns === 1 ? 'column' : 'columns'})` },
+            {
+                label: 'Hide at this breakpoint',
+                action: () => this.setWidgetOverride(widgetId, breakpoint.id, { hidden: true }, `Hide widget at ${label}`)
+            },
+            {
+                label: 'Move earlier',
+                disabled: index <= 0,
+                action: () => this.moveWidgetAtBreakpoint(widgetId, breakpoint.id, -1)
+            },
+            {
+                label: 'Move later',
+                disabled: index === order.length - 1,
+                action: () => this.moveWidgetAtBreakpoint(widgetId, breakpoint.id, 1)
+            },
+            { separator: true },
+            { heading: 'Width' },
+            {
+                label: 'Automatic',
+                checked: override.colSpan === undefined,
+                action: () => this.setWidgetOverride(widgetId, breakpoint.id, { colSpan: undefined }, `Reset widget span at ${label}`)
+            },
+            ...spanItems,
+            { separator: true },
+            { heading: 'Size (all breakpoints)' },
+            ...WIDGET_SIZES.map(size => ({
+                label: this.getWidgetConfig(size).displayName,
+                checked: found.widget.size === size,
+                action: () => this.setWidgetSize(widgetId, size)
+            })),
+            { separator: true },
+            {
+                label: `Reset ${label} changes`,
+                disabled: Object.keys(override).length === 0,
+                action: () => this.setWidgetOverride(widgetId, breakpoint.id, { hidden: undefined, colSpan: undefined }, `Reset widget at ${label}`)
+            }
+        ]);
     }
     
-    renderRowBlock(rowBlock, colWidth, colCount) {
-        const rowBlockElement = document.createElement('div');
-        rowBlockElement.className = 'rowblock';
-        
-        const railElement = document.createElement('div');
-        railElement.className = 'rowblock-rail';
+    /**
+     * Change a widget's override for one breakpoint
+     * Empty overrides are removed, so the layout only stores real changes
+     * @param {string} widgetId - Widget ID
+     * @param {string} breakpointId - Breakpoint ID
+     * @param {object} changes - Override fields to set ({ hidden, colSpan }); undefined removes a field
+     * @param {string} label - Name of the change in the undo history
+     * @throws {Error} In view mode
+     */
+    setWidgetOverride(widgetId, breakpointId, changes, label) {
+        this.assertEditable('change a breakpoint override');
+        const found = this.findWidget(widgetId);
+        if (!found) return;
         
-        rowBlock.rail.forEach(widget => {
-            const widgetElement = this.renderWidget(widget, 1, colWidth, 'rail');
-            railElement.appendChild(widgetElement);
+        const widget = found.widget;
+        const override = { ...this.getWidgetOverride(widget, breakpointId), ...changes };
+        Object.keys(override).forEach(key => {
+            if (override[key] === undefined || override[key] === false) {
+                delete override[key];
+            }
         });
         
-        const mainElement = document.createElement('div');
-        mainElement.className = 'rowblock-main';
-        
-        const mainWidget = this.renderWidget(rowBlock.main, 3, colWidth, 'main');
-        mainElement.appendChild(mainWidget);
+        widget.overrides = { ...widget.overrides, [breakpointId]: override };
+        if (Object.keys(override).length === 0) {
+            delete widget.overrides[breakpointId];
+        }
+        if (Object.keys(widget.overrides).length === 0) {
+            delete widget.overrides;
+        }
+        this.commit(label);
+    }
+    
+    /**
+     * Move a widget past its previous or next visible neighbour in its section's order at one breakpoint
+     * @param {string} widgetId - Widget ID
+     * @param {string} breakpointId - Breakpoint ID
+     * @param {number} delta - -1 (earlier) or 1 (later)
+     */
+    moveWidgetAtBreakpoint(widgetId, breakpointId, delta) {
+        const found = this.findWidget(widgetId);
+        if (!found) return;
         
-        rowBlockElement.appendChild(railElement);
-        rowBlockElement.appendChild(mainElement);
+        const widgets = found.section.type === 'filter-group' ? found.section.group.widgets : found.section.widgets;
+        const order = this.getSectionBreakpointOrder(found.section, widgets, breakpointId);
+        const index = order.indexOf(found.widget);
+        let target = index + delta;
+        while (target >= 0 && target < order.length && this.getWidgetOverride(order[target], breakpointId).hidden) {
+            target += delta;
+        }
+        if (target < 0 || target >= order.length) return;
         
-        return rowBlockElement;
+        [order[index], order[target]] = [order[target], order[index]];
+        this.setSectionBreakpointOrder(found.section.id, breakpointId, order.map(widget => widget.id));
     }
     
     /**
-     * Render a single widget element
-     * @param {object} widget - Widget data object
-     * @param {number} span - Column span for this widget
-     * @param {number} colWidth - Width of one column in pixels
-     * @param {boolean|string} inRowBlock - False, 'main', or 'rail'
-     * @param {boolean} distributeEqually - True if row uses equal distribution
-     * @param {boolean} inFilterContainer - True if widget is in filter container
-     * @returns {HTMLElement} Widget DOM element
+     * Set the widget order of a section at one breakpoint
+     * @param {string} sectionId - Section ID
+     * @param {string} breakpointId - Breakpoint ID
+     * @param {array|null} order - Widget IDs in order; null (or the model order) removes the override
+     * @throws {Error} In view mode
      */
-    renderWidget(widget, span, colWidth, inRowBlock = false, distributeEqually = false, inFilterContainer = false) {
-        const widgetElement = document.createElement('div');
-        widgetElement.className = 'widget';
-        widgetElement.dataset.widgetId = widget.id;
-        widgetElement.draggable = true;
+    setSectionBreakpointOrder(sectionId, breakpointId, order) {
+        this.assertEditable('reorder widgets at a breakpoint');
+        const section = this.sections.find(s => s.id === sectionId);
+        if (!section) return;
         
-        const config = this.getWidgetConfig(widget.size);
-        const widthPx = span * colWidth + (span - 1) * this.layoutConfig.columnGap;
-        const heightPx = widget.minHeightRem * 16;
+        const widgets = section.type === 'filter-group' ? section.group.widgets : section.widgets;
+        const modelOrder = widgets.map(widget => widget.id);
+        const label = (this.breakpoints.find(b => b.id === breakpointId) || { label: breakpointId }).label;
         
-        if (!distributeEqually && !inRowBlock) {
-            widgetElement.style.width = `${widthPx}px`;
+        section.overrides = { ...section.overrides };
+        if (!order || order.join() === modelOrder.join()) {
+            delete section.overrides[breakpointId];
+        } else {
+            section.overrides[breakpointId] = { ...section.overrides[breakpointId], order };
         }
-        
-        if (widget.heightMode === 'fillViewport') {
-            widgetElement.style.minHeight = `${heightPx}px`;
-            widgetElement.style.height = 'calc(100vh - var(--fill-offset))';
-            widgetElement.style.maxHeight = 'calc(100vh - var(--fill-offset))';
-            widgetElement.classList.add('fill-viewport');
-        } else if (inRowBlock !== 'rail') {
-            widgetElement.style.minHeight = `${heightPx}px`;
+        if (Object.keys(section.overrides).length === 0) {
+            delete section.overrides;
         }
+        this.commit(order ? `Reorder widgets at ${label}` : `Reset widget order at ${label}`);
+    }
+    
+    /**
+     * Setup keyboard rearrangement of widgets and sections
+     * Widgets and sections form one roving-tabindex group in document order: arrow keys move
+     * the focus, Space picks the focused item up, arrow keys then step through the drop zones
+     * (the same ones pointer drags use), Space/Enter drops and Escape cancels
+     */
+    setupKeyboardMoves() {
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'visually-hidden';
+        this.liveRegion.setAttribute('aria-live', 'assertive');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+        this.root.appendChild(this.liveRegion);
         
-        const headerElement = document.createElement('div');
-        headerElement.className = 'widget-header';
+        const instructions = document.createElement('div');
+        instructions.id = this.elementId('move-instructions');
+        instructions.className = 'visually-hidden';
+        instructions.textContent = 'Press Space to pick up. Use the arrow keys to choose a new position, ' +
+            'Space to drop, Escape to cancel. Press Control+Space to select a widget, ' +
+            'Shift with the arrow keys to resize it.';
+        this.root.appendChild(instructions);
         
-        const titleElement = document.createElement('div');
-        titleElement.className = 'widget-title';
-        titleElement.textContent = widget.title || config.displayName;
-        titleElement.contentEditable = true;
-        titleElement.addEventListener('blur', (e) => {
-            widget.title = e.target.textContent;
+        this.gridCanvas.addEventListener('keydown', (e) => {
+            if (this.keyboardMove) {
+                this.handleKeyboardMoveKey(e);
+            } else if (this.isKeyboardItem(e.target) && !this.isViewMode()) {
+                this.handleKeyboardItemKey(e);
+            }
         });
-        titleElement.addEventListener('mousedown', (e) => {
-            e.stopPropagation();
+        
+        this.gridCanvas.addEventListener('focusin', (e) => {
+            if (this.isKeyboardItem(e.target)) {
+                this.activeItemKey = this.getKeyboardItemKey(e.target);
+                this.updateKeyboardItems();
+            }
         });
-        titleElement.addEventListener('dragstart', (e) => {
-            e.preventDefault();
+        
+        this.gridCanvas.addEventListener('focusout', (e) => {
+            if (this.keyboardMove && e.target === this.keyboardMove.element) {
+                this.cancelKeyboardMove();
+            }
         });
+    }
+    
+    /**
+     * Check if an element is a focusable widget or section (and not a control inside one)
+     * @param {EventTarget} element - Element to check
+     * @returns {boolean} True for widget and section elements
+     */
+    isKeyboardItem(element) {
+        return Boolean(element && element.dataset && (element.dataset.widgetId || element.dataset.sectionId));
+    }
+    
+    /**
+     * @param {HTMLElement} element - Widget or section element
+     * @returns {string} Roving tabindex key: 'widget:ID' or 'section:ID'
+     */
+    getKeyboardItemKey(element) {
+        return element.dataset.widgetId ? `widget:${element.dataset.widgetId}` : `section:${element.dataset.sectionId}`;
+    }
+    
+    /**
+     * @returns {array} Widget and section elements in document order
+     */
+    getKeyboardItems() {
+        return Array.from(this.gridCanvas.querySelectorAll('[data-section-id], [data-widget-id]'));
+    }
+    
+    /**
+     * Give the active item tabindex 0 and every other item -1, and refresh their accessible names
+     * Called after every render; items rendered in view mode can not be moved and are left alone
+     */
+    updateKeyboardItems() {
+        if (this.isViewMode()) return;
         
-        const actionsElement = document.createElement('div');
-        actionsElement.className = 'widget-actions';
+        const items = this.getKeyboardItems();
+        const active = items.find(item => this.getKeyboardItemKey(item) === this.activeItemKey) || items[0];
         
-        let actionsHTML = '';
-        if (!inFilterContainer) {
-            actionsHTML += `
-                <button class="widget-action-btn widget-filter-btn" title="Add to filter container">
-                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <polygon points="22 3 2 3 10 12.46 10 19 14 21 14 12.46 22 3"/>
-                    </svg>
-                </button>
-            `;
+        items.forEach(item => {
+            item.tabIndex = item === active ? 0 : -1;
+            item.setAttribute('role', 'group');
+            item.setAttribute('aria-roledescription', item.dataset.widgetId ? 'movable widget' : 'movable section');
+            item.setAttribute('aria-describedby', this.elementId('move-instructions'));
+            const selected = Boolean(item.dataset.widgetId) && this.selectedWidgetIds.has(item.dataset.widgetId);
+            item.setAttribute('aria-label', this.describeKeyboardItem(item) + (selected ? ', selected' : ''));
+        });
+    }
+    
+    /**
+     * Name of a widget or section for screen readers, e.g. "S" or "Section 2: Sales"
+     * @param {HTMLElement} element - Widget or section element
+     * @returns {string} Accessible name
+     */
+    describeKeyboardItem(element) {
+        if (element.dataset.widgetId) {
+            const found = this.findWidget(element.dataset.widgetId);
+            return found ? (found.widget.title || this.getWidgetDefinition(found.widget.type).label) : 'Widget';
+        }
+        
+        const index = this.sections.findIndex(s => s.id === element.dataset.sectionId);
+        const section = this.sections[index];
+        if (!section) return 'Section';
+        const title = section.type === 'filter-group' ? section.group.title : section.title;
+        return `Section ${index + 1}: ${title}`;
+    }
+    
+    /**
+     * Name of a widget or section in announcements, e.g. 'S' or 'section "Sales"'
+     * @param {HTMLElement} element - Widget or section element
+     * @returns {string} Name
+     */
+    getKeyboardItemName(element) {
+        if (element.dataset.widgetId) {
+            return this.describeKeyboardItem(element);
+        }
+        const section = this.sections.find(s => s.id === element.dataset.sectionId);
+        if (!section) return 'section';
+        return `section "${section.type === 'filter-group' ? section.group.title : section.title}"`;
+    }
+    
+    /**
+     * Move the focus to a widget or section
+     * @param {string} key - Roving tabindex key (see getKeyboardItemKey())
+     */
+    focusKeyboardItem(key) {
+        this.activeItemKey = key;
+        this.updateKeyboardItems();
+        const item = this.getKeyboardItems().find(element => this.getKeyboardItemKey(element) === key);
+        if (item) {
+            item.focus();
+        }
+    }
+    
+    /**
+     * Keys on a focused widget or section: arrows/Home/End move the focus, Space picks the item up
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeyboardItemKey(e) {
+        if (e.shiftKey && e.key.startsWith('Arrow') && e.target.dataset.widgetId) {
+            e.preventDefault();
+            this.resizeWidgetWithKey(e.target.dataset.widgetId, e.key);
+            return;
         }
-        actionsHTML += `
-            <button class="widget-action-btn widget-delete-btn" title="Delete widget">
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2M10 11v6M14 11v6"/>
-                </svg>
-            </button>
-        `;
-        actionsElement.innerHTML = actionsHTML;
         
-        headerElement.appendChild(titleElement);
-        headerElement.appendChild(actionsElement);
+        const items = this.getKeyboardItems();
+        const index = items.indexOf(e.target);
+        let next = null;
         
-        const contentElement = document.createElement('div');
-        contentElement.className = 'widget-content';
-        contentElement.innerHTML = `
-            <div class="widget-info">Min: ${widget.minColSpan} col × ${widget.minHeightRem} rem</div>
-            <div class="widget-info">Span: ${span} col | Mode: ${widget.heightMode}</div>
-        `;
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowRight':
+                next = items[Math.min(index + 1, items.length - 1)];
+                break;
+            case 'ArrowUp':
+            case 'ArrowLeft':
+                next = items[Math.max(index - 1, 0)];
+                break;
+            case 'Home':
+                next = items[0];
+                break;
+            case 'End':
+                next = items[items.length - 1];
+                break;
+            case ' ':
+                e.preventDefault();
+                if ((e.ctrlKey || e.metaKey) && e.target.dataset.widgetId) {
+                    this.selectWidget(e.target.dataset.widgetId, { toggle: true });
+                    return;
+                }
+                this.startKeyboardMove(e.target);
+                return;
+            default:
+                return;
+        }
         
-        widgetElement.appendChild(headerElement);
-        widgetElement.appendChild(contentElement);
+        e.preventDefault();
+        this.focusKeyboardItem(this.getKeyboardItemKey(next));
+    }
+    
+    /**
+     * Shift+arrow keys on a focused widget: Left/Right change the span by one column,
+     * Up/Down the height by one resize step
+     * @param {string} widgetId - Widget ID
+     * @param {string} key - Arrow key name
+     */
+    resizeWidgetWithKey(widgetId, key) {
+        const found = this.findWidget(widgetId);
+        if (!found) return;
         
-        this.setupWidgetDragHandlers(widgetElement, widget);
+        const widget = found.widget;
+        const step = this.layoutConfig.resizeStepRem;
+        const changed = {
+            ArrowRight: () => this.resizeWidget(widgetId, { minColSpan: widget.minColSpan + 1 }),
+            ArrowLeft: () => this.resizeWidget(widgetId, { minColSpan: widget.minColSpan - 1 }),
+            ArrowDown: () => widget.heightMode !== 'fillViewport' && this.resizeWidget(widgetId, { minHeightRem: widget.minHeightRem + step }),
+            ArrowUp: () => widget.heightMode !== 'fillViewport' && this.resizeWidget(widgetId, { minHeightRem: widget.minHeightRem - step })
+        }[key]();
         
-        const deleteBtn = actionsElement.querySelector('.widget-delete-btn');
-        this.setupDeleteHandler(deleteBtn, widget.id);
-        
-        if (!inFilterContainer) {
-            const filterBtn = actionsElement.querySelector('.widget-filter-btn');
-            if (filterBtn) {
-                filterBtn.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    this.moveWidgetToFilterContainer(widget.id);
-                });
-                filterBtn.addEventListener('mousedown', (e) => {
-                    e.stopPropagation();
-                });
-            }
+        if (!changed) {
+            this.announce(`${this.describeKeyboardItem(this.widgetElements.get(widgetId).element)} cannot be resized further`);
         }
-        
-        return widgetElement;
     }
     
-    renderFilterGroupSection(sectionElement, section, layout) {
-        sectionElement.classList.add('filter-group-section');
-        const group = layout.group;
+    /**
+     * Pick a widget or section up for a keyboard move
+     * @param {HTMLElement} element - Focused widget or section element
+     */
+    startKeyboardMove(element) {
+        const isWidget = Boolean(element.dataset.widgetId);
+        const id = isWidget ? element.dataset.widgetId : element.dataset.sectionId;
+        if (isWidget ? !this.findWidget(id) : !this.sections.some(s => s.id === id)) return;
         
-        const headerElement = document.createElement('div');
-        headerElement.className = 'filter-group-header';
+        // Like a pointer drag, a 'dragging' widget is left out of the drop zones
+        element.classList.add('dragging', 'keyboard-grabbed');
         
-        const titleElement = document.createElement('div');
-        titleElement.className = 'filter-group-title';
-        titleElement.textContent = group.title || 'Filter Container';
-        titleElement.contentEditable = true;
-        titleElement.addEventListener('blur', (e) => {
-            const newTitle = e.target.textContent.trim();
-            group.title = newTitle || 'Filter Container';
-            e.target.textContent = group.title;
-        });
-        titleElement.addEventListener('mousedown', (e) => {
-            e.stopPropagation();
-        });
-        titleElement.addEventListener('dragstart', (e) => {
-            e.preventDefault();
-        });
+        const { targets, index } = this.getKeyboardMoveTargets(isWidget, id);
+        this.keyboardMove = { element, key: this.getKeyboardItemKey(element), isWidget, id, targets, index };
         
-        const actionsElement = document.createElement('div');
-        actionsElement.className = 'filter-group-actions';
-        actionsElement.innerHTML = `
-            <button class="filter-group-action-btn filter-group-filter-btn" title="Add filter" data-group-id="${group.id}">
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <polygon points="22 3 2 3 10 12.46 10 19 14 21 14 12.46 22 3"/>
-                </svg>
-            </button>
-            <button class="filter-group-action-btn filter-group-delete-btn" title="Delete filter container">
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2M10 11v6M14 11v6"/>
-                </svg>
-            </button>
-        `;
+        this.createDragPlaceholder();
+        this.showKeyboardMoveTarget();
+        this.announce(`Picked up ${this.getKeyboardItemName(element)}. ${this.describeMoveTarget(targets[index])}. ` +
+            'Use the arrow keys to move, Space to drop, Escape to cancel.');
+    }
+    
+    /**
+     * Get the positions a picked-up item can be moved to, in document order
+     * One target per distinct position of collectDropZones(); the positions that leave
+     * the item where it is collapse into a single "current position" target, and positions
+     * a pointer drag would mark invalid (see validateDropZones()) are left out
+     * @param {boolean} isWidget - True for a widget, false for a section
+     * @param {string} id - Widget or section ID
+     * @returns {object} { targets, index } where index is the current position target
+     */
+    getKeyboardMoveTargets(isWidget, id) {
+        let zones = this.collectDropZones();
+        if (isWidget) {
+            this.draggedWidget = this.findWidget(id).widget;
+            try {
+                zones = this.validateDropZones(zones);
+            } finally {
+                this.draggedWidget = null;
+            }
+        } else {
+            zones = zones.filter(zone => zone.type === 'between-sections');
+        }
         
-        const filterBtn = actionsElement.querySelector('.filter-group-filter-btn');
-        filterBtn.addEventListener('click', () => {
-            this.addFilterToGroup(group.id);
+        const unique = new Map();
+        zones.forEach(zone => {
+            const key = this.getDropZoneKey(zone);
+            if (!unique.has(key)) {
+                unique.set(key, zone);
+            }
         });
         
-        const deleteBtn = actionsElement.querySelector('.filter-group-delete-btn');
-        deleteBtn.addEventListener('click', () => {
-            this.sections = this.sections.filter(s => s.id !== section.id);
-            this.render();
+        // Sections are ordered by index; a between-sections zone comes before the section it precedes
+        const order = (zone) => zone.type === 'between-sections'
+            ? [zone.position, 0, 0]
+            : [this.sections.findIndex(s => s.id === zone.sectionId), 1, zone.position];
+        const sorted = Array.from(unique.values()).sort((a, b) => {
+            const [a1, a2, a3] = order(a);
+            const [b1, b2, b3] = order(b);
+            return (a1 - b1) || (a2 - b2) || (a3 - b3);
         });
         
-        const headerTopRow = document.createElement('div');
-        headerTopRow.className = 'filter-group-header-top';
-        headerTopRow.appendChild(titleElement);
-        headerTopRow.appendChild(actionsElement);
-        
-        headerElement.appendChild(headerTopRow);
+        const targets = [];
+        let index = -1;
+        sorted.forEach(zone => {
+            if (this.isNoopMove(zone, isWidget, id)) {
+                if (index === -1) {
+                    index = targets.length;
+                    targets.push({ ...zone, isCurrent: true, isInvalid: false, reason: null });
+                }
+            } else if (!zone.isInvalid) {
+                targets.push(zone);
+            }
+        });
         
-        if (group.filters && group.filters.length > 0) {
-            const filtersContainer = document.createElement('div');
-            filtersContainer.className = 'filter-chips-container';
-            
-            group.filters.forEach(filter => {
-                const chip = document.createElement('div');
-                chip.className = 'filter-chip';
-                chip.innerHTML = `
-                    <span class="filter-chip-label">${filter.label}</span>
-                    <button class="filter-chip-remove" data-filter-id="${filter.id}" data-group-id="${group.id}">
-                        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <line x1="18" y1="6" x2="6" y2="18"></line>
-                            <line x1="6" y1="6" x2="18" y2="18"></line>
-                        </svg>
-                    </button>
-                `;
-                
-                const removeBtn = chip.querySelector('.filter-chip-remove');
-                removeBtn.addEventListener('click', () => {
-                    this.removeFilterFromGroup(group.id, filter.id);
-                });
-                
-                filtersContainer.appendChild(chip);
-            });
-            
-            headerElement.appendChild(filtersContainer);
+        return { targets, index: Math.max(index, 0) };
+    }
+    
+    /**
+     * Check if moving an item to a drop zone would leave it where it is
+     * @param {object} zone - Drop zone
+     * @param {boolean} isWidget - True for a widget, false for a section
+     * @param {string} id - Widget or section ID
+     * @returns {boolean} True if the move changes nothing
+     */
+    isNoopMove(zone, isWidget, id) {
+        if (!isWidget) {
+            const index = this.sections.findIndex(s => s.id === id);
+            return zone.position === index || zone.position === index + 1;
         }
         
-        sectionElement.appendChild(headerElement);
-        
-        const filterGroupElement = document.createElement('div');
-        filterGroupElement.className = 'filter-group';
-        filterGroupElement.dataset.groupId = group.id;
+        const found = this.findWidget(id);
+        const widgets = found.section.type === 'filter-group' ? found.section.group.widgets : found.section.widgets;
+        const index = widgets.indexOf(found.widget);
         
-        if (group.widgets.length === 0) {
-            const emptyState = document.createElement('div');
-            emptyState.className = 'filter-group-empty';
-            emptyState.innerHTML = `
-                <div class="empty-state-content">
-                    <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-                        <rect x="3" y="3" width="18" height="18" rx="2" ry="2"/>
-                        <line x1="12" y1="8" x2="12" y2="16"/>
-                        <line x1="8" y1="12" x2="16" y2="12"/>
-                    </svg>
-                    <p>Drag widgets here to add them to this filter container</p>
-                </div>
-            `;
-            filterGroupElement.appendChild(emptyState);
-        } else {
-            const colCount = layout.colCount;
-            const colWidth = (layout.containerWidth - (colCount - 1) * this.layoutConfig.columnGap) / colCount;
-            
-            layout.rows.forEach((row, rowIndex) => {
-                const rowElement = document.createElement('div');
-                rowElement.className = 'row';
-                
-                const distributeEqually = row.cells.some(cell => cell.distributeEqually);
-                if (distributeEqually) {
-                    rowElement.classList.add('distribute-equally');
-                }
-                
-                let maxHeight = 0;
-                row.cells.forEach((cell, cellIndex) => {
-                    if (this.isRowBlock(cell.item)) {
-                        const height = cell.item.main.minHeightRem;
-                        maxHeight = Math.max(maxHeight, height);
-                    } else {
-                        const height = cell.item.minHeightRem;
-                        maxHeight = Math.max(maxHeight, height);
-                    }
-                });
-                
-                rowElement.style.minHeight = `${maxHeight * 16}px`;
-                
-                row.cells.forEach(cell => {
-                    if (this.isRowBlock(cell.item)) {
-                        const rowBlockElement = this.renderRowBlock(cell.item, colWidth, colCount);
-                        rowElement.appendChild(rowBlockElement);
-                    } else {
-                        const widgetElement = this.renderWidget(cell.item, cell.span, colWidth, false, distributeEqually, true);
-                        rowElement.appendChild(widgetElement);
-                    }
-                });
-                
-                filterGroupElement.appendChild(rowElement);
-            });
+        if (zone.type === 'between-sections') {
+            // A lone widget moved next to its own section ends up in an identical section
+            const sectionIndex = this.sections.indexOf(found.section);
+            return found.section.type === 'widget' && widgets.length === 1 &&
+                (zone.position === sectionIndex || zone.position === sectionIndex + 1);
         }
-        
-        sectionElement.appendChild(filterGroupElement);
+        return zone.sectionId === found.section.id && (zone.position === index || zone.position === index + 1);
     }
     
-    setupWidgetDragHandlers(element, widget) {
-        element.addEventListener('dragstart', (e) => {
-            if (e.target.classList.contains('delete-btn') || 
-                e.target.closest('.delete-btn')) {
-                e.preventDefault();
-                return;
+    /**
+     * Describe where a keyboard move would put the item, e.g. "Section 2, position 3"
+     * @param {object} zone - Move target (see getKeyboardMoveTargets())
+     * @returns {string} Description for screen readers
+     */
+    describeMoveTarget(zone) {
+        const move = this.keyboardMove;
+        if (!zone || zone.isCurrent) return 'Current position';
+        
+        if (zone.type === 'between-sections') {
+            if (move && !move.isWidget) {
+                const index = this.sections.findIndex(s => s.id === move.id);
+                const position = zone.position > index ? zone.position : zone.position + 1;
+                return `Position ${position} of ${this.sections.length}`;
             }
-            
-            this.draggedWidget = widget;
-            this.draggedSection = null;
-            this.isDraggingFromPanel = false;
-            element.classList.add('dragging');
-            e.dataTransfer.effectAllowed = 'move';
-            e.dataTransfer.setData('text/plain', 'widget-move');
-            e.stopPropagation();
-            this.createDragPlaceholder();
-        });
+            return `New section at position ${zone.position + 1}`;
+        }
         
-        element.addEventListener('dragend', () => {
-            element.classList.remove('dragging');
-            this.removeDragPlaceholder();
-        });
+        const sectionIndex = this.sections.findIndex(s => s.id === zone.sectionId);
+        const section = this.sections[sectionIndex];
+        let position = zone.position + 1;
+        if (move && move.isWidget) {
+            // Moving forward within the same section frees the item's current slot
+            const found = this.findWidget(move.id);
+            const widgets = found.section.type === 'filter-group' ? found.section.group.widgets : found.section.widgets;
+            if (found.section === section && zone.position > widgets.indexOf(found.widget)) {
+                position--;
+            }
+        }
+        
+        const name = section.type === 'filter-group' ? `filter container ${sectionIndex + 1}` : `section ${sectionIndex + 1}`;
+        return `${name.charAt(0).toUpperCase()}${name.slice(1)}, position ${position}`;
     }
     
-    setupSectionDragHandlers(element, section) {
-        element.addEventListener('dragstart', (e) => {
-            if (e.target !== element) {
-                return;
-            }
-            
-            this.draggedSection = section;
-            this.draggedWidget = null;
-            this.isDraggingFromPanel = false;
-            element.classList.add('dragging');
-            e.dataTransfer.effectAllowed = 'move';
-            e.dataTransfer.setData('text/plain', 'section-move');
-            this.createDragPlaceholder();
-        });
+    /**
+     * Describe where an item is after a move, e.g. "section 2, position 3"
+     * @param {string} key - Roving tabindex key of the item
+     * @returns {string} Description for screen readers
+     */
+    describeItemLocation(key) {
+        const [kind, id] = key.split(':');
+        if (kind === 'section') {
+            return `position ${this.sections.findIndex(s => s.id === id) + 1} of ${this.sections.length}`;
+        }
         
-        element.addEventListener('dragend', () => {
-            element.classList.remove('dragging');
-            this.draggedSection = null;
-            this.removeDragPlaceholder();
-        });
+        const found = this.findWidget(id);
+        if (!found) return 'an unknown position';
+        const sectionIndex = this.sections.indexOf(found.section);
+        const isGroup = found.section.type === 'filter-group';
+        const widgets = isGroup ? found.section.group.widgets : found.section.widgets;
+        return `${isGroup ? 'filter container' : 'section'} ${sectionIndex + 1}, position ${widgets.indexOf(found.widget) + 1}`;
     }
     
-    setupDeleteHandler(button, widgetId) {
-        button.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.deleteWidget(widgetId);
-        });
+    /**
+     * Keys while an item is picked up: arrows/Home/End choose the target, Space/Enter drops,
+     * Escape or Tab cancels
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeyboardMoveKey(e) {
+        const move = this.keyboardMove;
+        const last = move.targets.length - 1;
+        let index = move.index;
         
-        button.addEventListener('mousedown', (e) => {
-            e.stopPropagation();
-        });
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowRight':
+                index = Math.min(index + 1, last);
+                break;
+            case 'ArrowUp':
+            case 'ArrowLeft':
+                index = Math.max(index - 1, 0);
+                break;
+            case 'Home':
+                index = 0;
+                break;
+            case 'End':
+                index = last;
+                break;
+            case ' ':
+            case 'Enter':
+                e.preventDefault();
+                this.dropKeyboardMove();
+                return;
+            case 'Escape':
+                e.preventDefault();
+                e.stopPropagation();
+                this.cancelKeyboardMove();
+                return;
+            case 'Tab':
+                this.cancelKeyboardMove();
+                return;
+            default:
+                return;
+        }
+        
+        e.preventDefault();
+        if (index !== move.index) {
+            move.index = index;
+            this.showKeyboardMoveTarget();
+            this.announce(this.describeMoveTarget(move.targets[index]));
+        }
     }
     
-    createDragPlaceholder() {
-        this.dragPlaceholder = document.createElement('div');
-        this.dragPlaceholder.className = 'drag-placeholder';
-        this.dragPlaceholder.style.display = 'none';
-        document.body.appendChild(this.dragPlaceholder);
+    /**
+     * Show the drop placeholder at the current keyboard move target
+     */
+    showKeyboardMoveTarget() {
+        const target = this.keyboardMove.targets[this.keyboardMove.index];
+        if (target && !target.isCurrent) {
+            this.updateDragPlaceholder(target);
+        } else if (this.dragPlaceholder) {
+            this.dragPlaceholder.style.display = 'none';
+        }
     }
     
-    updateDragPlaceholder(targetInfo) {
-        if (!this.dragPlaceholder) return;
+    /**
+     * Drop the picked-up item at the chosen target through the same code as a pointer drop
+     */
+    dropKeyboardMove() {
+        const move = this.keyboardMove;
+        const target = move.targets[move.index];
+        const name = this.getKeyboardItemName(move.element);
+        this.endKeyboardMove();
         
-        const color = targetInfo.isInvalid ? '#ef4444' : '#3b82f6';
+        if (!target || target.isCurrent) {
+            this.announce(`${name} dropped. Position unchanged.`);
+            return;
+        }
         
-        if (targetInfo.type === 'within-section' || targetInfo.type === 'within-filter-group') {
-            if (targetInfo.isRailDropZone) {
-                const left = targetInfo.left;
-                const right = targetInfo.right;
-                const centerY = (targetInfo.top + targetInfo.bottom) / 2;
-                
-                this.dragPlaceholder.style.left = left + 'px';
-                this.dragPlaceholder.style.top = (centerY - 2) + 'px';
-                this.dragPlaceholder.style.width = (right - left) + 'px';
-                this.dragPlaceholder.style.height = '4px';
-                this.dragPlaceholder.style.display = 'block';
-                this.dragPlaceholder.style.background = color;
-                this.dragPlaceholder.style.border = 'none';
-                this.dragPlaceholder.style.borderRadius = '2px';
-            } else {
-                const centerX = (targetInfo.left + targetInfo.right) / 2;
-                const top = targetInfo.top;
-                const bottom = targetInfo.bottom;
-                
-                this.dragPlaceholder.style.left = (centerX - 2) + 'px';
-                this.dragPlaceholder.style.top = top + 'px';
-                this.dragPlaceholder.style.width = '4px';
-                this.dragPlaceholder.style.height = (bottom - top) + 'px';
-                this.dragPlaceholder.style.display = 'block';
-                this.dragPlaceholder.style.background = color;
-                this.dragPlaceholder.style.border = 'none';
-                this.dragPlaceholder.style.borderRadius = '2px';
-            }
-        } else if (targetInfo.type === 'between-sections') {
-            const left = targetInfo.left;
-            const right = targetInfo.right;
-            const centerY = (targetInfo.top + targetInfo.bottom) / 2;
-            
-            this.dragPlaceholder.style.left = left + 'px';
-            this.dragPlaceholder.style.top = (centerY - 2) + 'px';
-            this.dragPlaceholder.style.width = (right - left) + 'px';
-            this.dragPlaceholder.style.height = '4px';
-            this.dragPlaceholder.style.display = 'block';
-            this.dragPlaceholder.style.background = color;
-            this.dragPlaceholder.style.border = 'none';
-            this.dragPlaceholder.style.borderRadius = '2px';
+        if (move.isWidget) {
+            const found = this.findWidget(move.id);
+            if (!found) return;
+            this.draggedWidget = found.widget;
+            this.handleMoveWidget(target);
+            this.draggedWidget = null;
         } else {
-            this.dragPlaceholder.style.display = 'none';
+            const section = this.sections.find(s => s.id === move.id);
+            if (!section) return;
+            this.draggedSection = section;
+            this.handleMoveSection(target);
+            this.draggedSection = null;
         }
+        
+        // Reordering the DOM drops the focus, so give it back to the moved item
+        this.focusKeyboardItem(move.key);
+        this.announce(`Moved ${name} to ${this.describeItemLocation(move.key)}`);
     }
     
-    removeDragPlaceholder() {
-        if (this.dragPlaceholder) {
-            this.dragPlaceholder.remove();
-            this.dragPlaceholder = null;
-        }
+    /**
+     * Put the picked-up item back without moving it
+     */
+    cancelKeyboardMove() {
+        const name = this.getKeyboardItemName(this.keyboardMove.element);
+        this.endKeyboardMove();
+        this.announce(`Move cancelled. ${name} is back at its original position.`);
     }
     
-    createWidget(id, size) {
-        const config = this.getWidgetConfig(size);
-        return {
-            id,
-            size,
-            minColSpan: config.minColSpan,
-            minHeightRem: config.minHeightRem,
-            heightMode: config.heightMode
-        };
+    /**
+     * Clear the keyboard move state and its visual feedback
+     */
+    endKeyboardMove() {
+        const move = this.keyboardMove;
+        this.keyboardMove = null;
+        move.element.classList.remove('dragging', 'keyboard-grabbed');
+        this.removeDragPlaceholder();
     }
     
-    loadInitialState() {
-        this.render();
+    /**
+     * Announce a message to screen readers through the live region
+     * @param {string} message - Text to announce
+     */
+    announce(message) {
+        if (!this.liveRegion) return;
+        // Clearing first makes repeated identical messages announced again
+        this.liveRegion.textContent = '';
+        this.liveRegion.textContent = message;
     }
+    
+    /**
+     * Check if an event target is a text field or contentEditable element
+     * @param {EventTarget} target - Event target
+     * @returns {boolean} True if the target handles its own text editing
+     */
+    isEditableTarget(target) {
+        if (!target || !target.tagName) return false;
+        if (target.isContentEditable) return true;
+        return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    }
+}
+
+/**
+ * Create a dashboard editor in a container element
+ * @param {HTMLElement} container - Element the editor fills
+ * @param {object} [options] - Editor options (see the DashboardEditor constructor)
+ * @returns {DashboardEditor} The running editor
+ */
+function createDashboardEditor(container, options) {
+    return new DashboardEditor(container, options);
 }
 
-document.addEventListener('DOMContentLoaded', () => {
-    new DashboardEditor();
-});
+// Public entry points: window.Dashboard for pages loading the scripts with <script> tags,
+// re-exported by dashboard-editor.js for ES module imports
+window.Dashboard = {
+    DashboardEditor,
+    createDashboardEditor,
+    HistoryManager,
+    LayoutSchemaError,
+    LAYOUT_SCHEMA_VERSION,
+    LAYOUT_STORAGE_KEY,
+    TEMPLATE_STORAGE_KEY,
+    migrateLayout,
+    reseedIdCounters,
+    validateLayout
+};
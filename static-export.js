@@ -0,0 +1,254 @@
+/**
+ * Static export - Standalone HTML snapshot of computed dashboard layouts
+ * Turns the rows DashboardEditor computed for one or more breakpoints into a single HTML file
+ * with its own CSS and no script: rows are CSS grids with the packRows spans, RowBlocks nest
+ * their rail and main column, and filter containers keep their title and chips. With several
+ * breakpoints each one is rendered once and media queries show the one matching the window.
+ *
+ * Input of renderStaticDashboard():
+ * {
+ *   title: "Sales",
+ *   width: 1300,                  // Optional, fixed dashboard width in px (single view exports)
+ *   railGapRem: 0.75,             // Gap between RowBlock rail widgets
+ *   views: [{
+ *     breakpoint: { id, label, minWidth, columns, columnGap, rowGap },
+ *     maxWidth: 1200,             // Width the next wider breakpoint starts at, null for the widest
+ *     sections: [{
+ *       id, type: "widget" | "filter-group", title, collapsed,
+ *       filters: ["region = EU", ...],        // Filter container chips
+ *       rows: [{ distributeEqually, cells: [Cell, ...] }, ...]
+ *     }]
+ *   }]
+ * }
+ * Cell: { span, widget: Widget } or { span, rowBlock: { mainSpan, railSpan, main: Widget, rail: [Widget] } }
+ * Widget: { id, title, minHeightRem, heightMode, contentHTML, summaryHTML }
+ * contentHTML and summaryHTML are trusted HTML (rendered by the widget types); all other text is escaped
+ *
+ * Loaded as a plain script in the browser (window.DashboardExport)
+ * and as a CommonJS module under Node (require('./static-export'))
+ */
+(function (root, factory) {
+    const staticExport = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = staticExport;
+    } else {
+        root.DashboardExport = staticExport;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * Horizontal padding of the exported page (px); media queries add it to the breakpoint widths
+     * so a breakpoint applies when the dashboard itself is as wide as in the editor
+     */
+    const PAGE_PADDING_PX = 20;
+    
+    /**
+     * Styles of the exported page (layout plus the look of the built-in widget types)
+     */
+    const EXPORT_STYLES = `
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #111827; }
+        .dashboard { margin: 0 auto; padding: ${PAGE_PADDING_PX}px; max-width: 100%; }
+        .dashboard > h1 { font-size: 24px; font-weight: 600; color: #1f2937; margin-bottom: 4px; }
+        .dashboard-meta { font-size: 12px; color: #6b7280; margin-bottom: 20px; }
+        .view { display: flex; flex-direction: column; gap: 20px; }
+        .section > summary { font-size: 16px; font-weight: 600; color: #374151; margin-bottom: 12px; cursor: pointer; }
+        .section-rows, .filter-group-rows { display: flex; flex-direction: column; }
+        .row { display: grid; align-items: stretch; }
+        .row + .row { margin-top: var(--row-gap); }
+        .rowblock { display: grid; column-gap: inherit; }
+        .rowblock-rail { display: flex; flex-direction: column; }
+        .rowblock-rail .widget { flex: 1; min-height: 0; }
+        .rowblock-main { display: flex; }
+        .rowblock-main .widget { flex: 1; }
+        .widget { background: white; border: 2px solid #9ca3af; border-radius: 8px; display: flex; flex-direction: column; min-width: 0; }
+        .widget.fill-viewport { height: calc(100vh - ${PAGE_PADDING_PX * 2}px); }
+        .widget-header { padding: 8px 12px; border-bottom: 1px solid #e5e7eb; background: #f9fafb; border-radius: 6px 6px 0 0; font-size: 14px; font-weight: 600; }
+        .widget-content { padding: 16px; display: flex; flex-direction: column; align-items: center; justify-content: center; flex: 1; text-align: center; min-height: 0; }
+        .widget-summary { padding: 0 16px 12px; text-align: center; }
+        .widget-info, .widget-state, .widget-empty { font-size: 12px; color: #6b7280; }
+        .widget-filter-summary { color: #4f46e5; }
+        .kpi-widget { display: flex; flex-direction: column; align-items: center; gap: 4px; }
+        .kpi-label, .kpi-change { font-size: 13px; color: #6b7280; }
+        .kpi-value { font-size: 32px; font-weight: 600; }
+        .kpi-change.positive { color: #16a34a; }
+        .kpi-change.negative { color: #dc2626; }
+        .table-widget, .chart-widget, .markdown-widget, .iframe-widget { align-self: stretch; flex: 1; min-height: 0; }
+        .table-widget { overflow: auto; }
+        .table-widget table { width: 100%; border-collapse: collapse; font-size: 13px; text-align: left; }
+        .table-widget th, .table-widget td { padding: 6px 8px; border-bottom: 1px solid #e5e7eb; }
+        .chart-widget { display: flex; color: #3b82f6; }
+        .chart-svg { width: 100%; height: 100%; min-height: 120px; }
+        .markdown-widget { overflow: auto; font-size: 14px; color: #374151; text-align: left; }
+        .markdown-widget h3, .markdown-widget h4, .markdown-widget h5, .markdown-widget p, .markdown-widget ul, .markdown-widget ol { margin: 0 0 8px; }
+        .markdown-widget ul, .markdown-widget ol { padding-left: 20px; }
+        .iframe-widget { width: 100%; border: none; }
+        .filter-group-section { background: #f9fafb; border: 2px solid #d1d5db; border-radius: 8px; padding: 16px; }
+        .filter-group-section > h2 { font-size: 16px; font-weight: 600; color: #374151; }
+        .filter-chips { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px; }
+        .filter-chip { padding: 4px 10px; background: white; border: 1px solid #d1d5db; border-radius: 16px; font-size: 13px; color: #374151; }
+        .filter-group-rows { margin-top: 16px; }
+        .filter-group-empty { margin-top: 16px; font-size: 13px; color: #9ca3af; }
+    `;
+    
+    /**
+     * Escape text for insertion into HTML
+     */
+    function escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    
+    /**
+     * Render a widget box
+     * @param {object} widget - Export widget (see top of file)
+     * @param {boolean} inRail - Rail widgets share the RowBlock height instead of keeping their own
+     * @returns {string} HTML
+     */
+    function renderWidget(widget, inRail) {
+        const fillViewport = widget.heightMode === 'fillViewport';
+        const style = inRail && !fillViewport ? '' : ` style="min-height: ${widget.minHeightRem}rem"`;
+        return `<div class="widget${fillViewport ? ' fill-viewport' : ''}" data-widget-id="${escapeHTML(widget.id)}"${style}>` +
+            `<div class="widget-header">${escapeHTML(widget.title)}</div>` +
+            `<div class="widget-content">${widget.contentHTML || ''}</div>` +
+            (widget.summaryHTML ? `<div class="widget-summary">${widget.summaryHTML}</div>` : '') +
+            '</div>';
+    }
+    
+    /**
+     * Render a RowBlock: the rail widgets stacked in the rail columns, the wide widget next to them
+     * (the RowBlock splits its span into the row's columns, so the spans line up with the other rows)
+     * @param {object} rowBlock - { mainSpan, railSpan, main, rail }
+     * @param {number} span - Columns the RowBlock spans
+     * @param {number} railGapRem - Gap between rail widgets
+     * @returns {string} HTML
+     */
+    function renderRowBlock(rowBlock, span, railGapRem) {
+        const rail = rowBlock.rail.map(widget => renderWidget(widget, true)).join('');
+        const style = `grid-column: span ${span}; grid-template-columns: repeat(${span}, minmax(0, 1fr))`;
+        return `<div class="rowblock" style="${style}">` +
+            `<div class="rowblock-rail" style="grid-column: span ${rowBlock.railSpan}; gap: ${railGapRem}rem">${rail}</div>` +
+            `<div class="rowblock-main" style="grid-column: span ${rowBlock.mainSpan}">${renderWidget(rowBlock.main, false)}</div>` +
+            '</div>';
+    }
+    
+    /**
+     * Render packed rows as CSS grid rows
+     * Rows with distributeEqually share the width equally between their widgets, like the editor
+     * @param {array} rows - { distributeEqually, cells }
+     * @param {object} breakpoint - Breakpoint of the view
+     * @param {number} railGapRem - Gap between rail widgets
+     * @returns {string} HTML
+     */
+    function renderRows(rows, breakpoint, railGapRem) {
+        return rows.map(row => {
+            const columns = row.distributeEqually ? row.cells.length : breakpoint.columns;
+            const minHeightRem = Math.max(0, ...row.cells.map(cell => (cell.rowBlock ? cell.rowBlock.main : cell.widget).minHeightRem));
+            const style = `grid-template-columns: repeat(${columns}, minmax(0, 1fr)); column-gap: ${breakpoint.columnGap}px; min-height: ${minHeightRem}rem`;
+            const cells = row.cells.map(cell => {
+                if (cell.rowBlock) {
+                    return renderRowBlock(cell.rowBlock, cell.span, railGapRem);
+                }
+                const span = row.distributeEqually ? 1 : cell.span;
+                return `<div class="cell" style="grid-column: span ${span}; display: flex">${renderWidget(cell.widget, false)}</div>`;
+            });
+            return `<div class="row" style="${style}">${cells.join('')}</div>`;
+        }).join('');
+    }
+    
+    /**
+     * Render a widget section (collapsible, like in the editor) or a filter container
+     * @param {object} section - Export section (see top of file)
+     * @param {object} breakpoint - Breakpoint of the view
+     * @param {number} railGapRem - Gap between rail widgets
+     * @returns {string} HTML
+     */
+    function renderSection(section, breakpoint, railGapRem) {
+        const rows = renderRows(section.rows, breakpoint, railGapRem);
+        if (section.type === 'filter-group') {
+            const chips = section.filters.length > 0
+                ? `<div class="filter-chips">${section.filters.map(label => `<span class="filter-chip">${escapeHTML(label)}</span>`).join('')}</div>`
+                : '';
+            const body = section.rows.length > 0
+                ? `<div class="filter-group-rows">${rows}</div>`
+                : '<div class="filter-group-empty">No widgets</div>';
+            return `<section class="filter-group-section" data-section-id="${escapeHTML(section.id)}">` +
+                `<h2>${escapeHTML(section.title)}</h2>${chips}${body}</section>`;
+        }
+        return `<details class="section" data-section-id="${escapeHTML(section.id)}"${section.collapsed ? '' : ' open'}>` +
+            `<summary>${escapeHTML(section.title)}</summary><div class="section-rows">${rows}</div></details>`;
+    }
+    
+    /**
+     * Media query showing a view while the dashboard is as wide as its breakpoint
+     * @param {object} view - Export view
+     * @returns {string} Media query condition
+     */
+    function viewMediaQuery(view) {
+        const conditions = [];
+        if (view.breakpoint.minWidth > 0) {
+            conditions.push(`(min-width: ${view.breakpoint.minWidth + PAGE_PADDING_PX * 2}px)`);
+        }
+        if (view.maxWidth !== null && view.maxWidth !== undefined) {
+            conditions.push(`(max-width: ${view.maxWidth + PAGE_PADDING_PX * 2 - 0.02}px)`);
+        }
+        return conditions.join(' and ') || 'all';
+    }
+    
+    /**
+     * Render a standalone HTML document of one or more computed layouts
+     * @param {object} snapshot - Title, views and options (see top of file)
+     * @returns {string} Complete HTML document
+     */
+    function renderStaticDashboard({ title, views, width = null, railGapRem = 0.75, generatedAt = new Date() }) {
+        if (!Array.isArray(views) || views.length === 0) {
+            throw new TypeError('renderStaticDashboard needs at least one view');
+        }
+        
+        const responsive = views.length > 1;
+        const viewStyles = views.map(view => {
+            const rule = `.view-${view.breakpoint.id} { --row-gap: ${view.breakpoint.rowGap}px; }`;
+            return responsive
+                ? `${rule}\n        @media ${viewMediaQuery(view)} { .view-${view.breakpoint.id} { display: flex; } }`
+                : rule;
+        });
+        if (responsive) {
+            viewStyles.unshift('.view { display: none; }');
+        }
+        
+        const body = views.map(view => {
+            const sections = view.sections.map(section => renderSection(section, view.breakpoint, railGapRem)).join('\n');
+            return `<main class="view view-${view.breakpoint.id}" data-breakpoint="${escapeHTML(view.breakpoint.id)}">\n${sections}\n</main>`;
+        }).join('\n');
+        
+        const layouts = views.map(view => `${view.breakpoint.label} (${view.breakpoint.columns} col)`).join(', ');
+        const widthStyle = width ? ` style="width: ${width + PAGE_PADDING_PX * 2}px"` : '';
+        
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHTML(title)}</title>
+    <style>${EXPORT_STYLES}
+        ${viewStyles.join('\n        ')}
+    </style>
+</head>
+<body>
+<div class="dashboard"${widthStyle}>
+<h1>${escapeHTML(title)}</h1>
+<p class="dashboard-meta">Snapshot of ${escapeHTML(generatedAt.toISOString().slice(0, 16).replace('T', ' '))} UTC · ${escapeHTML(layouts)}</p>
+${body}
+</div>
+</body>
+</html>
+`;
+    }
+    
+    return {
+        PAGE_PADDING_PX,
+        renderStaticDashboard
+    };
+});
@@ -0,0 +1,194 @@
+/**
+ * Dashboard templates - Predefined layouts to start a dashboard from or add to it
+ * Every template is a definition object:
+ *   { id, label, description, params, build }
+ * "params" are the settings asked for before the template is used:
+ *   { key, label, type: 'number' | 'choice' | 'text', default, min, max, choices }
+ *   (min/max for numbers, choices for 'choice')
+ * build(params) returns the sections of the template in the layout format (see script.js)
+ * with the resolved params. Widgets may leave out what their type provides: a widget
+ * { id, type, size, title, options, data } gets the type's default size and options and the
+ * size's column span and height. IDs only need to be unique within the template; the editor
+ * gives every section, filter group, chip and widget a fresh ID when the template is used
+ * Loaded as a plain script in the browser (window.DashboardTemplates)
+ * and as a CommonJS module under Node (require('./templates'))
+ */
+(function (root, factory) {
+    const templates = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = templates;
+    } else {
+        root.DashboardTemplates = templates;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * Measures of the 'sales' sample data source offered by the built-in templates
+     */
+    const SALES_METRICS = [
+        { key: 'revenue', label: 'Revenue' },
+        { key: 'orders', label: 'Orders' }
+    ];
+    
+    /**
+     * Headline numbers of the KPI strip, in order
+     */
+    const KPI_STRIP = [
+        { label: 'Revenue', field: 'revenue', op: 'sum' },
+        { label: 'Orders', field: 'orders', op: 'sum' },
+        { label: 'Avg. revenue', field: 'revenue', op: 'avg' },
+        { label: 'Avg. orders', field: 'orders', op: 'avg' },
+        { label: 'Best revenue', field: 'revenue', op: 'max' },
+        { label: 'Most orders', field: 'orders', op: 'max' }
+    ];
+    
+    /**
+     * @param {string} key - Key of a SALES_METRICS entry
+     * @returns {string} Label of the measure
+     */
+    function metricLabel(key) {
+        const metric = SALES_METRICS.find(m => m.key === key);
+        return metric ? metric.label : key;
+    }
+    
+    /**
+     * KPI widget showing one aggregate of the sales sample
+     */
+    function salesKPI(id, { label, field, op }) {
+        return {
+            id,
+            type: 'kpi',
+            title: label,
+            options: { label, value: '0', unit: '', change: '' },
+            data: { source: 'sales', query: { aggregate: { field, op } } }
+        };
+    }
+    
+    /**
+     * Chart widget summing a sales measure per day
+     */
+    function salesTrend(id, metric, { size = 'M', kind = 'line', title = `${metricLabel(metric)} per day` } = {}) {
+        return {
+            id,
+            type: 'chart',
+            size,
+            title,
+            options: { kind },
+            data: { source: 'sales', query: { groupBy: 'date', aggregate: { field: metric, op: 'sum' } } }
+        };
+    }
+    
+    const metricParam = {
+        key: 'metric',
+        label: 'Measure',
+        type: 'choice',
+        default: 'revenue',
+        choices: SALES_METRICS.map(m => ({ value: m.key, label: m.label }))
+    };
+    
+    /**
+     * Built-in templates, in the order the templates tab lists them
+     */
+    const BUILTIN_TEMPLATES = [
+        {
+            id: 'kpi-strip-trend',
+            label: 'KPI strip + trend',
+            description: 'A row of headline numbers above a full-width trend chart',
+            params: [
+                { key: 'kpiCount', label: 'Number of KPIs', type: 'number', default: 4, min: 1, max: KPI_STRIP.length },
+                metricParam
+            ],
+            build({ kpiCount, metric }) {
+                return [{
+                    id: 's_overview',
+                    type: 'widget',
+                    title: 'Overview',
+                    widgets: [
+                        ...KPI_STRIP.slice(0, kpiCount).map((kpi, i) => salesKPI(`w_kpi${i}`, kpi)),
+                        salesTrend('w_trend', metric, { size: 'XL_row', title: `${metricLabel(metric)} trend` })
+                    ]
+                }];
+            }
+        },
+        {
+            id: 'l-rail',
+            label: 'L with 3-item rail',
+            description: 'A large chart with small widgets stacked next to it (a RowBlock on wide screens)',
+            params: [
+                // Taller rails no longer fit next to an L widget
+                { key: 'railCount', label: 'Rail widgets', type: 'number', default: 3, min: 1, max: 3 },
+                metricParam
+            ],
+            build({ railCount, metric }) {
+                return [{
+                    id: 's_focus',
+                    type: 'widget',
+                    title: `${metricLabel(metric)} focus`,
+                    widgets: [
+                        salesTrend('w_main', metric, { size: 'L', kind: 'bar' }),
+                        ...KPI_STRIP.slice(0, railCount).map((kpi, i) => salesKPI(`w_rail${i}`, kpi))
+                    ]
+                }];
+            }
+        },
+        {
+            id: 'filtered-comparison',
+            label: 'Filtered comparison',
+            description: 'One filter container per value, each with the same KPI and chart',
+            params: [
+                { key: 'field', label: 'Compare by', type: 'choice', default: 'region', choices: [
+                    { value: 'region', label: 'Region' },
+                    { value: 'category', label: 'Category' },
+                    { value: 'target', label: 'Target' }
+                ] },
+                { key: 'values', label: 'Values (comma separated)', type: 'text', default: 'EU, US' },
+                metricParam
+            ],
+            build({ field, values, metric }) {
+                const list = values.split(',').map(v => v.trim()).filter(Boolean);
+                return (list.length > 0 ? list : ['']).map((value, i) => ({
+                    id: `s_${i}`,
+                    type: 'filter-group',
+                    group: {
+                        id: `fg_${i}`,
+                        title: value ? `${field}: ${value}` : 'Filter Container',
+                        filters: [{ id: `f_${i}`, field, operator: 'equals', value }],
+                        widgets: [
+                            salesKPI(`w_kpi${i}`, { label: metricLabel(metric), field: metric, op: 'sum' }),
+                            salesTrend(`w_chart${i}`, metric)
+                        ],
+                        layout: { minItemWidthPx: 280, gapPx: 12, alignHeightsInRow: true }
+                    }
+                }));
+            }
+        }
+    ];
+    
+    /**
+     * Complete and check the params of a template: missing or unusable values get the default,
+     * numbers are rounded and clamped, choices must be one of the choices
+     * @param {object} template - Template definition
+     * @param {object} [values] - Param values by key (e.g. read from a form)
+     * @returns {object} Param values for build()
+     */
+    function resolveTemplateParams(template, values = {}) {
+        const result = {};
+        (template.params || []).forEach(param => {
+            const value = values[param.key];
+            if (param.type === 'number') {
+                const number = Math.round(Number(value));
+                const clamped = Math.min(param.max ?? Infinity, Math.max(param.min ?? -Infinity, number));
+                result[param.key] = value === '' || value === undefined || !Number.isFinite(number) ? param.default : clamped;
+            } else if (param.type === 'choice') {
+                result[param.key] = param.choices.some(choice => choice.value === value) ? value : param.default;
+            } else {
+                result[param.key] = typeof value === 'string' ? value : param.default;
+            }
+        });
+        return result;
+    }
+    
+    return {
+        BUILTIN_TEMPLATES,
+        resolveTemplateParams
+    };
+});
@@ -0,0 +1,40 @@
+/**
+ * Tests for data-sources.js: queries and sources that change while they load
+ * Run with `npm test` or `node --test test/data-sources.test.js`
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DataSourceManager } = require('../data-sources');
+
+/**
+ * Adapter whose loads finish when release() is called
+ */
+function createDeferredAdapter(rows) {
+    const pending = [];
+    return {
+        load: () => new Promise(resolve => pending.push(() => resolve(rows))),
+        release: () => pending.splice(0).forEach(resolve => resolve())
+    };
+}
+
+test('query maps global filters through filterFields', async () => {
+    const manager = new DataSourceManager({
+        sources: [{ id: 'orders', type: 'memory', rows: [{ site: 'a', n: 1 }, { site: 'b', n: 2 }], filterFields: { target: 'site' } }]
+    });
+    
+    const result = await manager.query('orders', {}, { filters: { target: 'b' } });
+    assert.deepEqual(result.rows, [{ site: 'b', n: 2 }]);
+});
+
+test('query rejects with a clear error when the source is removed while loading', async () => {
+    const adapter = createDeferredAdapter([{ n: 1 }]);
+    const manager = new DataSourceManager({ sources: [{ id: 'slow', type: 'deferred' }], adapters: { deferred: adapter } });
+    
+    const query = manager.query('slow');
+    // Let the adapter start loading
+    await new Promise(resolve => setImmediate(resolve));
+    manager.removeSource('slow');
+    adapter.release();
+    
+    await assert.rejects(query, { message: 'Data source "slow" was removed' });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for drop validation (canWidgetFitInSection / validateDropZones) in the page's editor
+ * Run with `npm test` or `node --test test/drop-zones.test.js`
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEditorPage, layoutOf } = require('./helpers/editor-page');
+
+/**
+ * Chart widget (M, 2 columns) in the layout format
+ */
+function chart(id, overrides) {
+    return {
+        id,
+        type: 'chart',
+        size: 'M',
+        title: 'Chart',
+        minColSpan: 2,
+        minHeightRem: 22,
+        heightMode: 'stretchRow',
+        options: { kind: 'line' },
+        ...(overrides ? { overrides } : {})
+    };
+}
+
+/**
+ * Validate one within-section zone while a KPI (1 column) is dragged from the panel
+ */
+function validateKPIDrop(editor, sectionId) {
+    editor.isDraggingFromPanel = true;
+    editor.draggedWidgetType = 'kpi';
+    try {
+        const [zone] = editor.validateDropZones([{ type: 'within-section', sectionId, position: 0 }]);
+        return zone;
+    } finally {
+        editor.isDraggingFromPanel = false;
+        editor.draggedWidgetType = null;
+    }
+}
+
+test('a widget does not fit a full last row', async () => {
+    const { editor } = await loadEditorPage();
+    editor.setLayout(layoutOf([{ id: 's_full', type: 'widget', title: 'Full', widgets: [chart('w_a'), chart('w_b')] }]));
+    
+    const zone = validateKPIDrop(editor, 's_full');
+    assert.equal(zone.isInvalid, true);
+    assert.equal(zone.reason.code, 'new-row');
+});
+
+test('a widget hidden at the breakpoint frees room for the drop', async () => {
+    const { editor } = await loadEditorPage();
+    editor.setLayout(layoutOf([{
+        id: 's_hidden',
+        type: 'widget',
+        title: 'Hidden',
+        widgets: [chart('w_a'), chart('w_b', { desktop: { hidden: true } })]
+    }]));
+    
+    assert.equal(editor.renderedBreakpoint.id, 'desktop');
+    assert.equal(validateKPIDrop(editor, 's_hidden').isInvalid, false);
+    assert.equal(editor.canWidgetFitInSection('kpi', 's_hidden').ok, true);
+});
+
+test('hidden widgets only free room at their breakpoint', async () => {
+    const { editor } = await loadEditorPage();
+    editor.setLayout(layoutOf([{
+        id: 's_hidden',
+        type: 'widget',
+        title: 'Hidden',
+        widgets: [chart('w_a'), chart('w_b', { 'tablet-landscape': { hidden: true } })]
+    }]));
+    
+    assert.equal(validateKPIDrop(editor, 's_hidden').isInvalid, true);
+});
+
+test('a span forced by an override counts instead of the widget span', async () => {
+    const { editor } = await loadEditorPage();
+    editor.setLayout(layoutOf([{
+        id: 's_narrow',
+        type: 'widget',
+        title: 'Narrow',
+        widgets: [chart('w_a'), chart('w_b', { desktop: { colSpan: 1 } })]
+    }]));
+    
+    assert.equal(validateKPIDrop(editor, 's_narrow').isInvalid, false);
+});
+
+test('a section with every widget hidden accepts the drop', async () => {
+    const { editor } = await loadEditorPage();
+    editor.setLayout(layoutOf([{
+        id: 's_empty',
+        type: 'widget',
+        title: 'Empty',
+        widgets: [chart('w_a', { desktop: { hidden: true } }), chart('w_b', { desktop: { hidden: true } })]
+    }]));
+    
+    assert.equal(validateKPIDrop(editor, 's_empty').isInvalid, false);
+});
+
+test('keyboard moves skip the sections a widget does not fit', async () => {
+    const { editor } = await loadEditorPage();
+    const kpi = { ...chart('w_kpi'), type: 'kpi', size: 'XS', title: 'KPI', minColSpan: 1, minHeightRem: 10, options: {} };
+    editor.setLayout(layoutOf([
+        { id: 's_full', type: 'widget', title: 'Full', widgets: [chart('w_a'), chart('w_b')] },
+        { id: 's_open', type: 'widget', title: 'Open', widgets: [chart('w_c')] },
+        { id: 's_kpi', type: 'widget', title: 'KPI', widgets: [kpi] }
+    ]));
+    
+    const { targets } = editor.getKeyboardMoveTargets(true, 'w_kpi');
+    const sectionIds = new Set(targets.filter(zone => zone.type === 'within-section').map(zone => zone.sectionId));
+    assert.equal(sectionIds.has('s_full'), false);
+    assert.equal(sectionIds.has('s_open'), true);
+    assert.equal(targets.some(zone => zone.type === 'between-sections'), true);
+    assert.equal(editor.draggedWidget, null);
+});
@@ -0,0 +1,64 @@
+/**
+ * Load index.html with its scripts into jsdom and return the page's editor (window.dashboardEditor)
+ * jsdom does no layout, so the grid canvas reports a fixed width (desktop breakpoint by default)
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.width=1300] - Width of the grid canvas in pixels
+ * @returns {Promise<object>} { window, editor }
+ */
+async function loadEditorPage({ width = 1300 } = {}) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const dom = new JSDOM(html, { url: 'http://localhost/index.html', runScripts: 'outside-only', pretendToBeVisual: true });
+    const { window } = dom;
+    
+    window.HTMLElement.prototype.scrollIntoView = function () {};
+    window.ResizeObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+    ['clientWidth', 'offsetWidth'].forEach(property => {
+        Object.defineProperty(window.HTMLElement.prototype, property, {
+            configurable: true,
+            get() {
+                return this.classList.contains('grid-canvas') ? width : 0;
+            }
+        });
+    });
+    
+    // Run the page's scripts in order in one global scope, like the browser does
+    const context = dom.getInternalVMContext();
+    window.document.querySelectorAll('script').forEach(script => {
+        const src = script.getAttribute('src');
+        const code = src ? fs.readFileSync(path.join(ROOT, src), 'utf8') : script.textContent;
+        new vm.Script(code, { filename: src || 'index.html' }).runInContext(context);
+    });
+    if (window.document.readyState === 'loading') {
+        await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+    }
+    
+    return { window, editor: window.dashboardEditor };
+}
+
+/**
+ * Build a layout in the versioned format (see script.js) from sections
+ * @param {array} sections - Sections in the layout format
+ * @returns {object} Layout object
+ */
+function layoutOf(sections) {
+    return {
+        version: 2,
+        counters: { widget: 100, section: 100, filterGroup: 100, filter: 100 },
+        sections
+    };
+}
+
+module.exports = { loadEditorPage, layoutOf };
@@ -0,0 +1,95 @@
+/**
+ * Tests for undo/redo of whole-layout changes in the page's editor
+ * Run with `npm test` or `node --test test/history.test.js`
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEditorPage, layoutOf } = require('./helpers/editor-page');
+
+const ORDERS_SOURCE = { id: 'orders', type: 'memory', label: 'Orders', rows: [{ n: 1 }] };
+
+/**
+ * Layout with one KPI, a filter value, a data source and raised ID counters
+ */
+function importedLayout() {
+    return {
+        ...layoutOf([{
+            id: 's_imported',
+            type: 'widget',
+            title: 'Imported',
+            widgets: [{
+                id: 'w_imported',
+                type: 'kpi',
+                size: 'XS',
+                title: 'KPI',
+                minColSpan: 1,
+                minHeightRem: 10,
+                heightMode: 'stretchRow',
+                options: {}
+            }]
+        }]),
+        counters: { widget: 500, section: 500, filterGroup: 500, filter: 500 },
+        filters: { target: 'target2', date: '' },
+        dataSources: [ORDERS_SOURCE]
+    };
+}
+
+test('undoing an import puts back the filters, data sources and ID counters', async () => {
+    const { editor } = await loadEditorPage();
+    const before = editor.getLayout();
+    const steps = editor.history.undoStack.length;
+    
+    editor.importLayoutJSON(JSON.stringify(importedLayout()));
+    assert.equal(editor.history.undoStack.length, steps + 1);
+    assert.equal(editor.globalFilters.target, 'target2');
+    assert.notEqual(editor.dataSources.getSource('orders'), null);
+    assert.equal(editor.widgetIdCounter, 500);
+    
+    editor.undo();
+    assert.deepEqual(editor.getLayout(), before);
+    assert.equal(editor.dataSources.getSource('orders'), null);
+    
+    editor.redo();
+    assert.equal(editor.globalFilters.target, 'target2');
+    assert.notEqual(editor.dataSources.getSource('orders'), null);
+    assert.equal(editor.widgetIdCounter, 500);
+});
+
+test('filter changes are not undo steps and survive undoing other edits', async () => {
+    const { editor } = await loadEditorPage();
+    editor.addWidget('kpi');
+    const steps = editor.history.undoStack.length;
+    
+    editor.setGlobalFilter('target', 'target3');
+    assert.equal(editor.history.undoStack.length, steps);
+    
+    editor.undo();
+    assert.equal(editor.globalFilters.target, 'target3');
+});
+
+test('undoing after a filter change leaves no step that would revert the filter', async () => {
+    const { editor } = await loadEditorPage();
+    editor.addWidget('kpi');
+    editor.addWidget('kpi');
+    editor.setGlobalFilter('target', 'target3');
+    
+    editor.undo();
+    const steps = editor.history.undoStack.length;
+    editor.recordChange('No change');
+    assert.equal(editor.history.undoStack.length, steps);
+    assert.equal(editor.history.canRedo(), true);
+    assert.equal(editor.globalFilters.target, 'target3');
+    
+    editor.undo();
+    assert.equal(editor.history.undoStack.length, steps - 1);
+    assert.equal(editor.globalFilters.target, 'target3');
+});
+
+test('applying a template is one undo step', async () => {
+    const { editor } = await loadEditorPage();
+    const before = editor.getLayout();
+    
+    editor.applyTemplate('kpi-strip-trend', { replace: true });
+    editor.undo();
+    assert.deepEqual(editor.getLayout(), before);
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests for layout-engine.js: RowBlock rails, row expansion and equal distribution
+ * Run with `npm test` (all tests) or `node --test test/layout-engine.test.js`
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../layout-engine');
+
+const { DEFAULT_LAYOUT_CONFIG, transformRowBlocks, packRows, layoutWidgets } = engine;
+
+/**
+ * Widget with the span and height of a size (see getWidgetConfig in script.js)
+ */
+const SIZES = {
+    XS: { minColSpan: 1, minHeightRem: 10 },
+    S: { minColSpan: 1, minHeightRem: 16 },
+    M: { minColSpan: 2, minHeightRem: 22 },
+    L: { minColSpan: 3, minHeightRem: 32 },
+    XL_row: { minColSpan: 4, minHeightRem: 46 }
+};
+
+function widget(id, size) {
+    return { id, size, ...SIZES[size] };
+}
+
+/**
+ * Describe transformRowBlocks output as IDs: 'main[rail,...]' for RowBlocks
+ */
+function describeItems(items) {
+    return items.map(item => engine.isRowBlock(item)
+        ? `${item.main.id}[${item.rail.map(w => w.id).join(',')}]`
+        : item.id);
+}
+
+/**
+ * Describe packRows output as one array of 'id:span' per row ('*' marks equal distribution)
+ */
+function describeRows(rows) {
+    return rows.map(row => row.cells.map(cell => `${cell.item.id}:${cell.span}${cell.distributeEqually ? '*' : ''}`));
+}
+
+test('rail takes the previous neighbours before the next ones', () => {
+    const items = transformRowBlocks([widget('a', 'S'), widget('main', 'L'), widget('b', 'S')], 4);
+    assert.deepEqual(describeItems(items), ['main[a]', 'b']);
+});
+
+test('rail keeps the order of previous neighbours', () => {
+    const items = transformRowBlocks([widget('a', 'XS'), widget('b', 'XS'), widget('main', 'L')], 4);
+    assert.deepEqual(describeItems(items), ['main[a,b]']);
+});
+
+test('rail takes the next neighbours when no previous one fits', () => {
+    const items = transformRowBlocks([widget('m', 'M'), widget('main', 'L'), widget('a', 'S'), widget('b', 'S')], 4);
+    assert.deepEqual(describeItems(items), ['m', 'main[a,b]']);
+});
+
+test('rail stays within the main widget height plus toleranceRem', () => {
+    const widgets = [widget('main', 'L'), widget('a', 'S'), widget('b', 'S')];
+    
+    // 16 + 0.75 + 16 = 32.75rem fits 32 + 2rem, not 32 + 0rem
+    assert.deepEqual(describeItems(transformRowBlocks(widgets, 4)), ['main[a,b]']);
+    assert.deepEqual(
+        describeItems(transformRowBlocks(widgets, 4, { ...DEFAULT_LAYOUT_CONFIG, toleranceRem: 0 })),
+        ['main[a]', 'b']
+    );
+});
+
+test('rail holds at most maxRailItems widgets', () => {
+    const widgets = [widget('main', 'L'), ...['a', 'b', 'c', 'd', 'e'].map(id => widget(id, 'XS'))];
+    const config = { ...DEFAULT_LAYOUT_CONFIG, toleranceRem: 100 };
+    
+    assert.deepEqual(describeItems(transformRowBlocks(widgets, 4, config)), ['main[a,b,c,d]', 'e']);
+    assert.deepEqual(
+        describeItems(transformRowBlocks(widgets, 4, { ...config, maxRailItems: 2 })),
+        ['main[a,b]', 'c', 'd', 'e']
+    );
+});
+
+test('no RowBlocks below 3 columns or with rowBlocks off', () => {
+    const widgets = [widget('a', 'XS'), widget('main', 'M')];
+    assert.deepEqual(describeItems(transformRowBlocks(widgets, 2)), ['a', 'main']);
+    assert.deepEqual(
+        describeItems(transformRowBlocks([widget('a', 'S'), widget('main', 'L')], 4, { ...DEFAULT_LAYOUT_CONFIG, rowBlocks: false })),
+        ['a', 'main']
+    );
+});
+
+test('RowBlocks take a full row', () => {
+    const items = transformRowBlocks([widget('a', 'S'), widget('main', 'L'), widget('b', 'S')], 4);
+    assert.deepEqual(describeRows(packRows(items, 4)), [['rb-main:4'], ['b:4']]);
+});
+
+test('spare columns widen the widgets of a row, the first ones first', () => {
+    assert.deepEqual(describeRows(packRows([widget('m', 'M'), widget('s', 'S')], 4)), [['m:3', 's:1']]);
+    assert.deepEqual(describeRows(packRows([widget('a', 'S'), widget('b', 'S')], 4)), [['a:2', 'b:2']]);
+    assert.deepEqual(
+        describeRows(packRows([widget('m', 'M'), widget('n', 'M'), widget('s', 'S')], 4)),
+        [['m:2', 'n:2'], ['s:4']]
+    );
+});
+
+test('full-width widgets get a row of their own', () => {
+    assert.deepEqual(
+        describeRows(packRows([widget('a', 'S'), widget('x', 'XL_row'), widget('b', 'S')], 4)),
+        [['a:4'], ['x:4'], ['b:4']]
+    );
+});
+
+test('1-col rows share the row equally when there are fewer spare columns than widgets', () => {
+    const xs = (count) => Array.from({ length: count }, (_, i) => widget(`w${i}`, 'XS'));
+    
+    // 1 column: every widget fills its row
+    assert.deepEqual(describeRows(packRows(xs(3), 1)), [['w0:1'], ['w1:1'], ['w2:1']]);
+    // 2 columns: a full row has no spare column, a lone widget is widened
+    assert.deepEqual(describeRows(packRows(xs(3), 2)), [['w0:1', 'w1:1'], ['w2:2']]);
+    // 3 columns: 1 spare column for 2 widgets
+    assert.deepEqual(describeRows(packRows(xs(2), 3)), [['w0:1*', 'w1:1*']]);
+    // 4 columns: 1 spare column for 3 widgets, but 2 spare columns for 2 widgets are shared out
+    assert.deepEqual(describeRows(packRows(xs(3), 4)), [['w0:1*', 'w1:1*', 'w2:1*']]);
+    assert.deepEqual(describeRows(packRows(xs(2), 4)), [['w0:2', 'w1:2']]);
+});
+
+test('layoutWidgets uses the columns and RowBlock setting of the breakpoint', () => {
+    const widgets = [widget('a', 'S'), widget('main', 'L'), widget('b', 'S')];
+    
+    const desktop = layoutWidgets(widgets, 1300);
+    assert.equal(desktop.breakpoint.id, 'desktop');
+    assert.deepEqual(describeRows(desktop.rows), [['rb-main:4'], ['b:4']]);
+    
+    // Tablet landscape: 3 columns without RowBlocks
+    const tablet = layoutWidgets(widgets, 1000);
+    assert.equal(tablet.colCount, 3);
+    assert.deepEqual(describeRows(tablet.rows), [['a:3'], ['main:3'], ['b:3']]);
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for the auto-refresh timers of bound widgets in the page's editor
+ * Run with `npm test` or `node --test test/refresh-timers.test.js`
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEditorPage, layoutOf } = require('./helpers/editor-page');
+
+/**
+ * KPI widget bound to the sample sales data, reloading every 30s
+ */
+function refreshingKPI(id, overrides) {
+    return {
+        id,
+        type: 'kpi',
+        size: 'XS',
+        title: 'KPI',
+        minColSpan: 1,
+        minHeightRem: 10,
+        heightMode: 'stretchRow',
+        options: {},
+        data: { source: 'sales', refreshSec: 30 },
+        ...(overrides ? { overrides } : {})
+    };
+}
+
+test('widgets hidden at the breakpoint get no refresh timer and renders keep the others', async () => {
+    const { window, editor } = await loadEditorPage();
+    try {
+        editor.setLayout(layoutOf([{
+            id: 's_data',
+            type: 'widget',
+            title: 'Data',
+            widgets: [refreshingKPI('w_shown'), refreshingKPI('w_hidden', { desktop: { hidden: true } })]
+        }]));
+        
+        assert.deepEqual([...editor.refreshTimers.keys()], ['w_shown']);
+        const timer = editor.refreshTimers.get('w_shown').timer;
+        
+        editor.render();
+        assert.deepEqual([...editor.refreshTimers.keys()], ['w_shown']);
+        assert.equal(editor.refreshTimers.get('w_shown').timer, timer);
+    } finally {
+        window.close();
+    }
+});
+
+test('collapsing a section unmounts its widgets and stops their timers until it is expanded', async () => {
+    const { window, editor } = await loadEditorPage();
+    try {
+        editor.setLayout(layoutOf([
+            { id: 's_open', type: 'widget', title: 'Open', widgets: [refreshingKPI('w_open')] },
+            { id: 's_folded', type: 'widget', title: 'Folded', widgets: [refreshingKPI('w_folded')] }
+        ]));
+        assert.deepEqual([...editor.refreshTimers.keys()].sort(), ['w_folded', 'w_open']);
+        
+        editor.setSectionCollapsed('s_folded', true);
+        assert.deepEqual([...editor.refreshTimers.keys()], ['w_open']);
+        assert.equal(editor.widgetElements.has('w_folded'), false);
+        assert.equal(editor.sectionElements.get('s_folded').bodyElement.children.length, 0);
+        
+        editor.setSectionCollapsed('s_folded', false);
+        assert.deepEqual([...editor.refreshTimers.keys()].sort(), ['w_folded', 'w_open']);
+    } finally {
+        window.close();
+    }
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests that view mode refuses every edit through the API and leaves the dashboard unchanged
+ * Run with `npm test` or `node --test test/view-mode.test.js`
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEditorPage, layoutOf } = require('./helpers/editor-page');
+
+function kpi(id, extra = {}) {
+    return {
+        id,
+        type: 'kpi',
+        size: 'XS',
+        title: 'KPI',
+        minColSpan: 1,
+        minHeightRem: 10,
+        heightMode: 'stretchRow',
+        options: {},
+        ...extra
+    };
+}
+
+/**
+ * Editor in view mode with a widget section, a filter container and steps to undo and redo
+ * @returns {Promise<object>} { editor, clipboard, layout } where layout is the dashboard in view mode
+ */
+async function loadViewMode() {
+    const { editor } = await loadEditorPage();
+    editor.setLayout(layoutOf([
+        {
+            id: 's_widgets',
+            type: 'widget',
+            title: 'Widgets',
+            widgets: [kpi('w_a', { data: { source: 'sales', refreshSec: 0 } }), kpi('w_b')]
+        },
+        {
+            id: 's_group',
+            type: 'filter-group',
+            group: {
+                id: 'fg_group',
+                title: 'Group',
+                filters: [{ id: 'f_region', field: 'region', operator: 'equals', value: 'EU' }],
+                widgets: [kpi('w_c')],
+                layout: { minItemWidthPx: 280, gapPx: 12, alignHeightsInRow: true }
+            }
+        }
+    ]));
+    editor.addWidget('kpi', { sectionId: 's_widgets' });
+    editor.addWidget('kpi', { sectionId: 's_widgets' });
+    editor.undo();
+    const clipboard = JSON.stringify(editor.createClipboardPayload({ widgetIds: ['w_a'] }));
+    
+    editor.setMode('view');
+    return { editor, clipboard, layout: editor.getLayout() };
+}
+
+const EDITS = {
+    'undo': (editor) => editor.undo(),
+    'redo': (editor) => editor.redo(),
+    'load': (editor) => editor.load(layoutOf([])),
+    'setLayout': (editor) => editor.setLayout(layoutOf([])),
+    'importLayoutJSON': (editor) => editor.importLayoutJSON(JSON.stringify(layoutOf([]))),
+    'applyTemplate': (editor) => editor.applyTemplate('l-rail'),
+    'pasteClipboardText': (editor, clipboard) => editor.pasteClipboardText(clipboard),
+    'addWidget': (editor) => editor.addWidget('kpi'),
+    'moveWidget': (editor) => editor.moveWidget('w_a', { sectionId: 's_group' }),
+    'removeWidget': (editor) => editor.removeWidget('w_a'),
+    'deleteWidgets': (editor) => editor.deleteWidgets(['w_a']),
+    'duplicateWidget': (editor) => editor.duplicateWidget('w_a'),
+    'duplicateWidgets': (editor) => editor.duplicateWidgets(['w_a', 'w_b']),
+    'duplicateSection': (editor) => editor.duplicateSection('s_widgets'),
+    'resizeWidget': (editor) => editor.resizeWidget('w_a', { minColSpan: 2 }),
+    'setWidgetSize': (editor) => editor.setWidgetSize('w_a', 'XL_fill'),
+    'moveWidgetsToSection': (editor) => editor.moveWidgetsToSection(['w_a'], 's_group'),
+    'moveWidgetsToFilterContainer': (editor) => editor.moveWidgetsToFilterContainer(['w_a']),
+    'moveSection': (editor) => editor.moveSection('s_group', 0),
+    'removeSection': (editor) => editor.removeSection('s_group'),
+    'setSectionCollapsed': (editor) => editor.setSectionCollapsed('s_widgets', true),
+    'convertSectionToFilterContainer': (editor) => editor.convertSectionToFilterContainer('s_widgets'),
+    'addFilterToGroup': (editor) => editor.addFilterToGroup('fg_group', { field: 'category', value: 'A' }),
+    'updateFilterInGroup': (editor) => editor.updateFilterInGroup('fg_group', 'f_region', { value: 'US' }),
+    'removeFilterFromGroup': (editor) => editor.removeFilterFromGroup('fg_group', 'f_region'),
+    'setWidgetFilterKeys': (editor) => editor.setWidgetFilterKeys('w_a', []),
+    'setWidgetDataSource': (editor) => editor.setWidgetDataSource('w_a', null),
+    'setWidgetRefreshInterval': (editor) => editor.setWidgetRefreshInterval('w_a', 30),
+    'setWidgetOverride': (editor) => editor.setWidgetOverride('w_a', 'desktop', { hidden: true }, 'Hide widget'),
+    'setSectionBreakpointOrder': (editor) => editor.setSectionBreakpointOrder('s_widgets', 'desktop', ['w_b', 'w_a'])
+};
+
+Object.entries(EDITS).forEach(([name, edit]) => {
+    test(`${name} throws in view mode and changes nothing`, async () => {
+        const { editor, clipboard, layout } = await loadViewMode();
+        const steps = [editor.history.undoStack.length, editor.history.redoStack.length];
+        
+        assert.throws(() => edit(editor, clipboard), /in view mode/);
+        assert.deepEqual(editor.getLayout(), layout);
+        assert.deepEqual([editor.history.undoStack.length, editor.history.redoStack.length], steps);
+    });
+});
+
+test('the same edits work again in edit mode', async () => {
+    const { editor, clipboard, layout } = await loadViewMode();
+    editor.setMode('edit');
+    
+    assert.equal(editor.pasteClipboardText(clipboard), true);
+    editor.resizeWidget('w_a', { minColSpan: 2 });
+    editor.undo();
+    editor.undo();
+    assert.deepEqual(editor.getLayout(), layout);
+});
+
+test('global filters keep working in view mode', async () => {
+    const { editor } = await loadViewMode();
+    editor.setGlobalFilter('target', 'target1');
+    assert.equal(editor.getLayout().filters.target, 'target1');
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for widget-registry.js: which pages the iframe widget embeds and how, and the preset
+ * sizes widgets of the registered types can be given
+ * Run with `npm test` or `node --test test/widget-registry.test.js`
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkEmbedURL } = require('../widget-registry');
+const { loadEditorPage, layoutOf } = require('./helpers/editor-page');
+
+test('checkEmbedURL accepts http(s) pages of other sites only', () => {
+    const origin = 'https://dashboards.example.com';
+    assert.equal(checkEmbedURL('https://status.example.org/board', origin).ok, true);
+    assert.equal(checkEmbedURL('http://dashboards.example.com/other', origin).ok, true);
+    
+    assert.equal(checkEmbedURL('https://dashboards.example.com/', origin).ok, false);
+    assert.equal(checkEmbedURL('HTTPS://Dashboards.Example.com:443/x', origin).ok, false);
+    assert.equal(checkEmbedURL('javascript:alert(1)', origin).ok, false);
+    assert.equal(checkEmbedURL('', origin).ok, false);
+    assert.equal(checkEmbedURL('https://', origin).ok, false);
+});
+
+function embed(id, url) {
+    return {
+        id,
+        type: 'iframe',
+        size: 'L',
+        title: 'Embed',
+        minColSpan: 3,
+        minHeightRem: 32,
+        heightMode: 'stretchRow',
+        options: { url }
+    };
+}
+
+test('iframe widgets refuse pages of the editor origin and never get allow-same-origin', async () => {
+    const { window, editor } = await loadEditorPage();
+    editor.setLayout(layoutOf([{
+        id: 's_embeds',
+        type: 'widget',
+        title: 'Embeds',
+        widgets: [embed('w_own', `${window.location.origin}/index.html`), embed('w_other', 'https://example.org/')]
+    }]));
+    
+    const own = editor.widgetElements.get('w_own').element;
+    assert.equal(own.querySelector('iframe'), null);
+    assert.match(own.textContent, /cannot be embedded/);
+    
+    const iframe = editor.widgetElements.get('w_other').element.querySelector('iframe');
+    assert.notEqual(iframe, null);
+    assert.doesNotMatch(iframe.getAttribute('sandbox'), /allow-same-origin/);
+    window.close();
+});
+
+test('the layout menu gives a widget the full-row and fill-viewport sizes', async () => {
+    const { window, editor } = await loadEditorPage();
+    editor.setLayout(layoutOf([{ id: 's_charts', type: 'widget', title: 'Charts', widgets: [] }]));
+    const widgetId = editor.addWidget('chart', { sectionId: 's_charts' });
+    
+    const pickSize = (label) => {
+        editor.widgetElements.get(widgetId).element.querySelector('.widget-breakpoint-btn').click();
+        const item = [...window.document.querySelectorAll('.dropdown-menu-item')].find(button => button.textContent === label);
+        item.click();
+    };
+    
+    pickSize('XL (Fill)');
+    let widget = editor.findWidget(widgetId).widget;
+    assert.deepEqual([widget.size, widget.minColSpan, widget.heightMode], ['XL_fill', 4, 'fillViewport']);
+    assert.ok(editor.widgetElements.get(widgetId).element.classList.contains('fill-viewport'));
+    
+    pickSize('XL (Row)');
+    widget = editor.findWidget(widgetId).widget;
+    assert.deepEqual([widget.size, widget.minColSpan, widget.heightMode], ['XL_row', 4, 'stretchRow']);
+    assert.ok(!editor.widgetElements.get(widgetId).element.classList.contains('fill-viewport'));
+    
+    // One undo step per size, and the size is capped by the limits of the type
+    editor.undo();
+    assert.equal(editor.findWidget(widgetId).widget.heightMode, 'fillViewport');
+    const kpiId = editor.addWidget('kpi', { sectionId: 's_charts' });
+    editor.setWidgetSize(kpiId, 'XL_row');
+    assert.equal(editor.findWidget(kpiId).widget.minColSpan, 2);
+    assert.throws(() => editor.setWidgetSize(kpiId, 'XXL'), /Unknown widget size/);
+    window.close();
+});
@@ -0,0 +1,438 @@
+/**
+ * Widget registry - Widget types and the renderers that fill a widget's content area
+ * Every type is a definition object:
+ *   { type, label, description, defaultSize, resize, defaultOptions, hidden, render, update, destroy }
+ * "resize" limits how far users can resize widgets of the type:
+ *   { minColSpan, maxColSpan, minHeightRem, maxHeightRem } (missing limits use DEFAULT_RESIZE_LIMITS)
+ * Renderer lifecycle (all receive the content element and a context
+ * { widget, options, span, colCount, filters, groupFilters, data, state }):
+ * - render: called once when the content is mounted; its return value becomes context.state
+ * - update: called when the context changed; defaults to destroy + render
+ * - destroy: called before the content is removed or replaced
+ * "data" is the query result { rows, columns, loadedAt } of widgets bound to a data source
+ * (see data-sources.js); loading, empty and error states are rendered by the editor
+ * Loaded as a plain script in the browser (window.DashboardWidgets)
+ * and as a CommonJS module under Node (require('./widget-registry'))
+ */
+(function (root, factory) {
+    const widgets = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = widgets;
+    } else {
+        root.DashboardWidgets = widgets;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * Resize limits of types that set none (column spans are also capped by the column count)
+     */
+    const DEFAULT_RESIZE_LIMITS = {
+        minColSpan: 1,
+        maxColSpan: 12,
+        minHeightRem: 6,
+        maxHeightRem: 60
+    };
+    
+    class WidgetRegistry {
+        constructor() {
+            this.types = new Map();    // Type name -> definition, in registration order
+        }
+        
+        /**
+         * Register a widget type (registering an existing type replaces it)
+         * @param {object} definition - Widget type definition (see top of file)
+         * @returns {WidgetRegistry} The registry, for chaining
+         */
+        register(definition) {
+            if (!definition || typeof definition.type !== 'string' || definition.type === '') {
+                throw new Error('Widget type definition needs a non-empty "type"');
+            }
+            if (typeof definition.render !== 'function') {
+                throw new Error(`Widget type "${definition.type}" needs a render function`);
+            }
+            
+            this.types.set(definition.type, {
+                label: definition.type,
+                description: '',
+                defaultSize: 'S',
+                defaultOptions: {},
+                hidden: false,
+                ...definition,
+                resize: { ...DEFAULT_RESIZE_LIMITS, ...definition.resize }
+            });
+            return this;
+        }
+        
+        /**
+         * Remove a widget type
+         * @param {string} type - Type name
+         */
+        unregister(type) {
+            this.types.delete(type);
+        }
+        
+        /**
+         * @param {string} type - Type name
+         * @returns {object|null} Definition of the type, or null if it is not registered
+         */
+        get(type) {
+            return this.types.get(type) || null;
+        }
+        
+        has(type) {
+            return this.types.has(type);
+        }
+        
+        /**
+         * @param {object} [options]
+         * @param {boolean} [options.includeHidden=false] - Also list types hidden from the widget panel
+         * @returns {array} Definitions in registration order
+         */
+        list({ includeHidden = false } = {}) {
+            return Array.from(this.types.values()).filter(definition => includeHidden || !definition.hidden);
+        }
+    }
+    
+    /**
+     * Create an element with a class name and optional text
+     */
+    function el(tagName, className, text) {
+        const element = document.createElement(tagName);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    }
+    
+    /**
+     * Escape text for insertion into HTML
+     */
+    function escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    
+    /**
+     * Render inline markdown (code, bold, italic, links) of already escaped text
+     */
+    function renderInlineMarkdown(escaped) {
+        return escaped
+            .replace(/`([^`]+)`/g, '<code>$1</code>')
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+            .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+    }
+    
+    /**
+     * Convert a small markdown subset to HTML: headings, lists, paragraphs and inline styles
+     * Input is escaped first, so the result never contains markup from the source text
+     * @param {string} text - Markdown source
+     * @returns {string} HTML
+     */
+    function markdownToHTML(text) {
+        const html = [];
+        let list = null;
+        let paragraph = [];
+        
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                html.push(`<p>${renderInlineMarkdown(paragraph.join(' '))}</p>`);
+                paragraph = [];
+            }
+        };
+        const flushList = () => {
+            if (list) {
+                html.push(`<${list.tag}>${list.items.map(item => `<li>${renderInlineMarkdown(item)}</li>`).join('')}</${list.tag}>`);
+                list = null;
+            }
+        };
+        
+        String(text).split('\n').forEach(rawLine => {
+            const line = escapeHTML(rawLine.trim());
+            const heading = /^(#{1,3})\s+(.*)$/.exec(line);
+            const bullet = /^[-*]\s+(.*)$/.exec(line);
+            const numbered = /^\d+\.\s+(.*)$/.exec(line);
+            
+            if (line === '') {
+                flushParagraph();
+                flushList();
+            } else if (heading) {
+                flushParagraph();
+                flushList();
+                const level = heading[1].length + 2;    // # -> h3, keeps widget headings below the widget title
+                html.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+            } else if (bullet || numbered) {
+                flushParagraph();
+                const tag = bullet ? 'ul' : 'ol';
+                if (!list || list.tag !== tag) {
+                    flushList();
+                    list = { tag, items: [] };
+                }
+                list.items.push((bullet || numbered)[1]);
+            } else {
+                flushList();
+                paragraph.push(line);
+            }
+        });
+        flushParagraph();
+        flushList();
+        
+        return html.join('');
+    }
+    
+    /**
+     * Check if a URL may be embedded by the iframe widget: http(s) pages of another site only.
+     * Pages of the editor's own origin are refused, because embedded pages run scripts and the
+     * URL can come from pasted or imported layouts
+     * @param {string} url - URL from the widget options
+     * @param {string} [pageOrigin] - Origin of the page showing the dashboard (default: location.origin)
+     * @returns {object} { ok, reason } (reason is shown instead of the page)
+     */
+    function checkEmbedURL(url, pageOrigin = typeof location !== 'undefined' ? location.origin : null) {
+        if (!/^https?:\/\//i.test(url || '')) {
+            return { ok: false, reason: 'No URL set' };
+        }
+        let origin;
+        try {
+            origin = new URL(url).origin;
+        } catch (e) {
+            return { ok: false, reason: 'Invalid URL' };
+        }
+        if (pageOrigin && origin === pageOrigin) {
+            return { ok: false, reason: 'Pages of this site cannot be embedded' };
+        }
+        return { ok: true, reason: '' };
+    }
+    
+    /**
+     * Pick the label and value columns of a query result
+     * @param {object} data - Query result { rows, columns }
+     * @param {object} options - Widget options; labelField/valueField override the guess
+     * @returns {object} { labelField, valueField } (either may be undefined)
+     */
+    function pickColumns(data, options) {
+        const isNumeric = (column) => data.rows.every(row => typeof row[column] === 'number');
+        return {
+            labelField: options.labelField || data.columns.find(column => !isNumeric(column)),
+            valueField: options.valueField || data.columns.find(isNumeric)
+        };
+    }
+    
+    /**
+     * Sum a value column per label, keeping the first-seen label order
+     * @returns {object} { labels, values }
+     */
+    function sumByLabel(rows, labelField, valueField) {
+        const totals = new Map();
+        rows.forEach(row => {
+            const label = labelField ? String(row[labelField]) : '';
+            totals.set(label, (totals.get(label) || 0) + (Number(row[valueField]) || 0));
+        });
+        return { labels: Array.from(totals.keys()), values: Array.from(totals.values()) };
+    }
+    
+    /**
+     * Build an SVG bar or line chart scaled to a 100 × 60 view box
+     * @param {object} options - { kind: 'bar'|'line', labels: [], values: [] }
+     * @returns {string} SVG markup
+     */
+    function chartToSVG({ kind = 'bar', labels = [], values = [] }) {
+        const numbers = values.map(v => Number(v) || 0);
+        if (numbers.length === 0) {
+            return '';
+        }
+        
+        const max = Math.max(...numbers, 0);
+        const min = Math.min(...numbers, 0);
+        const range = max - min || 1;
+        const height = 60;
+        const y = (value) => height - ((value - min) / range) * height;
+        const step = 100 / numbers.length;
+        let shapes;
+        
+        if (kind === 'line') {
+            const points = numbers.map((value, i) => `${(i + 0.5) * step},${y(value)}`).join(' ');
+            shapes = `<polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1.5" vector-effect="non-scaling-stroke"/>`;
+        } else {
+            shapes = numbers.map((value, i) => {
+                const top = Math.min(y(value), y(0));
+                const barHeight = Math.abs(y(value) - y(0));
+                const label = labels[i] !== undefined ? escapeHTML(labels[i]) : '';
+                return `<rect x="${i * step + step * 0.15}" y="${top}" width="${step * 0.7}" height="${barHeight}" fill="currentColor"><title>${label}: ${value}</title></rect>`;
+            }).join('');
+        }
+        
+        return `<svg class="chart-svg" viewBox="0 0 100 ${height}" preserveAspectRatio="none" role="img">${shapes}</svg>`;
+    }
+    
+    /**
+     * Built-in widget types
+     */
+    const BUILTIN_WIDGET_TYPES = [
+        {
+            type: 'kpi',
+            label: 'KPI',
+            description: 'Single headline number',
+            defaultSize: 'XS',
+            resize: { maxColSpan: 2, maxHeightRem: 22 },
+            defaultOptions: { label: 'Total', value: '0', unit: '', change: '' },
+            render(element, context) {
+                const root = el('div', 'kpi-widget');
+                root.append(el('div', 'kpi-label'), el('div', 'kpi-value'), el('div', 'kpi-change'));
+                element.appendChild(root);
+                this.update(element, context);
+            },
+            update(element, { options, data }) {
+                let value = options.value ?? '';
+                let label = options.label || '';
+                if (data) {
+                    // Bound widgets show the sum of the value column
+                    const { valueField } = pickColumns(data, options);
+                    const total = data.rows.reduce((sum, row) => sum + (Number(row[valueField]) || 0), 0);
+                    value = Math.round(total * 100) / 100;
+                    label = options.label && options.label !== 'Total' ? options.label : `Total ${valueField || ''}`.trim();
+                }
+                element.querySelector('.kpi-label').textContent = label;
+                element.querySelector('.kpi-value').textContent = `${typeof value === 'number' ? value.toLocaleString() : value}${options.unit || ''}`;
+                
+                const change = element.querySelector('.kpi-change');
+                const text = String(options.change || '');
+                change.textContent = text;
+                change.classList.toggle('negative', text.startsWith('-'));
+                change.classList.toggle('positive', text.startsWith('+'));
+            }
+        },
+        {
+            type: 'table',
+            label: 'Table',
+            description: 'Rows and columns of values',
+            defaultSize: 'M',
+            resize: { minHeightRem: 10 },
+            defaultOptions: {
+                columns: ['Name', 'Value'],
+                rows: [['Alpha', '12'], ['Beta', '7'], ['Gamma', '3']]
+            },
+            render(element, { options, data }) {
+                let columns = Array.isArray(options.columns) ? options.columns : [];
+                let rows = Array.isArray(options.rows) ? options.rows : [];
+                if (data) {
+                    columns = data.columns;
+                    rows = data.rows.slice(0, options.maxRows || 100).map(row => columns.map(column => row[column]));
+                }
+                
+                const head = columns.map(column => `<th>${escapeHTML(column)}</th>`).join('');
+                const body = rows.map(row => {
+                    const cells = columns.map((_, i) => `<td>${escapeHTML(Array.isArray(row) && row[i] !== undefined ? row[i] : '')}</td>`);
+                    return `<tr>${cells.join('')}</tr>`;
+                }).join('');
+                
+                const wrapper = el('div', 'table-widget');
+                wrapper.innerHTML = rows.length > 0
+                    ? `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`
+                    : '<div class="widget-empty">No rows</div>';
+                element.appendChild(wrapper);
+            }
+        },
+        {
+            type: 'chart',
+            label: 'Chart',
+            description: 'Bar or line chart',
+            defaultSize: 'M',
+            resize: { minHeightRem: 10 },
+            defaultOptions: {
+                kind: 'bar',
+                labels: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'],
+                values: [4, 7, 3, 8, 5]
+            },
+            render(element, { options, data }) {
+                let values = Array.isArray(options.values) ? options.values : [];
+                let labels = Array.isArray(options.labels) ? options.labels : [];
+                if (data) {
+                    const { labelField, valueField } = pickColumns(data, options);
+                    ({ labels, values } = sumByLabel(data.rows, labelField, valueField));
+                }
+                
+                const wrapper = el('div', 'chart-widget');
+                wrapper.innerHTML = values.length > 0
+                    ? chartToSVG({ kind: options.kind, labels, values })
+                    : '<div class="widget-empty">No data</div>';
+                element.appendChild(wrapper);
+            }
+        },
+        {
+            type: 'markdown',
+            label: 'Text',
+            description: 'Markdown text',
+            defaultSize: 'S',
+            defaultOptions: { text: '## Notes\nWrite **markdown** here.' },
+            render(element, { options }) {
+                const wrapper = el('div', 'markdown-widget');
+                wrapper.innerHTML = markdownToHTML(options.text || '');
+                element.appendChild(wrapper);
+            }
+        },
+        {
+            type: 'iframe',
+            label: 'Embed',
+            description: 'External page in an iframe',
+            defaultSize: 'L',
+            resize: { minColSpan: 2, minHeightRem: 16 },
+            defaultOptions: { url: '' },
+            render(element, { widget, options }) {
+                // Only http(s) pages of other sites are embedded (see checkEmbedURL())
+                const check = checkEmbedURL(options.url);
+                if (!check.ok) {
+                    element.appendChild(el('div', 'widget-empty', check.reason));
+                    return;
+                }
+                
+                const iframe = el('iframe', 'iframe-widget');
+                iframe.src = options.url;
+                iframe.title = widget.title || 'Embedded page';
+                iframe.loading = 'lazy';
+                // Without allow-same-origin the page runs in an opaque origin and cannot lift its sandbox
+                iframe.setAttribute('sandbox', 'allow-scripts allow-popups');
+                element.appendChild(iframe);
+            }
+        },
+        {
+            // Content of widgets without a type (layouts saved before types existed)
+            // and of unregistered types; shows the layout constraints of the widget
+            type: 'placeholder',
+            label: 'Placeholder',
+            description: 'Layout constraints only',
+            defaultSize: 'S',
+            hidden: true,
+            render(element, context) {
+                this.update(element, context);
+            },
+            update(element, { widget, span }) {
+                element.innerHTML = `
+                    <div class="widget-info">Min: ${widget.minColSpan} col × ${widget.minHeightRem} rem</div>
+                    <div class="widget-info">Span: ${span} col | Mode: ${widget.heightMode}</div>
+                    ${widget.type && widget.type !== 'placeholder' ? `<div class="widget-info">Unknown widget type "${escapeHTML(widget.type)}"</div>` : ''}
+                `;
+            }
+        }
+    ];
+    
+    /**
+     * Create a registry holding the built-in widget types
+     * @returns {WidgetRegistry} New registry
+     */
+    function createDefaultRegistry() {
+        const registry = new WidgetRegistry();
+        BUILTIN_WIDGET_TYPES.forEach(definition => registry.register(definition));
+        return registry;
+    }
+    
+    return {
+        WidgetRegistry,
+        BUILTIN_WIDGET_TYPES,
+        DEFAULT_RESIZE_LIMITS,
+        createDefaultRegistry,
+        markdownToHTML,
+        checkEmbedURL
+    };
+});